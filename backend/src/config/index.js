@@ -3,6 +3,26 @@ import dotenv from 'dotenv';
 // Load environment variables
 dotenv.config();
 
+// OpenID Connect providers: OIDC_PROVIDERS lists provider IDs and each one is
+// configured with OIDC_<ID>_ISSUER, _CLIENT_ID, _CLIENT_SECRET, _NAME and _SCOPES
+const parseOidcProviders = () => (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(id => id.trim().toLowerCase())
+  .filter(id => /^[a-z0-9-]+$/.test(id))
+  .map(id => {
+    const env = name => process.env[`OIDC_${id.toUpperCase().replace(/-/g, '_')}_${name}`];
+
+    return {
+      id,
+      name: env('NAME') || id,
+      issuer: env('ISSUER'),
+      clientId: env('CLIENT_ID'),
+      clientSecret: env('CLIENT_SECRET') || null,
+      scopes: env('SCOPES') || 'openid email profile',
+    };
+  })
+  .filter(provider => provider.issuer && provider.clientId);
+
 const config = {
   // Server Configuration
   server: {
@@ -34,6 +54,56 @@ const config = {
     refreshExpire: process.env.JWT_REFRESH_EXPIRE || '30d',
   },
 
+  // Personal Access Token Configuration
+  accessTokens: {
+    defaultLifetimeDays: parseInt(process.env.ACCESS_TOKEN_DEFAULT_DAYS, 10) || 90,
+    maxLifetimeDays: parseInt(process.env.ACCESS_TOKEN_MAX_DAYS, 10) || 365,
+    maxPerUser: parseInt(process.env.ACCESS_TOKEN_MAX_PER_USER, 10) || 50,
+  },
+
+  // Two-Factor Authentication Configuration
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'CollabTask',
+    // Encrypts TOTP secrets and keys recovery code hashes; required in production
+    encryptionKey: process.env.MFA_ENCRYPTION_KEY
+      || (process.env.NODE_ENV === 'production' ? null : 'development-mfa-key-not-for-production'),
+    pendingTokenExpire: process.env.MFA_PENDING_TOKEN_EXPIRE || '5m',
+    maxAttempts: parseInt(process.env.MFA_MAX_ATTEMPTS, 10) || 5,
+    recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT, 10) || 10,
+  },
+
+  // OpenID Connect Sign-In Configuration
+  oidc: {
+    providers: parseOidcProviders(),
+    // Public base URL of this API; providers redirect to <base>/api/v1/auth/oidc/<id>/callback
+    callbackBaseUrl: process.env.OIDC_CALLBACK_BASE_URL || `http://localhost:${parseInt(process.env.PORT, 10) || 5000}`,
+    appUrl: process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000',
+    stateTtlSeconds: parseInt(process.env.OIDC_STATE_TTL_SECONDS, 10) || 600,
+    loginCodeTtlSeconds: parseInt(process.env.OIDC_LOGIN_CODE_TTL_SECONDS, 10) || 60,
+    requestTimeout: parseInt(process.env.OIDC_REQUEST_TIMEOUT_MS, 10) || 10000,
+    // Plain http issuers, for a local mock provider during development
+    allowInsecureIssuers: process.env.OIDC_ALLOW_INSECURE_ISSUERS === 'true',
+  },
+
+  // Login Brute-Force Protection Configuration
+  loginProtection: {
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+    freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 3,
+    baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS, 10) || 1,
+    maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 60,
+    accountLockThreshold: parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD, 10) || 10,
+    ipLockThreshold: parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD, 10) || 50,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  },
+
+  // Magic-Link Login Configuration
+  magicLink: {
+    tokenTtlMinutes: parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 15,
+    windowMinutes: parseInt(process.env.MAGIC_LINK_WINDOW_MINUTES, 10) || 15,
+    maxPerEmail: parseInt(process.env.MAGIC_LINK_MAX_PER_EMAIL, 10) || 3,
+    maxPerIp: parseInt(process.env.MAGIC_LINK_MAX_PER_IP, 10) || 20,
+  },
+
   // Redis Configuration
   redis: {
     url: process.env.REDIS_URL || 'redis://localhost:6379',
@@ -60,6 +130,64 @@ const config = {
     apiSecret: process.env.CLOUDINARY_API_SECRET,
   },
 
+  // Attachment Upload Configuration
+  upload: {
+    maxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE, 10) || 10 * 1024 * 1024, // 10MB
+    maxFiles: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 5,
+    workspaceQuota: parseInt(process.env.UPLOAD_WORKSPACE_QUOTA, 10) || 1024 * 1024 * 1024, // 1GB
+    signedUrlExpiry: parseInt(process.env.UPLOAD_SIGNED_URL_EXPIRY, 10) || 3600, // 1 hour
+  },
+
+  // Recurring Task Configuration
+  recurrence: {
+    checkInterval: parseInt(process.env.RECURRENCE_CHECK_INTERVAL_MS, 10) || 5 * 60 * 1000, // 5 minutes
+  },
+
+  // Notification Configuration
+  notifications: {
+    appUrl: process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000',
+    dueSoonHours: parseInt(process.env.NOTIFICATION_DUE_SOON_HOURS, 10) || 24,
+    checkInterval: parseInt(process.env.NOTIFICATION_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000, // 15 minutes
+    retentionDays: parseInt(process.env.NOTIFICATION_RETENTION_DAYS, 10) || 90,
+  },
+
+  // Trash Configuration
+  trash: {
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    purgeInterval: parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000, // 1 hour
+  },
+
+  // Analytics Configuration
+  analytics: {
+    cacheTtl: parseInt(process.env.ANALYTICS_CACHE_TTL_SECONDS, 10) || 300, // 5 minutes
+  },
+
+  // Automation Configuration
+  automation: {
+    checkInterval: parseInt(process.env.AUTOMATION_CHECK_INTERVAL_MS, 10) || 5 * 60 * 1000, // 5 minutes
+    logRetentionDays: parseInt(process.env.AUTOMATION_LOG_RETENTION_DAYS, 10) || 30,
+  },
+
+  // Outbound Webhook Configuration
+  webhooks: {
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 30 * 1000, // doubles per attempt
+    retryMaxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 6 * 60 * 60 * 1000, // 6 hours
+    disableAfterFailures: parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 15,
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000,
+    logRetentionDays: parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 14,
+    // Private and loopback addresses are only allowed outside production
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS
+      ? process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+      : process.env.NODE_ENV !== 'production',
+  },
+
+  // Workspace Invitation Configuration
+  invitations: {
+    expiryDays: parseInt(process.env.INVITATION_EXPIRY_DAYS, 10) || 7,
+  },
+
   // CORS Configuration
   cors: {
     origin: process.env.CLIENT_URL || 'http://localhost:3000',
@@ -127,6 +255,10 @@ const validateConfig = () => {
 
   // Warn about default secrets in production
   if (config.server.nodeEnv === 'production') {
+    if (!config.mfa.encryptionKey) {
+      throw new Error('MFA_ENCRYPTION_KEY must be set in production');
+    }
+
     if (config.jwt.secret.includes('fallback')) {
       console.warn('⚠️  WARNING: Using fallback JWT secret in production!');
     }
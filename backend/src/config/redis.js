@@ -1,160 +1,237 @@
-const redis = require('redis')
+import { createClient } from 'redis';
+import config from './index.js';
+import logger from '../utils/logger.js';
 
 // Redis configuration for caching and session management
-const redisConfig = {
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  db: process.env.REDIS_DB || 0,
-  retry_strategy: (options) => {
-    if (options.error && options.error.code === 'ECONNREFUSED') {
-      console.error('Redis connection refused')
-      return new Error('Redis connection refused')
-    }
-    if (options.total_retry_time > 1000 * 60 * 60) {
-      console.error('Redis retry time exhausted')
-      return new Error('Retry time exhausted')
-    }
-    if (options.attempt > 10) {
-      console.error('Redis retry attempts exhausted')
-      return undefined
+export const redisConfig = {
+  url: config.redis.url,
+  password: config.redis.password || undefined,
+  socket: {
+    reconnectStrategy: (retries) => {
+      if (retries > 10) {
+        logger.error('Redis retry attempts exhausted');
+        return new Error('Redis retry attempts exhausted');
+      }
+      // Reconnect after
+      return Math.min(retries * 100, 3000);
     }
-    // Reconnect after
-    return Math.min(options.attempt * 100, 3000)
   }
-}
-
-// Create Redis client
-let redisClient = null
+};
 
-if (process.env.NODE_ENV !== 'test') {
-  redisClient = redis.createClient(redisConfig)
+// Create Redis client; it connects when the server starts
+export const redisClient = process.env.NODE_ENV !== 'test' ? createClient(redisConfig) : null;
 
+if (redisClient) {
   redisClient.on('error', (err) => {
-    console.error('Redis Client Error:', err)
-  })
-
-  redisClient.on('connect', () => {
-    console.log('Connected to Redis')
-  })
+    logger.error('Redis Client Error:', err);
+  });
 
   redisClient.on('ready', () => {
-    console.log('Redis client ready')
-  })
+    logger.info('✅ Redis client ready');
+  });
 
   redisClient.on('end', () => {
-    console.log('Redis connection ended')
-  })
-
-  // Connect to Redis
-  redisClient.connect().catch(console.error)
+    logger.warn('Redis connection ended');
+  });
 }
 
+// Connect to Redis. The API keeps working without it, only uncached.
+export const connectRedis = async () => {
+  if (!redisClient || redisClient.isOpen) return;
+
+  try {
+    await redisClient.connect();
+  } catch (error) {
+    logger.error('❌ Redis connection error:', error.message);
+  }
+};
+
+// Commands are skipped rather than queued while Redis is unavailable
+const isReady = () => Boolean(redisClient?.isReady);
+
 // Cache operations wrapper
-const cache = {
+export const cache = {
   async get(key) {
-    if (!redisClient) return null
+    if (!isReady()) return null;
     try {
-      const value = await redisClient.get(key)
-      return value ? JSON.parse(value) : null
+      const value = await redisClient.get(key);
+      return value ? JSON.parse(value) : null;
     } catch (error) {
-      console.error('Redis GET error:', error)
-      return null
+      logger.error('Redis GET error:', error);
+      return null;
     }
   },
 
   async set(key, value, expireInSeconds = null) {
-    if (!redisClient) return false
+    if (!isReady()) return false;
     try {
-      const serializedValue = JSON.stringify(value)
+      const serializedValue = JSON.stringify(value);
       if (expireInSeconds) {
-        await redisClient.setEx(key, expireInSeconds, serializedValue)
+        await redisClient.setEx(key, expireInSeconds, serializedValue);
       } else {
-        await redisClient.set(key, serializedValue)
+        await redisClient.set(key, serializedValue);
       }
-      return true
+      return true;
     } catch (error) {
-      console.error('Redis SET error:', error)
-      return false
+      logger.error('Redis SET error:', error);
+      return false;
+    }
+  },
+
+  // Read and delete a value in one step, so only one caller ever gets it
+  async take(key) {
+    if (!isReady()) return null;
+    try {
+      const value = await redisClient.getDel(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error('Redis GETDEL error:', error);
+      return null;
     }
   },
 
   async del(key) {
-    if (!redisClient) return false
+    if (!isReady()) return false;
     try {
-      await redisClient.del(key)
-      return true
+      await redisClient.del(key);
+      return true;
     } catch (error) {
-      console.error('Redis DEL error:', error)
-      return false
+      logger.error('Redis DEL error:', error);
+      return false;
     }
   },
 
   async expire(key, seconds) {
-    if (!redisClient) return false
+    if (!isReady()) return false;
     try {
-      await redisClient.expire(key, seconds)
-      return true
+      await redisClient.expire(key, seconds);
+      return true;
     } catch (error) {
-      console.error('Redis EXPIRE error:', error)
-      return false
+      logger.error('Redis EXPIRE error:', error);
+      return false;
     }
   },
 
   async exists(key) {
-    if (!redisClient) return false
+    if (!isReady()) return false;
     try {
-      const result = await redisClient.exists(key)
-      return result === 1
+      const result = await redisClient.exists(key);
+      return result === 1;
     } catch (error) {
-      console.error('Redis EXISTS error:', error)
-      return false
+      logger.error('Redis EXISTS error:', error);
+      return false;
+    }
+  },
+
+  // Seconds until a key expires; null when it has no expiry, is missing or
+  // Redis is unavailable
+  async ttl(key) {
+    if (!isReady()) return null;
+    try {
+      const seconds = await redisClient.ttl(key);
+      return seconds >= 0 ? seconds : null;
+    } catch (error) {
+      logger.error('Redis TTL error:', error);
+      return null;
+    }
+  },
+
+  // Read a counter, 0 when it is unset or Redis is unavailable
+  async getCounter(key) {
+    if (!isReady()) return 0;
+    try {
+      return parseInt(await redisClient.get(key)) || 0;
+    } catch (error) {
+      logger.error('Redis GET error:', error);
+      return 0;
+    }
+  },
+
+  async incr(key) {
+    if (!isReady()) return null;
+    try {
+      return await redisClient.incr(key);
+    } catch (error) {
+      logger.error('Redis INCR error:', error);
+      return null;
+    }
+  },
+
+  // Delayed job queues: sorted sets scored by when each job is due
+  async schedule(queue, member, dueAt) {
+    if (!isReady()) return false;
+    try {
+      await redisClient.zAdd(queue, { score: new Date(dueAt).getTime(), value: String(member) });
+      return true;
+    } catch (error) {
+      logger.error('Redis ZADD error:', error);
+      return false;
+    }
+  },
+
+  // Take up to `limit` due jobs off a queue. A job is only returned to the
+  // caller whose ZREM removed it, so concurrent workers never share one.
+  async claimDue(queue, limit = 50, now = Date.now()) {
+    if (!isReady()) return [];
+    try {
+      const members = await redisClient.zRangeByScore(queue, 0, now, { LIMIT: { offset: 0, count: limit } });
+      const claimed = [];
+      for (const member of members) {
+        if (await redisClient.zRem(queue, member) === 1) {
+          claimed.push(member);
+        }
+      }
+      return claimed;
+    } catch (error) {
+      logger.error('Redis queue claim error:', error);
+      return [];
     }
   },
 
   // Session management
   async setSession(sessionId, data, expireInSeconds = 3600) {
-    return this.set(`session:${sessionId}`, data, expireInSeconds)
+    return this.set(`session:${sessionId}`, data, expireInSeconds);
   },
 
   async getSession(sessionId) {
-    return this.get(`session:${sessionId}`)
+    return this.get(`session:${sessionId}`);
   },
 
   async deleteSession(sessionId) {
-    return this.del(`session:${sessionId}`)
+    return this.del(`session:${sessionId}`);
   },
 
   // Cache management
   async invalidatePattern(pattern) {
-    if (!redisClient) return false
+    if (!isReady()) return false;
     try {
-      const keys = await redisClient.keys(pattern)
+      const keys = await redisClient.keys(pattern);
       if (keys.length > 0) {
-        await redisClient.del(keys)
+        await redisClient.del(keys);
       }
-      return true
+      return true;
     } catch (error) {
-      console.error('Redis pattern invalidation error:', error)
-      return false
+      logger.error('Redis pattern invalidation error:', error);
+      return false;
     }
   },
 
+  // Whether commands currently reach Redis
+  isReady() {
+    return isReady();
+  },
+
   // Health check
   async ping() {
-    if (!redisClient) return false
+    if (!isReady()) return false;
     try {
-      const result = await redisClient.ping()
-      return result === 'PONG'
+      const result = await redisClient.ping();
+      return result === 'PONG';
     } catch (error) {
-      console.error('Redis PING error:', error)
-      return false
+      logger.error('Redis PING error:', error);
+      return false;
     }
   }
-}
+};
 
-module.exports = {
-  redisClient,
-  cache,
-  redisConfig
-}
\ No newline at end of file
+export default cache;
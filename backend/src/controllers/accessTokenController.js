@@ -0,0 +1,118 @@
+import { validationResult } from 'express-validator';
+import AccessToken from '../models/AccessToken.js';
+import Workspace from '../models/Workspace.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import { generateAccessToken } from '../utils/accessTokens.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// @desc    Get the current user's personal access tokens
+// @route   GET /api/v1/auth/tokens
+// @access  Private (session only)
+export const getAccessTokens = catchAsync(async (req, res, next) => {
+  const tokens = await AccessToken.find({ user: req.user._id, revokedAt: null })
+    .populate('workspace', 'name')
+    .sort({ createdAt: -1 });
+
+  successResponse(res, 'Access tokens retrieved successfully', {
+    tokens: tokens.map(token => token.toPublicJSON()),
+    count: tokens.length
+  });
+});
+
+// @desc    Create a personal access token. The token is only returned here.
+// @route   POST /api/v1/auth/tokens
+// @access  Private (session only)
+export const createAccessToken = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const userId = req.user._id;
+  const { name, scopes, workspace: workspaceId } = req.body;
+  const expiresInDays = req.body.expiresInDays ?? config.accessTokens.defaultLifetimeDays;
+
+  if (expiresInDays > config.accessTokens.maxLifetimeDays) {
+    return next(new AppError(`Access tokens cannot last longer than ${config.accessTokens.maxLifetimeDays} days.`, 400));
+  }
+
+  const count = await AccessToken.countDocuments({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (count >= config.accessTokens.maxPerUser) {
+    return next(new AppError(`You can have at most ${config.accessTokens.maxPerUser} active access tokens. Revoke one first.`, 400));
+  }
+
+  if (workspaceId) {
+    const workspace = await Workspace.findById(workspaceId);
+
+    if (!workspace) {
+      return notFoundResponse(res, 'Workspace not found');
+    }
+
+    if (!workspace.isMember(userId)) {
+      return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+    }
+  }
+
+  const { token, prefix, tokenHash } = generateAccessToken();
+
+  const accessToken = await AccessToken.create({
+    name,
+    user: userId,
+    tokenHash,
+    prefix,
+    scopes: [...new Set(scopes)],
+    workspace: workspaceId || null,
+    expiresAt: new Date(Date.now() + expiresInDays * DAY_MS)
+  });
+
+  logger.auth('access_token_created', userId, {
+    tokenId: accessToken._id,
+    scopes: accessToken.scopes,
+    workspaceId: accessToken.workspace,
+    ipAddress: req.ip
+  });
+
+  createdResponse(res, 'Access token created successfully. Copy it now; it will not be shown again.', {
+    token,
+    accessToken: accessToken.toPublicJSON()
+  });
+});
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/v1/auth/tokens/:tokenId
+// @access  Private (session only)
+export const revokeAccessToken = catchAsync(async (req, res, next) => {
+  const { tokenId } = req.params;
+  const userId = req.user._id;
+
+  const accessToken = await AccessToken.findOneAndUpdate(
+    { _id: tokenId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!accessToken) {
+    return notFoundResponse(res, 'Access token not found');
+  }
+
+  logger.auth('access_token_revoked', userId, {
+    tokenId: accessToken._id,
+    ipAddress: req.ip
+  });
+
+  successResponse(res, 'Access token revoked successfully');
+});
@@ -0,0 +1,131 @@
+import Sprint from '../models/Sprint.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { successResponse, notFoundResponse } from '../utils/response.js';
+import { isValidTimeZone } from '../utils/recurrence.js';
+import { ANALYTICS_UNITS, MAX_ANALYTICS_DAYS } from '../utils/analytics.js';
+import analyticsService from '../services/analyticsService.js';
+
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolve the report range, defaulting to the last 30 days. Returns an error
+// message for invalid ranges.
+const parseRange = (query, defaults = {}) => {
+  const now = new Date();
+  const to = query.to ? new Date(query.to) : (defaults.to || now);
+  const from = query.from
+    ? new Date(query.from)
+    : (defaults.from || new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  // History stops at the present
+  const end = to > now ? now : to;
+
+  if (from > end) {
+    return { error: 'from must be before to and not in the future' };
+  }
+
+  if ((end - from) / DAY_MS > MAX_ANALYTICS_DAYS) {
+    return { error: `Reports cannot cover more than ${MAX_ANALYTICS_DAYS} days` };
+  }
+
+  return { from, to: end };
+};
+
+const getTimeZone = workspace => (
+  isValidTimeZone(workspace.settings?.timezone) ? workspace.settings.timezone : 'UTC'
+);
+
+// @desc    Get burndown and burnup series
+// @route   GET /api/v1/workspaces/:workspaceId/analytics/burndown
+// @access  Private (Workspace Member)
+export const getBurndown = catchAsync(async (req, res, next) => {
+  const { unit = 'tasks', sprint: sprintId } = req.query;
+
+  const { workspace } = req;
+
+  if (!ANALYTICS_UNITS.includes(unit)) {
+    return next(new AppError(`unit must be one of ${ANALYTICS_UNITS.join(', ')}`, 400));
+  }
+
+  // A sprint's burndown covers the sprint by default
+  let sprint = null;
+  if (sprintId) {
+    if (!/^[0-9a-fA-F]{24}$/.test(sprintId)) {
+      return next(new AppError('sprint must be a valid sprint ID', 400));
+    }
+
+    sprint = await Sprint.findOne({ _id: sprintId, workspace: workspace._id });
+    if (!sprint) {
+      return notFoundResponse(res, 'Sprint not found');
+    }
+  }
+
+  const range = parseRange(req.query, sprint ? {
+    from: sprint.startedAt || sprint.startDate,
+    to: sprint.completedAt || sprint.endDate
+  } : {});
+  if (range.error) {
+    return next(new AppError(range.error, 400));
+  }
+
+  const timeZone = getTimeZone(workspace);
+  const report = await analyticsService.getBurndown(workspace, {
+    ...range,
+    unit,
+    sprintId: sprint ? sprint._id.toString() : undefined,
+    timeZone
+  });
+
+  successResponse(res, 'Burndown retrieved successfully', {
+    ...report,
+    sprint: sprint ? sprint.toPublicJSON() : null,
+    range,
+    timeZone
+  });
+});
+
+// @desc    Get cumulative flow by status per day
+// @route   GET /api/v1/workspaces/:workspaceId/analytics/cumulative-flow
+// @access  Private (Workspace Member)
+export const getCumulativeFlow = catchAsync(async (req, res, next) => {
+  const { workspace } = req;
+
+  const range = parseRange(req.query);
+  if (range.error) {
+    return next(new AppError(range.error, 400));
+  }
+
+  const timeZone = getTimeZone(workspace);
+  const report = await analyticsService.getCumulativeFlow(workspace, { ...range, timeZone });
+
+  successResponse(res, 'Cumulative flow retrieved successfully', {
+    ...report,
+    range,
+    timeZone
+  });
+});
+
+// @desc    Get cycle time and lead time distributions
+// @route   GET /api/v1/workspaces/:workspaceId/analytics/flow-times
+// @access  Private (Workspace Member)
+export const getFlowTimes = catchAsync(async (req, res, next) => {
+  const { workspace } = req;
+
+  const range = parseRange(req.query);
+  if (range.error) {
+    return next(new AppError(range.error, 400));
+  }
+
+  const timeZone = getTimeZone(workspace);
+  const report = await analyticsService.getFlowTimes(workspace, { ...range, timeZone });
+
+  successResponse(res, 'Flow times retrieved successfully', {
+    ...report,
+    range,
+    timeZone
+  });
+});
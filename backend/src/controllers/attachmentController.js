@@ -0,0 +1,236 @@
+import Task, { toPublicAttachment } from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import fileService from '../services/fileService.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  errorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Resolve the storage quota for a workspace, falling back to the global default
+const getStorageQuota = (workspace) => {
+  return workspace.settings?.storageQuota ?? config.upload.workspaceQuota;
+};
+
+// @desc    Get task attachments
+// @route   GET /api/v1/tasks/:taskId/attachments
+// @access  Private (Workspace Member)
+export const getAttachments = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  await task.populate('attachments.uploadedBy', 'firstName lastName avatar');
+
+  successResponse(res, 'Attachments retrieved successfully', {
+    attachments: task.attachments.map(attachment => toPublicAttachment(attachment.toObject())),
+    count: task.attachments.length
+  });
+});
+
+// @desc    Upload attachments to task
+// @route   POST /api/v1/tasks/:taskId/attachments
+// @access  Private (Workspace Member)
+export const uploadAttachment = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return next(new AppError('No file uploaded. Send the file in a "file" or "files" field.', 400));
+  }
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  // Enforce the workspace storage quota before touching storage
+  const workspace = await Workspace.findById(task.workspace);
+  const quota = getStorageQuota(workspace);
+  const usage = await Task.getWorkspaceStorageUsage(task.workspace);
+  const incomingSize = files.reduce((total, file) => total + file.size, 0);
+
+  if (usage.totalSize + incomingSize > quota) {
+    return next(new AppError(
+      `Workspace storage quota exceeded. ${Math.max(quota - usage.totalSize, 0)} bytes remaining.`,
+      413
+    ));
+  }
+
+  const result = await fileService.batchUpload(files, {
+    maxSize: config.upload.maxFileSize,
+    path: `workspaces/${task.workspace}/tasks/${task._id}`,
+    metadata: {
+      taskId: task._id.toString(),
+      uploadedBy: userId.toString()
+    }
+  });
+
+  if (result.successfulUploads === 0) {
+    return errorResponse(res, 'File upload failed', 400, result.errors);
+  }
+
+  const attachments = [];
+  for (const upload of result.results) {
+    const attachment = await task.addAttachment({
+      filename: upload.fileName,
+      originalName: upload.originalName,
+      url: upload.url,
+      size: upload.size,
+      mimeType: upload.mimeType,
+      storage: upload.storage,
+      key: upload.key,
+      bucket: upload.bucket
+    }, userId);
+
+    attachments.push(toPublicAttachment(attachment.toObject()));
+  }
+
+  // Broadcast real-time update
+  await task.broadcastUpdate({
+    attachments: task.attachments.map(attachment => toPublicAttachment(attachment.toObject()))
+  }, userId);
+
+  logger.task('attachments_uploaded', task._id, {
+    workspace: task.workspace,
+    uploadedBy: userId,
+    files: attachments.length,
+    size: incomingSize
+  });
+
+  createdResponse(res, 'Attachment uploaded successfully', {
+    attachment: attachments[0],
+    attachments,
+    failed: result.errors
+  });
+});
+
+// @desc    Download task attachment
+// @route   GET /api/v1/tasks/:taskId/attachments/:attachmentId/download
+// @access  Private (Workspace Member)
+export const downloadAttachment = catchAsync(async (req, res, next) => {
+  const { taskId, attachmentId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const attachment = task.attachments.id(attachmentId);
+
+  if (!attachment) {
+    return notFoundResponse(res, 'Attachment not found');
+  }
+
+  // Private S3 objects are served through a short-lived signed URL
+  if (attachment.storage === 's3') {
+    const { url, expiresAt } = await fileService.getFileUrl(attachment, config.upload.signedUrlExpiry);
+
+    if (req.query.redirect === 'false') {
+      return successResponse(res, 'Download URL generated successfully', { url, expiresAt });
+    }
+
+    return res.redirect(url);
+  }
+
+  let stream;
+  try {
+    stream = fileService.getFileStream(attachment);
+  } catch (error) {
+    return notFoundResponse(res, 'Attachment file not found in storage');
+  }
+
+  const downloadName = encodeURIComponent(attachment.originalName || attachment.filename);
+
+  res.setHeader('Content-Type', attachment.mimeType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${downloadName}`);
+  if (attachment.size) {
+    res.setHeader('Content-Length', attachment.size);
+  }
+
+  stream.on('error', (error) => {
+    logger.error('Attachment stream error:', error);
+    if (!res.headersSent) {
+      next(new AppError('Failed to read attachment.', 500));
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  stream.pipe(res);
+});
+
+// @desc    Delete task attachment
+// @route   DELETE /api/v1/tasks/:taskId/attachments/:attachmentId
+// @access  Private (Uploader or Workspace Admin)
+export const deleteAttachment = catchAsync(async (req, res, next) => {
+  const { taskId, attachmentId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const attachment = task.attachments.id(attachmentId);
+
+  if (!attachment) {
+    return notFoundResponse(res, 'Attachment not found');
+  }
+
+  // Uploaders can delete their own files, workspace admins can delete any
+  if (attachment.uploadedBy?.toString() !== userId.toString()) {
+    const workspace = await Workspace.findById(task.workspace);
+    if (!workspace.hasRole(userId, 'admin')) {
+      return next(new AppError('Access denied. You can only delete your own attachments.', 403));
+    }
+  }
+
+  // Remove the stored blob first so metadata never points at a missing file.
+  // Duplicated tasks share files, so keep the blob while another task uses it.
+  if (!(await Task.isAttachmentShared(attachment, task._id))) {
+    await fileService.deleteFile(attachment);
+  }
+  await task.removeAttachment(attachmentId, userId);
+
+  // Broadcast real-time update
+  await task.broadcastUpdate({
+    attachments: task.attachments.map(item => toPublicAttachment(item.toObject()))
+  }, userId);
+
+  successResponse(res, 'Attachment deleted successfully');
+});
@@ -1,16 +1,71 @@
 import jwt from 'jsonwebtoken';
 import { validationResult } from 'express-validator';
 import User from '../models/User.js';
+import WorkspaceInvitation from '../models/WorkspaceInvitation.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import { REFRESH_TOKEN_REUSE_MESSAGE } from '../middleware/auth.js';
 import {
   successResponse,
   createdResponse,
   validationErrorResponse,
-  unauthorizedResponse
+  unauthorizedResponse,
+  tooManyRequestsResponse,
+  serviceUnavailableResponse
 } from '../utils/response.js';
+import { cache } from '../config/redis.js';
+import loginProtection from '../services/loginProtectionService.js';
+import oidcService from '../services/oidcService.js';
+import magicLinkService from '../services/magicLinkService.js';
+import { describeWait } from '../utils/loginProtection.js';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 
+// Refuse a login attempt that is delayed or locked out
+const loginBlockedResponse = (res, block) => {
+  const wait = describeWait(block.retryAfter);
+  let message = `Too many failed login attempts. Wait ${wait} before trying again.`;
+
+  if (block.locked) {
+    message = block.scope === 'ip'
+      ? `Too many failed login attempts from this network. Try again in ${wait}.`
+      : `Too many failed login attempts. This account is temporarily locked; try again in ${wait}.`;
+  }
+
+  res.set('Retry-After', String(block.retryAfter));
+  return tooManyRequestsResponse(res, message);
+};
+
+// Sign a user in: clear their failed attempts, mark them online and issue an
+// access/refresh token pair
+const startSession = async (user, req) => {
+  await loginProtection.recordSuccess({ user, ipAddress: req.ip });
+  await user.setOnlineStatus(true);
+
+  const { sessionId, accessToken, refreshToken } = await user.createSession(req.get('User-Agent'), req.ip);
+
+  return {
+    user: user.toPublicProfile(),
+    sessionId,
+    accessToken,
+    refreshToken,
+    expiresIn: '7d' // Access token expiry
+  };
+};
+
+// Ask for a second factor instead of starting a session
+const mfaChallengeResponse = (res, user, req) => {
+  logger.auth('mfa_challenge_issued', user._id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return successResponse(res, 'Two-factor authentication required', {
+    mfaRequired: true,
+    mfaToken: user.generateMfaPendingToken(),
+    expiresIn: config.mfa.pendingTokenExpire
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/v1/auth/register
 // @access  Public
@@ -21,7 +76,7 @@ export const register = catchAsync(async (req, res, next) => {
     return validationErrorResponse(res, errors.array());
   }
 
-  const { email, password, firstName, lastName, username } = req.body;
+  const { email, password, firstName, lastName, username, invitationToken } = req.body;
 
   // Check if user already exists
   const existingUser = await User.findByEmailOrUsername(email);
@@ -29,21 +84,41 @@ export const register = catchAsync(async (req, res, next) => {
     return next(new AppError('User with this email or username already exists', 409));
   }
 
-  // Create user
+  // Registering from an invitation link joins the inviting workspace
+  let invitation = null;
+  if (invitationToken) {
+    invitation = await WorkspaceInvitation.findByToken(invitationToken);
+
+    if (!invitation || invitation.status !== 'pending' || invitation.isExpired) {
+      return next(new AppError('Invitation is invalid or has expired', 400));
+    }
+
+    if (invitation.email !== email.toLowerCase()) {
+      return next(new AppError('Invitation was sent to a different email address', 400));
+    }
+  }
+
+  // Create user; the invitation link already proved the email address
   const user = await User.create({
     email,
     password,
     firstName,
     lastName,
-    username
+    username,
+    emailVerified: Boolean(invitation)
   });
 
-  // Generate tokens
-  const accessToken = user.generateAccessToken();
-  const refreshToken = user.generateRefreshToken();
+  let workspace = null;
+  if (invitation) {
+    try {
+      workspace = await invitation.accept(user);
+    } catch (error) {
+      logger.error(`Failed to accept invitation ${invitation._id} during registration:`, error);
+    }
+  }
 
-  // Add refresh token to user
-  await user.addRefreshToken(refreshToken, req.get('User-Agent'), req.ip);
+  // Start a session
+  const { sessionId, accessToken, refreshToken } = await user.createSession(req.get('User-Agent'), req.ip);
 
   // Remove password from response
   user.password = undefined;
@@ -56,9 +131,11 @@ export const register = catchAsync(async (req, res, next) => {
 
   createdResponse(res, 'User registered successfully', {
     user: user.toPublicProfile(),
+    sessionId,
     accessToken,
     refreshToken,
-    expiresIn: '7d' // Access token expiry
+    expiresIn: '7d', // Access token expiry
+    ...(workspace && { workspace: workspace.toPublicProfile(user._id) })
   });
 });
 
@@ -77,61 +154,299 @@ export const login = catchAsync(async (req, res, next) => {
   // Check if user exists and get password
   const user = await User.findByEmailOrUsername(email).select('+password');
 
+  // Locked or delayed attempts are refused before the password is checked
+  const attempt = { user, identifier: email, ipAddress: req.ip };
+  const block = await loginProtection.check(attempt);
+
+  if (block) {
+    logger.auth('login_blocked', user?._id, { ...block, ipAddress: req.ip });
+    return loginBlockedResponse(res, block);
+  }
+
   if (!user || !(await user.comparePassword(password))) {
+    await loginProtection.recordFailure(attempt);
     return unauthorizedResponse(res, 'Invalid email/username or password');
   }
 
-  // Update last active and set online
-  await user.setOnlineStatus(true);
+  // With two-factor authentication the password only earns a short-lived
+  // token to exchange for a session at /auth/mfa/verify
+  if (user.mfa?.enabled) {
+    return mfaChallengeResponse(res, user, req);
+  }
 
-  // Generate tokens
-  const accessToken = user.generateAccessToken();
-  const refreshToken = user.generateRefreshToken();
+  const session = await startSession(user, req);
 
-  // Add refresh token to user
-  await user.addRefreshToken(refreshToken, req.get('User-Agent'), req.ip);
+  logger.auth('user_logged_in', user._id, {
+    email: user.email,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
 
-  // Remove password from response
-  user.password = undefined;
+  successResponse(res, 'Login successful', session);
+});
+
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @route   POST /api/v1/auth/mfa/verify
+// @access  Public (pending MFA token)
+export const verifyMfaLogin = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { mfaToken, code } = req.body;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(mfaToken, config.jwt.secret, {
+      issuer: 'collabtask-api',
+      audience: 'collabtask-users'
+    });
+  } catch (error) {
+    return unauthorizedResponse(res, 'Two-factor login has expired. Please log in again.');
+  }
+
+  if (decoded.type !== 'mfa_pending' || !decoded.jti) {
+    return unauthorizedResponse(res, 'Invalid two-factor login token');
+  }
+
+  // Attempts and reuse are tracked per pending token for as long as it lives
+  const ttl = Math.max(decoded.exp - Math.floor(Date.now() / 1000), 1);
+  const usedKey = `mfa:used:${decoded.jti}`;
+  const attemptsKey = `mfa:attempts:${decoded.jti}`;
+
+  if (await cache.exists(usedKey)) {
+    return unauthorizedResponse(res, 'Two-factor login has already been completed. Please log in again.');
+  }
+
+  const attempts = await cache.incr(attemptsKey);
+
+  // Without Redis the attempt limit cannot be enforced; refuse rather than
+  // allow unlimited code guesses
+  if (attempts === null) {
+    return serviceUnavailableResponse(res, 'Two-factor login is temporarily unavailable. Please try again shortly.');
+  }
+
+  if (attempts === 1) {
+    await cache.expire(attemptsKey, ttl);
+  }
+  if (attempts > config.mfa.maxAttempts) {
+    return tooManyRequestsResponse(res, 'Too many incorrect codes. Please log in again.');
+  }
+
+  const user = await User.findById(decoded.userId).select('+mfa.secret +mfa.recoveryCodes');
+
+  if (!user || !user.mfa?.enabled) {
+    return unauthorizedResponse(res, 'Invalid two-factor login token');
+  }
+
+  // Wrong codes count towards the account lockout too, so getting a fresh
+  // pending token with the password does not reset the budget
+  const attempt = { user, ipAddress: req.ip };
+  const block = await loginProtection.check(attempt);
+
+  if (block) {
+    logger.auth('login_blocked', user._id, { ...block, ipAddress: req.ip });
+    return loginBlockedResponse(res, block);
+  }
+
+  const method = await user.consumeMfaCode(code);
+
+  if (!method) {
+    await loginProtection.recordFailure(attempt);
+
+    logger.auth('mfa_verification_failed', user._id, {
+      attempt: attempts,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    return unauthorizedResponse(res, 'Invalid authentication code');
+  }
+
+  await cache.set(usedKey, true, ttl);
+
+  const session = await startSession(user, req);
 
   logger.auth('user_logged_in', user._id, {
     email: user.email,
+    mfaMethod: method,
     ipAddress: req.ip,
     userAgent: req.get('User-Agent')
   });
 
   successResponse(res, 'Login successful', {
-    user: user.toPublicProfile(),
-    accessToken,
-    refreshToken,
-    expiresIn: '7d'
+    ...session,
+    ...(method === 'recovery' && { recoveryCodesRemaining: user.remainingRecoveryCodes() })
+  });
+});
+
+// @desc    Exchange the one-time code from a single sign-on callback for a session
+// @route   POST /api/v1/auth/oidc/exchange
+// @access  Public (OIDC login code)
+export const exchangeOidcLogin = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const login = await oidcService.redeemLoginCode(req.body.code);
+
+  if (!login) {
+    return unauthorizedResponse(res, 'Sign-in has expired. Please try again.');
+  }
+
+  const user = await User.findById(login.userId);
+
+  if (!user) {
+    return unauthorizedResponse(res, 'Sign-in has expired. Please try again.');
+  }
+
+  // The provider stands in for the password; a second factor is still required
+  if (user.mfa?.enabled) {
+    return mfaChallengeResponse(res, user, req);
+  }
+
+  const session = await startSession(user, req);
+
+  logger.auth('user_logged_in', user._id, {
+    email: user.email,
+    provider: login.provider,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  successResponse(res, 'Login successful', session);
+});
+
+// @desc    Email a one-time sign-in link
+// @route   POST /api/v1/auth/magic-link
+// @access  Public
+export const requestMagicLink = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { email } = req.body;
+  const unavailableMessage = 'Sign-in links are temporarily unavailable. Please try again shortly.';
+
+  // Refuse every address alike when links cannot be stored or rate-limited
+  if (!magicLinkService.isAvailable()) {
+    return serviceUnavailableResponse(res, unavailableMessage);
+  }
+
+  const limited = await magicLinkService.throttle({ email, ipAddress: req.ip });
+  if (limited?.unavailable) {
+    return serviceUnavailableResponse(res, unavailableMessage);
+  }
+  if (limited) {
+    logger.auth('magic_link_throttled', null, { ipAddress: req.ip, retryAfter: limited.retryAfter });
+
+    res.set('Retry-After', String(limited.retryAfter));
+    return tooManyRequestsResponse(res, `Too many sign-in links requested. Wait ${describeWait(limited.retryAfter)} before trying again.`);
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+
+  // Don't reveal if email exists or not for security
+  if (user) {
+    try {
+      await magicLinkService.send(user, { ipAddress: req.ip });
+
+      logger.auth('magic_link_sent', user._id, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (error) {
+      // Answer as for unknown addresses so failures don't reveal accounts
+      logger.error(`Failed to create magic link for user ${user._id}:`, error);
+    }
+  }
+
+  successResponse(res, 'If an account with that email exists, a sign-in link has been sent.');
+});
+
+// @desc    Exchange a magic link token for a session
+// @route   POST /api/v1/auth/magic-link/verify
+// @access  Public (magic link token)
+export const verifyMagicLink = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const link = await magicLinkService.redeem(req.body.token);
+  const user = link && await User.findById(link.userId);
+
+  if (!user) {
+    return unauthorizedResponse(res, 'This sign-in link is invalid, expired or already used. Request a new one.');
+  }
+
+  // Following the emailed link proves the address belongs to the user
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  // The link stands in for the password; a second factor is still required
+  if (user.mfa?.enabled) {
+    return mfaChallengeResponse(res, user, req);
+  }
+
+  const session = await startSession(user, req);
+
+  logger.auth('user_logged_in', user._id, {
+    email: user.email,
+    method: 'magic_link',
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
   });
+
+  successResponse(res, 'Login successful', session);
 });
 
 // @desc    Refresh access token
 // @route   POST /api/v1/auth/refresh
 // @access  Public
 export const refreshToken = catchAsync(async (req, res, next) => {
-  // The verifyRefreshToken middleware has already validated the token
-  // and attached the user to req.user
+  // The verifyRefreshToken middleware has already validated the token,
+  // checked it is the session's current one and attached the user and session
 
   const user = req.user;
-  const oldRefreshToken = req.refreshToken;
+  const sessionId = req.sessionId;
+
+  // Rotate: the presented refresh token is replaced and cannot be used again
+  const tokens = await user.rotateSession(sessionId, req.refreshToken, req.get('User-Agent'), req.ip);
+
+  // Another request rotated the same token first, so it is being reused
+  if (!tokens) {
+    await user.revokeSession(sessionId);
 
-  // Generate new tokens
-  const accessToken = user.generateAccessToken();
-  const refreshToken = user.generateRefreshToken();
+    logger.auth('refresh_token_reuse_detected', user._id, {
+      sessionId,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    return next(new AppError(REFRESH_TOKEN_REUSE_MESSAGE, 401));
+  }
 
-  // Remove old refresh token and add new one
-  await user.removeRefreshToken(oldRefreshToken);
-  await user.addRefreshToken(refreshToken, req.get('User-Agent'), req.ip);
+  const { accessToken, refreshToken } = tokens;
 
   logger.auth('token_refreshed', user._id, {
+    sessionId,
     ipAddress: req.ip,
     userAgent: req.get('User-Agent')
   });
 
   successResponse(res, 'Token refreshed successfully', {
+    sessionId,
     accessToken,
     refreshToken,
     expiresIn: '7d'
@@ -332,6 +647,7 @@ export const resetPassword = catchAsync(async (req, res, next) => {
 
     // Update password
     user.password = newPassword;
+    user.passwordEnabled = true;
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save();
@@ -0,0 +1,203 @@
+import { validationResult } from 'express-validator';
+import AutomationRule from '../models/AutomationRule.js';
+import AutomationLog from '../models/AutomationLog.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import { validateRule } from '../utils/automation.js';
+import logger from '../utils/logger.js';
+
+const RULE_FIELDS = ['name', 'description', 'enabled', 'trigger', 'conditions', 'actions'];
+
+// Check the statuses and custom fields a rule refers to exist in the workspace
+const checkWorkspaceReferences = (workspace, { trigger, conditions = [], actions }) => {
+  for (const key of ['from', 'to']) {
+    if (trigger[key] && !workspace.getStatus(trigger[key])) {
+      return `Trigger ${key} status ${trigger[key]} is not defined in this workspace's workflow`;
+    }
+  }
+
+  const fields = [
+    ...conditions.map(condition => condition.field),
+    ...actions.filter(action => action.type === 'set_field').map(action => action.field)
+  ];
+
+  for (const field of fields) {
+    if (field.startsWith('customFields.') && !workspace.getCustomField(field.slice('customFields.'.length))) {
+      return `Custom field ${field.slice('customFields.'.length)} is not defined in this workspace`;
+    }
+  }
+
+  for (const action of actions) {
+    if (action.type === 'move' && !workspace.getStatus(action.status)) {
+      return `Status ${action.status} is not defined in this workspace's workflow`;
+    }
+  }
+
+  return null;
+};
+
+// @desc    Get automation rules in a workspace
+// @route   GET /api/v1/workspaces/:workspaceId/automations
+// @access  Private (Workspace Member)
+export const getAutomationRules = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+
+  const rules = await AutomationRule.find({ workspace: workspaceId })
+    .populate('createdBy', 'firstName lastName avatar')
+    .sort({ createdAt: 1 });
+
+  successResponse(res, 'Automation rules retrieved successfully', {
+    rules,
+    count: rules.length
+  });
+});
+
+// @desc    Create automation rule
+// @route   POST /api/v1/workspaces/:workspaceId/automations
+// @access  Private (Workspace Manager)
+export const createAutomationRule = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const userId = req.user._id;
+
+  const { workspace } = req;
+
+  const { name, description, enabled, trigger, conditions = [], actions } = req.body;
+
+  const ruleError = validateRule({ trigger, conditions, actions }) ||
+    checkWorkspaceReferences(workspace, { trigger, conditions, actions });
+  if (ruleError) {
+    return next(new AppError(ruleError, 400));
+  }
+
+  const rule = await AutomationRule.create({
+    name,
+    description,
+    enabled,
+    trigger,
+    conditions,
+    actions,
+    workspace: workspace._id,
+    createdBy: userId
+  });
+
+  logger.workspace('automation_created', workspace._id, {
+    ruleId: rule._id,
+    trigger: rule.trigger.type,
+    createdBy: userId
+  });
+
+  createdResponse(res, 'Automation rule created successfully', { rule });
+});
+
+// @desc    Get automation execution log
+// @route   GET /api/v1/workspaces/:workspaceId/automations/logs
+// @access  Private (Workspace Member)
+export const getAutomationLogs = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const { rule, task, status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+  const result = await AutomationLog.findForWorkspace(workspaceId, { rule, task, status }, { page, limit });
+
+  successResponse(res, 'Automation log retrieved successfully', result);
+});
+
+// @desc    Get automation rule
+// @route   GET /api/v1/workspaces/:workspaceId/automations/:ruleId
+// @access  Private (Workspace Member)
+export const getAutomationRule = catchAsync(async (req, res, next) => {
+  const { workspaceId, ruleId } = req.params;
+
+  const rule = await AutomationRule.findOne({ _id: ruleId, workspace: workspaceId })
+    .populate('createdBy', 'firstName lastName avatar')
+    .populate('updatedBy', 'firstName lastName avatar');
+
+  if (!rule) {
+    return notFoundResponse(res, 'Automation rule not found');
+  }
+
+  successResponse(res, 'Automation rule retrieved successfully', { rule });
+});
+
+// @desc    Update automation rule, including enabling or disabling it
+// @route   PUT /api/v1/workspaces/:workspaceId/automations/:ruleId
+// @access  Private (Workspace Manager)
+export const updateAutomationRule = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId, ruleId } = req.params;
+  const userId = req.user._id;
+
+  const { workspace } = req;
+
+  const rule = await AutomationRule.findOne({ _id: ruleId, workspace: workspaceId });
+
+  if (!rule) {
+    return notFoundResponse(res, 'Automation rule not found');
+  }
+
+  // Check the rule as it will be once the update is applied
+  const current = rule.toObject();
+  const updated = {
+    trigger: req.body.trigger ?? current.trigger,
+    conditions: req.body.conditions ?? current.conditions,
+    actions: req.body.actions ?? current.actions
+  };
+
+  const ruleError = validateRule(updated) || checkWorkspaceReferences(workspace, updated);
+  if (ruleError) {
+    return next(new AppError(ruleError, 400));
+  }
+
+  for (const field of RULE_FIELDS) {
+    if (req.body[field] !== undefined) {
+      rule[field] = req.body[field];
+    }
+  }
+  rule.updatedBy = userId;
+  await rule.save();
+
+  logger.workspace('automation_updated', workspace._id, {
+    ruleId: rule._id,
+    enabled: rule.enabled,
+    updatedBy: userId
+  });
+
+  successResponse(res, 'Automation rule updated successfully', { rule });
+});
+
+// @desc    Delete automation rule
+// @route   DELETE /api/v1/workspaces/:workspaceId/automations/:ruleId
+// @access  Private (Workspace Manager)
+export const deleteAutomationRule = catchAsync(async (req, res, next) => {
+  const { workspaceId, ruleId } = req.params;
+  const userId = req.user._id;
+
+  const rule = await AutomationRule.findOneAndDelete({ _id: ruleId, workspace: workspaceId });
+
+  if (!rule) {
+    return notFoundResponse(res, 'Automation rule not found');
+  }
+
+  logger.workspace('automation_deleted', workspaceId, {
+    ruleId: rule._id,
+    deletedBy: userId
+  });
+
+  successResponse(res, 'Automation rule deleted successfully');
+});
@@ -0,0 +1,426 @@
+import { validationResult } from 'express-validator';
+import Comment from '../models/Comment.js';
+import Task from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import notificationService from '../services/notificationService.js';
+import logger from '../utils/logger.js';
+
+// Load a task and make sure the current user belongs to its workspace
+const findAccessibleTask = async (taskId, userId) => {
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return { error: 'not_found' };
+  }
+
+  if (!(await task.canAccess(userId))) {
+    return { error: 'forbidden' };
+  }
+
+  return { task };
+};
+
+// Load a comment and make sure it belongs to the given task
+const findTaskComment = async (taskId, commentId) => {
+  const comment = await Comment.findById(commentId);
+
+  if (!comment || comment.task.toString() !== taskId.toString()) {
+    return null;
+  }
+
+  return comment;
+};
+
+// @desc    Get comments for a task
+// @route   GET /api/v1/tasks/:taskId/comments
+// @access  Private (Workspace Member)
+export const getComments = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+  const { page = 1, limit = 20 } = req.query;
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const result = await Comment.findByTask(task._id, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  successResponse(res, 'Comments retrieved successfully', {
+    comments: result.comments,
+    pagination: result.pagination
+  });
+});
+
+// @desc    Search comments on a task
+// @route   GET /api/v1/tasks/:taskId/comments/search
+// @access  Private (Workspace Member)
+export const searchComments = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+  const { q: query, page = 1, limit = 20 } = req.query;
+
+  if (typeof query !== 'string' || query.trim().length < 2) {
+    return next(new AppError('Search query must be at least 2 characters long.', 400));
+  }
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  // Match the query as plain text, not as a regular expression
+  const searchTerm = query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const result = await Comment.searchComments(task._id, searchTerm, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  successResponse(res, 'Comments search completed', {
+    comments: result.comments,
+    pagination: result.pagination
+  });
+});
+
+// @desc    Get single comment
+// @route   GET /api/v1/tasks/:taskId/comments/:commentId
+// @access  Private (Workspace Member)
+export const getComment = catchAsync(async (req, res, next) => {
+  const { taskId, commentId } = req.params;
+  const userId = req.user._id;
+
+  const { error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const comment = await findTaskComment(taskId, commentId);
+  if (!comment || comment.isDeleted) {
+    return notFoundResponse(res, 'Comment not found');
+  }
+
+  successResponse(res, 'Comment retrieved successfully', {
+    comment: await comment.toDetailedJSON(userId)
+  });
+});
+
+// @desc    Add comment (or reply) to a task
+// @route   POST /api/v1/tasks/:taskId/comments
+// @access  Private (Workspace Member)
+export const createComment = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskId } = req.params;
+  const userId = req.user._id;
+  const { content, parentComment: parentCommentId } = req.body;
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  // Replies must target a live comment on the same task
+  let parent = null;
+  if (parentCommentId) {
+    parent = await findTaskComment(taskId, parentCommentId);
+    if (!parent || parent.isDeleted) {
+      return notFoundResponse(res, 'Parent comment not found');
+    }
+
+    // Keep threads one level deep by attaching replies to the root comment
+    if (parent.parentComment) {
+      parent = await Comment.findById(parent.parentComment);
+    }
+  }
+
+  const comment = await Comment.create({
+    content,
+    author: userId,
+    task: task._id,
+    parentComment: parent ? parent._id : null
+  });
+
+  if (parent) {
+    await parent.addReply(comment._id);
+  } else {
+    task.comments.push(comment._id);
+  }
+
+  await task.logActivity('comment_added', userId, {
+    commentId: comment._id,
+    isReply: Boolean(parent)
+  });
+
+  // Broadcast real-time update
+  await comment.broadcastCreate(userId);
+
+  await notificationService.commentMention(comment, task, req.user);
+
+  logger.info('Comment created', {
+    commentId: comment._id,
+    taskId: task._id,
+    author: userId,
+    parentComment: parent?._id
+  });
+
+  createdResponse(res, parent ? 'Reply added successfully' : 'Comment added successfully', {
+    comment: await comment.toDetailedJSON(userId)
+  });
+});
+
+// @desc    Get replies to a comment
+// @route   GET /api/v1/tasks/:taskId/comments/:commentId/replies
+// @access  Private (Workspace Member)
+export const getReplies = catchAsync(async (req, res, next) => {
+  const { taskId, commentId } = req.params;
+  const userId = req.user._id;
+  const { page = 1, limit = 20 } = req.query;
+
+  const { error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const comment = await findTaskComment(taskId, commentId);
+  if (!comment) {
+    return notFoundResponse(res, 'Comment not found');
+  }
+
+  const result = await Comment.findReplies(comment._id, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  successResponse(res, 'Replies retrieved successfully', {
+    replies: result.replies,
+    pagination: result.pagination
+  });
+});
+
+// @desc    Update comment
+// @route   PUT /api/v1/tasks/:taskId/comments/:commentId
+// @access  Private (Comment Author)
+export const updateComment = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskId, commentId } = req.params;
+  const userId = req.user._id;
+  const { content } = req.body;
+
+  if (!content) {
+    return next(new AppError('Comment content is required.', 400));
+  }
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const comment = await findTaskComment(taskId, commentId);
+  if (!comment || comment.isDeleted) {
+    return notFoundResponse(res, 'Comment not found');
+  }
+
+  // Only the author can edit a comment
+  if (comment.author.toString() !== userId.toString()) {
+    return next(new AppError('Access denied. You can only edit your own comments.', 403));
+  }
+
+  const previousMentions = comment.mentions.map(id => id.toString());
+
+  await comment.edit(content, userId);
+
+  // Broadcast real-time update
+  await comment.broadcastUpdate(userId);
+
+  // Only notify users who were newly mentioned by this edit
+  const newMentions = comment.mentions.filter(id => !previousMentions.includes(id.toString()));
+  await notificationService.commentMention(comment, task, req.user, newMentions);
+
+  successResponse(res, 'Comment updated successfully', {
+    comment: await comment.toDetailedJSON(userId)
+  });
+});
+
+// @desc    Get comment edit history
+// @route   GET /api/v1/tasks/:taskId/comments/:commentId/history
+// @access  Private (Workspace Member)
+export const getCommentHistory = catchAsync(async (req, res, next) => {
+  const { taskId, commentId } = req.params;
+  const userId = req.user._id;
+
+  const { error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const comment = await findTaskComment(taskId, commentId);
+  if (!comment || comment.isDeleted) {
+    return notFoundResponse(res, 'Comment not found');
+  }
+
+  await comment.populate('editHistory.editedBy', 'firstName lastName avatar');
+
+  successResponse(res, 'Comment history retrieved successfully', {
+    current: {
+      content: comment.content,
+      editedAt: comment.editedAt,
+      isEdited: comment.isEdited
+    },
+    history: [...comment.editHistory].reverse()
+  });
+});
+
+// @desc    Delete comment
+// @route   DELETE /api/v1/tasks/:taskId/comments/:commentId
+// @access  Private (Comment Author or Workspace Admin)
+export const deleteComment = catchAsync(async (req, res, next) => {
+  const { taskId, commentId } = req.params;
+  const userId = req.user._id;
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const comment = await findTaskComment(taskId, commentId);
+  if (!comment || comment.isDeleted) {
+    return notFoundResponse(res, 'Comment not found');
+  }
+
+  // Authors can delete their own comments, workspace admins can delete any
+  if (comment.author.toString() !== userId.toString()) {
+    const workspace = await Workspace.findById(task.workspace);
+    if (!workspace || !workspace.hasRole(userId, 'admin')) {
+      return next(new AppError('Access denied. You can only delete your own comments.', 403));
+    }
+  }
+
+  await comment.softDelete(userId);
+
+  // Broadcast real-time update
+  await comment.broadcastDelete(userId);
+
+  successResponse(res, 'Comment deleted successfully');
+});
+
+// @desc    Add reaction to comment
+// @route   POST /api/v1/tasks/:taskId/comments/:commentId/reactions
+// @access  Private (Workspace Member)
+export const addReaction = catchAsync(async (req, res, next) => {
+  const { taskId, commentId } = req.params;
+  const { emoji } = req.body;
+  const userId = req.user._id;
+
+  if (!emoji || typeof emoji !== 'string' || emoji.length > 10) {
+    return next(new AppError('A valid emoji is required.', 400));
+  }
+
+  const { error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const comment = await findTaskComment(taskId, commentId);
+  if (!comment || comment.isDeleted) {
+    return notFoundResponse(res, 'Comment not found');
+  }
+
+  try {
+    await comment.addReaction(userId, emoji);
+  } catch (err) {
+    return next(new AppError(err.message, 409));
+  }
+
+  // Broadcast real-time update
+  await comment.broadcastReaction(userId, emoji, 'add');
+
+  successResponse(res, 'Reaction added successfully', {
+    comment: await comment.toDetailedJSON(userId)
+  });
+});
+
+// @desc    Remove reaction from comment
+// @route   DELETE /api/v1/tasks/:taskId/comments/:commentId/reactions
+// @access  Private (Workspace Member)
+export const removeReaction = catchAsync(async (req, res, next) => {
+  const { taskId, commentId } = req.params;
+  const emoji = req.body?.emoji || req.query.emoji;
+  const userId = req.user._id;
+
+  if (!emoji) {
+    return next(new AppError('Emoji is required.', 400));
+  }
+
+  const { error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const comment = await findTaskComment(taskId, commentId);
+  if (!comment || comment.isDeleted) {
+    return notFoundResponse(res, 'Comment not found');
+  }
+
+  try {
+    await comment.removeReaction(userId, emoji);
+  } catch (err) {
+    return notFoundResponse(res, err.message);
+  }
+
+  // Broadcast real-time update
+  await comment.broadcastReaction(userId, emoji, 'remove');
+
+  successResponse(res, 'Reaction removed successfully', {
+    comment: await comment.toDetailedJSON(userId)
+  });
+});
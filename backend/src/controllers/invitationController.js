@@ -0,0 +1,279 @@
+import { validationResult } from 'express-validator';
+import WorkspaceInvitation from '../models/WorkspaceInvitation.js';
+import Workspace from '../models/Workspace.js';
+import User from '../models/User.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import emailService from '../services/emailService.js';
+import notificationService from '../services/notificationService.js';
+import logger from '../utils/logger.js';
+
+// Email the invitation link; registered users also get an in-app notification
+const deliverInvitation = async (invitation, token, workspace, inviter) => {
+  const user = await User.findOne({ email: invitation.email });
+
+  if (user) {
+    await notificationService.workspaceInvited(invitation, token, workspace, inviter, user);
+    return true;
+  }
+
+  try {
+    await emailService.sendWorkspaceInvitationEmail(invitation.email, workspace, inviter, {
+      token,
+      expiresAt: invitation.expiresAt
+    });
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send invitation ${invitation._id}:`, error);
+    return false;
+  }
+};
+
+// Load an invitation and make sure it belongs to the given workspace
+const findWorkspaceInvitation = async (workspaceId, invitationId) => {
+  const invitation = await WorkspaceInvitation.findById(invitationId);
+
+  if (!invitation || invitation.workspace.toString() !== workspaceId.toString()) {
+    return null;
+  }
+
+  return invitation;
+};
+
+// @desc    Get pending invitations for a workspace
+// @route   GET /api/v1/workspaces/:workspaceId/invitations
+// @access  Private (Workspace Admin)
+export const getInvitations = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is admin
+  if (!workspace.hasRole(userId, 'admin')) {
+    return next(new AppError('Access denied. Admin privileges required.', 403));
+  }
+
+  const invitations = await WorkspaceInvitation.findPending(workspaceId);
+
+  successResponse(res, 'Invitations retrieved successfully', {
+    invitations: invitations.map(invitation => invitation.toPublicJSON()),
+    count: invitations.length
+  });
+});
+
+// @desc    Invite someone to a workspace by email
+// @route   POST /api/v1/workspaces/:workspaceId/invitations
+// @access  Private (Workspace Admin)
+export const createInvitation = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId } = req.params;
+  const { email, role = 'member' } = req.body;
+  const invitedBy = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is admin
+  if (!workspace.hasRole(invitedBy, 'admin')) {
+    return next(new AppError('Access denied. Admin privileges required.', 403));
+  }
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser && workspace.isMember(existingUser._id)) {
+    return next(new AppError('User is already a member of this workspace.', 409));
+  }
+
+  let invitation = await WorkspaceInvitation.findOne({ workspace: workspaceId, email, status: 'pending' });
+
+  // Expired invitations are renewed rather than duplicated
+  if (invitation && !invitation.isExpired) {
+    return next(new AppError('An invitation is already pending for this email. Resend it instead.', 409));
+  }
+
+  if (!invitation) {
+    invitation = new WorkspaceInvitation({ workspace: workspaceId, email });
+  }
+
+  invitation.role = role;
+  invitation.invitedBy = invitedBy;
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  const emailSent = await deliverInvitation(invitation, token, workspace, req.user);
+
+  logger.workspace('invitation_created', workspace._id, {
+    invitationId: invitation._id,
+    email,
+    role,
+    invitedBy
+  });
+
+  createdResponse(res, 'Invitation sent successfully', {
+    invitation: invitation.toPublicJSON(),
+    emailSent
+  });
+});
+
+// @desc    Resend an invitation with a fresh link
+// @route   POST /api/v1/workspaces/:workspaceId/invitations/:invitationId/resend
+// @access  Private (Workspace Admin)
+export const resendInvitation = catchAsync(async (req, res, next) => {
+  const { workspaceId, invitationId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is admin
+  if (!workspace.hasRole(userId, 'admin')) {
+    return next(new AppError('Access denied. Admin privileges required.', 403));
+  }
+
+  const invitation = await findWorkspaceInvitation(workspaceId, invitationId);
+
+  if (!invitation) {
+    return notFoundResponse(res, 'Invitation not found');
+  }
+
+  if (invitation.status !== 'pending') {
+    return next(new AppError(`Invitation has already been ${invitation.status}.`, 400));
+  }
+
+  // A new token invalidates the previously sent link
+  const token = invitation.generateToken();
+  await invitation.save();
+
+  const emailSent = await deliverInvitation(invitation, token, workspace, req.user);
+
+  logger.workspace('invitation_resent', workspace._id, {
+    invitationId: invitation._id,
+    resentBy: userId
+  });
+
+  successResponse(res, 'Invitation resent successfully', {
+    invitation: invitation.toPublicJSON(),
+    emailSent
+  });
+});
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/v1/workspaces/:workspaceId/invitations/:invitationId
+// @access  Private (Workspace Admin)
+export const revokeInvitation = catchAsync(async (req, res, next) => {
+  const { workspaceId, invitationId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is admin
+  if (!workspace.hasRole(userId, 'admin')) {
+    return next(new AppError('Access denied. Admin privileges required.', 403));
+  }
+
+  const invitation = await findWorkspaceInvitation(workspaceId, invitationId);
+
+  if (!invitation) {
+    return notFoundResponse(res, 'Invitation not found');
+  }
+
+  try {
+    await invitation.revoke(userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  logger.workspace('invitation_revoked', workspace._id, {
+    invitationId: invitation._id,
+    revokedBy: userId
+  });
+
+  successResponse(res, 'Invitation revoked successfully', {
+    invitation: invitation.toPublicJSON()
+  });
+});
+
+// @desc    Preview an invitation from its token
+// @route   GET /api/v1/invitations/:token
+// @access  Public
+export const getInvitationByToken = catchAsync(async (req, res, next) => {
+  const invitation = await WorkspaceInvitation.findByToken(req.params.token);
+
+  if (!invitation) {
+    return notFoundResponse(res, 'Invitation not found');
+  }
+
+  if (invitation.status !== 'pending' || invitation.isExpired) {
+    return next(new AppError('Invitation is no longer valid.', 410));
+  }
+
+  await invitation.populate([
+    { path: 'workspace', select: 'name description' },
+    { path: 'invitedBy', select: 'firstName lastName avatar' }
+  ]);
+
+  const hasAccount = Boolean(await User.exists({ email: invitation.email }));
+
+  successResponse(res, 'Invitation retrieved successfully', {
+    invitation: {
+      email: invitation.email,
+      role: invitation.role,
+      workspace: invitation.workspace,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt
+    },
+    hasAccount
+  });
+});
+
+// @desc    Accept an invitation as the signed-in user
+// @route   POST /api/v1/invitations/:token/accept
+// @access  Private
+export const acceptInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await WorkspaceInvitation.findByToken(req.params.token);
+
+  if (!invitation) {
+    return notFoundResponse(res, 'Invitation not found');
+  }
+
+  let workspace;
+  try {
+    workspace = await invitation.accept(req.user);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  logger.workspace('invitation_accepted', workspace._id, {
+    invitationId: invitation._id,
+    userId: req.user._id,
+    role: invitation.role
+  });
+
+  successResponse(res, 'Invitation accepted successfully', {
+    workspace: workspace.toPublicProfile(req.user._id)
+  });
+});
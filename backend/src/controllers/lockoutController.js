@@ -0,0 +1,75 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import loginProtection from '../services/loginProtectionService.js';
+import logger from '../utils/logger.js';
+
+// @desc    Get an account's login lockout status
+// @route   GET /api/v1/auth/lockouts/users/:userId
+// @access  Private (Admin)
+export const getAccountLockout = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return notFoundResponse(res, 'User not found');
+  }
+
+  const status = await loginProtection.getStatus('account', user._id.toString());
+
+  successResponse(res, 'Lockout status retrieved successfully', {
+    user: { _id: user._id, email: user.email, username: user.username },
+    ...status
+  });
+});
+
+// @desc    Unlock an account locked after failed logins
+// @route   DELETE /api/v1/auth/lockouts/users/:userId
+// @access  Private (Admin)
+export const unlockAccount = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    return notFoundResponse(res, 'User not found');
+  }
+
+  const wasLocked = await loginProtection.unlock('account', user._id.toString());
+
+  logger.auth('account_unlocked', user._id, {
+    unlockedBy: req.user._id,
+    wasLocked,
+    ipAddress: req.ip
+  });
+
+  successResponse(res, wasLocked ? 'Account unlocked successfully' : 'Account was not locked; failed attempts cleared', {
+    wasLocked
+  });
+});
+
+// @desc    Unlock an IP address locked after failed logins
+// @route   DELETE /api/v1/auth/lockouts/ips/:ipAddress
+// @access  Private (Admin)
+export const unlockIpAddress = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { ipAddress } = req.params;
+  const wasLocked = await loginProtection.unlock('ip', ipAddress);
+
+  logger.auth('ip_unlocked', req.user._id, {
+    unlockedIp: ipAddress,
+    wasLocked,
+    ipAddress: req.ip
+  });
+
+  successResponse(res, wasLocked ? 'IP address unlocked successfully' : 'IP address was not locked; failed attempts cleared', {
+    wasLocked
+  });
+});
@@ -0,0 +1,173 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Workspace from '../models/Workspace.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  validationErrorResponse,
+  unauthorizedResponse
+} from '../utils/response.js';
+import logger from '../utils/logger.js';
+
+// Active workspaces of the user that require two-factor authentication
+const workspacesRequiringMfa = (userId) => {
+  return Workspace.find({
+    'members.user': userId,
+    'settings.requireMfa': true,
+    isArchived: { $ne: true }
+  }).select('name');
+};
+
+// @desc    Get the current user's two-factor authentication status
+// @route   GET /api/v1/auth/mfa
+// @access  Private (session only)
+export const getMfaStatus = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+mfa.recoveryCodes');
+  const requiredBy = await workspacesRequiringMfa(user._id);
+
+  successResponse(res, 'Two-factor authentication status retrieved successfully', {
+    enabled: Boolean(user.mfa?.enabled),
+    enabledAt: user.mfa?.enabledAt || null,
+    recoveryCodesRemaining: user.mfa?.enabled ? user.remainingRecoveryCodes() : 0,
+    requiredBy: requiredBy.map(workspace => ({ _id: workspace._id, name: workspace.name }))
+  });
+});
+
+// @desc    Start TOTP enrollment. Returns the secret and otpauth:// URI to show as a QR code.
+// @route   POST /api/v1/auth/mfa/setup
+// @access  Private (session only)
+export const setupMfa = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.mfa?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled.', 400));
+  }
+
+  const { secret, otpauthUri } = user.startMfaEnrollment();
+  await user.save({ validateBeforeSave: false });
+
+  logger.auth('mfa_setup_started', user._id, { ipAddress: req.ip });
+
+  successResponse(res, 'Scan the QR code with your authenticator app, then confirm with a code.', {
+    secret,
+    otpauthUri
+  });
+});
+
+// @desc    Confirm enrollment with a code and turn two-factor authentication on.
+//          Recovery codes are only returned here.
+// @route   POST /api/v1/auth/mfa/enable
+// @access  Private (session only)
+export const enableMfa = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+
+  if (user.mfa?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled.', 400));
+  }
+
+  if (!user.mfa?.pendingSecret) {
+    return next(new AppError('Start two-factor setup before enabling it.', 400));
+  }
+
+  const recoveryCodes = user.confirmMfaEnrollment(req.body.code);
+
+  if (!recoveryCodes) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  logger.auth('mfa_enabled', user._id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  successResponse(res, 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.', {
+    recoveryCodes,
+    user: user.toPublicProfile()
+  });
+});
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/v1/auth/mfa/disable
+// @access  Private (session only)
+export const disableMfa = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+password +mfa.secret +mfa.recoveryCodes');
+
+  if (!user.mfa?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled.', 400));
+  }
+
+  // Single sign-on accounts have no password anyone knows, so the
+  // authentication code alone confirms the request for them
+  if (user.passwordEnabled !== false && !(await user.comparePassword(password || ''))) {
+    return unauthorizedResponse(res, 'Password is incorrect');
+  }
+
+  const requiredBy = await workspacesRequiringMfa(user._id);
+
+  if (requiredBy.length > 0) {
+    const names = requiredBy.map(workspace => workspace.name).join(', ');
+    return next(new AppError(`Two-factor authentication is required by: ${names}.`, 403));
+  }
+
+  if (!(await user.consumeMfaCode(code))) {
+    return unauthorizedResponse(res, 'Invalid authentication code');
+  }
+
+  user.disableMfa();
+  await user.save({ validateBeforeSave: false });
+
+  logger.auth('mfa_disabled', user._id, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  successResponse(res, 'Two-factor authentication disabled', {
+    user: user.toPublicProfile()
+  });
+});
+
+// @desc    Replace the recovery codes. The new codes are only returned here.
+// @route   POST /api/v1/auth/mfa/recovery-codes
+// @access  Private (session only)
+export const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const user = await User.findById(req.user._id).select('+mfa.secret +mfa.recoveryCodes');
+
+  if (!user.mfa?.enabled) {
+    return next(new AppError('Two-factor authentication is not enabled.', 400));
+  }
+
+  if (!(await user.consumeMfaCode(req.body.code))) {
+    return unauthorizedResponse(res, 'Invalid authentication code');
+  }
+
+  const recoveryCodes = user.regenerateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  logger.auth('mfa_recovery_codes_regenerated', user._id, { ipAddress: req.ip });
+
+  successResponse(res, 'Recovery codes regenerated. Your previous codes no longer work.', {
+    recoveryCodes
+  });
+});
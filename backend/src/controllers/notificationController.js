@@ -0,0 +1,120 @@
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import realtimeService from '../services/realtimeService.js';
+
+// @desc    Get current user's notifications
+// @route   GET /api/v1/notifications
+// @access  Private
+export const getNotifications = catchAsync(async (req, res, next) => {
+  const userId = req.user._id;
+  const { unread, type, page = 1, limit = 20 } = req.query;
+
+  const query = { recipient: userId };
+
+  if (unread === 'true') query.read = false;
+
+  if (type) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      return next(new AppError(`Notification type must be one of ${NOTIFICATION_TYPES.join(', ')}`, 400));
+    }
+    query.type = type;
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .populate('actor', 'firstName lastName avatar')
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize),
+    Notification.countDocuments(query),
+    Notification.getUnreadCount(userId)
+  ]);
+
+  successResponse(res, 'Notifications retrieved successfully', {
+    notifications: notifications.map(notification => notification.toPublicJSON()),
+    unreadCount,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  });
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/v1/notifications/unread-count
+// @access  Private
+export const getUnreadCount = catchAsync(async (req, res) => {
+  const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+  successResponse(res, 'Unread count retrieved successfully', { unreadCount });
+});
+
+// @desc    Mark notification as read
+// @route   PATCH /api/v1/notifications/:notificationId/read
+// @access  Private
+export const markNotificationRead = catchAsync(async (req, res) => {
+  const { notificationId } = req.params;
+  const userId = req.user._id;
+
+  const notification = await Notification.findOne({ _id: notificationId, recipient: userId });
+
+  if (!notification) {
+    return notFoundResponse(res, 'Notification not found');
+  }
+
+  await notification.markAsRead();
+
+  // Keep the user's other open sessions in sync
+  realtimeService.sendToUser(userId.toString(), 'notification:read', {
+    userId,
+    notificationId: notification._id
+  });
+
+  successResponse(res, 'Notification marked as read', {
+    notification: notification.toPublicJSON()
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/v1/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+
+  const updated = await Notification.markAllAsRead(userId);
+
+  realtimeService.sendToUser(userId.toString(), 'notification:read', {
+    userId,
+    notificationId: null,
+    all: true
+  });
+
+  successResponse(res, 'All notifications marked as read', { updated });
+});
+
+// @desc    Delete notification
+// @route   DELETE /api/v1/notifications/:notificationId
+// @access  Private
+export const deleteNotification = catchAsync(async (req, res) => {
+  const { notificationId } = req.params;
+
+  const notification = await Notification.findOneAndDelete({
+    _id: notificationId,
+    recipient: req.user._id
+  });
+
+  if (!notification) {
+    return notFoundResponse(res, 'Notification not found');
+  }
+
+  successResponse(res, 'Notification deleted successfully');
+});
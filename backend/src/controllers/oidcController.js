@@ -0,0 +1,283 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Workspace from '../models/Workspace.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import oidcService from '../services/oidcService.js';
+import { randomToken, emailDomain, profileFromClaims } from '../utils/oidc.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Send the browser back to the app with query parameters
+const redirectToApp = (res, path, params = {}) => {
+  const url = new URL(path || '/', config.oidc.appUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  res.redirect(url.toString());
+};
+
+// Pick a free username based on the provider's preferred one
+const uniqueUsername = async (base) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = attempt === 0 ? base : `${base.slice(0, 24)}${Math.floor(1000 + Math.random() * 9000)}`;
+    if (!(await User.exists({ username: candidate }))) return candidate;
+  }
+
+  return `user${randomToken(6).replace(/[^a-zA-Z0-9]/g, '').slice(0, 12)}`;
+};
+
+// Create an account for a first-time single sign-on user
+const createSsoUser = async (provider, claims, profile) => {
+  const user = await User.create({
+    email: profile.email,
+    username: await uniqueUsername(profile.username),
+    firstName: profile.firstName,
+    lastName: profile.lastName,
+    avatar: profile.avatar,
+    // Random password nobody knows; a password reset sets a real one
+    password: randomToken(24),
+    passwordEnabled: false,
+    emailVerified: profile.emailVerified,
+    identities: [{
+      provider: provider.id,
+      subject: claims.sub,
+      email: profile.email,
+      lastLoginAt: new Date()
+    }]
+  });
+
+  logger.auth('user_registered', user._id, { email: user.email, provider: provider.id });
+  return user;
+};
+
+// Join workspaces whose auto-join rule matches the verified email domain
+const joinWorkspacesByDomain = async (user, profile) => {
+  const domain = profile.emailVerified && emailDomain(profile.email);
+  if (!domain) return [];
+
+  const workspaces = await Workspace.findByAutoJoinDomain(domain);
+  const joined = [];
+
+  for (const workspace of workspaces) {
+    if (workspace.isMember(user._id)) continue;
+
+    try {
+      await workspace.addMember(user._id, 'member', workspace.owner);
+      joined.push(workspace._id);
+
+      logger.workspace('member_auto_joined', workspace._id, { userId: user._id, domain });
+    } catch (error) {
+      logger.error(`Failed to auto-join user ${user._id} to workspace ${workspace._id}:`, error);
+    }
+  }
+
+  return joined;
+};
+
+// Resolve the account for a sign-in: a linked identity, else an existing
+// account with the same verified email (which gets linked), else a new one
+const findOrCreateUser = async (provider, claims, profile) => {
+  let user = await User.findByIdentity(provider.id, claims.sub);
+
+  if (user) {
+    await user.linkIdentity({ provider: provider.id, subject: claims.sub, email: profile.email });
+    return { user };
+  }
+
+  if (!profile.email) {
+    return { error: 'oidc_email_required' };
+  }
+
+  user = await User.findOne({ email: profile.email });
+
+  if (user) {
+    // Only the provider vouching for the address lets it claim an account
+    if (!profile.emailVerified) {
+      return { error: 'oidc_account_exists' };
+    }
+
+    await user.linkIdentity({ provider: provider.id, subject: claims.sub, email: profile.email });
+    return { user };
+  }
+
+  return { user: await createSsoUser(provider, claims, profile), created: true };
+};
+
+// @desc    List the single sign-on providers
+// @route   GET /api/v1/auth/oidc/providers
+// @access  Public
+export const getOidcProviders = catchAsync(async (req, res, next) => {
+  successResponse(res, 'Sign-in providers retrieved successfully', {
+    providers: oidcService.listProviders()
+  });
+});
+
+// @desc    Start signing in with a provider. Returns the URL to send the browser to.
+// @route   POST /api/v1/auth/oidc/:provider/authorize
+// @access  Public
+export const startOidcLogin = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const provider = oidcService.getProvider(req.params.provider);
+
+  if (!provider) {
+    return notFoundResponse(res, 'Sign-in provider not found');
+  }
+
+  const authorizationUrl = await oidcService.createAuthorizationRequest(provider, {
+    intent: 'login',
+    redirect: req.body.redirect || null
+  });
+
+  successResponse(res, 'Redirect to the provider to sign in', { authorizationUrl });
+});
+
+// @desc    Start linking a provider identity to the current user
+// @route   POST /api/v1/auth/oidc/:provider/link
+// @access  Private (session only)
+export const startOidcLink = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const provider = oidcService.getProvider(req.params.provider);
+
+  if (!provider) {
+    return notFoundResponse(res, 'Sign-in provider not found');
+  }
+
+  const authorizationUrl = await oidcService.createAuthorizationRequest(provider, {
+    intent: 'link',
+    userId: req.user._id.toString(),
+    redirect: req.body.redirect || '/settings/security'
+  });
+
+  successResponse(res, 'Redirect to the provider to link your account', { authorizationUrl });
+});
+
+// @desc    Provider redirect after sign-in. Sends the browser back to the app
+//          with a one-time login code, or the outcome of linking.
+// @route   GET /api/v1/auth/oidc/:provider/callback
+// @access  Public (OIDC state)
+export const oidcCallback = catchAsync(async (req, res, next) => {
+  const provider = oidcService.getProvider(req.params.provider);
+  const record = await oidcService.consumeState(req.query.state);
+
+  if (!provider || !record || record.provider !== provider.id) {
+    return redirectToApp(res, '/login', { error: 'oidc_invalid_state' });
+  }
+
+  const linking = record.intent === 'link';
+  const failurePath = linking ? record.redirect : '/login';
+
+  // The user cancelled or the provider refused
+  if (req.query.error) {
+    return redirectToApp(res, failurePath, { error: req.query.error === 'access_denied' ? 'oidc_cancelled' : 'oidc_failed' });
+  }
+
+  let claims;
+  try {
+    claims = await oidcService.completeAuthorization(provider, {
+      code: req.query.code,
+      codeVerifier: record.codeVerifier,
+      nonce: record.nonce
+    });
+  } catch (error) {
+    logger.error(`OIDC sign-in with ${provider.id} failed:`, error);
+    return redirectToApp(res, failurePath, { error: 'oidc_failed' });
+  }
+
+  const profile = profileFromClaims(claims);
+
+  if (linking) {
+    const user = await User.findById(record.userId);
+    const owner = await User.findByIdentity(provider.id, claims.sub);
+
+    if (!user) {
+      return redirectToApp(res, failurePath, { error: 'oidc_failed' });
+    }
+
+    if (owner && !owner._id.equals(user._id)) {
+      return redirectToApp(res, failurePath, { error: 'oidc_identity_in_use' });
+    }
+
+    await user.linkIdentity({ provider: provider.id, subject: claims.sub, email: profile.email });
+    return redirectToApp(res, record.redirect, { linked: provider.id });
+  }
+
+  const { user, error, created } = await findOrCreateUser(provider, claims, profile);
+
+  if (error) {
+    return redirectToApp(res, failurePath, { error });
+  }
+
+  await joinWorkspacesByDomain(user, profile);
+
+  const code = await oidcService.issueLoginCode(user._id.toString(), provider.id);
+
+  logger.auth('oidc_login_callback', user._id, {
+    provider: provider.id,
+    created: Boolean(created),
+    ipAddress: req.ip
+  });
+
+  redirectToApp(res, '/auth/oidc/callback', {
+    code,
+    ...(record.redirect && { redirect: record.redirect })
+  });
+});
+
+// @desc    Get the current user's linked sign-in identities
+// @route   GET /api/v1/auth/identities
+// @access  Private (session only)
+export const getIdentities = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  successResponse(res, 'Linked identities retrieved successfully', {
+    identities: user.identities.map(identity => ({
+      _id: identity._id,
+      provider: identity.provider,
+      providerName: oidcService.getProvider(identity.provider)?.name || identity.provider,
+      email: identity.email || null,
+      linkedAt: identity.linkedAt,
+      lastLoginAt: identity.lastLoginAt || null
+    })),
+    passwordEnabled: user.passwordEnabled !== false
+  });
+});
+
+// @desc    Unlink a sign-in identity
+// @route   DELETE /api/v1/auth/identities/:identityId
+// @access  Private (session only)
+export const unlinkIdentity = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  const identity = user.identities.id(req.params.identityId);
+
+  if (!identity) {
+    return notFoundResponse(res, 'Identity not found');
+  }
+
+  // Keep at least one way to sign in
+  if (user.identities.length === 1 && user.passwordEnabled === false) {
+    return next(new AppError('Set a password with "Forgot password" before unlinking your only sign-in provider.', 400));
+  }
+
+  user.identities.pull(identity._id);
+  await user.save({ validateBeforeSave: false });
+
+  logger.auth('identity_unlinked', user._id, {
+    provider: identity.provider,
+    ipAddress: req.ip
+  });
+
+  successResponse(res, 'Identity unlinked successfully');
+});
@@ -0,0 +1,363 @@
+import { validationResult } from 'express-validator';
+import SavedView from '../models/SavedView.js';
+import Task from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import { pickTaskFilters, buildTaskFilters, validateGroupBy } from '../utils/taskFilters.js';
+import realtimeService from '../services/realtimeService.js';
+import logger from '../utils/logger.js';
+
+const VIEW_FIELDS = ['name', 'description', 'visibility', 'viewType', 'filters', 'sort', 'groupBy'];
+
+// Pick the editable fields of a view and check its filters against the workspace
+const prepareView = (body, workspace) => {
+  const data = Object.fromEntries(
+    VIEW_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+
+  if (data.filters !== undefined) {
+    data.filters = pickTaskFilters(data.filters || {});
+  }
+
+  const { error } = buildTaskFilters({ ...data.filters, sort: data.sort }, workspace.customFields);
+  if (error) return { error };
+
+  const groupByError = validateGroupBy(data.groupBy, workspace.customFields);
+  if (groupByError) return { error: groupByError };
+
+  return { data };
+};
+
+// Load a view and make sure it belongs to the workspace and is visible to the user
+const findVisibleView = async (workspace, viewId, userId) => {
+  if (!workspace.isMember(userId)) return null;
+
+  const view = await SavedView.findById(viewId);
+
+  if (!view || !view.workspace.equals(workspace._id) || !view.canView(userId)) {
+    return null;
+  }
+
+  return view;
+};
+
+// Keep open clients in sync: shared views go to the workspace, personal ones to their owner
+const broadcastView = (view, event, userId, { wasShared = false } = {}) => {
+  try {
+    const payload = {
+      viewId: view._id,
+      ...(event !== 'deleted' && { view: view.toPublicJSON() }),
+      updatedBy: userId,
+      timestamp: new Date()
+    };
+
+    if (view.visibility === 'shared') {
+      realtimeService.broadcastToWorkspace(view.workspace.toString(), `view:${event}`, payload);
+      return;
+    }
+
+    // A view that stopped being shared disappears for everyone but its owner
+    if (wasShared) {
+      realtimeService.broadcastToWorkspace(view.workspace.toString(), 'view:deleted', {
+        viewId: view._id,
+        updatedBy: userId,
+        timestamp: new Date()
+      });
+    }
+
+    realtimeService.sendToUser(view.owner.toString(), `view:${event}`, payload);
+  } catch (error) {
+    logger.error('Error broadcasting saved view:', error);
+  }
+};
+
+// @desc    Get saved views in a workspace
+// @route   GET /api/v1/workspaces/:workspaceId/views
+// @access  Private (Workspace Member)
+export const getViews = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+  }
+
+  const views = (await SavedView.findVisible(workspaceId, userId))
+    .map(view => view.toPublicJSON(userId, workspace));
+
+  // Pinned views come first
+  views.sort((a, b) => Number(b.isPinned) - Number(a.isPinned));
+
+  successResponse(res, 'Saved views retrieved successfully', {
+    views,
+    count: views.length,
+    defaultViewType: workspace.settings.defaultTaskView
+  });
+});
+
+// @desc    Create saved view
+// @route   POST /api/v1/workspaces/:workspaceId/views
+// @access  Private (Workspace Member)
+export const createView = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+  }
+
+  const { data, error } = prepareView(req.body, workspace);
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  const view = await SavedView.create({
+    viewType: workspace.settings.defaultTaskView,
+    ...data,
+    workspace: workspaceId,
+    owner: userId,
+    updatedBy: userId,
+    pinnedBy: req.body.pinned === true ? [userId] : []
+  });
+
+  broadcastView(view, 'created', userId);
+
+  logger.workspace('view_created', workspace._id, {
+    viewId: view._id,
+    visibility: view.visibility,
+    createdBy: userId
+  });
+
+  createdResponse(res, 'Saved view created successfully', {
+    view: view.toPublicJSON(userId, workspace)
+  });
+});
+
+// @desc    Get saved view
+// @route   GET /api/v1/workspaces/:workspaceId/views/:viewId
+// @access  Private (Workspace Member)
+export const getView = catchAsync(async (req, res, next) => {
+  const { workspaceId, viewId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  const view = await findVisibleView(workspace, viewId, userId);
+
+  if (!view) {
+    return notFoundResponse(res, 'Saved view not found');
+  }
+
+  successResponse(res, 'Saved view retrieved successfully', {
+    view: view.toPublicJSON(userId, workspace)
+  });
+});
+
+// @desc    Update saved view
+// @route   PUT /api/v1/workspaces/:workspaceId/views/:viewId
+// @access  Private (View owner, or Workspace Manager for shared views)
+export const updateView = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId, viewId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  const view = await findVisibleView(workspace, viewId, userId);
+
+  if (!view) {
+    return notFoundResponse(res, 'Saved view not found');
+  }
+
+  if (!view.canEdit(userId, workspace)) {
+    return next(new AppError('Access denied. You cannot edit this view.', 403));
+  }
+
+  // Only the owner decides who can see a view
+  if (req.body.visibility !== undefined && req.body.visibility !== view.visibility && !view.isOwner(userId)) {
+    return next(new AppError('Only the view owner can change its visibility.', 403));
+  }
+
+  const { data, error } = prepareView(
+    { filters: view.filters, sort: view.sort, groupBy: view.groupBy, ...req.body },
+    workspace
+  );
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  const wasShared = view.visibility === 'shared';
+
+  Object.assign(view, data);
+  view.updatedBy = userId;
+  view.markModified('filters');
+  await view.save();
+
+  broadcastView(view, 'updated', userId, { wasShared });
+
+  successResponse(res, 'Saved view updated successfully', {
+    view: view.toPublicJSON(userId, workspace)
+  });
+});
+
+// @desc    Delete saved view
+// @route   DELETE /api/v1/workspaces/:workspaceId/views/:viewId
+// @access  Private (View owner or Workspace Admin)
+export const deleteView = catchAsync(async (req, res, next) => {
+  const { workspaceId, viewId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  const view = await findVisibleView(workspace, viewId, userId);
+
+  if (!view) {
+    return notFoundResponse(res, 'Saved view not found');
+  }
+
+  if (!view.isOwner(userId) && !workspace.hasRole(userId, 'admin')) {
+    return next(new AppError('Access denied. Only the view owner or a workspace admin can delete this view.', 403));
+  }
+
+  await view.deleteOne();
+
+  broadcastView(view, 'deleted', userId);
+
+  successResponse(res, 'Saved view deleted successfully');
+});
+
+// @desc    Pin saved view
+// @route   POST /api/v1/workspaces/:workspaceId/views/:viewId/pin
+// @access  Private (Workspace Member)
+export const pinView = catchAsync(async (req, res, next) => {
+  const { workspaceId, viewId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  const view = await findVisibleView(workspace, viewId, userId);
+
+  if (!view) {
+    return notFoundResponse(res, 'Saved view not found');
+  }
+
+  await view.setPinned(userId, true);
+
+  successResponse(res, 'Saved view pinned successfully', {
+    view: view.toPublicJSON(userId, workspace)
+  });
+});
+
+// @desc    Unpin saved view
+// @route   DELETE /api/v1/workspaces/:workspaceId/views/:viewId/pin
+// @access  Private (Workspace Member)
+export const unpinView = catchAsync(async (req, res, next) => {
+  const { workspaceId, viewId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  const view = await findVisibleView(workspace, viewId, userId);
+
+  if (!view) {
+    return notFoundResponse(res, 'Saved view not found');
+  }
+
+  await view.setPinned(userId, false);
+
+  successResponse(res, 'Saved view unpinned successfully', {
+    view: view.toPublicJSON(userId, workspace)
+  });
+});
+
+// @desc    Get the tasks matching a saved view
+// @route   GET /api/v1/workspaces/:workspaceId/views/:viewId/tasks
+// @access  Private (Workspace Member)
+export const applyView = catchAsync(async (req, res, next) => {
+  const { workspaceId, viewId } = req.params;
+  const userId = req.user._id;
+  const { page = 1, limit = 20 } = req.query;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+  }
+
+  const view = await findVisibleView(workspace, viewId, userId);
+
+  if (!view) {
+    return notFoundResponse(res, 'Saved view not found');
+  }
+
+  // Custom fields may have changed since the view was saved
+  const { filters, sort, error } = buildTaskFilters({ ...view.filters, sort: view.sort }, workspace.customFields);
+  if (error) {
+    return next(new AppError(`This view can no longer be applied: ${error}`, 409));
+  }
+
+  const result = await Task.findByWorkspace(workspaceId, filters, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort
+  });
+
+  successResponse(res, 'Saved view applied successfully', {
+    view: view.toPublicJSON(userId, workspace),
+    tasks: result.tasks,
+    pagination: result.pagination
+  });
+});
@@ -0,0 +1,76 @@
+import User from '../models/User.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+import { successResponse, notFoundResponse } from '../utils/response.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+import logger from '../utils/logger.js';
+
+// Session as shown to its user; refresh tokens never leave the server
+const toPublicSession = (session, currentSessionId) => ({
+  _id: session._id,
+  device: parseUserAgent(session.userAgent),
+  userAgent: session.userAgent || null,
+  ipAddress: session.ipAddress || null,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastUsedAt || session.createdAt,
+  expiresAt: session.expiresAt,
+  current: Boolean(currentSessionId) && session._id.equals(currentSessionId)
+});
+
+// @desc    Get the current user's active sessions
+// @route   GET /api/v1/auth/sessions
+// @access  Private (session only)
+export const getSessions = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  const now = new Date();
+
+  const sessions = user.refreshTokens
+    .filter(session => session.expiresAt > now)
+    .map(session => toPublicSession(session, req.sessionId))
+    .sort((a, b) => b.current - a.current || b.lastSeenAt - a.lastSeenAt);
+
+  successResponse(res, 'Sessions retrieved successfully', {
+    sessions,
+    count: sessions.length
+  });
+});
+
+// @desc    Revoke a session, signing that device out
+// @route   DELETE /api/v1/auth/sessions/:sessionId
+// @access  Private (session only)
+export const revokeSession = catchAsync(async (req, res, next) => {
+  const { sessionId } = req.params;
+  const user = await User.findById(req.user._id);
+
+  if (!user.refreshTokens.id(sessionId)) {
+    return notFoundResponse(res, 'Session not found');
+  }
+
+  await user.revokeSession(sessionId);
+
+  logger.auth('session_revoked_by_user', user._id, {
+    sessionId,
+    current: sessionId === req.sessionId,
+    ipAddress: req.ip
+  });
+
+  successResponse(res, 'Session revoked successfully');
+});
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private (session only)
+export const revokeOtherSessions = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  // Sessions from before session IDs cannot be told apart, so all go
+  const revoked = await user.revokeOtherSessions(req.sessionId);
+
+  logger.auth('other_sessions_revoked_by_user', user._id, {
+    revoked,
+    ipAddress: req.ip
+  });
+
+  successResponse(res, req.sessionId
+    ? 'Signed out of all other sessions'
+    : 'Signed out of all sessions. Please log in again.', { revoked });
+});
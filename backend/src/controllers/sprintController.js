@@ -0,0 +1,424 @@
+import { validationResult } from 'express-validator';
+import Sprint from '../models/Sprint.js';
+import Task from '../models/Task.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import { summarizeSprintTasks, VELOCITY_WINDOW } from '../utils/sprints.js';
+import realtimeService from '../services/realtimeService.js';
+import logger from '../utils/logger.js';
+
+const SPRINT_FIELDS = ['name', 'goal', 'startDate', 'endDate'];
+
+// Tasks planned into a sprint that are still on the board
+const findSprintTasks = (sprintId) => {
+  return Task.find({
+    sprint: sprintId,
+    isArchived: { $ne: true },
+    isDeleted: { $ne: true }
+  });
+};
+
+// Move a task into a sprint (or the backlog with null), recording the change
+const planTask = async (task, sprintId, userId, details = {}) => {
+  const previous = task.sprint || null;
+
+  task.sprint = sprintId;
+  task.addActivity('sprint_changed', userId, details, previous, sprintId);
+  await task.save();
+};
+
+const broadcastSprint = (sprint, event, userId, extra = {}) => {
+  try {
+    realtimeService.broadcastToWorkspace(sprint.workspace.toString(), `sprint:${event}`, {
+      sprintId: sprint._id,
+      ...(event !== 'deleted' && { sprint: sprint.toPublicJSON() }),
+      ...extra,
+      updatedBy: userId,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error('Error broadcasting sprint update:', error);
+  }
+};
+
+// @desc    Get sprints in a workspace
+// @route   GET /api/v1/workspaces/:workspaceId/sprints
+// @access  Private (Workspace Member)
+export const getSprints = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const { state } = req.query;
+
+  const query = { workspace: workspaceId };
+  if (state) {
+    query.state = Array.isArray(state) ? { $in: state } : state;
+  }
+
+  const sprints = await Sprint.find(query).sort({ startDate: -1 });
+
+  // Totals for every listed sprint from one task query
+  const tasks = await Task.find({
+    sprint: { $in: sprints.map(sprint => sprint._id) },
+    isArchived: { $ne: true },
+    isDeleted: { $ne: true }
+  }).select('sprint storyPoints statusCategory');
+
+  successResponse(res, 'Sprints retrieved successfully', {
+    sprints: sprints.map(sprint => sprint.toPublicJSON(summarizeSprintTasks(
+      tasks.filter(task => task.sprint.equals(sprint._id))
+    ))),
+    count: sprints.length
+  });
+});
+
+// @desc    Create sprint
+// @route   POST /api/v1/workspaces/:workspaceId/sprints
+// @access  Private (Workspace Manager)
+export const createSprint = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const userId = req.user._id;
+
+  const { workspace } = req;
+
+  const { name, goal, startDate, endDate } = req.body;
+
+  const sprint = await Sprint.create({
+    name,
+    goal,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    workspace: workspace._id,
+    createdBy: userId
+  });
+
+  broadcastSprint(sprint, 'created', userId);
+
+  logger.workspace('sprint_created', workspace._id, {
+    sprintId: sprint._id,
+    createdBy: userId
+  });
+
+  createdResponse(res, 'Sprint created successfully', {
+    sprint: sprint.toPublicJSON(summarizeSprintTasks([]))
+  });
+});
+
+// @desc    Get velocity across completed sprints
+// @route   GET /api/v1/workspaces/:workspaceId/sprints/velocity
+// @access  Private (Workspace Member)
+export const getVelocity = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const window = Math.min(Math.max(parseInt(req.query.window) || VELOCITY_WINDOW, 1), 20);
+
+  const velocity = await Sprint.getVelocity(workspaceId, window);
+
+  successResponse(res, 'Velocity retrieved successfully', { velocity });
+});
+
+// @desc    Get sprint with its tasks
+// @route   GET /api/v1/workspaces/:workspaceId/sprints/:sprintId
+// @access  Private (Workspace Member)
+export const getSprint = catchAsync(async (req, res, next) => {
+  const { workspaceId, sprintId } = req.params;
+
+  const sprint = await Sprint.findOne({ _id: sprintId, workspace: workspaceId });
+
+  if (!sprint) {
+    return notFoundResponse(res, 'Sprint not found');
+  }
+
+  const tasks = await findSprintTasks(sprint._id)
+    .populate('assignees', 'firstName lastName avatar')
+    .sort({ status: 1, position: 1 });
+
+  successResponse(res, 'Sprint retrieved successfully', {
+    sprint: sprint.toPublicJSON(summarizeSprintTasks(tasks)),
+    tasks
+  });
+});
+
+// @desc    Update sprint
+// @route   PUT /api/v1/workspaces/:workspaceId/sprints/:sprintId
+// @access  Private (Workspace Manager)
+export const updateSprint = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId, sprintId } = req.params;
+  const userId = req.user._id;
+
+  const sprint = await Sprint.findOne({ _id: sprintId, workspace: workspaceId });
+
+  if (!sprint) {
+    return notFoundResponse(res, 'Sprint not found');
+  }
+
+  if (!sprint.isEditable()) {
+    return next(new AppError('Completed sprints cannot be changed.', 400));
+  }
+
+  for (const field of SPRINT_FIELDS) {
+    if (req.body[field] !== undefined) {
+      sprint[field] = field.endsWith('Date') ? new Date(req.body[field]) : req.body[field];
+    }
+  }
+  await sprint.save();
+
+  broadcastSprint(sprint, 'updated', userId);
+
+  successResponse(res, 'Sprint updated successfully', {
+    sprint: sprint.toPublicJSON()
+  });
+});
+
+// @desc    Delete a planned sprint, returning its tasks to the backlog
+// @route   DELETE /api/v1/workspaces/:workspaceId/sprints/:sprintId
+// @access  Private (Workspace Manager)
+export const deleteSprint = catchAsync(async (req, res, next) => {
+  const { workspaceId, sprintId } = req.params;
+  const userId = req.user._id;
+
+  const sprint = await Sprint.findOne({ _id: sprintId, workspace: workspaceId });
+
+  if (!sprint) {
+    return notFoundResponse(res, 'Sprint not found');
+  }
+
+  if (sprint.state !== 'planned') {
+    return next(new AppError('Only planned sprints can be deleted. Complete active sprints instead.', 400));
+  }
+
+  const tasks = await Task.find({ sprint: sprint._id });
+  for (const task of tasks) {
+    await planTask(task, null, userId, { sprintDeleted: true });
+  }
+
+  await sprint.deleteOne();
+
+  broadcastSprint(sprint, 'deleted', userId, { taskIds: tasks.map(task => task._id) });
+
+  successResponse(res, 'Sprint deleted successfully', {
+    returnedToBacklog: tasks.length
+  });
+});
+
+// @desc    Plan tasks into a sprint
+// @route   POST /api/v1/workspaces/:workspaceId/sprints/:sprintId/tasks
+// @access  Private (Workspace Member)
+export const addSprintTasks = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId, sprintId } = req.params;
+  const { taskIds } = req.body;
+  const userId = req.user._id;
+
+  const sprint = await Sprint.findOne({ _id: sprintId, workspace: workspaceId });
+
+  if (!sprint) {
+    return notFoundResponse(res, 'Sprint not found');
+  }
+
+  if (!sprint.isEditable()) {
+    return next(new AppError('Tasks cannot be added to a completed sprint.', 400));
+  }
+
+  const tasks = await Task.find({
+    _id: { $in: taskIds },
+    workspace: workspaceId,
+    isDeleted: { $ne: true }
+  });
+  const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+  const added = [];
+  const failed = [];
+
+  for (const taskId of [...new Set(taskIds.map(String))]) {
+    const task = tasksById.get(taskId);
+
+    if (!task) {
+      failed.push({ taskId, reason: 'Task not found in this workspace' });
+      continue;
+    }
+
+    if (task.sprint?.equals(sprint._id)) {
+      failed.push({ taskId, reason: 'Task is already in this sprint' });
+      continue;
+    }
+
+    // Work added to a running sprint is tracked as scope change in its report
+    await planTask(task, sprint._id, userId, { addedAfterStart: sprint.state === 'active' });
+    added.push(task._id);
+  }
+
+  if (added.length > 0) {
+    broadcastSprint(sprint, 'tasks-updated', userId, { added });
+  }
+
+  successResponse(res, 'Tasks planned into sprint', {
+    added: added.length,
+    failed
+  });
+});
+
+// @desc    Return a task from a sprint to the backlog
+// @route   DELETE /api/v1/workspaces/:workspaceId/sprints/:sprintId/tasks/:taskId
+// @access  Private (Workspace Member)
+export const removeSprintTask = catchAsync(async (req, res, next) => {
+  const { workspaceId, sprintId, taskId } = req.params;
+  const userId = req.user._id;
+
+  const sprint = await Sprint.findOne({ _id: sprintId, workspace: workspaceId });
+
+  if (!sprint) {
+    return notFoundResponse(res, 'Sprint not found');
+  }
+
+  if (!sprint.isEditable()) {
+    return next(new AppError('Tasks cannot be removed from a completed sprint.', 400));
+  }
+
+  const task = await Task.findOne({ _id: taskId, sprint: sprint._id, isDeleted: { $ne: true } });
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found in this sprint');
+  }
+
+  await planTask(task, null, userId);
+
+  broadcastSprint(sprint, 'tasks-updated', userId, { removed: [task._id] });
+
+  successResponse(res, 'Task returned to the backlog');
+});
+
+// @desc    Start sprint
+// @route   POST /api/v1/workspaces/:workspaceId/sprints/:sprintId/start
+// @access  Private (Workspace Manager)
+export const startSprint = catchAsync(async (req, res, next) => {
+  const { workspaceId, sprintId } = req.params;
+  const userId = req.user._id;
+
+  const sprint = await Sprint.findOne({ _id: sprintId, workspace: workspaceId });
+
+  if (!sprint) {
+    return notFoundResponse(res, 'Sprint not found');
+  }
+
+  const active = await Sprint.findActive(workspaceId);
+  if (active && !active._id.equals(sprint._id)) {
+    return next(new AppError(`Sprint "${active.name}" is already active. Complete it before starting another.`, 409));
+  }
+
+  const tasks = await findSprintTasks(sprint._id).select('storyPoints statusCategory');
+
+  try {
+    await sprint.start(userId, tasks);
+  } catch (error) {
+    // The unique index catches a sprint started concurrently
+    if (error.code === 11000) {
+      return next(new AppError('Another sprint was started at the same time.', 409));
+    }
+    return next(new AppError(error.message, 400));
+  }
+
+  broadcastSprint(sprint, 'started', userId);
+
+  logger.workspace('sprint_started', workspaceId, {
+    sprintId: sprint._id,
+    committedPoints: sprint.committedPoints,
+    startedBy: userId
+  });
+
+  successResponse(res, 'Sprint started successfully', {
+    sprint: sprint.toPublicJSON(summarizeSprintTasks(tasks))
+  });
+});
+
+// @desc    Complete sprint, carrying unfinished tasks over
+// @route   POST /api/v1/workspaces/:workspaceId/sprints/:sprintId/complete
+// @access  Private (Workspace Manager)
+export const completeSprint = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId, sprintId } = req.params;
+  const { carryOverTo = 'backlog' } = req.body;
+  const userId = req.user._id;
+
+  const sprint = await Sprint.findOne({ _id: sprintId, workspace: workspaceId });
+
+  if (!sprint) {
+    return notFoundResponse(res, 'Sprint not found');
+  }
+
+  if (sprint.state !== 'active') {
+    return next(new AppError('Only active sprints can be completed.', 400));
+  }
+
+  // Unfinished work moves to a planned sprint or back to the backlog
+  let target = null;
+  if (carryOverTo !== 'backlog') {
+    target = await Sprint.findOne({ _id: carryOverTo, workspace: workspaceId, state: 'planned' });
+    if (!target) {
+      return next(new AppError('Unfinished tasks can only be carried over to a planned sprint in this workspace.', 400));
+    }
+  }
+
+  const tasks = await findSprintTasks(sprint._id);
+  const summary = summarizeSprintTasks(tasks);
+  const committed = new Set(sprint.committedTasks.map(String));
+  const added = tasks.filter(task => !committed.has(task._id.toString()));
+  const incomplete = tasks.filter(task => task.statusCategory !== 'done');
+
+  for (const task of incomplete) {
+    await planTask(task, target ? target._id : null, userId, { carriedOverFrom: sprint._id });
+  }
+
+  await sprint.complete(userId, {
+    committedPoints: sprint.committedPoints,
+    completedPoints: summary.completedPoints,
+    addedPoints: summarizeSprintTasks(added).totalPoints,
+    totalTasks: summary.totalTasks,
+    completedTasks: summary.completedTasks,
+    incompleteTasks: incomplete.length,
+    carriedOverTo: target ? target._id : undefined,
+    carriedOverTasks: incomplete.map(task => task._id)
+  });
+
+  const velocity = await Sprint.getVelocity(workspaceId);
+
+  broadcastSprint(sprint, 'completed', userId, {
+    carriedOverTo: target ? target._id : null
+  });
+
+  logger.workspace('sprint_completed', workspaceId, {
+    sprintId: sprint._id,
+    committedPoints: sprint.report.committedPoints,
+    completedPoints: sprint.report.completedPoints,
+    completedBy: userId
+  });
+
+  successResponse(res, 'Sprint completed successfully', {
+    sprint: sprint.toPublicJSON(),
+    report: sprint.report,
+    velocity
+  });
+});
@@ -1,16 +1,273 @@
 import { validationResult } from 'express-validator';
-import Task from '../models/Task.js';
+import Task, { BLOCKED_CATEGORIES, SERIES_FIELDS } from '../models/Task.js';
 import Workspace from '../models/Workspace.js';
 import Comment from '../models/Comment.js';
 import User from '../models/User.js';
+import TimeEntry from '../models/TimeEntry.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
 import {
   successResponse,
   createdResponse,
+  errorResponse,
   validationErrorResponse,
   notFoundResponse
 } from '../utils/response.js';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import recurrenceService from '../services/recurrenceService.js';
+import notificationService from '../services/notificationService.js';
+import realtimeService from '../services/realtimeService.js';
+import {
+  collectUpstream,
+  collectDownstream,
+  findCriticalPath
+} from '../utils/dependencyGraph.js';
+import { STATUS_CATEGORIES } from '../utils/workflow.js';
+import { validateCustomFieldValues } from '../utils/customFields.js';
+import { buildTaskFilters } from '../utils/taskFilters.js';
+import { rankBetween } from '../utils/ranking.js';
+
+// Fields clients may change through updateTask
+const EDITABLE_TASK_FIELDS = [
+  'title', 'description', 'status', 'priority', 'dueDate', 'assignees', 'tags',
+  'estimatedHours', 'storyPoints', 'dependencies'
+];
+
+// Look up a requested status and check the workspace workflow allows moving to it
+const resolveStatusChange = (workspace, task, key) => {
+  const status = workspace.getStatus(key);
+  if (!status) {
+    return { error: `Status ${key} is not defined in this workspace's workflow.` };
+  }
+
+  if (!workspace.canTransition(task.status, key)) {
+    return { error: `Tasks cannot move from ${task.status} to ${key}.` };
+  }
+
+  return { status };
+};
+
+// Validate submitted custom field values against the workspace definitions
+const checkCustomFields = (workspace, values, partial = false) => {
+  return validateCustomFieldValues(workspace.customFields, values, {
+    partial,
+    isMember: userId => workspace.isMember(userId)
+  });
+};
+
+// Find unfinished blockers that prevent a task from moving to a new status
+const findBlockingDependencies = async (task, newStatus, force = false) => {
+  if (force || task.status === newStatus.key || !BLOCKED_CATEGORIES.includes(newStatus.category)) {
+    return [];
+  }
+
+  return task.getUnfinishedBlockers();
+};
+
+// Respond with the list of tasks blocking a status change
+const blockedResponse = (res, blockers) => {
+  return errorResponse(
+    res,
+    'Task is blocked by unfinished dependencies. Complete them first or pass force: true.',
+    409,
+    blockers.map(blocker => ({
+      _id: blocker._id,
+      title: blocker.title,
+      status: blocker.status
+    }))
+  );
+};
+
+// Resolve the root task of the series a task belongs to
+const findSeriesRoot = async (task) => {
+  if (!task.seriesId || task.isSeriesRoot()) return task;
+  return Task.findById(task.seriesId);
+};
+
+// Apply a bulk list change (replacement array or { add, remove }) to a list of ids or tags
+const applyListChange = (current, change, normalize = value => value.toString()) => {
+  if (Array.isArray(change)) {
+    return [...new Set(change.map(normalize))];
+  }
+
+  const remove = (change.remove || []).map(normalize);
+  const next = current.map(normalize).filter(value => !remove.includes(value));
+  for (const value of (change.add || []).map(normalize)) {
+    if (!next.includes(value)) next.push(value);
+  }
+
+  return next;
+};
+
+// Apply one bulk update to a task, recording activity for each change.
+// Returns the changes made and the previous values, or the reason it failed.
+const applyBulkUpdate = async (task, workspace, data, userId) => {
+  if (task.isArchived && data.archive !== false) {
+    return { error: 'Task is archived' };
+  }
+
+  const previous = {
+    status: task.status,
+    assignees: task.assignees.map(assignee => assignee.toString())
+  };
+  const changes = {};
+
+  if (data.status !== undefined && data.status !== task.status) {
+    const { status, error } = resolveStatusChange(workspace, task, data.status);
+    if (error) return { error };
+
+    const blockers = await findBlockingDependencies(task, status, data.force === true);
+    if (blockers.length > 0) {
+      return { error: `Task is blocked by unfinished dependencies: ${blockers.map(blocker => blocker.title).join(', ')}` };
+    }
+
+    task.status = status.key;
+    task.statusCategory = status.category;
+    task.addActivity('status_changed', userId, { forced: data.force === true, category: status.category, bulk: true }, previous.status, status.key);
+    changes.status = status.key;
+  }
+
+  if (data.priority !== undefined && data.priority !== task.priority) {
+    task.addActivity('priority_changed', userId, { bulk: true }, task.priority, data.priority);
+    task.priority = data.priority;
+    changes.priority = data.priority;
+  }
+
+  if (data.assignees !== undefined) {
+    const assignees = applyListChange(previous.assignees, data.assignees);
+    const added = assignees.filter(id => !previous.assignees.includes(id));
+    const removed = previous.assignees.filter(id => !assignees.includes(id));
+
+    const outsider = added.find(id => !workspace.isMember(id));
+    if (outsider) {
+      return { error: `Assignee ${outsider} is not a member of this workspace.` };
+    }
+
+    if (added.length > 0 || removed.length > 0) {
+      task.assignees = assignees;
+      added.forEach(id => task.addActivity('assigned', userId, { assigneeId: id, bulk: true }));
+      removed.forEach(id => task.addActivity('unassigned', userId, { assigneeId: id, bulk: true }));
+      changes.assignees = assignees;
+    }
+  }
+
+  if (data.tags !== undefined) {
+    const currentTags = [...task.tags];
+    const tags = applyListChange(currentTags, data.tags, tag => tag.trim().toLowerCase());
+
+    if (tags.length > 10) {
+      return { error: 'Maximum 10 tags allowed' };
+    }
+
+    if (tags.length !== currentTags.length || tags.some(tag => !currentTags.includes(tag))) {
+      task.tags = tags;
+      task.addActivity('updated', userId, { fields: ['tags'], bulk: true }, currentTags, tags);
+      changes.tags = tags;
+    }
+  }
+
+  // Due dates are either set outright or moved by a number of days
+  let dueDate;
+  if (data.dueDate !== undefined) {
+    dueDate = data.dueDate === null ? null : new Date(data.dueDate);
+  } else if (data.shiftDueDateDays !== undefined && task.dueDate) {
+    dueDate = new Date(task.dueDate.getTime() + data.shiftDueDateDays * 24 * 60 * 60 * 1000);
+  }
+  if (dueDate !== undefined && dueDate?.getTime() !== task.dueDate?.getTime()) {
+    task.addActivity('due_date_changed', userId, { bulk: true }, task.dueDate || null, dueDate);
+    task.dueDate = dueDate;
+    changes.dueDate = dueDate;
+  }
+
+  if (data.archive === true) {
+    task.isArchived = true;
+    task.archivedAt = new Date();
+    task.archivedBy = userId;
+    task.addActivity('archived', userId, { bulk: true });
+    changes.isArchived = true;
+  } else if (data.archive === false && task.isArchived) {
+    task.isArchived = false;
+    task.archivedAt = undefined;
+    task.archivedBy = undefined;
+    task.addActivity('restored', userId, { bulk: true });
+    changes.isArchived = false;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { changes, previous };
+  }
+
+  // Editing a single occurrence detaches it from later series edits
+  if (task.seriesId && !task.isSeriesRoot() && SERIES_FIELDS.some(field => field in changes)) {
+    task.isRecurrenceException = true;
+  }
+
+  await task.save();
+
+  return { changes, previous };
+};
+
+// Load the tasks of a bulk request, checking each one the user can access.
+// Workspaces are cached because bulk requests usually target a single one.
+const loadBulkTasks = async (taskIds, userId) => {
+  const tasks = await Task.find({ _id: { $in: taskIds }, isDeleted: { $ne: true } });
+  const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+  const workspaces = new Map();
+
+  const items = [];
+  for (const taskId of [...new Set(taskIds.map(String))]) {
+    const task = tasksById.get(taskId);
+    if (!task) {
+      items.push({ taskId, error: 'Task not found' });
+      continue;
+    }
+
+    const workspaceId = task.workspace.toString();
+    if (!workspaces.has(workspaceId)) {
+      workspaces.set(workspaceId, await Workspace.findById(workspaceId));
+    }
+
+    const workspace = workspaces.get(workspaceId);
+    if (!workspace || !workspace.isMember(userId)) {
+      items.push({ taskId, error: 'Access denied. You cannot access this task.' });
+      continue;
+    }
+
+    items.push({ taskId, task, workspace });
+  }
+
+  return items;
+};
+
+// Refresh stats and send one realtime event for each workspace touched by a bulk request
+const finishBulkRequest = async (results, event, payload) => {
+  const byWorkspace = new Map();
+  for (const { task, workspace } of results) {
+    const workspaceId = workspace._id.toString();
+    if (!byWorkspace.has(workspaceId)) {
+      byWorkspace.set(workspaceId, { workspace, taskIds: [] });
+    }
+    byWorkspace.get(workspaceId).taskIds.push(task._id);
+  }
+
+  for (const [workspaceId, { workspace, taskIds }] of byWorkspace) {
+    try {
+      await workspace.updateTaskStats();
+    } catch (error) {
+      logger.error('Failed to update workspace stats:', error);
+    }
+
+    try {
+      realtimeService.broadcastToWorkspace(workspaceId, event, {
+        taskIds,
+        ...payload,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      logger.error('Error broadcasting bulk task event:', error);
+    }
+  }
+};
 
 // @desc    Get tasks for a workspace
 // @route   GET /api/v1/workspaces/:workspaceId/tasks
@@ -29,35 +286,12 @@ export const getTasks = catchAsync(async (req, res, next) => {
     return next(new AppError('Access denied. You are not a member of this workspace.', 403));
   }
 
-  // Parse query parameters
-  const {
-    status,
-    priority,
-    assignee,
-    tags,
-    dueDateRange,
-    search,
-    page = 1,
-    limit = 20,
-    sort = 'createdAt'
-  } = req.query;
-
-  // Build filters
-  const filters = {};
-
-  if (status) filters.status = status;
-  if (priority) filters.priority = priority;
-  if (assignee) filters.assignee = assignee;
-  if (tags) filters.tags = Array.isArray(tags) ? tags : [tags];
-
-  if (dueDateRange) {
-    filters.dueDateRange = {
-      start: new Date(dueDateRange.start),
-      end: new Date(dueDateRange.end)
-    };
-  }
+  const { page = 1, limit = 20 } = req.query;
 
-  if (search) filters.search = search.trim();
+  const { filters, sort, error } = buildTaskFilters(req.query, workspace.customFields);
+  if (error) {
+    return next(new AppError(error, 400));
+  }
 
   // Get tasks with pagination
   const result = await Task.findByWorkspace(workspaceId, filters, {
@@ -72,8 +306,10 @@ export const getTasks = catchAsync(async (req, res, next) => {
     filters: {
       applied: filters,
       available: {
-        statuses: ['todo', 'in-progress', 'review', 'done'],
-        priorities: ['low', 'medium', 'high', 'urgent']
+        statuses: workspace.getStatuses(),
+        statusCategories: STATUS_CATEGORIES,
+        priorities: ['low', 'medium', 'high', 'urgent'],
+        customFields: workspace.customFields
       }
     }
   });
@@ -86,7 +322,7 @@ export const getTask = catchAsync(async (req, res, next) => {
   const { taskId } = req.params;
   const userId = req.user._id;
 
-  const task = await Task.findById(taskId);
+  const task = await Task.findAvailable(taskId);
 
   if (!task) {
     return notFoundResponse(res, 'Task not found');
@@ -123,7 +359,11 @@ export const createTask = catchAsync(async (req, res, next) => {
     assignees,
     dueDate,
     estimatedHours,
-    tags
+    storyPoints,
+    tags,
+    dependencies,
+    recurrence,
+    customFields
   } = req.body;
 
   // Check if workspace exists and user is member
@@ -145,6 +385,23 @@ export const createTask = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Validate custom field values against the workspace definitions
+  const { values: customFieldValues, errors: customFieldErrors } = checkCustomFields(workspace, customFields);
+  if (customFieldErrors.length > 0) {
+    return errorResponse(res, 'Invalid custom field values', 400, customFieldErrors);
+  }
+
+  // Validate dependencies belong to this workspace
+  if (dependencies && dependencies.length > 0) {
+    const dependencyError = await Task.validateDependencies(
+      { isNew: true, workspace: workspaceId },
+      dependencies
+    );
+    if (dependencyError) {
+      return next(new AppError(dependencyError, 400));
+    }
+  }
+
   // Create task
   const task = await Task.create({
     title,
@@ -155,18 +412,32 @@ export const createTask = catchAsync(async (req, res, next) => {
     assignees: assignees || [],
     dueDate: dueDate ? new Date(dueDate) : undefined,
     estimatedHours,
-    tags: tags || []
+    storyPoints,
+    tags: tags || [],
+    dependencies: dependencies || [],
+    customFields: Object.fromEntries(
+      Object.entries(customFieldValues).filter(([, value]) => value !== null)
+    )
   });
 
   // Log activity
   await task.logActivity('created', userId);
 
+  // Recurring tasks become the root of their series
+  if (recurrence?.rule) {
+    const dtstart = new Date(recurrence.dtstart || dueDate || Date.now());
+    if (!task.dueDate) task.dueDate = dtstart;
+    await task.setRecurrence(recurrence.rule, dtstart, userId);
+  }
+
   // Update workspace stats
   await workspace.updateTaskStats();
 
   // Broadcast real-time update
   await task.broadcastCreate(userId);
 
+  await notificationService.taskAssigned(task, task.assignees, req.user);
+
   const detailedTask = await task.toDetailedJSON(userId);
 
   logger.task('task_created', task._id, {
@@ -192,9 +463,17 @@ export const updateTask = catchAsync(async (req, res, next) => {
 
   const { taskId } = req.params;
   const userId = req.user._id;
-  const updates = req.body;
+  const { force, scope = 'occurrence', customFields } = req.body;
+
+  // Everything else (recurrence, sprints, moves, trash, attachments, ranks and
+  // status categories) is managed through its own endpoints
+  const updates = Object.fromEntries(
+    EDITABLE_TASK_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]])
+  );
 
-  const task = await Task.findById(taskId);
+  const task = await Task.findAvailable(taskId);
 
   if (!task) {
     return notFoundResponse(res, 'Task not found');
@@ -205,9 +484,10 @@ export const updateTask = catchAsync(async (req, res, next) => {
     return next(new AppError('Access denied. You cannot access this task.', 403));
   }
 
+  const workspace = await Workspace.findById(task.workspace);
+
   // Validate assignees if being updated
   if (updates.assignees) {
-    const workspace = await Workspace.findById(task.workspace);
     for (const assigneeId of updates.assignees) {
       if (!workspace.isMember(assigneeId)) {
         return next(new AppError(`Assignee ${assigneeId} is not a member of this workspace.`, 400));
@@ -215,28 +495,106 @@ export const updateTask = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Validate custom field changes; fields not submitted keep their values
+  let customFieldValues = {};
+  if (customFields !== undefined) {
+    const { values, errors: customFieldErrors } = checkCustomFields(workspace, customFields, true);
+    if (customFieldErrors.length > 0) {
+      return errorResponse(res, 'Invalid custom field values', 400, customFieldErrors);
+    }
+    customFieldValues = values;
+  }
+
+  // Validate dependencies if being updated
+  if (updates.dependencies) {
+    const dependencyError = await Task.validateDependencies(task, updates.dependencies);
+    if (dependencyError) {
+      return next(new AppError(dependencyError, 400));
+    }
+  }
+
+  if (updates.status) {
+    const { status, error } = resolveStatusChange(workspace, task, updates.status);
+    if (error) {
+      return next(new AppError(error, 400));
+    }
+
+    // Refuse to start or finish a task while its blockers are open
+    const blockers = await findBlockingDependencies(task, status, force === true);
+    if (blockers.length > 0) {
+      return blockedResponse(res, blockers);
+    }
+  }
+
+  const previous = {
+    status: task.status,
+    priority: task.priority,
+    assignees: task.assignees.map(assignee => assignee.toString()),
+    dueDate: task.dueDate,
+    customFields: Object.fromEntries(
+      Object.keys(customFieldValues).map(key => [key, task.customFields.get(key) ?? null])
+    )
+  };
+
+  // Editing a single occurrence detaches it from later series edits
+  const changesSeriesFields = SERIES_FIELDS.some(field => field in updates);
+  if (task.seriesId && scope === 'occurrence' && changesSeriesFields && !task.isSeriesRoot()) {
+    task.isRecurrenceException = true;
+  }
+
   // Update task
   Object.assign(task, updates);
+  for (const [key, value] of Object.entries(customFieldValues)) {
+    if (value === null) {
+      task.customFields.delete(key);
+    } else {
+      task.customFields.set(key, value);
+    }
+  }
   await task.save();
 
+  // Apply template changes to the rest of the series
+  let seriesUpdated = 0;
+  if (task.seriesId && scope === 'series' && changesSeriesFields) {
+    seriesUpdated = await recurrenceService.updateSeries(task, updates, userId);
+  }
+
   // Log activity for significant changes
-  if (updates.status) {
-    await task.logActivity('status_changed', userId, {}, task.status, updates.status);
+  if (updates.status && updates.status !== previous.status) {
+    await task.logActivity('status_changed', userId, { forced: force === true }, previous.status, updates.status);
   }
-  if (updates.priority) {
-    await task.logActivity('priority_changed', userId, {}, task.priority, updates.priority);
+  if (updates.priority && updates.priority !== previous.priority) {
+    await task.logActivity('priority_changed', userId, {}, previous.priority, updates.priority);
   }
   if (updates.dueDate) {
-    await task.logActivity('due_date_changed', userId, {}, task.dueDate, updates.dueDate);
+    await task.logActivity('due_date_changed', userId, {}, previous.dueDate, updates.dueDate);
+  }
+  if (Object.keys(customFieldValues).length > 0) {
+    await task.logActivity('custom_fields_updated', userId, {
+      fields: Object.keys(customFieldValues)
+    }, previous.customFields, customFieldValues);
   }
 
   // Broadcast real-time update
-  await task.broadcastUpdate(updates, userId);
+  await task.broadcastUpdate({
+    ...updates,
+    ...(customFields !== undefined && { customFields: Object.fromEntries(task.customFields) })
+  }, userId);
+
+  // Notify new assignees and watchers
+  if (updates.assignees) {
+    const added = task.assignees.filter(assignee => !previous.assignees.includes(assignee.toString()));
+    await notificationService.taskAssigned(task, added, req.user);
+  }
+  if (updates.status && updates.status !== previous.status) {
+    await notificationService.taskStatusChanged(task, previous.status, req.user);
+  }
 
   const detailedTask = await task.toDetailedJSON(userId);
 
   successResponse(res, 'Task updated successfully', {
-    task: detailedTask
+    task: detailedTask,
+    ...(scope === 'series' && { seriesUpdated })
   });
 });
 
@@ -247,7 +605,7 @@ export const deleteTask = catchAsync(async (req, res, next) => {
   const { taskId } = req.params;
   const userId = req.user._id;
 
-  const task = await Task.findById(taskId);
+  const task = await Task.findAvailable(taskId);
 
   if (!task) {
     return notFoundResponse(res, 'Task not found');
@@ -258,28 +616,25 @@ export const deleteTask = catchAsync(async (req, res, next) => {
     return next(new AppError('Access denied. You cannot access this task.', 403));
   }
 
-  // Archive task instead of hard delete
-  await task.archive(userId);
+  // Deleted tasks go to the workspace trash until they are restored or purged
+  await task.moveToTrash(userId);
 
   // Broadcast real-time update
   await task.broadcastDelete(userId);
 
-  successResponse(res, 'Task deleted successfully');
+  successResponse(res, 'Task moved to trash', {
+    purgeAt: task.getPurgeDate()
+  });
 });
 
-// @desc    Update task status
-// @route   PATCH /api/v1/tasks/:taskId/status
+// @desc    Archive task
+// @route   POST /api/v1/tasks/:taskId/archive
 // @access  Private (Workspace Member)
-export const updateTaskStatus = catchAsync(async (req, res, next) => {
+export const archiveTask = catchAsync(async (req, res, next) => {
   const { taskId } = req.params;
-  const { status } = req.body;
   const userId = req.user._id;
 
-  if (!['todo', 'in-progress', 'review', 'done'].includes(status)) {
-    return next(new AppError('Invalid status value.', 400));
-  }
-
-  const task = await Task.findById(taskId);
+  const task = await Task.findAvailable(taskId);
 
   if (!task) {
     return notFoundResponse(res, 'Task not found');
@@ -290,24 +645,26 @@ export const updateTaskStatus = catchAsync(async (req, res, next) => {
     return next(new AppError('Access denied. You cannot access this task.', 403));
   }
 
-  await task.updateStatus(status, userId);
+  try {
+    await task.archive(userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
 
-  const detailedTask = await task.toDetailedJSON(userId);
+  // Broadcast real-time update
+  await task.broadcastUpdate({ isArchived: true, archivedAt: task.archivedAt }, userId);
 
-  successResponse(res, 'Task status updated successfully', {
-    task: detailedTask
-  });
+  successResponse(res, 'Task archived successfully');
 });
 
-// @desc    Add assignee to task
-// @route   POST /api/v1/tasks/:taskId/assignees
+// @desc    Restore archived task
+// @route   POST /api/v1/tasks/:taskId/restore
 // @access  Private (Workspace Member)
-export const addTaskAssignee = catchAsync(async (req, res, next) => {
+export const restoreTask = catchAsync(async (req, res, next) => {
   const { taskId } = req.params;
-  const { userId: assigneeId } = req.body;
   const userId = req.user._id;
 
-  const task = await Task.findById(taskId);
+  const task = await Task.findAvailable(taskId);
 
   if (!task) {
     return notFoundResponse(res, 'Task not found');
@@ -318,93 +675,238 @@ export const addTaskAssignee = catchAsync(async (req, res, next) => {
     return next(new AppError('Access denied. You cannot access this task.', 403));
   }
 
-  // Check if assignee is a workspace member
-  const workspace = await Workspace.findById(task.workspace);
-  if (!workspace.isMember(assigneeId)) {
-    return next(new AppError('Assignee must be a member of the workspace.', 400));
+  try {
+    await task.unarchive(userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
   }
 
-  await task.addAssignee(assigneeId, userId);
+  // Broadcast real-time update
+  await task.broadcastUpdate({ isArchived: false }, userId);
 
   const detailedTask = await task.toDetailedJSON(userId);
 
-  successResponse(res, 'Assignee added successfully', {
+  successResponse(res, 'Task restored successfully', {
     task: detailedTask
   });
 });
 
-// @desc    Remove assignee from task
-// @route   DELETE /api/v1/tasks/:taskId/assignees/:assigneeId
+// @desc    Get tasks in the workspace trash
+// @route   GET /api/v1/workspaces/:workspaceId/trash
 // @access  Private (Workspace Member)
-export const removeTaskAssignee = catchAsync(async (req, res, next) => {
-  const { taskId, assigneeId } = req.params;
+export const getTrash = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const { page = 1, limit = 20 } = req.query;
   const userId = req.user._id;
 
-  const task = await Task.findById(taskId);
+  const workspace = await Workspace.findById(workspaceId);
 
-  if (!task) {
-    return notFoundResponse(res, 'Task not found');
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
   }
 
-  // Check if user can access this task
-  if (!(await task.canAccess(userId))) {
-    return next(new AppError('Access denied. You cannot access this task.', 403));
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
   }
 
-  await task.removeAssignee(assigneeId, userId);
+  const result = await Task.findTrashed(workspaceId, {
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
+
+  successResponse(res, 'Trash retrieved successfully', {
+    tasks: result.tasks.map(task => ({
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      assignees: task.assignees,
+      deletedAt: task.deletedAt,
+      deletedBy: task.deletedBy,
+      purgeAt: task.getPurgeDate()
+    })),
+    retentionDays: config.trash.retentionDays,
+    pagination: result.pagination
+  });
+});
+
+// @desc    Restore task from the workspace trash
+// @route   POST /api/v1/workspaces/:workspaceId/trash/:taskId/restore
+// @access  Private (Workspace Member)
+export const restoreFromTrash = catchAsync(async (req, res, next) => {
+  const { workspaceId, taskId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+  }
+
+  const task = await Task.findOne({ _id: taskId, workspace: workspaceId, isDeleted: true });
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found in trash');
+  }
+
+  await task.restoreFromTrash(userId);
+
+  // Restored tasks reappear on the board
+  await task.broadcastCreate(userId);
 
   const detailedTask = await task.toDetailedJSON(userId);
 
-  successResponse(res, 'Assignee removed successfully', {
+  successResponse(res, 'Task restored from trash', {
     task: detailedTask
   });
 });
 
-// @desc    Add subtask
-// @route   POST /api/v1/tasks/:taskId/subtasks
+// @desc    Update several tasks at once
+// @route   POST /api/v1/tasks/bulk-update
 // @access  Private (Workspace Member)
-export const addSubtask = catchAsync(async (req, res, next) => {
-  const { taskId } = req.params;
-  const { title, assignedTo } = req.body;
+export const bulkUpdateTasks = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskIds, data } = req.body;
   const userId = req.user._id;
 
-  const task = await Task.findById(taskId);
+  const failed = [];
+  const updated = [];
 
-  if (!task) {
-    return notFoundResponse(res, 'Task not found');
+  // Each task is checked and saved on its own so one failure does not stop the rest
+  for (const { taskId, task, workspace, error } of await loadBulkTasks(taskIds, userId)) {
+    if (error) {
+      failed.push({ taskId, reason: error });
+      continue;
+    }
+
+    try {
+      const result = await applyBulkUpdate(task, workspace, data, userId);
+      if (result.error) {
+        failed.push({ taskId, reason: result.error });
+        continue;
+      }
+
+      updated.push({ task, workspace, ...result });
+    } catch (error) {
+      logger.error('Bulk task update failed:', error);
+      failed.push({ taskId, reason: error.message });
+    }
   }
 
-  // Check if user can access this task
-  if (!(await task.canAccess(userId))) {
-    return next(new AppError('Access denied. You cannot access this task.', 403));
+  const changed = updated.filter(({ changes }) => Object.keys(changes).length > 0);
+
+  await finishBulkRequest(changed, 'task:bulk-updated', {
+    updates: Object.fromEntries(Object.entries(data).filter(([key]) => key !== 'force')),
+    updatedBy: userId
+  });
+
+  // Notify new assignees and watchers
+  for (const { task, changes, previous } of changed) {
+    if (changes.assignees) {
+      const added = task.assignees.filter(assignee => !previous.assignees.includes(assignee.toString()));
+      await notificationService.taskAssigned(task, added, req.user);
+    }
+    if (changes.status) {
+      await notificationService.taskStatusChanged(task, previous.status, req.user);
+    }
   }
 
-  // Validate assignedTo if provided
-  if (assignedTo) {
-    const workspace = await Workspace.findById(task.workspace);
-    if (!workspace.isMember(assignedTo)) {
-      return next(new AppError('Assigned user must be a member of the workspace.', 400));
+  logger.info('Bulk task update', {
+    userId,
+    requested: taskIds.length,
+    updated: updated.length,
+    failed: failed.length
+  });
+
+  successResponse(res, 'Bulk update completed', {
+    updated: updated.length,
+    failed
+  });
+});
+
+// @desc    Delete several tasks at once
+// @route   POST /api/v1/tasks/bulk-delete
+// @access  Private (Workspace Member)
+export const bulkDeleteTasks = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskIds } = req.body;
+  const userId = req.user._id;
+
+  const failed = [];
+  const deleted = [];
+
+  for (const { taskId, task, workspace, error } of await loadBulkTasks(taskIds, userId)) {
+    if (error) {
+      failed.push({ taskId, reason: error });
+      continue;
+    }
+
+    // Deleted tasks go to the workspace trash until they are restored or purged
+    try {
+      task.isDeleted = true;
+      task.deletedAt = new Date();
+      task.deletedBy = userId;
+      task.addActivity('trashed', userId, { bulk: true });
+      await task.save();
+
+      deleted.push({ task, workspace });
+    } catch (error) {
+      logger.error('Bulk task delete failed:', error);
+      failed.push({ taskId, reason: error.message });
     }
   }
 
-  const subtask = await task.addSubtask(title, assignedTo, userId);
+  await finishBulkRequest(deleted, 'task:bulk-deleted', { deletedBy: userId });
 
-  const detailedTask = await task.toDetailedJSON(userId);
+  logger.info('Bulk task delete', {
+    userId,
+    requested: taskIds.length,
+    deleted: deleted.length,
+    failed: failed.length
+  });
 
-  successResponse(res, 'Subtask added successfully', {
-    task: detailedTask,
-    subtask
+  successResponse(res, 'Bulk delete completed', {
+    deleted: deleted.length,
+    failed
   });
 });
 
-// @desc    Complete subtask
-// @route   PATCH /api/v1/tasks/:taskId/subtasks/:subtaskId/complete
+// @desc    Duplicate task
+// @route   POST /api/v1/tasks/:taskId/duplicate
 // @access  Private (Workspace Member)
-export const completeSubtask = catchAsync(async (req, res, next) => {
-  const { taskId, subtaskId } = req.params;
+export const duplicateTask = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskId } = req.params;
   const userId = req.user._id;
+  const {
+    title,
+    assignees,
+    includeAssignees = false,
+    includeSubtasks = true,
+    includeAttachments = true,
+    includeComments = false
+  } = req.body;
 
-  const task = await Task.findById(taskId);
+  const task = await Task.findAvailable(taskId);
 
   if (!task) {
     return notFoundResponse(res, 'Task not found');
@@ -415,13 +917,789 @@ export const completeSubtask = catchAsync(async (req, res, next) => {
     return next(new AppError('Access denied. You cannot access this task.', 403));
   }
 
-  const subtask = await task.completeSubtask(subtaskId, userId);
+  const workspace = await Workspace.findById(task.workspace);
 
-  const detailedTask = await task.toDetailedJSON(userId);
+  // Explicit assignees win over copying the original ones
+  const copyAssignees = assignees || (includeAssignees ? task.assignees.map(String) : []);
+  for (const assigneeId of copyAssignees) {
+    if (!workspace.isMember(assigneeId)) {
+      return next(new AppError(`Assignee ${assigneeId} is not a member of this workspace.`, 400));
+    }
+  }
 
-  successResponse(res, 'Subtask completed successfully', {
-    task: detailedTask,
-    subtask
+  // Archived and deleted dependencies cannot be linked again
+  const dependencies = await Task.find({
+    _id: { $in: task.dependencies },
+    isArchived: { $ne: true },
+    isDeleted: { $ne: true }
+  }).distinct('_id');
+
+  // The copy starts over in the default status and outside any recurring series.
+  // Attachments are shared by reference; the file is kept until no task uses it.
+  const copy = new Task({
+    title: title || `${task.title} (copy)`.slice(0, 200),
+    description: task.description,
+    workspace: task.workspace,
+    createdBy: userId,
+    priority: task.priority,
+    assignees: copyAssignees,
+    dueDate: task.dueDate,
+    estimatedHours: task.estimatedHours,
+    storyPoints: task.storyPoints,
+    tags: task.tags,
+    dependencies,
+    customFields: Object.fromEntries(task.customFields),
+    subtasks: includeSubtasks
+      ? task.subtasks.map(subtask => ({ title: subtask.title, assignedTo: subtask.assignedTo }))
+      : [],
+    attachments: includeAttachments
+      ? task.attachments.map(attachment => {
+        const { _id, ...copied } = attachment.toObject({ virtuals: false });
+        return copied;
+      })
+      : []
+  });
+
+  copy.addActivity('created', userId, { duplicatedFrom: task._id });
+  await copy.save();
+
+  if (includeComments) {
+    copy.comments = await Comment.copyToTask(task._id, copy._id);
+    await copy.save();
+  }
+
+  // Update workspace stats
+  await workspace.updateTaskStats();
+
+  // Broadcast real-time update
+  await copy.broadcastCreate(userId);
+
+  await notificationService.taskAssigned(copy, copy.assignees, req.user);
+
+  const detailedTask = await copy.toDetailedJSON(userId);
+
+  logger.task('task_duplicated', copy._id, {
+    workspace: task.workspace,
+    duplicatedFrom: task._id,
+    createdBy: userId
+  });
+
+  createdResponse(res, 'Task duplicated successfully', {
+    task: detailedTask
+  });
+});
+
+// @desc    Move task to another workspace
+// @route   POST /api/v1/tasks/:taskId/move
+// @access  Private (Member of both workspaces)
+export const moveTask = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskId } = req.params;
+  const { workspaceId, assigneeMap } = req.body;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const target = await Workspace.findById(workspaceId);
+
+  if (!target || target.isArchived) {
+    return notFoundResponse(res, 'Target workspace not found');
+  }
+
+  if (!target.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of the target workspace.', 403));
+  }
+
+  let result;
+  try {
+    result = await task.moveToWorkspace(target, userId, { assigneeMap });
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  // Time logged on the task is reported under its new workspace
+  await TimeEntry.updateMany({ task: task._id }, { workspace: target._id });
+
+  // The task leaves the source board and appears on the target one
+  try {
+    realtimeService.broadcastToWorkspace(result.from.toString(), 'task:deleted', {
+      taskId: task._id,
+      movedTo: target._id,
+      deletedBy: userId,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error('Error broadcasting task move:', error);
+  }
+  await task.broadcastCreate(userId);
+
+  // Let people who took over remapped assignments know
+  await notificationService.taskAssigned(task, result.addedAssignees, req.user);
+
+  const detailedTask = await task.toDetailedJSON(userId);
+
+  logger.task('task_moved', task._id, {
+    from: result.from,
+    to: target._id,
+    movedBy: userId
+  });
+
+  successResponse(res, 'Task moved successfully', {
+    task: detailedTask,
+    droppedAssignees: result.droppedAssignees,
+    droppedCustomFields: result.droppedCustomFields,
+    removedDependencies: result.removedDependencies,
+    removedDependents: result.removedDependents,
+    removedSprint: result.removedSprint
+  });
+});
+
+// @desc    Update task status
+// @route   PATCH /api/v1/tasks/:taskId/status
+// @access  Private (Workspace Member)
+export const updateTaskStatus = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const { status, force } = req.body;
+  const userId = req.user._id;
+
+  if (!status || typeof status !== 'string') {
+    return next(new AppError('Invalid status value.', 400));
+  }
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const workspace = await Workspace.findById(task.workspace);
+  const { status: nextStatus, error } = resolveStatusChange(workspace, task, status);
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  // Refuse to start or finish a task while its blockers are open
+  const blockers = await findBlockingDependencies(task, nextStatus, force === true);
+  if (blockers.length > 0) {
+    return blockedResponse(res, blockers);
+  }
+
+  const previousStatus = task.status;
+  await task.updateStatus(status, userId, { forced: force === true });
+
+  if (previousStatus !== task.status) {
+    await notificationService.taskStatusChanged(task, previousStatus, req.user);
+  }
+
+  const detailedTask = await task.toDetailedJSON(userId);
+
+  successResponse(res, 'Task status updated successfully', {
+    task: detailedTask
+  });
+});
+
+// @desc    Move task to a new position on the board, optionally in another column
+// @route   PATCH /api/v1/tasks/:taskId/reorder
+// @access  Private (Workspace Member)
+export const reorderTask = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskId } = req.params;
+  // The card is dropped between prevTaskId (above) and nextTaskId (below);
+  // without either it goes to the end of the column
+  const { status: statusKey, prevTaskId, nextTaskId, force } = req.body;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const workspace = await Workspace.findById(task.workspace);
+  const previousStatus = task.status;
+  const targetStatus = statusKey || task.status;
+
+  let nextStatus = null;
+  if (targetStatus !== previousStatus) {
+    const { status, error } = resolveStatusChange(workspace, task, targetStatus);
+    if (error) {
+      return next(new AppError(error, 400));
+    }
+
+    // Refuse to start or finish a task while its blockers are open
+    const blockers = await findBlockingDependencies(task, status, force === true);
+    if (blockers.length > 0) {
+      return blockedResponse(res, blockers);
+    }
+
+    nextStatus = status;
+  }
+
+  const neighbourIds = [prevTaskId, nextTaskId].filter(Boolean);
+  if (neighbourIds.some(id => id === taskId)) {
+    return next(new AppError('A task cannot be placed next to itself.', 400));
+  }
+
+  // Neighbours must be cards in the target column
+  const loadNeighbours = async () => {
+    const neighbours = await Task.find({
+      _id: { $in: neighbourIds },
+      workspace: task.workspace,
+      status: targetStatus,
+      isDeleted: { $ne: true }
+    }).select('position');
+
+    const byId = new Map(neighbours.map(neighbour => [neighbour._id.toString(), neighbour]));
+    return { prev: byId.get(prevTaskId), next: byId.get(nextTaskId), found: neighbours.length };
+  };
+
+  let neighbours = await loadNeighbours();
+  if (neighbours.found !== neighbourIds.length) {
+    return next(new AppError('Neighbouring tasks must be in the target column.', 400));
+  }
+
+  let position;
+  if (neighbourIds.length === 0) {
+    const last = await Task.findOne({
+      workspace: task.workspace,
+      status: targetStatus,
+      _id: { $ne: task._id },
+      isDeleted: { $ne: true }
+    }).sort({ position: -1 }).select('position');
+
+    position = rankBetween(last ? last.position : null, null);
+  } else {
+    position = rankBetween(neighbours.prev?.position ?? null, neighbours.next?.position ?? null);
+  }
+
+  // Out of room between the neighbours: renumber the column once and try again
+  let rebalanced = null;
+  if (position === null) {
+    rebalanced = await Task.rebalanceColumn(task.workspace, targetStatus);
+    neighbours = await loadNeighbours();
+    position = rankBetween(neighbours.prev?.position ?? null, neighbours.next?.position ?? null);
+
+    if (position === null) {
+      return next(new AppError('The board has changed since it was loaded. Refresh and try again.', 409));
+    }
+  }
+
+  task.position = position;
+  if (nextStatus) {
+    task.status = nextStatus.key;
+    task.statusCategory = nextStatus.category;
+    task.addActivity('status_changed', userId, { forced: force === true, category: nextStatus.category }, previousStatus, nextStatus.key);
+  }
+  await task.save();
+
+  // Let other viewers move the card, and renumber their column if it was rebalanced
+  await task.broadcastReorder({
+    previousStatus,
+    prevTaskId: prevTaskId || null,
+    nextTaskId: nextTaskId || null,
+    ...(rebalanced && { rebalanced })
+  }, userId);
+
+  if (nextStatus) {
+    try {
+      await workspace.updateTaskStats();
+    } catch (error) {
+      logger.error('Failed to update workspace stats:', error);
+    }
+
+    await notificationService.taskStatusChanged(task, previousStatus, req.user);
+  }
+
+  successResponse(res, 'Task reordered successfully', {
+    task: {
+      _id: task._id,
+      status: task.status,
+      statusCategory: task.statusCategory,
+      position: task.position
+    },
+    ...(rebalanced && { rebalanced })
+  });
+});
+
+// @desc    Add assignee to task
+// @route   POST /api/v1/tasks/:taskId/assignees
+// @access  Private (Workspace Member)
+export const addTaskAssignee = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const { userId: assigneeId } = req.body;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  // Check if assignee is a workspace member
+  const workspace = await Workspace.findById(task.workspace);
+  if (!workspace.isMember(assigneeId)) {
+    return next(new AppError('Assignee must be a member of the workspace.', 400));
+  }
+
+  try {
+    await task.addAssignee(assigneeId, userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  await notificationService.taskAssigned(task, [assigneeId], req.user);
+
+  const detailedTask = await task.toDetailedJSON(userId);
+
+  successResponse(res, 'Assignee added successfully', {
+    task: detailedTask
+  });
+});
+
+// @desc    Remove assignee from task
+// @route   DELETE /api/v1/tasks/:taskId/assignees/:assigneeId
+// @access  Private (Workspace Member)
+export const removeTaskAssignee = catchAsync(async (req, res, next) => {
+  const { taskId, assigneeId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  await task.removeAssignee(assigneeId, userId);
+
+  const detailedTask = await task.toDetailedJSON(userId);
+
+  successResponse(res, 'Assignee removed successfully', {
+    task: detailedTask
+  });
+});
+
+// @desc    Watch task
+// @route   POST /api/v1/tasks/:taskId/watch
+// @access  Private (Workspace Member)
+export const watchTask = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  try {
+    await task.addWatcher(userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  successResponse(res, 'You are now watching this task', {
+    watchers: task.watchers
+  });
+});
+
+// @desc    Stop watching task
+// @route   DELETE /api/v1/tasks/:taskId/watch
+// @access  Private (Workspace Member)
+export const unwatchTask = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  try {
+    await task.removeWatcher(userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  successResponse(res, 'You are no longer watching this task', {
+    watchers: task.watchers
+  });
+});
+
+// @desc    Add subtask
+// @route   POST /api/v1/tasks/:taskId/subtasks
+// @access  Private (Workspace Member)
+export const addSubtask = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const { title, assignedTo } = req.body;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  // Validate assignedTo if provided
+  if (assignedTo) {
+    const workspace = await Workspace.findById(task.workspace);
+    if (!workspace.isMember(assignedTo)) {
+      return next(new AppError('Assigned user must be a member of the workspace.', 400));
+    }
+  }
+
+  const subtask = await task.addSubtask(title, assignedTo, userId);
+
+  const detailedTask = await task.toDetailedJSON(userId);
+
+  successResponse(res, 'Subtask added successfully', {
+    task: detailedTask,
+    subtask
+  });
+});
+
+// @desc    Complete subtask
+// @route   PATCH /api/v1/tasks/:taskId/subtasks/:subtaskId/complete
+// @access  Private (Workspace Member)
+export const completeSubtask = catchAsync(async (req, res, next) => {
+  const { taskId, subtaskId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const subtask = await task.completeSubtask(subtaskId, userId);
+
+  const detailedTask = await task.toDetailedJSON(userId);
+
+  successResponse(res, 'Subtask completed successfully', {
+    task: detailedTask,
+    subtask
+  });
+});
+
+// @desc    Add task dependency
+// @route   POST /api/v1/tasks/:taskId/dependencies
+// @access  Private (Workspace Member)
+export const addTaskDependency = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const { dependencyId } = req.body;
+  const userId = req.user._id;
+
+  if (!dependencyId || !/^[0-9a-fA-F]{24}$/.test(dependencyId)) {
+    return next(new AppError('A valid dependencyId is required.', 400));
+  }
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const dependencyError = await Task.validateDependencies(task, [...task.dependencies, dependencyId]);
+  if (dependencyError) {
+    return next(new AppError(dependencyError, 400));
+  }
+
+  await task.addDependency(dependencyId, userId);
+
+  // Broadcast real-time update
+  await task.broadcastUpdate({ dependencies: task.dependencies }, userId);
+
+  const detailedTask = await task.toDetailedJSON(userId);
+
+  successResponse(res, 'Dependency added successfully', {
+    task: detailedTask
+  });
+});
+
+// @desc    Remove task dependency
+// @route   DELETE /api/v1/tasks/:taskId/dependencies/:dependencyId
+// @access  Private (Workspace Member)
+export const removeTaskDependency = catchAsync(async (req, res, next) => {
+  const { taskId, dependencyId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  if (!task.dependencies.some(dep => dep.toString() === dependencyId)) {
+    return notFoundResponse(res, 'Dependency not found');
+  }
+
+  await task.removeDependency(dependencyId, userId);
+
+  // Broadcast real-time update
+  await task.broadcastUpdate({ dependencies: task.dependencies }, userId);
+
+  const detailedTask = await task.toDetailedJSON(userId);
+
+  successResponse(res, 'Dependency removed successfully', {
+    task: detailedTask
+  });
+});
+
+// @desc    Get task dependency graph
+// @route   GET /api/v1/tasks/:taskId/graph
+// @access  Private (Workspace Member)
+export const getTaskGraph = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const graph = await Task.getDependencyGraph(task.workspace);
+  const id = task._id.toString();
+
+  const describe = ({ id: nodeId, depth }) => {
+    const node = graph.nodes.get(nodeId);
+    return {
+      _id: node.id,
+      title: node.title,
+      status: node.status,
+      dueDate: node.dueDate,
+      estimatedHours: node.estimatedHours,
+      dependencies: node.dependencies,
+      depth
+    };
+  };
+
+  const upstream = collectUpstream(graph, id);
+  const downstream = collectDownstream(graph, id);
+
+  // Critical path across every task connected to this one
+  const criticalPath = findCriticalPath(graph, [
+    id,
+    ...upstream.map(item => item.id),
+    ...downstream.map(item => item.id)
+  ]);
+
+  successResponse(res, 'Task dependency graph retrieved successfully', {
+    task: describe({ id, depth: 0 }),
+    upstream: upstream.map(describe),
+    downstream: downstream.map(describe),
+    blockedBy: upstream
+      .filter(item => item.depth === 1 && !graph.nodes.get(item.id).finished)
+      .map(item => item.id),
+    criticalPath: {
+      tasks: criticalPath.tasks.map(nodeId => describe({ id: nodeId })),
+      totalHours: criticalPath.totalHours
+    }
+  });
+});
+
+// @desc    Set or replace a task's recurrence rule
+// @route   PUT /api/v1/tasks/:taskId/recurrence
+// @access  Private (Workspace Member)
+export const setTaskRecurrence = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskId } = req.params;
+  const { rule, dtstart } = req.body;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const root = await findSeriesRoot(task);
+  if (!root) {
+    return notFoundResponse(res, 'Recurring series not found');
+  }
+
+  const start = new Date(dtstart || root.recurrence?.dtstart || root.dueDate || Date.now());
+  if (!root.dueDate) root.dueDate = start;
+
+  await root.setRecurrence(rule, start, userId);
+
+  const upcoming = await recurrenceService.getUpcoming(root);
+
+  await root.broadcastUpdate({ recurrence: root.recurrence, seriesId: root.seriesId }, userId);
+
+  logger.task('recurrence_updated', root._id, {
+    workspace: root.workspace,
+    updatedBy: userId,
+    rule
+  });
+
+  successResponse(res, 'Task recurrence updated successfully', {
+    task: await root.toDetailedJSON(userId),
+    upcoming
+  });
+});
+
+// @desc    Stop a recurring series
+// @route   DELETE /api/v1/tasks/:taskId/recurrence
+// @access  Private (Workspace Member)
+export const stopTaskRecurrence = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const root = await findSeriesRoot(task);
+  if (!root?.recurrence?.rule || !root.recurrence.isActive) {
+    return next(new AppError('Task does not have an active recurrence.', 400));
+  }
+
+  await root.stopRecurrence(userId);
+
+  await root.broadcastUpdate({ recurrence: root.recurrence }, userId);
+
+  successResponse(res, 'Task recurrence stopped successfully', {
+    task: await root.toDetailedJSON(userId)
+  });
+});
+
+// @desc    Get occurrences of a recurring series
+// @route   GET /api/v1/tasks/:taskId/occurrences
+// @access  Private (Workspace Member)
+export const getTaskOccurrences = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const { upcoming: upcomingLimit = 5 } = req.query;
+  const userId = req.user._id;
+
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return notFoundResponse(res, 'Task not found');
+  }
+
+  // Check if user can access this task
+  if (!(await task.canAccess(userId))) {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  if (!task.seriesId) {
+    return next(new AppError('Task is not part of a recurring series.', 400));
+  }
+
+  const root = await findSeriesRoot(task);
+  if (!root) {
+    return notFoundResponse(res, 'Recurring series not found');
+  }
+
+  const occurrences = await Task.find({ seriesId: root._id, isDeleted: { $ne: true } })
+    .select('title status dueDate occurrenceDate isRecurrenceException isArchived assignees')
+    .sort({ occurrenceDate: 1 });
+
+  const upcoming = await recurrenceService.getUpcoming(root, Math.min(parseInt(upcomingLimit) || 5, 50));
+
+  successResponse(res, 'Task occurrences retrieved successfully', {
+    series: {
+      _id: root._id,
+      title: root.title,
+      rule: root.recurrence?.rule,
+      dtstart: root.recurrence?.dtstart,
+      isActive: Boolean(root.recurrence?.isActive),
+      timezone: await recurrenceService.getTimeZone(root.workspace)
+    },
+    occurrences,
+    upcoming
   });
 });
 
@@ -433,7 +1711,7 @@ export const getTaskActivity = catchAsync(async (req, res, next) => {
   const userId = req.user._id;
   const { page = 1, limit = 20 } = req.query;
 
-  const task = await Task.findById(taskId);
+  const task = await Task.findAvailable(taskId);
 
   if (!task) {
     return notFoundResponse(res, 'Task not found');
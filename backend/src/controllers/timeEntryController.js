@@ -0,0 +1,404 @@
+import { validationResult } from 'express-validator';
+import TimeEntry from '../models/TimeEntry.js';
+import Task from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import { TIMESHEET_GROUPS, validateEntryRange, toCSV } from '../utils/timeTracking.js';
+import { isValidTimeZone } from '../utils/recurrence.js';
+import logger from '../utils/logger.js';
+
+// Load a task and make sure the current user belongs to its workspace
+const findAccessibleTask = async (taskId, userId) => {
+  const task = await Task.findAvailable(taskId);
+
+  if (!task) {
+    return { error: 'not_found' };
+  }
+
+  if (!(await task.canAccess(userId))) {
+    return { error: 'forbidden' };
+  }
+
+  return { task };
+};
+
+// Load an entry the current user may change: their own, or any entry as a workspace admin
+const findEditableEntry = async (entryId, userId) => {
+  const entry = await TimeEntry.findById(entryId);
+
+  if (!entry) {
+    return { error: 'not_found' };
+  }
+
+  if (entry.user.toString() !== userId.toString()) {
+    const workspace = await Workspace.findById(entry.workspace);
+    if (!workspace || !workspace.hasRole(userId, 'admin')) {
+      return { error: 'forbidden' };
+    }
+  }
+
+  return { entry };
+};
+
+// Recalculate a task's actual hours and tell the workspace
+const syncTaskHours = async (taskId, userId) => {
+  const task = await Task.findAvailable(taskId);
+  if (!task) return;
+
+  task.actualHours = await TimeEntry.rollupTaskHours(task._id);
+  await task.broadcastUpdate({ actualHours: task.actualHours }, userId);
+};
+
+// @desc    Get time entries for a task
+// @route   GET /api/v1/tasks/:taskId/time-entries
+// @access  Private (Workspace Member)
+export const getTaskTimeEntries = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const entries = await TimeEntry.find({ task: task._id })
+    .populate('user', 'firstName lastName avatar')
+    .sort({ startedAt: -1 });
+
+  successResponse(res, 'Time entries retrieved successfully', {
+    entries,
+    actualHours: task.actualHours,
+    estimatedHours: task.estimatedHours
+  });
+});
+
+// @desc    Log time manually
+// @route   POST /api/v1/tasks/:taskId/time-entries
+// @access  Private (Workspace Member)
+export const createTimeEntry = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskId } = req.params;
+  const userId = req.user._id;
+  const { startedAt, endedAt, durationMinutes, note, billable } = req.body;
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  // A duration can stand in for either end of the range
+  let start = startedAt ? new Date(startedAt) : null;
+  let end = endedAt ? new Date(endedAt) : null;
+  const durationMs = durationMinutes !== undefined ? Number(durationMinutes) * 60 * 1000 : null;
+
+  if (!end && start && durationMs) end = new Date(start.getTime() + durationMs);
+  if (!end && !start && durationMs) end = new Date();
+  if (!start && end && durationMs) start = new Date(end.getTime() - durationMs);
+
+  const rangeError = validateEntryRange(start, end);
+  if (rangeError) {
+    return next(new AppError(rangeError, 400));
+  }
+
+  const entry = await TimeEntry.create({
+    workspace: task.workspace,
+    task: task._id,
+    user: userId,
+    startedAt: start,
+    endedAt: end,
+    note,
+    billable: billable === true,
+    source: 'manual'
+  });
+
+  await task.logActivity('time_logged', userId, {
+    entryId: entry._id,
+    hours: entry.hours,
+    billable: entry.billable
+  });
+  await syncTaskHours(task._id, userId);
+
+  createdResponse(res, 'Time logged successfully', {
+    entry
+  });
+});
+
+// @desc    Start a timer on a task
+// @route   POST /api/v1/tasks/:taskId/timer/start
+// @access  Private (Workspace Member)
+export const startTimer = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { taskId } = req.params;
+  const userId = req.user._id;
+  const { note, billable } = req.body;
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  // Starting a new timer stops whatever the user was timing before
+  const running = await TimeEntry.findRunning(userId);
+  if (running) {
+    if (running.task.equals(task._id)) {
+      return next(new AppError('A timer is already running on this task.', 409));
+    }
+
+    await running.stop();
+    await syncTaskHours(running.task, userId);
+  }
+
+  let entry;
+  try {
+    entry = await TimeEntry.create({
+      workspace: task.workspace,
+      task: task._id,
+      user: userId,
+      startedAt: new Date(),
+      isRunning: true,
+      note,
+      billable: billable === true,
+      source: 'timer'
+    });
+  } catch (createError) {
+    // Another request started a timer at the same moment
+    if (createError.code === 11000) {
+      return next(new AppError('You already have a timer running.', 409));
+    }
+    throw createError;
+  }
+
+  logger.task('timer_started', task._id, { userId, entryId: entry._id });
+
+  createdResponse(res, 'Timer started successfully', {
+    entry,
+    stoppedEntry: running || null
+  });
+});
+
+// @desc    Stop the running timer on a task
+// @route   POST /api/v1/tasks/:taskId/timer/stop
+// @access  Private (Workspace Member)
+export const stopTimer = catchAsync(async (req, res, next) => {
+  const { taskId } = req.params;
+  const userId = req.user._id;
+
+  const { task, error } = await findAccessibleTask(taskId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Task not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You cannot access this task.', 403));
+  }
+
+  const entry = await TimeEntry.findOne({ task: task._id, user: userId, isRunning: true });
+  if (!entry) {
+    return notFoundResponse(res, 'No timer is running on this task');
+  }
+
+  if (req.body.note !== undefined) entry.note = req.body.note;
+  await entry.stop();
+
+  await task.logActivity('time_logged', userId, {
+    entryId: entry._id,
+    hours: entry.hours,
+    billable: entry.billable
+  });
+  await syncTaskHours(task._id, userId);
+
+  logger.task('timer_stopped', task._id, { userId, entryId: entry._id, duration: entry.duration });
+
+  successResponse(res, 'Timer stopped successfully', {
+    entry
+  });
+});
+
+// @desc    Get the current user's running timer
+// @route   GET /api/v1/time-entries/current
+// @access  Private
+export const getRunningTimer = catchAsync(async (req, res) => {
+  const entry = await TimeEntry.findRunning(req.user._id);
+
+  if (entry) {
+    await entry.populate('task', 'title workspace');
+  }
+
+  successResponse(res, entry ? 'Timer is running' : 'No timer is running', {
+    entry
+  });
+});
+
+// @desc    Update a time entry
+// @route   PUT /api/v1/time-entries/:entryId
+// @access  Private (Entry owner or Workspace Admin)
+export const updateTimeEntry = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { entryId } = req.params;
+  const userId = req.user._id;
+  const { startedAt, endedAt, note, billable } = req.body;
+
+  const { entry, error } = await findEditableEntry(entryId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Time entry not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You can only edit your own time entries.', 403));
+  }
+
+  if (startedAt !== undefined || endedAt !== undefined) {
+    if (entry.isRunning) {
+      return next(new AppError('Stop the timer before changing its times.', 400));
+    }
+
+    const start = startedAt !== undefined ? new Date(startedAt) : entry.startedAt;
+    const end = endedAt !== undefined ? new Date(endedAt) : entry.endedAt;
+
+    const rangeError = validateEntryRange(start, end);
+    if (rangeError) {
+      return next(new AppError(rangeError, 400));
+    }
+
+    entry.startedAt = start;
+    entry.endedAt = end;
+  }
+
+  if (note !== undefined) entry.note = note;
+  if (billable !== undefined) entry.billable = billable;
+
+  await entry.save();
+  await syncTaskHours(entry.task, userId);
+
+  successResponse(res, 'Time entry updated successfully', {
+    entry
+  });
+});
+
+// @desc    Delete a time entry
+// @route   DELETE /api/v1/time-entries/:entryId
+// @access  Private (Entry owner or Workspace Admin)
+export const deleteTimeEntry = catchAsync(async (req, res, next) => {
+  const { entryId } = req.params;
+  const userId = req.user._id;
+
+  const { entry, error } = await findEditableEntry(entryId, userId);
+  if (error === 'not_found') {
+    return notFoundResponse(res, 'Time entry not found');
+  }
+  if (error === 'forbidden') {
+    return next(new AppError('Access denied. You can only delete your own time entries.', 403));
+  }
+
+  await entry.deleteOne();
+  await syncTaskHours(entry.task, userId);
+
+  successResponse(res, 'Time entry deleted successfully');
+});
+
+// @desc    Get a timesheet report for a workspace
+// @route   GET /api/v1/workspaces/:workspaceId/timesheets
+// @access  Private (Workspace Member)
+export const getTimesheet = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new AppError(errors.array()[0].msg, 400));
+  }
+
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+  const { from, to, groupBy = 'user', user, billable, format = 'json' } = req.query;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+  }
+
+  if (!TIMESHEET_GROUPS.includes(groupBy)) {
+    return next(new AppError(`groupBy must be one of ${TIMESHEET_GROUPS.join(', ')}`, 400));
+  }
+
+  const range = {};
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value === undefined) continue;
+    range[key] = new Date(value);
+    if (Number.isNaN(range[key].getTime())) {
+      return next(new AppError(`${key} must be a valid date`, 400));
+    }
+  }
+
+  // Members only see their own time; managers and admins see everyone's
+  const canViewAll = workspace.hasRole(userId, 'manager');
+  if (user && !canViewAll && user !== userId.toString()) {
+    return next(new AppError('Access denied. Manager privileges required to view other members\' time.', 403));
+  }
+
+  const timeZone = isValidTimeZone(workspace.settings?.timezone) ? workspace.settings.timezone : 'UTC';
+
+  const report = await TimeEntry.getTimesheet(workspace._id, {
+    ...range,
+    groupBy,
+    userId: canViewAll ? user : userId,
+    billable: billable === undefined ? undefined : billable === 'true',
+    timeZone
+  });
+
+  if (format === 'csv') {
+    const columns = [
+      { key: 'label', label: groupBy.charAt(0).toUpperCase() + groupBy.slice(1) },
+      ...(groupBy === 'user' ? [{ key: 'email', label: 'Email' }] : []),
+      { key: 'hours', label: 'Hours' },
+      { key: 'billableHours', label: 'Billable Hours' },
+      { key: 'nonBillableHours', label: 'Non-billable Hours' },
+      { key: 'entries', label: 'Entries' }
+    ];
+    const rows = [...report.groups, { label: 'Total', ...report.totals }];
+
+    const period = ['from', 'to'].filter(key => range[key]).map(key => range[key].toISOString().slice(0, 10));
+    const filename = ['timesheet', workspace.slug || workspace._id, groupBy, ...period].join('-');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(toCSV(columns, rows));
+  }
+
+  successResponse(res, 'Timesheet retrieved successfully', {
+    ...report,
+    range: { from: range.from || null, to: range.to || null },
+    timeZone
+  });
+});
@@ -0,0 +1,231 @@
+import { validationResult } from 'express-validator';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { AppError, catchAsync } from '../middleware/errorHandler.js';
+import {
+  successResponse,
+  createdResponse,
+  validationErrorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import { validateWebhookUrl } from '../utils/webhooks.js';
+import webhookService from '../services/webhookService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const findWebhook = (workspaceId, webhookId) => Webhook.findOne({ _id: webhookId, workspace: workspaceId });
+
+// @desc    Get webhooks in a workspace
+// @route   GET /api/v1/workspaces/:workspaceId/webhooks
+// @access  Private (Workspace Admin)
+export const getWebhooks = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+
+  const webhooks = await Webhook.find({ workspace: workspaceId }).sort({ createdAt: 1 });
+
+  successResponse(res, 'Webhooks retrieved successfully', {
+    webhooks: webhooks.map(webhook => webhook.toPublicJSON()),
+    count: webhooks.length
+  });
+});
+
+// @desc    Create webhook. The signing secret is only returned here.
+// @route   POST /api/v1/workspaces/:workspaceId/webhooks
+// @access  Private (Workspace Admin)
+export const createWebhook = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const userId = req.user._id;
+
+  const { workspace } = req;
+
+  const { name, url, events, enabled } = req.body;
+
+  const urlError = validateWebhookUrl(url, { allowPrivate: config.webhooks.allowPrivateUrls });
+  if (urlError) {
+    return next(new AppError(urlError, 400));
+  }
+
+  const webhook = await Webhook.create({
+    name,
+    url,
+    events: [...new Set(events)],
+    enabled,
+    workspace: workspace._id,
+    createdBy: userId
+  });
+
+  logger.workspace('webhook_created', workspace._id, {
+    webhookId: webhook._id,
+    events: webhook.events,
+    createdBy: userId
+  });
+
+  createdResponse(res, 'Webhook created successfully', {
+    webhook: webhook.toPublicJSON(),
+    secret: webhook.secret
+  });
+});
+
+// @desc    Get webhook
+// @route   GET /api/v1/workspaces/:workspaceId/webhooks/:webhookId
+// @access  Private (Workspace Admin)
+export const getWebhook = catchAsync(async (req, res, next) => {
+  const { workspaceId, webhookId } = req.params;
+
+  const webhook = await findWebhook(workspaceId, webhookId);
+
+  if (!webhook) {
+    return notFoundResponse(res, 'Webhook not found');
+  }
+
+  successResponse(res, 'Webhook retrieved successfully', {
+    webhook: webhook.toPublicJSON()
+  });
+});
+
+// @desc    Update webhook. Re-enabling clears its failure count.
+// @route   PUT /api/v1/workspaces/:workspaceId/webhooks/:webhookId
+// @access  Private (Workspace Admin)
+export const updateWebhook = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId, webhookId } = req.params;
+  const { name, url, events, enabled } = req.body;
+  const userId = req.user._id;
+
+  const webhook = await findWebhook(workspaceId, webhookId);
+
+  if (!webhook) {
+    return notFoundResponse(res, 'Webhook not found');
+  }
+
+  if (url !== undefined) {
+    const urlError = validateWebhookUrl(url, { allowPrivate: config.webhooks.allowPrivateUrls });
+    if (urlError) {
+      return next(new AppError(urlError, 400));
+    }
+    webhook.url = url;
+  }
+
+  if (name !== undefined) webhook.name = name;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+
+  if (enabled === true && !webhook.enabled) {
+    webhook.enable(userId);
+  } else if (enabled === false) {
+    webhook.enabled = false;
+  }
+
+  webhook.updatedBy = userId;
+  await webhook.save();
+
+  logger.workspace('webhook_updated', workspaceId, {
+    webhookId: webhook._id,
+    enabled: webhook.enabled,
+    updatedBy: userId
+  });
+
+  successResponse(res, 'Webhook updated successfully', {
+    webhook: webhook.toPublicJSON()
+  });
+});
+
+// @desc    Delete webhook
+// @route   DELETE /api/v1/workspaces/:workspaceId/webhooks/:webhookId
+// @access  Private (Workspace Admin)
+export const deleteWebhook = catchAsync(async (req, res, next) => {
+  const { workspaceId, webhookId } = req.params;
+  const userId = req.user._id;
+
+  const webhook = await Webhook.findOneAndDelete({ _id: webhookId, workspace: workspaceId });
+
+  if (!webhook) {
+    return notFoundResponse(res, 'Webhook not found');
+  }
+
+  // Queued retries are abandoned when they come due
+  logger.workspace('webhook_deleted', workspaceId, {
+    webhookId: webhook._id,
+    deletedBy: userId
+  });
+
+  successResponse(res, 'Webhook deleted successfully');
+});
+
+// @desc    Replace a webhook's signing secret
+// @route   POST /api/v1/workspaces/:workspaceId/webhooks/:webhookId/rotate-secret
+// @access  Private (Workspace Admin)
+export const rotateWebhookSecret = catchAsync(async (req, res, next) => {
+  const { workspaceId, webhookId } = req.params;
+  const userId = req.user._id;
+
+  const webhook = await findWebhook(workspaceId, webhookId);
+
+  if (!webhook) {
+    return notFoundResponse(res, 'Webhook not found');
+  }
+
+  const secret = webhook.rotateSecret(userId);
+  await webhook.save();
+
+  logger.workspace('webhook_secret_rotated', workspaceId, {
+    webhookId: webhook._id,
+    rotatedBy: userId
+  });
+
+  successResponse(res, 'Webhook secret rotated successfully', {
+    webhook: webhook.toPublicJSON(),
+    secret
+  });
+});
+
+// @desc    Send a test event to a webhook and return the result
+// @route   POST /api/v1/workspaces/:workspaceId/webhooks/:webhookId/test
+// @access  Private (Workspace Admin)
+export const testWebhook = catchAsync(async (req, res, next) => {
+  const { workspaceId, webhookId } = req.params;
+  const userId = req.user._id;
+
+  const webhook = await findWebhook(workspaceId, webhookId).select('+secret');
+
+  if (!webhook) {
+    return notFoundResponse(res, 'Webhook not found');
+  }
+
+  const delivery = await webhookService.sendTest(webhook, userId);
+
+  successResponse(res, delivery.status === 'success'
+    ? 'Test event delivered successfully'
+    : 'Test event could not be delivered', {
+    delivery: delivery.toPublicJSON()
+  });
+});
+
+// @desc    Get a webhook's delivery log
+// @route   GET /api/v1/workspaces/:workspaceId/webhooks/:webhookId/deliveries
+// @access  Private (Workspace Admin)
+export const getWebhookDeliveries = catchAsync(async (req, res, next) => {
+  const { workspaceId, webhookId } = req.params;
+  const { status, event } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+  const webhook = await findWebhook(workspaceId, webhookId);
+
+  if (!webhook) {
+    return notFoundResponse(res, 'Webhook not found');
+  }
+
+  const result = await WebhookDelivery.findForWebhook(webhook._id, { status, event }, { page, limit });
+
+  successResponse(res, 'Webhook deliveries retrieved successfully', result);
+});
@@ -1,6 +1,7 @@
 import { validationResult } from 'express-validator';
 import Workspace from '../models/Workspace.js';
 import User from '../models/User.js';
+import Task from '../models/Task.js';
 import { AppError, catchAsync } from '../middleware/errorHandler.js';
 import {
   successResponse,
@@ -9,6 +10,19 @@ import {
   notFoundResponse
 } from '../utils/response.js';
 import logger from '../utils/logger.js';
+import realtimeService from '../services/realtimeService.js';
+import { STATUS_CATEGORIES } from '../utils/workflow.js';
+import { CUSTOM_FIELD_TYPES } from '../utils/customFields.js';
+import { isValidTimeZone } from '../utils/recurrence.js';
+import { toDayKey, addDays, listDays } from '../utils/analytics.js';
+import { calculateWorkload, DEFAULT_WORKING_DAYS, MAX_WORKLOAD_DAYS } from '../utils/workload.js';
+import { createInvitation } from './invitationController.js';
+
+const MFA_SETUP_REQUIRED_MESSAGE = 'Enable two-factor authentication on your account before requiring it for a workspace.';
+
+// Fields admins may change through updateWorkspace. Workflow and custom fields
+// have their own endpoints so task values stay consistent.
+const EDITABLE_WORKSPACE_FIELDS = ['name', 'description', 'settings', 'branding'];
 
 // @desc    Get all workspaces for authenticated user
 // @route   GET /api/v1/workspaces
@@ -66,6 +80,10 @@ export const createWorkspace = catchAsync(async (req, res, next) => {
   const { name, description, settings } = req.body;
   const ownerId = req.user._id;
 
+  if (settings?.requireMfa && !req.user.mfa?.enabled) {
+    return next(new AppError(MFA_SETUP_REQUIRED_MESSAGE, 400));
+  }
+
   // Create workspace
   const workspace = await Workspace.create({
     name,
@@ -102,7 +120,11 @@ export const updateWorkspace = catchAsync(async (req, res, next) => {
 
   const { workspaceId } = req.params;
   const userId = req.user._id;
-  const updates = req.body;
+  const updates = Object.fromEntries(
+    EDITABLE_WORKSPACE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]])
+  );
 
   const workspace = await Workspace.findById(workspaceId);
 
@@ -115,6 +137,11 @@ export const updateWorkspace = catchAsync(async (req, res, next) => {
     return next(new AppError('Access denied. Admin privileges required.', 403));
   }
 
+  // Admins cannot require two-factor authentication without using it themselves
+  if (updates.settings?.requireMfa && !req.user.mfa?.enabled) {
+    return next(new AppError(MFA_SETUP_REQUIRED_MESSAGE, 400));
+  }
+
   // Update workspace
   Object.assign(workspace, updates);
   await workspace.save();
@@ -189,6 +216,12 @@ export const getWorkspaceMembers = catchAsync(async (req, res, next) => {
 // @route   POST /api/v1/workspaces/:workspaceId/members
 // @access  Private (Workspace Admin)
 export const addWorkspaceMember = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
   const { workspaceId } = req.params;
   const { email, role = 'member' } = req.body;
   const invitedBy = req.user._id;
@@ -207,8 +240,9 @@ export const addWorkspaceMember = catchAsync(async (req, res, next) => {
   // Find user by email
   const user = await User.findOne({ email: email.toLowerCase() });
 
+  // People without an account are invited by email instead
   if (!user) {
-    return next(new AppError('User with this email address not found.', 404));
+    return createInvitation(req, res, next);
   }
 
   // Check if user is already a member
@@ -276,6 +310,129 @@ export const updateMemberRole = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Set a member's weekly capacity
+// @route   PUT /api/v1/workspaces/:workspaceId/members/:userId/capacity
+// @access  Private (Workspace Manager)
+export const updateMemberCapacity = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId, userId } = req.params;
+  const { weeklyCapacity } = req.body;
+  const updatedBy = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  if (!workspace.hasRole(updatedBy, 'manager')) {
+    return next(new AppError('Access denied. Manager privileges required.', 403));
+  }
+
+  try {
+    await workspace.setMemberCapacity(userId, weeklyCapacity ?? null, updatedBy);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  successResponse(res, 'Member capacity updated successfully', {
+    membership: {
+      user: userId,
+      weeklyCapacity: weeklyCapacity ?? null,
+      effectiveCapacity: workspace.getMemberCapacity(userId)
+    }
+  });
+});
+
+// @desc    Get open work per member against their capacity
+// @route   GET /api/v1/workspaces/:workspaceId/workload
+// @access  Private (Workspace Member)
+export const getWorkload = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId)
+    .populate('members.user', 'firstName lastName email avatar');
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+  }
+
+  const timeZone = isValidTimeZone(workspace.settings?.timezone) ? workspace.settings.timezone : 'UTC';
+  const today = toDayKey(new Date(), timeZone);
+
+  // Defaults to the next two weeks
+  const range = {};
+  for (const [key, value] of Object.entries({ from: req.query.from, to: req.query.to })) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return next(new AppError(`${key} must be a valid date`, 400));
+    }
+    range[key] = toDayKey(date, timeZone);
+  }
+
+  const fromDay = range.from || today;
+  const toDay = range.to || addDays(fromDay, 13);
+  const days = listDays(fromDay, toDay);
+
+  if (days.length === 0) {
+    return next(new AppError('from must be before to', 400));
+  }
+
+  if (days.length > MAX_WORKLOAD_DAYS) {
+    return next(new AppError(`Workload reports cannot cover more than ${MAX_WORKLOAD_DAYS} days`, 400));
+  }
+
+  // Members see their own workload; managers and admins see everyone's
+  const canViewAll = workspace.hasRole(userId, 'manager');
+  const members = workspace.members
+    .filter(member => member.user && (canViewAll || member.user._id.equals(userId)));
+
+  const tasks = await Task.find({
+    workspace: workspace._id,
+    assignees: { $in: members.map(member => member.user._id) },
+    statusCategory: { $ne: 'done' },
+    isArchived: { $ne: true },
+    isDeleted: { $ne: true }
+  }).select('assignees estimatedHours storyPoints dueDate createdAt');
+
+  const workload = calculateWorkload(
+    tasks.map(task => ({
+      assignees: task.assignees,
+      estimatedHours: task.estimatedHours,
+      storyPoints: task.storyPoints,
+      createdDay: toDayKey(task.createdAt, timeZone),
+      dueDay: task.dueDate ? toDayKey(task.dueDate, timeZone) : null
+    })),
+    members.map(member => ({
+      user: member.user._id,
+      weeklyCapacity: workspace.getMemberCapacity(member.user._id)
+    })),
+    { days, today, workingDays: workspace.settings?.workingDays ?? DEFAULT_WORKING_DAYS }
+  );
+
+  const usersById = new Map(members.map(member => [member.user._id.toString(), member.user]));
+
+  successResponse(res, 'Workload retrieved successfully', {
+    members: workload.map(row => ({ ...row, user: usersById.get(row.user.toString()) })),
+    overallocated: workload.filter(row => row.overallocated).length,
+    range: { from: fromDay, to: toDay },
+    workingHours: workspace.settings?.workingHours,
+    workingDays: workspace.settings?.workingDays ?? DEFAULT_WORKING_DAYS,
+    timeZone
+  });
+});
+
 // @desc    Remove member from workspace
 // @route   DELETE /api/v1/workspaces/:workspaceId/members/:userId
 // @access  Private (Workspace Admin)
@@ -300,7 +457,7 @@ export const removeWorkspaceMember = catchAsync(async (req, res, next) => {
   }
 
   // Remove member
-  const membership = await workspace.removeMember(userId, removedBy);
+  await workspace.removeMember(userId, removedBy);
 
   successResponse(res, 'Member removed from workspace successfully');
 });
@@ -337,6 +494,219 @@ export const getWorkspaceStats = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Get workspace task workflow
+// @route   GET /api/v1/workspaces/:workspaceId/workflow
+// @access  Private (Workspace Member)
+export const getWorkflow = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is a member
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+  }
+
+  successResponse(res, 'Workflow retrieved successfully', {
+    workflow: {
+      statuses: workspace.getStatuses(),
+      transitions: workspace.workflow?.transitions || [],
+      defaultStatus: workspace.getDefaultStatus()
+    },
+    categories: STATUS_CATEGORIES
+  });
+});
+
+// @desc    Update workspace task workflow
+// @route   PUT /api/v1/workspaces/:workspaceId/workflow
+// @access  Private (Workspace Admin)
+export const updateWorkflow = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId } = req.params;
+  const { statuses, transitions, statusMapping } = req.body;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is admin
+  if (!workspace.hasRole(userId, 'admin')) {
+    return next(new AppError('Access denied. Admin privileges required.', 403));
+  }
+
+  try {
+    await workspace.updateWorkflow({ statuses, transitions, statusMapping }, userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  const workflow = {
+    statuses: workspace.getStatuses(),
+    transitions: workspace.workflow.transitions,
+    defaultStatus: workspace.getDefaultStatus()
+  };
+
+  // Boards re-render their columns from the new workflow
+  realtimeService.broadcastToWorkspace(workspace._id.toString(), 'workspace:workflow:updated', {
+    workspaceId: workspace._id,
+    workflow,
+    updatedBy: userId,
+    timestamp: new Date()
+  });
+
+  successResponse(res, 'Workflow updated successfully', { workflow });
+});
+
+// Broadcast custom field definition changes to workspace members
+const broadcastCustomFields = (workspace, updatedBy) => {
+  realtimeService.broadcastToWorkspace(workspace._id.toString(), 'workspace:custom-fields:updated', {
+    workspaceId: workspace._id,
+    customFields: workspace.customFields,
+    updatedBy,
+    timestamp: new Date()
+  });
+};
+
+// @desc    Get workspace custom field definitions
+// @route   GET /api/v1/workspaces/:workspaceId/custom-fields
+// @access  Private (Workspace Member)
+export const getCustomFields = catchAsync(async (req, res, next) => {
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is a member
+  if (!workspace.isMember(userId)) {
+    return next(new AppError('Access denied. You are not a member of this workspace.', 403));
+  }
+
+  successResponse(res, 'Custom fields retrieved successfully', {
+    customFields: workspace.customFields,
+    types: CUSTOM_FIELD_TYPES
+  });
+});
+
+// @desc    Create custom field definition
+// @route   POST /api/v1/workspaces/:workspaceId/custom-fields
+// @access  Private (Workspace Admin)
+export const createCustomField = catchAsync(async (req, res, next) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return validationErrorResponse(res, errors.array());
+  }
+
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is admin
+  if (!workspace.hasRole(userId, 'admin')) {
+    return next(new AppError('Access denied. Admin privileges required.', 403));
+  }
+
+  let field;
+  try {
+    field = await workspace.addCustomField(req.body, userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  broadcastCustomFields(workspace, userId);
+
+  createdResponse(res, 'Custom field created successfully', {
+    customField: field
+  });
+});
+
+// @desc    Update custom field definition
+// @route   PUT /api/v1/workspaces/:workspaceId/custom-fields/:fieldId
+// @access  Private (Workspace Admin)
+export const updateCustomField = catchAsync(async (req, res, next) => {
+  const { workspaceId, fieldId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is admin
+  if (!workspace.hasRole(userId, 'admin')) {
+    return next(new AppError('Access denied. Admin privileges required.', 403));
+  }
+
+  if (!workspace.customFields.id(fieldId)) {
+    return notFoundResponse(res, 'Custom field not found');
+  }
+
+  let field;
+  try {
+    field = await workspace.updateCustomField(fieldId, req.body, userId);
+  } catch (error) {
+    return next(new AppError(error.message, 400));
+  }
+
+  broadcastCustomFields(workspace, userId);
+
+  successResponse(res, 'Custom field updated successfully', {
+    customField: field
+  });
+});
+
+// @desc    Delete custom field definition and its task values
+// @route   DELETE /api/v1/workspaces/:workspaceId/custom-fields/:fieldId
+// @access  Private (Workspace Admin)
+export const deleteCustomField = catchAsync(async (req, res, next) => {
+  const { workspaceId, fieldId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = await Workspace.findById(workspaceId);
+
+  if (!workspace) {
+    return notFoundResponse(res, 'Workspace not found');
+  }
+
+  // Check if user is admin
+  if (!workspace.hasRole(userId, 'admin')) {
+    return next(new AppError('Access denied. Admin privileges required.', 403));
+  }
+
+  if (!workspace.customFields.id(fieldId)) {
+    return notFoundResponse(res, 'Custom field not found');
+  }
+
+  await workspace.removeCustomField(fieldId, userId);
+
+  broadcastCustomFields(workspace, userId);
+
+  successResponse(res, 'Custom field deleted successfully');
+});
+
 // @desc    Search public workspaces
 // @route   GET /api/v1/workspaces/search
 // @access  Private
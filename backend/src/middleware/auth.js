@@ -1,8 +1,42 @@
 import jwt from 'jsonwebtoken';
 import { AppError } from './errorHandler.js';
 import User from '../models/User.js';
+import AccessToken from '../models/AccessToken.js';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { isAccessToken, hasScopes, scopeForMethod } from '../utils/accessTokens.js';
+
+// Resolve a personal access token to its user, or an AppError
+const authenticateAccessToken = async (token, ipAddress) => {
+  const accessToken = await AccessToken.findActive(token);
+
+  if (!accessToken) {
+    return { error: new AppError('Access token is invalid, expired or revoked.', 401) };
+  }
+
+  const user = await User.findById(accessToken.user);
+
+  if (!user) {
+    return { error: new AppError('Token is valid but user no longer exists.', 401) };
+  }
+
+  await accessToken.touch(ipAddress);
+
+  return { user, accessToken };
+};
+
+const RESTRICTED_TOKEN_MESSAGE = 'Access denied. This access token is restricted to another workspace.';
+
+// Whether a workspace-restricted access token may reach a workspace
+const tokenAllowsWorkspace = (req, workspaceId) => {
+  const restriction = req.accessToken?.workspace;
+  return !restriction || !workspaceId || restriction.toString() === workspaceId.toString();
+};
+
+const MFA_REQUIRED_MESSAGE = 'Access denied. This workspace requires two-factor authentication. Enable it on your account to continue.';
+
+// Whether the user satisfies a workspace's two-factor authentication policy
+const meetsMfaPolicy = (user, workspace) => !workspace.settings?.requireMfa || Boolean(user.mfa?.enabled);
 
 // Protect routes - require authentication
 export const protect = async (req, res, next) => {
@@ -29,11 +63,39 @@ export const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, config.jwt.secret);
+      let user;
+
+      // Personal access tokens; only accepted in the Authorization header so
+      // they do not end up in URLs or cookies
+      if (isAccessToken(token) && req.headers.authorization?.startsWith('Bearer')) {
+        const result = await authenticateAccessToken(token, req.ip);
+        if (result.error) return next(result.error);
+
+        user = result.user;
+        req.accessToken = result.accessToken;
+      } else {
+        // Verify token
+        const decoded = jwt.verify(token, config.jwt.secret);
+
+        // Reset, verification and pending two-factor tokens share the secret
+        // but are not sessions
+        if (decoded.type) {
+          return next(new AppError('Invalid token. Please log in again.', 401));
+        }
 
-      // Get user from token
-      const user = await User.findById(decoded.userId).select('+password');
+        // Get user from token
+        user = await User.findById(decoded.userId).select('+password');
+
+        // Access tokens stop working when their session is revoked
+        if (user && decoded.sid) {
+          if (!user.findSession(decoded.sid)) {
+            return next(new AppError('Session has been revoked. Please log in again.', 401));
+          }
+
+          req.sessionId = decoded.sid;
+          await user.touchSession(decoded.sid);
+        }
+      }
 
       if (!user) {
         return next(new AppError('Token is valid but user no longer exists.', 401));
@@ -131,7 +193,7 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, config.jwt.secret);
-        const user = await User.findById(decoded.userId);
+        const user = decoded.type ? null : await User.findById(decoded.userId);
 
         if (user) {
           req.user = user;
@@ -149,6 +211,8 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+export const REFRESH_TOKEN_REUSE_MESSAGE = 'Refresh token has already been used. The session has been revoked; please log in again.';
+
 // Verify refresh token
 export const verifyRefreshToken = async (req, res, next) => {
   try {
@@ -165,15 +229,34 @@ export const verifyRefreshToken = async (req, res, next) => {
       return next(new AppError('Invalid refresh token type.', 401));
     }
 
-    // Find user with this refresh token
-    const user = await User.findByRefreshToken(refreshToken);
+    const user = await User.findById(decoded.userId);
+
+    // Tokens issued before sessions carried an ID are matched by value
+    const session = decoded.sid
+      ? user?.findSession(decoded.sid)
+      : user?.refreshTokens.find(rt => rt.token === refreshToken && rt.expiresAt > new Date());
 
-    if (!user) {
+    if (!session) {
       return next(new AppError('Refresh token is invalid or expired.', 401));
     }
 
+    // A genuine token that is no longer its session's current one has
+    // already been rotated, so someone is replaying it: revoke the family
+    if (session.token !== refreshToken) {
+      await user.revokeSession(session._id);
+
+      logger.auth('refresh_token_reuse_detected', user._id, {
+        sessionId: session._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return next(new AppError(REFRESH_TOKEN_REUSE_MESSAGE, 401));
+    }
+
     req.user = user;
     req.refreshToken = refreshToken;
+    req.sessionId = session._id;
 
     next();
   } catch (error) {
@@ -227,6 +310,10 @@ export const workspaceMember = (workspaceIdParam = 'workspaceId') => {
         return next(new AppError('Workspace ID is required.', 400));
       }
 
+      if (!tokenAllowsWorkspace(req, workspaceId)) {
+        return next(new AppError(RESTRICTED_TOKEN_MESSAGE, 403));
+      }
+
       // Import Workspace model here to avoid circular dependencies
       const Workspace = (await import('../models/Workspace.js')).default;
 
@@ -245,6 +332,10 @@ export const workspaceMember = (workspaceIdParam = 'workspaceId') => {
         return next(new AppError('Access denied. You are not a member of this workspace.', 403));
       }
 
+      if (!meetsMfaPolicy(req.user, workspace)) {
+        return next(new AppError(MFA_REQUIRED_MESSAGE, 403));
+      }
+
       // Add workspace and membership info to request
       req.workspace = workspace;
       req.membership = membership;
@@ -257,6 +348,19 @@ export const workspaceMember = (workspaceIdParam = 'workspaceId') => {
   };
 };
 
+// Require at least a workspace role (see Workspace#hasRole). Runs after
+// workspaceMember(), which loads req.workspace.
+export const workspaceRole = (role) => {
+  return (req, res, next) => {
+    if (!req.workspace || !req.workspace.hasRole(req.user._id, role)) {
+      const label = role.charAt(0).toUpperCase() + role.slice(1);
+      return next(new AppError(`Access denied. ${label} privileges required.`, 403));
+    }
+
+    next();
+  };
+};
+
 // Admin or workspace admin authorization
 export const workspaceAdmin = (workspaceIdParam = 'workspaceId') => {
   return async (req, res, next) => {
@@ -265,9 +369,8 @@ export const workspaceAdmin = (workspaceIdParam = 'workspaceId') => {
         return next(new AppError('Authentication required.', 401));
       }
 
-      // Global admins can access everything
-      if (req.user.role === 'admin') {
-        return next();
+      if (!tokenAllowsWorkspace(req, req.params[workspaceIdParam])) {
+        return next(new AppError(RESTRICTED_TOKEN_MESSAGE, 403));
       }
 
       const workspaceId = req.params[workspaceIdParam];
@@ -285,6 +388,12 @@ export const workspaceAdmin = (workspaceIdParam = 'workspaceId') => {
         return next(new AppError('Workspace not found.', 404));
       }
 
+      // Global admins can access everything
+      if (req.user.role === 'admin') {
+        req.workspace = workspace;
+        return next();
+      }
+
       // Check if user is an admin of the workspace
       const membership = workspace.members.find(
         member => member.user.toString() === req.user._id.toString()
@@ -294,6 +403,10 @@ export const workspaceAdmin = (workspaceIdParam = 'workspaceId') => {
         return next(new AppError('Access denied. Admin privileges required for this workspace.', 403));
       }
 
+      if (!meetsMfaPolicy(req.user, workspace)) {
+        return next(new AppError(MFA_REQUIRED_MESSAGE, 403));
+      }
+
       // Add workspace and membership info to request
       req.workspace = workspace;
       req.membership = membership;
@@ -304,4 +417,108 @@ export const workspaceAdmin = (workspaceIdParam = 'workspaceId') => {
       next(new AppError('Authorization failed.', 500));
     }
   };
-};
\ No newline at end of file
+};
+
+// Check a personal access token carries the given scopes. Sessions from
+// /auth/login are not scoped and always pass.
+export const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    if (!req.accessToken || hasScopes(req.accessToken.scopes, scopes)) {
+      return next();
+    }
+
+    next(new AppError(`Access denied. This access token needs the ${scopes.join(', ')} scope.`, 403));
+  };
+};
+
+// Default token scope for a router: read:tasks for reads, write:tasks for changes
+export const methodScope = (req, res, next) => requireScope(scopeForMethod(req.method))(req, res, next);
+
+// Reject personal access tokens, e.g. for account security and token management
+export const sessionOnly = (req, res, next) => {
+  if (req.accessToken) {
+    return next(new AppError('Access denied. Sign in to do this; access tokens cannot be used.', 403));
+  }
+
+  next();
+};
+
+// Reject workspace-restricted tokens on endpoints that span workspaces
+export const unrestrictedToken = (req, res, next) => {
+  if (req.accessToken?.workspace) {
+    return next(new AppError('Access denied. Workspace-restricted access tokens cannot use this endpoint.', 403));
+  }
+
+  next();
+};
+
+// Apply workspace access policies (access token restrictions, required
+// two-factor authentication) when the workspace comes from something other
+// than a :workspaceId param. The resolver returns the workspace ID(s) the
+// request touches, or nothing to let the controller handle a missing resource.
+export const restrictWorkspace = (resolveWorkspaces) => {
+  return async (req, res, next) => {
+    // Nothing to check for a restriction-free token or a user with MFA enabled
+    if (!req.accessToken?.workspace && req.user?.mfa?.enabled) {
+      return next();
+    }
+
+    try {
+      const resolved = await resolveWorkspaces(req);
+      const workspaceIds = [].concat(resolved ?? []);
+
+      if (!workspaceIds.every(workspaceId => tokenAllowsWorkspace(req, workspaceId))) {
+        return next(new AppError(RESTRICTED_TOKEN_MESSAGE, 403));
+      }
+
+      if (workspaceIds.length > 0 && !req.user?.mfa?.enabled) {
+        const Workspace = (await import('../models/Workspace.js')).default;
+        const requiresMfa = await Workspace.exists({
+          _id: { $in: workspaceIds },
+          'settings.requireMfa': true
+        });
+
+        if (requiresMfa) {
+          return next(new AppError(MFA_REQUIRED_MESSAGE, 403));
+        }
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Workspace access check error:', error);
+      next(new AppError('Authorization failed.', 500));
+    }
+  };
+};
+
+const isObjectId = id => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+// Workspace of the :taskId task
+export const taskWorkspace = async (req) => {
+  if (!isObjectId(req.params.taskId)) return null;
+
+  // Import Task model here to avoid circular dependencies
+  const Task = (await import('../models/Task.js')).default;
+  const task = await Task.findById(req.params.taskId).select('workspace');
+
+  return task?.workspace;
+};
+
+// Workspaces of the tasks listed in req.body.taskIds
+export const bulkTaskWorkspaces = async (req) => {
+  const Task = (await import('../models/Task.js')).default;
+
+  const taskIds = Array.isArray(req.body.taskIds) ? req.body.taskIds.filter(isObjectId) : [];
+
+  return Task.distinct('workspace', { _id: { $in: taskIds } });
+};
+
+// Workspace of the :entryId time entry
+export const timeEntryWorkspace = async (req) => {
+  if (!isObjectId(req.params.entryId)) return null;
+
+  const TimeEntry = (await import('../models/TimeEntry.js')).default;
+  const entry = await TimeEntry.findById(req.params.entryId).select('workspace');
+
+  return entry?.workspace;
+};
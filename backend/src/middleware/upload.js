@@ -0,0 +1,45 @@
+import multer from 'multer';
+import { AppError } from './errorHandler.js';
+import config from '../config/index.js';
+
+// Keep uploads in memory so fileService can push them to the configured storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.upload.maxFileSize,
+    files: config.upload.maxFiles
+  }
+});
+
+// Accept a single `file` field or several `files` fields
+const attachmentFields = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: config.upload.maxFiles }
+]);
+
+// Parse task attachment uploads and turn multer errors into API errors
+export const uploadAttachments = (req, res, next) => {
+  attachmentFields(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError(`File size exceeds maximum allowed size of ${config.upload.maxFileSize / (1024 * 1024)}MB`, 413));
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return next(new AppError(`A maximum of ${config.upload.maxFiles} files can be uploaded at once`, 400));
+      }
+      return next(new AppError(err.message, 400));
+    }
+
+    if (err) {
+      return next(err);
+    }
+
+    // Flatten both fields into req.files for the controller
+    req.files = [
+      ...(req.files?.file || []),
+      ...(req.files?.files || [])
+    ];
+
+    next();
+  });
+};
@@ -1,4 +1,8 @@
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
+import { validateRRule } from '../utils/recurrence.js';
+import { CUSTOM_FIELD_TYPES } from '../utils/customFields.js';
+import { WEBHOOK_EVENTS, WILDCARD_EVENT } from '../utils/webhooks.js';
+import { TOKEN_SCOPES } from '../utils/accessTokens.js';
 
 // User registration validation
 export const validateRegister = [
@@ -32,7 +36,13 @@ export const validateRegister = [
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
     .matches(/^[a-zA-Z0-9_-]+$/)
-    .withMessage('Username can only contain letters, numbers, underscores, and hyphens')
+    .withMessage('Username can only contain letters, numbers, underscores, and hyphens'),
+
+  body('invitationToken')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Invitation token must be a string')
 ];
 
 // User login validation
@@ -143,6 +153,106 @@ export const validateVerifyEmail = [
     .withMessage('Verification token is required')
 ];
 
+// Personal access token validation
+export const validateCreateAccessToken = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name is required and must be less than 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Tokens need at least one scope'),
+
+  body('scopes.*')
+    .isIn(TOKEN_SCOPES)
+    .withMessage(`Token scopes must be one of ${TOKEN_SCOPES.join(', ')}`),
+
+  body('workspace')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('workspace must be a workspace ID'),
+
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('expiresInDays must be a whole number of days')
+    .toInt()
+];
+
+// Authentication code: a 6-digit TOTP code or a recovery code
+const mfaCodeRule = () => body('code')
+  .trim()
+  .isLength({ min: 6, max: 20 })
+  .withMessage('Authentication code is required');
+
+// Second step of a two-factor login
+export const validateMfaLogin = [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor login token is required'),
+
+  mfaCodeRule()
+];
+
+// Confirming MFA enrollment or regenerating recovery codes
+export const validateMfaCode = [
+  mfaCodeRule()
+];
+
+// Turning MFA off needs the password and a current code
+export const validateDisableMfa = [
+  // Accounts without a usable password confirm with the code alone
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+
+  mfaCodeRule()
+];
+
+// Requesting a magic sign-in link
+export const validateMagicLinkRequest = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+// Signing in with a magic link
+export const validateMagicLinkVerify = [
+  body('token')
+    .isString()
+    .isLength({ min: 20, max: 100 })
+    .withMessage('Sign-in link token is required')
+];
+
+// Starting a single sign-on login or link; redirect is a path in the app
+export const validateOidcAuthorize = [
+  body('redirect')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .matches(/^\/(?![/\\])/)
+    .withMessage('Redirect must be a path within the app')
+];
+
+// One-time code from a single sign-on callback
+export const validateOidcExchange = [
+  body('code')
+    .isString()
+    .isLength({ min: 20, max: 100 })
+    .withMessage('Sign-in code is required')
+];
+
+// IP address in the route, e.g. for unlocking it after failed logins
+export const validateIpAddressParam = [
+  param('ipAddress')
+    .isIP()
+    .withMessage('ipAddress must be an IPv4 or IPv6 address')
+];
+
 // Workspace creation validation
 export const validateCreateWorkspace = [
   body('name')
@@ -166,10 +276,64 @@ export const validateCreateWorkspace = [
     .isBoolean()
     .withMessage('allowGuestAccess must be true or false'),
 
+  body('settings.requireMfa')
+    .optional()
+    .isBoolean()
+    .withMessage('requireMfa must be true or false'),
+
+  body('settings.autoJoinDomains')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Auto-join domains must be a list of at most 20 domains'),
+
+  body('settings.autoJoinDomains.*')
+    .isFQDN()
+    .withMessage('Auto-join domains must be domain names such as example.com')
+    .toLowerCase(),
+
   body('settings.defaultTaskView')
     .optional()
     .isIn(['kanban', 'list', 'calendar'])
-    .withMessage('Default task view must be kanban, list, or calendar')
+    .withMessage('Default task view must be kanban, list, or calendar'),
+
+  body(['settings.workingHours.start', 'settings.workingHours.end'])
+    .optional()
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Working hours must be times in HH:MM format'),
+
+  body('settings.workingDays')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Working days must be a list of weekdays'),
+
+  body('settings.workingDays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Working days must be weekdays from 0 (Sunday) to 6 (Saturday)')
+];
+
+// Member capacity validation; null returns to the workspace default
+export const validateMemberCapacity = [
+  body('weeklyCapacity')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 168 })
+    .withMessage('Weekly capacity must be between 0 and 168 hours')
+];
+
+// Workspace workflow validation
+export const validateUpdateWorkflow = [
+  body('statuses')
+    .isArray({ min: 1 })
+    .withMessage('Statuses must be a non-empty array'),
+
+  body('transitions')
+    .optional()
+    .isArray()
+    .withMessage('Transitions must be an array'),
+
+  body('statusMapping')
+    .optional()
+    .isObject()
+    .withMessage('Status mapping must be an object of old to new status keys')
 ];
 
 // Workspace update validation
@@ -196,12 +360,161 @@ export const validateUpdateWorkspace = [
     .isBoolean()
     .withMessage('allowGuestAccess must be true or false'),
 
+  body('settings.requireMfa')
+    .optional()
+    .isBoolean()
+    .withMessage('requireMfa must be true or false'),
+
+  body('settings.autoJoinDomains')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Auto-join domains must be a list of at most 20 domains'),
+
+  body('settings.autoJoinDomains.*')
+    .isFQDN()
+    .withMessage('Auto-join domains must be domain names such as example.com')
+    .toLowerCase(),
+
   body('settings.defaultTaskView')
     .optional()
     .isIn(['kanban', 'list', 'calendar'])
     .withMessage('Default task view must be kanban, list, or calendar')
 ];
 
+// Custom field definition validation
+export const validateCustomField = [
+  body('key')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{0,39}$/)
+    .withMessage('Field key must start with a letter and contain only lowercase letters, numbers or underscores'),
+
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Field name is required and must be less than 100 characters'),
+
+  body('type')
+    .isIn(CUSTOM_FIELD_TYPES)
+    .withMessage(`Field type must be one of ${CUSTOM_FIELD_TYPES.join(', ')}`),
+
+  body('options')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Options must be an array of at most 100 entries'),
+
+  body('required')
+    .optional()
+    .isBoolean()
+    .withMessage('required must be true or false')
+];
+
+// Workspace invitation validation
+export const validateInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('role')
+    .optional()
+    .isIn(['admin', 'manager', 'member'])
+    .withMessage('Role must be admin, manager, or member')
+];
+
+// Time entry validation
+export const validateTimeEntry = [
+  body('startedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be a valid ISO 8601 date'),
+
+  body('endedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('End time must be a valid ISO 8601 date'),
+
+  body('durationMinutes')
+    .optional()
+    .isFloat({ min: 1, max: 1440 })
+    .withMessage('Duration must be between 1 and 1440 minutes'),
+
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  body('billable')
+    .optional()
+    .isBoolean()
+    .withMessage('billable must be true or false')
+];
+
+// Timesheet report filters
+export const validateTimesheetQuery = [
+  query('user')
+    .optional()
+    .not()
+    .isArray()
+    .withMessage('user must be a single user ID')
+    .bail()
+    .isMongoId()
+    .withMessage('user must be a valid user ID')
+];
+
+// Saved view validation
+const savedViewRules = (nameRule) => [
+  nameRule
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('View name is required and must be less than 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('View description cannot exceed 500 characters'),
+
+  body('visibility')
+    .optional()
+    .isIn(['personal', 'shared'])
+    .withMessage('Visibility must be personal or shared'),
+
+  body('viewType')
+    .optional()
+    .isIn(['kanban', 'list', 'calendar'])
+    .withMessage('View type must be kanban, list, or calendar'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+
+  body('sort')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Sort must be a field name'),
+
+  body('groupBy')
+    .optional()
+    .isString()
+    .withMessage('groupBy must be a string')
+];
+
+export const validateCreateSavedView = savedViewRules(body('name'));
+
+export const validateUpdateSavedView = savedViewRules(body('name').optional());
+
+// Reject recurrence rules outside the supported RRULE subset
+const checkRecurrenceRule = (rule) => {
+  const error = validateRRule(rule);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+};
+
 // Task creation validation
 export const validateCreateTask = [
   body('title')
@@ -230,6 +543,11 @@ export const validateCreateTask = [
     .isFloat({ min: 0, max: 1000 })
     .withMessage('Estimated hours must be between 0 and 1000'),
 
+  body('storyPoints')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Story points must be between 0 and 100'),
+
   body('tags')
     .optional()
     .isArray({ max: 10 })
@@ -244,7 +562,21 @@ export const validateCreateTask = [
   body('dependencies')
     .optional()
     .isArray()
-    .withMessage('Dependencies must be an array of task IDs')
+    .withMessage('Dependencies must be an array of task IDs'),
+
+  body('customFields')
+    .optional()
+    .isObject()
+    .withMessage('Custom fields must be an object keyed by field key'),
+
+  body('recurrence.rule')
+    .optional()
+    .custom(checkRecurrenceRule),
+
+  body('recurrence.dtstart')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurrence start must be a valid ISO 8601 date')
 ];
 
 // Task update validation
@@ -263,8 +595,10 @@ export const validateUpdateTask = [
 
   body('status')
     .optional()
-    .isIn(['todo', 'in-progress', 'review', 'done'])
-    .withMessage('Status must be todo, in-progress, review, or done'),
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Status must be a workflow status key'),
 
   body('priority')
     .optional()
@@ -281,10 +615,10 @@ export const validateUpdateTask = [
     .isFloat({ min: 0, max: 1000 })
     .withMessage('Estimated hours must be between 0 and 1000'),
 
-  body('actualHours')
+  body('storyPoints')
     .optional()
-    .isFloat({ min: 0, max: 1000 })
-    .withMessage('Actual hours must be between 0 and 1000'),
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Story points must be between 0 and 100'),
 
   body('tags')
     .optional()
@@ -295,7 +629,292 @@ export const validateUpdateTask = [
     .optional()
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Each tag must be between 1 and 50 characters')
+    .withMessage('Each tag must be between 1 and 50 characters'),
+
+  body('assignees')
+    .optional()
+    .isArray()
+    .withMessage('Assignees must be an array of user IDs'),
+
+  body('assignees.*')
+    .isMongoId()
+    .withMessage('Each assignee must be a valid user ID'),
+
+  body('dependencies')
+    .optional()
+    .isArray()
+    .withMessage('Dependencies must be an array of task IDs'),
+
+  body('customFields')
+    .optional()
+    .isObject()
+    .withMessage('Custom fields must be an object keyed by field key'),
+
+  body('scope')
+    .optional()
+    .isIn(['occurrence', 'series'])
+    .withMessage('Scope must be occurrence or series')
+];
+
+// Task duplicate validation
+export const validateDuplicateTask = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Task title must be less than 200 characters'),
+
+  body('assignees')
+    .optional()
+    .isArray()
+    .withMessage('Assignees must be an array of user IDs'),
+
+  body('assignees.*')
+    .isMongoId()
+    .withMessage('Each assignee must be a valid user ID'),
+
+  body(['includeAssignees', 'includeSubtasks', 'includeAttachments', 'includeComments'])
+    .optional()
+    .isBoolean()
+    .withMessage('Include options must be true or false')
+];
+
+// Task move validation
+export const validateMoveTask = [
+  body('workspaceId')
+    .isMongoId()
+    .withMessage('Target workspace ID is required'),
+
+  body('assigneeMap')
+    .optional()
+    .isObject()
+    .withMessage('assigneeMap must map current assignee IDs to target member IDs')
+    .custom(map => Object.entries(map).every(([from, to]) =>
+      /^[0-9a-fA-F]{24}$/.test(from) && /^[0-9a-fA-F]{24}$/.test(to)))
+    .withMessage('assigneeMap must map current assignee IDs to target member IDs')
+];
+
+// Task reorder validation
+export const validateReorderTask = [
+  body('status')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Status must be a workflow status key'),
+
+  body(['prevTaskId', 'nextTaskId'])
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Neighbouring task IDs must be valid IDs'),
+
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be true or false')
+];
+
+// Bulk list changes are either a replacement array or { add, remove } arrays
+const checkBulkListChange = (value) => {
+  if (Array.isArray(value)) return true;
+
+  const isList = list => list === undefined || Array.isArray(list);
+  if (typeof value !== 'object' || value === null || !isList(value.add) || !isList(value.remove)) {
+    throw new Error('Must be an array or an object with add and remove arrays');
+  }
+
+  return true;
+};
+
+const bulkTaskIdRules = [
+  body('taskIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('taskIds must be an array of 1 to 100 task IDs'),
+
+  body('taskIds.*')
+    .isMongoId()
+    .withMessage('Each task ID must be a valid ID')
+];
+
+// Bulk task update validation
+export const validateBulkUpdate = [
+  ...bulkTaskIdRules,
+
+  body('data')
+    .isObject()
+    .withMessage('data must be an object of changes'),
+
+  body('data.status')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Status must be a workflow status key'),
+
+  body('data.priority')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Priority must be low, medium, high, or urgent'),
+
+  body('data.assignees')
+    .optional()
+    .custom(checkBulkListChange),
+
+  body('data.tags')
+    .optional()
+    .custom(checkBulkListChange),
+
+  body('data.dueDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Due date must be a valid ISO 8601 date'),
+
+  body('data.shiftDueDateDays')
+    .optional()
+    .isInt({ min: -3650, max: 3650 })
+    .withMessage('Due date shift must be a whole number of days'),
+
+  body('data.archive')
+    .optional()
+    .isBoolean()
+    .withMessage('archive must be true or false'),
+
+  body('data')
+    .custom(data => !(data?.dueDate !== undefined && data?.shiftDueDateDays !== undefined))
+    .withMessage('Set either dueDate or shiftDueDateDays, not both')
+];
+
+// Bulk task delete validation
+export const validateBulkDelete = bulkTaskIdRules;
+
+// Sprint validation; dates are required when creating
+const sprintRules = (nameRule, required) => [
+  nameRule
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Sprint name must be between 1 and 100 characters'),
+
+  body('goal')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Sprint goal cannot exceed 500 characters'),
+
+  body(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Sprint dates must be valid dates'),
+
+  body('endDate')
+    .custom((endDate, { req }) => {
+      const { startDate } = req.body;
+      if (required && (!startDate || !endDate)) {
+        throw new Error('Sprint start and end dates are required');
+      }
+      if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
+        throw new Error('Sprint end date must be after its start date');
+      }
+      return true;
+    })
+];
+
+export const validateCreateSprint = sprintRules(body('name'), true);
+
+export const validateUpdateSprint = sprintRules(body('name').optional(), false);
+
+// Tasks planned into a sprint
+export const validateSprintTasks = bulkTaskIdRules;
+
+// Sprint completion validation
+export const validateCompleteSprint = [
+  body('carryOverTo')
+    .optional()
+    .custom(value => value === 'backlog' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('carryOverTo must be "backlog" or a sprint ID')
+];
+
+// Automation rule validation. Trigger, condition and action details are
+// checked by validateRule in utils/automation.js.
+const automationRuleRules = (nameRule, required) => [
+  nameRule
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rule name is required and must be less than 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Rule description cannot exceed 500 characters'),
+
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be true or false'),
+
+  body('trigger')
+    .if((value, { req }) => required || req.body.trigger !== undefined)
+    .isObject()
+    .withMessage('Rule trigger is required'),
+
+  body('conditions')
+    .optional()
+    .isArray()
+    .withMessage('Conditions must be an array'),
+
+  body('actions')
+    .if((value, { req }) => required || req.body.actions !== undefined)
+    .isArray({ min: 1 })
+    .withMessage('Rules need at least one action')
+];
+
+export const validateCreateAutomationRule = automationRuleRules(body('name'), true);
+
+export const validateUpdateAutomationRule = automationRuleRules(body('name').optional(), false);
+
+// Webhook validation. URLs are checked against private addresses by the controller.
+const webhookRules = (required) => {
+  const field = name => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Webhook name is required and must be less than 100 characters'),
+
+    field('url')
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('Webhook URL must be a valid http or https URL'),
+
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('Webhooks must subscribe to at least one event'),
+
+    body('events.*')
+      .isIn([...WEBHOOK_EVENTS, WILDCARD_EVENT])
+      .withMessage(`Webhook events must be ${WILDCARD_EVENT} or one of ${WEBHOOK_EVENTS.join(', ')}`),
+
+    body('enabled')
+      .optional()
+      .isBoolean()
+      .withMessage('enabled must be true or false')
+  ];
+};
+
+export const validateCreateWebhook = webhookRules(true);
+
+export const validateUpdateWebhook = webhookRules(false);
+
+// Task recurrence validation
+export const validateRecurrence = [
+  body('rule')
+    .custom(checkRecurrenceRule),
+
+  body('dtstart')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurrence start must be a valid ISO 8601 date')
 ];
 
 // Comment creation validation
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+import { TOKEN_SCOPES, hashAccessToken } from '../utils/accessTokens.js';
+
+// How often last-used details are written for a busy token
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+// Personal access token schema definition
+const accessTokenSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Leading characters of the token, shown so users can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: TOKEN_SCOPES,
+        message: 'Invalid token scope'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Tokens need at least one scope'
+    }
+  },
+  // When set, the token only works for this workspace
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index definitions
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for expiry
+accessTokenSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Instance methods
+accessTokenSchema.methods = {
+  // Record use without writing on every request
+  async touch(ipAddress) {
+    const now = new Date();
+    if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_THROTTLE_MS) return;
+
+    this.lastUsedAt = now;
+    this.lastUsedIp = ipAddress;
+    await this.constructor.updateOne({ _id: this._id }, {
+      $set: { lastUsedAt: now, lastUsedIp: ipAddress }
+    });
+  },
+
+  toPublicJSON() {
+    return {
+      _id: this._id,
+      name: this.name,
+      prefix: this.prefix,
+      scopes: this.scopes,
+      workspace: this.workspace,
+      expiresAt: this.expiresAt,
+      isExpired: this.isExpired,
+      lastUsedAt: this.lastUsedAt,
+      lastUsedIp: this.lastUsedIp,
+      revokedAt: this.revokedAt,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+// Static methods
+accessTokenSchema.statics = {
+  // Find the live token matching a presented token string
+  async findActive(token) {
+    return this.findOne({
+      tokenHash: hashAccessToken(token),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+};
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+export default AccessToken;
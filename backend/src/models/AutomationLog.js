@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import { AUTOMATION_TRIGGERS, ACTION_TYPES } from '../utils/automation.js';
+
+export const AUTOMATION_RUN_STATUSES = ['success', 'partial', 'failed', 'skipped'];
+
+// Automation execution log schema definition
+const automationLogSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule',
+    required: true
+  },
+  ruleName: String,
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: AUTOMATION_TRIGGERS,
+    required: true
+  },
+  // User whose change fired the trigger, if any
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: AUTOMATION_RUN_STATUSES,
+    required: true
+  },
+  // Position in a cascade of rules; 1 for runs fired by a person
+  depth: {
+    type: Number,
+    default: 1
+  },
+  actions: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ACTION_TYPES
+    },
+    status: {
+      type: String,
+      enum: ['success', 'failed']
+    },
+    message: String
+  }],
+  reason: String,
+  durationMs: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index definitions
+automationLogSchema.index({ workspace: 1, createdAt: -1 });
+automationLogSchema.index({ rule: 1, createdAt: -1 });
+automationLogSchema.index({ task: 1, createdAt: -1 });
+// Old entries expire on their own
+automationLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.automation.logRetentionDays * 24 * 60 * 60 }
+);
+
+// Static methods
+automationLogSchema.statics = {
+  // Page through a workspace's log, newest first
+  async findForWorkspace(workspaceId, filters = {}, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    const query = { workspace: workspaceId };
+
+    if (filters.rule) query.rule = filters.rule;
+    if (filters.task) query.task = filters.task;
+    if (filters.status) query.status = filters.status;
+
+    const logs = await this.find(query)
+      .populate('task', 'title status')
+      .populate('actor', 'firstName lastName avatar')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await this.countDocuments(query);
+
+    return {
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+};
+
+const AutomationLog = mongoose.model('AutomationLog', automationLogSchema);
+
+export default AutomationLog;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import { AUTOMATION_TRIGGERS, CONDITION_OPERATORS, ACTION_TYPES } from '../utils/automation.js';
+
+// Automation rule schema definition
+const automationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rule description cannot exceed 500 characters'],
+    default: ''
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Rule must belong to a workspace']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  trigger: {
+    type: {
+      type: String,
+      enum: {
+        values: AUTOMATION_TRIGGERS,
+        message: 'Invalid automation trigger'
+      },
+      required: [true, 'Rule trigger is required']
+    },
+    // Optional status filters for status_changed triggers
+    from: String,
+    to: String
+  },
+  conditions: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    operator: {
+      type: String,
+      enum: CONDITION_OPERATORS,
+      required: true
+    },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  // Action parameters depend on the type; utils/automation.js validates them
+  actions: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ACTION_TYPES,
+      required: true
+    },
+    field: String,
+    value: mongoose.Schema.Types.Mixed,
+    mode: String,
+    users: [String],
+    recipients: [String],
+    text: String,
+    message: String,
+    status: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  stats: {
+    runs: {
+      type: Number,
+      default: 0
+    },
+    failures: {
+      type: Number,
+      default: 0
+    },
+    lastRunAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index definitions
+automationRuleSchema.index({ workspace: 1, enabled: 1, 'trigger.type': 1 });
+
+// Instance methods
+automationRuleSchema.methods = {
+  // Count a run towards the rule's stats without loading it again
+  async recordRun(failed) {
+    await this.constructor.updateOne({ _id: this._id }, {
+      $inc: { 'stats.runs': 1, 'stats.failures': failed ? 1 : 0 },
+      $set: { 'stats.lastRunAt': new Date() }
+    });
+  }
+};
+
+// Static methods
+automationRuleSchema.statics = {
+  // Enabled rules for a trigger, oldest first so rules run in creation order
+  async findForTrigger(workspaceId, triggerType) {
+    return this.find({ workspace: workspaceId, enabled: true, 'trigger.type': triggerType })
+      .sort({ createdAt: 1 });
+  }
+};
+
+const AutomationRule = mongoose.model('AutomationRule', automationRuleSchema);
+
+export default AutomationRule;
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
 import realtimeService from '../services/realtimeService.js';
+import webhookService from '../services/webhookService.js';
 
 // Comment schema definition
 const commentSchema = new mongoose.Schema({
@@ -64,6 +65,20 @@ const commentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  editHistory: [{
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   parentComment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment',
@@ -180,6 +195,13 @@ commentSchema.methods = {
       throw new Error('Cannot edit deleted comment');
     }
 
+    // Keep the previous revision so edits can be audited
+    this.editHistory.push({
+      content: this.content,
+      editedAt: new Date(),
+      editedBy
+    });
+
     this.content = newContent;
     this.isEdited = true;
     this.editedAt = new Date();
@@ -204,6 +226,7 @@ commentSchema.methods = {
     this.mentions = [];
     this.attachments = [];
     this.reactions = [];
+    this.editHistory = [];
 
     await this.save();
     return this;
@@ -388,6 +411,43 @@ commentSchema.statics = {
       totalAttachments: 0,
       uniqueAuthorsCount: 0
     };
+  },
+
+  // Copy a task's comment threads onto another task, returning the new top-level comment IDs.
+  // Inserted directly so copied mentions do not notify anyone again.
+  async copyToTask(sourceTaskId, targetTaskId) {
+    const comments = await this.find({ task: sourceTaskId, isDeleted: { $ne: true } })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const newIds = new Map(comments.map(comment => [comment._id.toString(), new mongoose.Types.ObjectId()]));
+
+    const copies = comments
+      .filter(comment => !comment.parentComment || newIds.has(comment.parentComment.toString()))
+      .map(comment => ({
+        _id: newIds.get(comment._id.toString()),
+        content: comment.content,
+        author: comment.author,
+        task: targetTaskId,
+        mentions: comment.mentions,
+        attachments: comment.attachments.map(({ _id, ...attachment }) => attachment),
+        reactions: comment.reactions.map(({ _id, ...reaction }) => reaction),
+        isEdited: comment.isEdited,
+        editedAt: comment.editedAt,
+        editedBy: comment.editedBy,
+        parentComment: comment.parentComment ? newIds.get(comment.parentComment.toString()) : null,
+        replies: comment.replies
+          .map(replyId => newIds.get(replyId.toString()))
+          .filter(Boolean),
+        createdAt: comment.createdAt,
+        updatedAt: comment.updatedAt
+      }));
+
+    if (copies.length === 0) return [];
+
+    await this.insertMany(copies);
+
+    return copies.filter(copy => !copy.parentComment).map(copy => copy._id);
   }
 };
 
@@ -415,12 +475,16 @@ commentSchema.methods.broadcastCreate = async function(createdBy) {
   try {
     const task = await mongoose.model('Task').findById(this.task);
     if (task) {
+      const comment = await this.toDetailedJSON();
+
       realtimeService.broadcastToWorkspace(task.workspace.toString(), 'comment:created', {
-        comment: await this.toDetailedJSON(),
+        comment,
         taskId: this.task,
         createdBy,
         timestamp: new Date()
       });
+
+      webhookService.emit(task.workspace, 'comment.created', { taskId: this.task, comment, createdBy });
     }
   } catch (error) {
     logger.error('Error broadcasting comment creation:', error);
@@ -431,12 +495,16 @@ commentSchema.methods.broadcastUpdate = async function(updatedBy) {
   try {
     const task = await mongoose.model('Task').findById(this.task);
     if (task) {
+      const comment = await this.toDetailedJSON();
+
       realtimeService.broadcastToWorkspace(task.workspace.toString(), 'comment:updated', {
-        comment: await this.toDetailedJSON(),
+        comment,
         taskId: this.task,
         updatedBy,
         timestamp: new Date()
       });
+
+      webhookService.emit(task.workspace, 'comment.updated', { taskId: this.task, comment, updatedBy });
     }
   } catch (error) {
     logger.error('Error broadcasting comment update:', error);
@@ -453,6 +521,12 @@ commentSchema.methods.broadcastDelete = async function(deletedBy) {
         deletedBy,
         timestamp: new Date()
       });
+
+      webhookService.emit(task.workspace, 'comment.deleted', {
+        taskId: this.task,
+        commentId: this._id,
+        deletedBy
+      });
     }
   } catch (error) {
     logger.error('Error broadcasting comment deletion:', error);
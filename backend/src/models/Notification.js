@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+export const NOTIFICATION_TYPES = [
+  'task_assigned', 'task_due', 'task_status_changed', 'comment_mention', 'workspace_invite',
+  'automation'
+];
+
+// Notification schema definition
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification must have a recipient']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: 'Invalid notification type'
+    },
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Notification title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notification message cannot exceed 1000 characters']
+  },
+  actionUrl: String,
+  actionText: String,
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index definitions
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+// Old notifications expire automatically
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.notifications.retentionDays * 24 * 60 * 60 });
+
+// Instance methods
+notificationSchema.methods = {
+  // Mark notification as read
+  async markAsRead() {
+    if (!this.read) {
+      this.read = true;
+      this.readAt = new Date();
+      await this.save();
+    }
+
+    return this;
+  },
+
+  // Shape sent to clients
+  toPublicJSON() {
+    return {
+      _id: this._id,
+      type: this.type,
+      title: this.title,
+      message: this.message,
+      actionUrl: this.actionUrl,
+      actionText: this.actionText,
+      read: this.read,
+      readAt: this.readAt,
+      actor: this.actor,
+      workspace: this.workspace,
+      task: this.task,
+      metadata: this.metadata,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+// Static methods
+notificationSchema.statics = {
+  // Count unread notifications for a user
+  async getUnreadCount(userId) {
+    return this.countDocuments({ recipient: userId, read: false });
+  },
+
+  // Mark every unread notification for a user as read
+  async markAllAsRead(userId) {
+    const result = await this.updateMany(
+      { recipient: userId, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+
+// Saved view schema definition
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'View description cannot exceed 500 characters']
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'View must belong to a workspace']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'View must have an owner']
+  },
+  // Personal views are only visible to their owner
+  visibility: {
+    type: String,
+    enum: {
+      values: ['personal', 'shared'],
+      message: 'Visibility must be personal or shared'
+    },
+    default: 'personal'
+  },
+  viewType: {
+    type: String,
+    enum: {
+      values: ['kanban', 'list', 'calendar'],
+      message: 'View type must be kanban, list, or calendar'
+    },
+    default: 'kanban'
+  },
+  // Task list query parameters (status, priority, assignee, tags, dueDateRange, search, cf)
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sort: {
+    type: String,
+    trim: true,
+    default: '-createdAt'
+  },
+  groupBy: {
+    type: String,
+    trim: true,
+    default: 'none'
+  },
+  // Users who pinned this view to their sidebar
+  pinnedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index definitions
+savedViewSchema.index({ workspace: 1, visibility: 1, name: 1 });
+savedViewSchema.index({ workspace: 1, owner: 1 });
+
+// Instance methods
+savedViewSchema.methods = {
+  // Check if user created the view
+  isOwner(userId) {
+    return (this.owner._id || this.owner).toString() === userId.toString();
+  },
+
+  // Shared views are visible to the whole workspace
+  canView(userId) {
+    return this.visibility === 'shared' || this.isOwner(userId);
+  },
+
+  // Owners edit their views; managers can also edit shared ones
+  canEdit(userId, workspace) {
+    return this.isOwner(userId) ||
+      (this.visibility === 'shared' && workspace.hasRole(userId, 'manager'));
+  },
+
+  // Check if user pinned the view
+  isPinnedBy(userId) {
+    return this.pinnedBy.some(id => id.toString() === userId.toString());
+  },
+
+  // Pin or unpin the view for a user
+  async setPinned(userId, pinned) {
+    if (pinned && !this.isPinnedBy(userId)) {
+      this.pinnedBy.push(userId);
+    } else if (!pinned) {
+      this.pinnedBy = this.pinnedBy.filter(id => id.toString() !== userId.toString());
+    }
+
+    // Pinning is a personal preference, so it does not count as an edit
+    await this.save({ timestamps: false });
+    return this;
+  },
+
+  // Shape returned to clients, with flags for the requesting user when given
+  toPublicJSON(userId = null, workspace = null) {
+    return {
+      _id: this._id,
+      name: this.name,
+      description: this.description,
+      workspace: this.workspace,
+      owner: this.owner,
+      visibility: this.visibility,
+      viewType: this.viewType,
+      filters: this.filters,
+      sort: this.sort,
+      groupBy: this.groupBy,
+      ...(userId && {
+        isPinned: this.isPinnedBy(userId),
+        canEdit: workspace ? this.canEdit(userId, workspace) : this.isOwner(userId)
+      }),
+      updatedBy: this.updatedBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+};
+
+// Static methods
+savedViewSchema.statics = {
+  // Views a user can see in a workspace
+  async findVisible(workspaceId, userId) {
+    return this.find({
+      workspace: workspaceId,
+      $or: [{ visibility: 'shared' }, { owner: userId }]
+    })
+      .populate('owner', 'firstName lastName avatar')
+      .sort({ name: 1 });
+  }
+};
+
+const SavedView = mongoose.model('SavedView', savedViewSchema);
+
+export default SavedView;
@@ -0,0 +1,183 @@
+import mongoose from 'mongoose';
+import { SPRINT_STATES, calculateVelocity, VELOCITY_WINDOW } from '../utils/sprints.js';
+
+// Sprint schema definition
+const sprintSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [100, 'Sprint name cannot exceed 100 characters']
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Sprint goal cannot exceed 500 characters'],
+    default: ''
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Sprint must belong to a workspace']
+  },
+  state: {
+    type: String,
+    enum: {
+      values: SPRINT_STATES,
+      message: 'Sprint state must be planned, active, or completed'
+    },
+    default: 'planned'
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Sprint start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Sprint end date is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Scope when the sprint started, used to compare committed and completed work
+  committedPoints: {
+    type: Number,
+    default: 0
+  },
+  committedTasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  startedAt: Date,
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: Date,
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Snapshot taken when the sprint is completed
+  report: {
+    committedPoints: Number,
+    completedPoints: Number,
+    addedPoints: Number,
+    totalTasks: Number,
+    completedTasks: Number,
+    incompleteTasks: Number,
+    carriedOverTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Sprint'
+    },
+    carriedOverTasks: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    }]
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Index definitions
+sprintSchema.index({ workspace: 1, state: 1, startDate: -1 });
+// A workspace runs one sprint at a time
+sprintSchema.index(
+  { workspace: 1 },
+  { unique: true, partialFilterExpression: { state: 'active' } }
+);
+
+// Sprints must end after they start
+sprintSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'Sprint end date must be after its start date');
+  }
+
+  next();
+});
+
+// Instance methods
+sprintSchema.methods = {
+  // Completed sprints are kept as a record and no longer change
+  isEditable() {
+    return this.state !== 'completed';
+  },
+
+  // Start the sprint, committing to the tasks currently planned into it
+  async start(startedBy, tasks) {
+    if (this.state !== 'planned') {
+      throw new Error('Only planned sprints can be started');
+    }
+
+    this.state = 'active';
+    this.startedAt = new Date();
+    this.startedBy = startedBy;
+    this.committedTasks = tasks.map(task => task._id);
+    this.committedPoints = tasks.reduce((total, task) => total + (task.storyPoints || 0), 0);
+
+    await this.save();
+    return this;
+  },
+
+  // Complete the sprint with its final report
+  async complete(completedBy, report) {
+    if (this.state !== 'active') {
+      throw new Error('Only active sprints can be completed');
+    }
+
+    this.state = 'completed';
+    this.completedAt = new Date();
+    this.completedBy = completedBy;
+    this.report = report;
+
+    await this.save();
+    return this;
+  },
+
+  // Shape returned to clients, with totals when given
+  toPublicJSON(summary = null) {
+    return {
+      _id: this._id,
+      name: this.name,
+      goal: this.goal,
+      workspace: this.workspace,
+      state: this.state,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      createdBy: this.createdBy,
+      committedPoints: this.committedPoints,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      ...(this.state === 'completed' && { report: this.report }),
+      ...(summary && { summary }),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+};
+
+// Static methods
+sprintSchema.statics = {
+  // Find the sprint a workspace is currently running
+  async findActive(workspaceId) {
+    return this.findOne({ workspace: workspaceId, state: 'active' });
+  },
+
+  // Velocity over the most recent completed sprints
+  async getVelocity(workspaceId, window = VELOCITY_WINDOW) {
+    const sprints = await this.find({ workspace: workspaceId, state: 'completed' })
+      .sort({ completedAt: -1 })
+      .limit(window)
+      .select('name endDate report');
+
+    return calculateVelocity(sprints, window);
+  }
+};
+
+const Sprint = mongoose.model('Sprint', sprintSchema);
+
+export default Sprint;
@@ -1,6 +1,22 @@
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import config from '../config/index.js';
 import realtimeService from '../services/realtimeService.js';
+import webhookService from '../services/webhookService.js';
+import { buildGraph, wouldCreateCycle } from '../utils/dependencyGraph.js';
+import { rankBetween, spreadRanks } from '../utils/ranking.js';
+import { STATUS_CATEGORIES } from '../utils/workflow.js';
+import { buildCustomFieldFacets, formatCustomFieldStats, normalizeFieldValue } from '../utils/customFields.js';
+import { ACTIVITY_TRIGGERS } from '../utils/automation.js';
+
+// Status categories that cannot be entered while a blocking dependency is unfinished
+export const BLOCKED_CATEGORIES = ['active', 'done'];
+
+// Board order: columns, then manual rank, with older cards first on ties
+export const BOARD_SORT = { status: 1, position: 1, createdAt: 1 };
+
+// Fields copied from the series root into each recurring instance
+export const SERIES_FIELDS = ['title', 'description', 'priority', 'assignees', 'tags', 'estimatedHours', 'storyPoints', 'customFields'];
 
 // Task schema definition
 const taskSchema = new mongoose.Schema({
@@ -17,13 +33,17 @@ const taskSchema = new mongoose.Schema({
     maxlength: [2000, 'Description cannot exceed 2000 characters'],
     default: ''
   },
+  // Key of a status in the workspace workflow; defaults to the workflow's first not-started status
   status: {
     type: String,
-    enum: {
-      values: ['todo', 'in-progress', 'review', 'done'],
-      message: 'Status must be todo, in-progress, review, or done'
-    },
-    default: 'todo',
+    trim: true,
+    index: true
+  },
+  // Category of the current status, kept in sync with the workspace workflow
+  statusCategory: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    default: 'not-started',
     index: true
   },
   priority: {
@@ -51,19 +71,42 @@ const taskSchema = new mongoose.Schema({
     required: [true, 'Task must have a creator'],
     index: true
   },
+  // Users notified about status changes
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   dueDate: {
     type: Date,
     index: true
   },
+  // Due date the last due-soon reminder was sent for
+  dueReminderSentFor: Date,
+  // Due date the last due_date_passed automation ran for
+  overdueTriggeredFor: Date,
   estimatedHours: {
     type: Number,
     min: [0, 'Estimated hours cannot be negative'],
     max: [1000, 'Estimated hours cannot exceed 1000']
   },
+  // Relative size estimate used for sprint planning and velocity
+  storyPoints: {
+    type: Number,
+    min: [0, 'Story points cannot be negative'],
+    max: [100, 'Story points cannot exceed 100']
+  },
+  // Sprint the task is planned into; tasks without one are in the backlog
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null,
+    index: true
+  },
+  // Rolled up from the task's time entries
   actualHours: {
     type: Number,
     min: [0, 'Actual hours cannot be negative'],
-    max: [1000, 'Actual hours cannot exceed 1000']
+    default: 0
   },
   tags: [{
     type: String,
@@ -78,6 +121,13 @@ const taskSchema = new mongoose.Schema({
     url: String,
     size: Number,
     mimeType: String,
+    storage: {
+      type: String,
+      enum: ['local', 's3'],
+      default: 'local'
+    },
+    key: String,
+    bucket: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -116,13 +166,23 @@ const taskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
   }],
+  // Values for the workspace's custom fields, keyed by field key
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   activity: [{
     type: {
       type: String,
       enum: [
         'created', 'updated', 'status_changed', 'priority_changed',
         'assigned', 'unassigned', 'due_date_changed', 'comment_added',
-        'attachment_added', 'subtask_added', 'subtask_completed'
+        'attachment_added', 'attachment_removed', 'subtask_added',
+        'subtask_completed', 'dependency_added', 'dependency_removed',
+        'recurrence_updated', 'recurrence_stopped', 'custom_fields_updated',
+        'time_logged', 'archived', 'restored', 'moved', 'trashed',
+        'sprint_changed'
       ],
       required: true
     },
@@ -142,6 +202,7 @@ const taskSchema = new mongoose.Schema({
     previousValue: mongoose.Schema.Types.Mixed,
     newValue: mongoose.Schema.Types.Mixed
   }],
+  // Fractional rank of the card within its board column (workspace + status)
   position: {
     type: Number,
     default: 0,
@@ -156,17 +217,50 @@ const taskSchema = new mongoose.Schema({
   archivedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Deleted tasks sit in the workspace trash until they are restored or purged
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Recurrence rule, only set on the root task of a series
+  recurrence: {
+    rule: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Recurrence rule cannot exceed 500 characters']
+    },
+    dtstart: Date,
+    isActive: Boolean,
+    endedAt: Date
+  },
+  // Root task of the recurring series this task belongs to (the root points at itself)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  occurrenceDate: Date,
+  // Set when a single occurrence has been edited apart from its series
+  isRecurrenceException: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
+  toJSON: { virtuals: true, flattenMaps: true },
+  toObject: { virtuals: true, flattenMaps: true }
 });
 
 // Virtual for completion percentage
 taskSchema.virtual('completionPercentage').get(function() {
   if (this.subtasks.length === 0) {
-    return this.status === 'done' ? 100 : 0;
+    return this.statusCategory === 'done' ? 100 : 0;
   }
 
   const completedSubtasks = this.subtasks.filter(subtask => subtask.completed).length;
@@ -175,7 +269,7 @@ taskSchema.virtual('completionPercentage').get(function() {
 
 // Virtual for overdue status
 taskSchema.virtual('isOverdue').get(function() {
-  if (!this.dueDate || this.status === 'done') return false;
+  if (!this.dueDate || this.statusCategory === 'done') return false;
   return new Date() > this.dueDate;
 });
 
@@ -202,17 +296,102 @@ taskSchema.virtual('timeTrackingCompletion').get(function() {
 
 // Index definitions
 taskSchema.index({ workspace: 1, status: 1, createdAt: -1 });
+taskSchema.index({ workspace: 1, statusCategory: 1, dueDate: 1 });
 taskSchema.index({ workspace: 1, assignees: 1 });
 taskSchema.index({ workspace: 1, dueDate: 1 });
 taskSchema.index({ workspace: 1, priority: 1 });
 taskSchema.index({ workspace: 1, tags: 1 });
-taskSchema.index({ workspace: 1, position: 1 });
+taskSchema.index({ workspace: 1, status: 1, position: 1 });
 taskSchema.index({ workspace: 1, isArchived: 1 });
+taskSchema.index({ workspace: 1, isDeleted: 1, deletedAt: -1 });
 taskSchema.index({ createdBy: 1, createdAt: -1 });
 taskSchema.index({ 'activity.timestamp': -1 });
+taskSchema.index(
+  { seriesId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $exists: true } } }
+);
+
+// Strip storage internals from an attachment before sending it to clients
+export const toPublicAttachment = (attachment) => {
+  const { path, key, bucket, ...publicAttachment } = attachment;
+  return publicAttachment;
+};
+
+// Resolve the status against the workspace workflow
+taskSchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('status')) return next();
+
+  try {
+    // Import Workspace model dynamically to avoid circular dependencies
+    const Workspace = (await import('./Workspace.js')).default;
+    const workspace = await Workspace.findById(this.workspace).select('workflow');
+
+    if (!workspace) return next();
+
+    if (!this.status) {
+      this.status = workspace.getDefaultStatus();
+    }
+
+    const status = workspace.getStatus(this.status);
+    if (!status) {
+      const error = new mongoose.Error.ValidationError(this);
+      error.addError('status', new mongoose.Error.ValidatorError({
+        path: 'status',
+        value: this.status,
+        message: `Status ${this.status} is not defined in this workspace's workflow`
+      }));
+      return next(error);
+    }
+
+    this.statusCategory = status.category;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cards entering a column go to its end unless they were placed explicitly
+taskSchema.pre('save', async function(next) {
+  const changesColumn = this.isNew || this.isModified('status') || this.isModified('workspace');
+  if (!changesColumn || (this.isModified('position') && !this.isNew) || !this.status) return next();
+
+  try {
+    const last = await this.constructor.findOne({
+      workspace: this.workspace,
+      status: this.status,
+      _id: { $ne: this._id },
+      isDeleted: { $ne: true }
+    }).sort({ position: -1 }).select('position');
+
+    this.position = rankBetween(last ? last.position : null, null);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Creators and assignees watch the tasks they are involved in
+taskSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('assignees')) {
+    for (const userId of [this.createdBy, ...this.assignees]) {
+      if (userId && !this.watchers.some(watcher => watcher.equals(userId))) {
+        this.watchers.push(userId);
+      }
+    }
+  }
+
+  next();
+});
 
 // Pre-save middleware
 taskSchema.pre('save', async function(next) {
+  // Remember completions so the post-save hook can continue recurring series
+  this.$locals.completedNow = !this.isNew && this.isModified('status') && this.statusCategory === 'done';
+
+  // Changes that alter burndown and flow history invalidate cached analytics
+  this.$locals.historyChanged = this.isNew ||
+    ['status', 'storyPoints', 'sprint', 'workspace', 'isDeleted'].some(path => this.isModified(path));
+
   // Auto-update workspace stats when task is saved
   if (this.isModified() && !this.isNew) {
     try {
@@ -266,20 +445,55 @@ taskSchema.methods = {
     return this;
   },
 
-  // Update status
-  async updateStatus(newStatus, updatedBy) {
+  // Start watching the task
+  async addWatcher(userId) {
+    if (this.watchers.some(watcher => watcher.equals(userId))) {
+      throw new Error('User is already watching this task');
+    }
+
+    this.watchers.push(userId);
+    await this.save();
+
+    return this;
+  },
+
+  // Stop watching the task
+  async removeWatcher(userId) {
+    const index = this.watchers.findIndex(watcher => watcher.equals(userId));
+    if (index === -1) {
+      throw new Error('User is not watching this task');
+    }
+
+    this.watchers.splice(index, 1);
+    await this.save();
+
+    return this;
+  },
+
+  // Update status, following the workspace workflow
+  async updateStatus(newStatus, updatedBy, details = {}) {
+    const Workspace = (await import('./Workspace.js')).default;
+    const workspace = await Workspace.findById(this.workspace);
+
+    const status = workspace.getStatus(newStatus);
+    if (!status) {
+      throw new Error(`Status ${newStatus} is not defined in this workspace's workflow`);
+    }
+
+    if (!workspace.canTransition(this.status, newStatus)) {
+      throw new Error(`Tasks cannot move from ${this.status} to ${newStatus}`);
+    }
+
     const oldStatus = this.status;
     this.status = newStatus;
+    this.statusCategory = status.category;
 
-    await this.logActivity('status_changed', updatedBy, {}, oldStatus, newStatus);
+    await this.logActivity('status_changed', updatedBy, { ...details, category: status.category }, oldStatus, newStatus);
     await this.save();
 
     // Update workspace stats
     try {
-      const Workspace = (await import('./Workspace.js')).default;
-      await Workspace.findById(this.workspace).then(workspace => {
-        if (workspace) workspace.updateTaskStats();
-      });
+      await workspace.updateTaskStats();
     } catch (error) {
       logger.error('Failed to update workspace stats:', error);
     }
@@ -357,8 +571,106 @@ taskSchema.methods = {
     return this.attachments[this.attachments.length - 1];
   },
 
-  // Log activity
-  async logActivity(type, user, details = {}, previousValue = null, newValue = null) {
+  // Remove attachment
+  async removeAttachment(attachmentId, removedBy) {
+    const attachment = this.attachments.id(attachmentId);
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    const removed = attachment.toObject();
+    this.attachments.pull(attachmentId);
+
+    await this.logActivity('attachment_removed', removedBy, {
+      filename: removed.filename,
+      size: removed.size
+    });
+    await this.save();
+
+    return removed;
+  },
+
+  // Add a task this task depends on
+  async addDependency(dependencyId, addedBy) {
+    if (this.dependencies.some(dep => dep.toString() === dependencyId.toString())) {
+      throw new Error('Task already depends on this task');
+    }
+
+    this.dependencies.push(dependencyId);
+    await this.logActivity('dependency_added', addedBy, { dependencyId });
+    await this.save();
+
+    return this;
+  },
+
+  // Remove a dependency
+  async removeDependency(dependencyId, removedBy) {
+    const index = this.dependencies.findIndex(dep => dep.toString() === dependencyId.toString());
+    if (index === -1) {
+      throw new Error('Task does not depend on this task');
+    }
+
+    this.dependencies.splice(index, 1);
+    await this.logActivity('dependency_removed', removedBy, { dependencyId });
+    await this.save();
+
+    return this;
+  },
+
+  // Get dependencies that are still unfinished
+  async getUnfinishedBlockers() {
+    if (this.dependencies.length === 0) return [];
+
+    return this.constructor.find({
+      _id: { $in: this.dependencies },
+      statusCategory: { $ne: 'done' },
+      isArchived: { $ne: true },
+      isDeleted: { $ne: true }
+    }).select('title status statusCategory dueDate');
+  },
+
+  // Turn this task into the root of a recurring series, or replace its rule
+  async setRecurrence(rule, dtstart, updatedBy) {
+    if (this.seriesId && this.seriesId.toString() !== this._id.toString()) {
+      throw new Error('Recurrence can only be changed on the series root');
+    }
+
+    const previousRule = this.recurrence?.rule || null;
+
+    this.recurrence = { rule, dtstart, isActive: true };
+    this.seriesId = this._id;
+    this.occurrenceDate = this.occurrenceDate || dtstart;
+
+    await this.logActivity('recurrence_updated', updatedBy, {}, previousRule, rule);
+    await this.save();
+
+    return this;
+  },
+
+  // Stop generating further occurrences of the series
+  async stopRecurrence(stoppedBy) {
+    if (!this.recurrence?.rule || !this.recurrence.isActive) {
+      throw new Error('Task does not have an active recurrence');
+    }
+
+    this.recurrence.isActive = false;
+    this.recurrence.endedAt = new Date();
+
+    if (stoppedBy) {
+      await this.logActivity('recurrence_stopped', stoppedBy, { rule: this.recurrence.rule });
+    }
+    await this.save();
+
+    return this;
+  },
+
+  // Check whether this task is the root of a recurring series
+  isSeriesRoot() {
+    return Boolean(this.seriesId) && this.seriesId.toString() === this._id.toString();
+  },
+
+  // Record activity without saving, for callers that save several changes at once
+  addActivity(type, user, details = {}, previousValue = null, newValue = null) {
     const activity = {
       type,
       user,
@@ -375,6 +687,19 @@ taskSchema.methods = {
       this.activity = this.activity.slice(-100);
     }
 
+    // Activity that fires automation rules is dispatched once the task is saved
+    if (ACTIVITY_TRIGGERS[type]) {
+      this.$locals.automationEvents = [
+        ...(this.$locals.automationEvents || []),
+        { type: ACTIVITY_TRIGGERS[type], actor: user, from: previousValue, to: newValue, details }
+      ];
+    }
+  },
+
+  // Log activity
+  async logActivity(type, user, details = {}, previousValue = null, newValue = null) {
+    this.addActivity(type, user, details, previousValue, newValue);
+
     await this.save({ validateBeforeSave: false });
   },
 
@@ -388,17 +713,9 @@ taskSchema.methods = {
     this.archivedAt = new Date();
     this.archivedBy = archivedBy;
 
+    this.addActivity('archived', archivedBy);
     await this.save();
-
-    // Update workspace stats
-    try {
-      const Workspace = (await import('./Workspace.js')).default;
-      await Workspace.findById(this.workspace).then(workspace => {
-        if (workspace) workspace.updateTaskStats();
-      });
-    } catch (error) {
-      logger.error('Failed to update workspace stats:', error);
-    }
+    await this.refreshWorkspaceStats();
 
     return this;
   },
@@ -413,11 +730,180 @@ taskSchema.methods = {
     this.archivedAt = undefined;
     this.archivedBy = undefined;
 
+    this.addActivity('restored', unarchivedBy, { from: 'archive' });
     await this.save();
+    await this.refreshWorkspaceStats();
 
     return this;
   },
 
+  // Move task to the workspace trash
+  async moveToTrash(deletedBy) {
+    if (this.isDeleted) {
+      throw new Error('Task is already in the trash');
+    }
+
+    this.isDeleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+
+    this.addActivity('trashed', deletedBy);
+    await this.save();
+    await this.refreshWorkspaceStats();
+
+    return this;
+  },
+
+  // Restore task from the workspace trash
+  async restoreFromTrash(restoredBy) {
+    if (!this.isDeleted) {
+      throw new Error('Task is not in the trash');
+    }
+
+    this.isDeleted = false;
+    this.deletedAt = undefined;
+    this.deletedBy = undefined;
+
+    this.addActivity('restored', restoredBy, { from: 'trash' });
+    await this.save();
+    await this.refreshWorkspaceStats();
+
+    return this;
+  },
+
+  // When a trashed task will be permanently deleted
+  getPurgeDate() {
+    if (!this.isDeleted || !this.deletedAt) return null;
+    return new Date(this.deletedAt.getTime() + config.trash.retentionDays * 24 * 60 * 60 * 1000);
+  },
+
+  // Recount the workspace task stats after the task enters or leaves the board
+  async refreshWorkspaceStats() {
+    try {
+      const Workspace = (await import('./Workspace.js')).default;
+      const workspace = await Workspace.findById(this.workspace);
+      if (workspace) await workspace.updateTaskStats();
+    } catch (error) {
+      logger.error('Failed to update workspace stats:', error);
+    }
+  },
+
+  // Move the task to another workspace. Assignees, watchers and custom field
+  // values that do not fit the target are remapped or dropped, and dependency
+  // links are cut because dependencies cannot span workspaces.
+  async moveToWorkspace(target, movedBy, { assigneeMap = {} } = {}) {
+    if (this.workspace.toString() === target._id.toString()) {
+      throw new Error('Task already belongs to this workspace');
+    }
+
+    if (this.isSeriesRoot()) {
+      throw new Error('The root task of a recurring series cannot be moved');
+    }
+
+    for (const mappedId of Object.values(assigneeMap)) {
+      if (!target.isMember(mappedId)) {
+        throw new Error(`Assignee ${mappedId} is not a member of the target workspace`);
+      }
+    }
+
+    const Workspace = (await import('./Workspace.js')).default;
+    const source = await Workspace.findById(this.workspace);
+    const remap = userId => assigneeMap[userId.toString()] || userId.toString();
+
+    // Assignees are remapped, then dropped if they are not target members
+    const assignees = [];
+    const droppedAssignees = [];
+    for (const assigneeId of this.assignees) {
+      const mappedId = remap(assigneeId);
+      if (!target.isMember(mappedId)) {
+        droppedAssignees.push(assigneeId.toString());
+      } else if (!assignees.includes(mappedId)) {
+        assignees.push(mappedId);
+      }
+    }
+
+    const addedAssignees = assignees.filter(id => !this.assignees.some(assigneeId => assigneeId.toString() === id));
+    this.assignees = assignees;
+    this.watchers = this.watchers.filter(watcherId => target.isMember(watcherId));
+    for (const subtask of this.subtasks) {
+      if (!subtask.assignedTo) continue;
+      const mappedId = remap(subtask.assignedTo);
+      subtask.assignedTo = target.isMember(mappedId) ? mappedId : undefined;
+    }
+
+    // Keep the status key if the target has it, otherwise the first status of the same category
+    const previousStatus = this.status;
+    if (!target.getStatus(this.status)) {
+      this.status = target.getStatusKeys(this.statusCategory)[0] || target.getDefaultStatus();
+    }
+
+    // Custom field values survive only if the target defines a compatible field
+    const droppedCustomFields = [];
+    for (const [key, value] of [...this.customFields.entries()]) {
+      const definition = target.getCustomField(key);
+      const result = definition
+        ? normalizeFieldValue(definition, value, { isMember: userId => target.isMember(userId) })
+        : { error: true };
+
+      if (result.error) {
+        this.customFields.delete(key);
+        droppedCustomFields.push(key);
+      } else {
+        this.customFields.set(key, result.value);
+      }
+    }
+
+    // Detach occurrences from their series
+    if (this.seriesId) {
+      this.seriesId = undefined;
+      this.occurrenceDate = undefined;
+      this.isRecurrenceException = false;
+    }
+
+    // Cut dependency links in both directions
+    const removedDependencies = this.dependencies.map(dep => dep.toString());
+    this.dependencies = [];
+
+    const dependents = await this.constructor.find({ dependencies: this._id });
+    for (const dependent of dependents) {
+      dependent.dependencies.pull(this._id);
+      await dependent.logActivity('dependency_removed', movedBy, { dependencyId: this._id, reason: 'moved' });
+    }
+
+    // Sprints belong to the source workspace, so the task goes back to the backlog
+    const removedSprint = this.sprint ? this.sprint.toString() : null;
+    this.sprint = null;
+
+    const from = this.workspace;
+    this.workspace = target._id;
+    this.addActivity('moved', movedBy, {
+      droppedAssignees,
+      droppedCustomFields,
+      removedDependencies,
+      removedDependents: dependents.map(dependent => dependent._id.toString()),
+      removedSprint
+    }, { workspace: from, status: previousStatus }, { workspace: target._id, status: this.status });
+
+    await this.save();
+
+    // Update stats on both workspaces
+    try {
+      await Promise.all([source?.updateTaskStats(), target.updateTaskStats()]);
+    } catch (error) {
+      logger.error('Failed to update workspace stats:', error);
+    }
+
+    return {
+      from,
+      addedAssignees,
+      droppedAssignees,
+      droppedCustomFields,
+      removedDependencies,
+      removedDependents: dependents.map(dependent => dependent._id),
+      removedSprint
+    };
+  },
+
   // Check if user can access this task
   async canAccess(userId) {
     // Import Workspace model dynamically
@@ -439,6 +925,9 @@ taskSchema.methods = {
 
     const task = this.toObject();
 
+    // Storage locations stay on the server
+    task.attachments = task.attachments.map(toPublicAttachment);
+
     // Add computed fields
     task.completionPercentage = this.completionPercentage;
     task.isOverdue = this.isOverdue;
@@ -458,23 +947,44 @@ taskSchema.methods = {
 
 // Static methods
 taskSchema.statics = {
+  // Find a task by ID unless it is in the trash
+  async findAvailable(taskId) {
+    return this.findOne({ _id: taskId, isDeleted: { $ne: true } });
+  },
+
   // Find tasks by workspace
   async findByWorkspace(workspaceId, filters = {}, options = {}) {
-    const query = { workspace: workspaceId, isArchived: { $ne: true } };
+    const query = { workspace: workspaceId, isArchived: { $ne: true }, isDeleted: { $ne: true } };
 
     // Apply filters
-    if (filters.status) query.status = filters.status;
-    if (filters.priority) query.priority = filters.priority;
-    if (filters.assignee) query.assignees = filters.assignee;
+    if (filters.status) {
+      query.status = Array.isArray(filters.status) ? { $in: filters.status } : filters.status;
+    }
+    if (filters.statusCategory) {
+      query.statusCategory = Array.isArray(filters.statusCategory) ? { $in: filters.statusCategory } : filters.statusCategory;
+    }
+    if (filters.priority) {
+      query.priority = Array.isArray(filters.priority) ? { $in: filters.priority } : filters.priority;
+    }
+    if (filters.assignee) {
+      query.assignees = Array.isArray(filters.assignee) ? { $in: filters.assignee } : filters.assignee;
+    }
     if (filters.tags && filters.tags.length > 0) {
       query.tags = { $in: filters.tags };
     }
+    // 'backlog' selects tasks that are not planned into any sprint
+    if (filters.sprint) {
+      query.sprint = filters.sprint === 'backlog' ? null : filters.sprint;
+    }
     if (filters.dueDateRange) {
       query.dueDate = {
         $gte: filters.dueDateRange.start,
         $lte: filters.dueDateRange.end
       };
     }
+    if (filters.customFields) {
+      Object.assign(query, filters.customFields);
+    }
     if (filters.search) {
       query.$or = [
         { title: new RegExp(filters.search, 'i') },
@@ -482,13 +992,61 @@ taskSchema.statics = {
       ];
     }
 
-    // Apply options
-    const { page = 1, limit = 20, sort = { createdAt: -1 } } = options;
+    // Apply options; board order groups cards by column, then by rank
+    const { page = 1, limit = 20, sort = 'position' } = options;
+    const resolvedSort = sort === 'position' ? BOARD_SORT : sort;
 
     const tasks = await this.find(query)
       .populate('assignees', 'firstName lastName avatar')
       .populate('createdBy', 'firstName lastName avatar')
-      .sort(sort)
+      .sort(resolvedSort)
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await this.countDocuments(query);
+
+    return {
+      tasks,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  },
+
+  // Spread the ranks in a board column evenly again once moves have used up the gaps.
+  // Returns the new rank of every card in the column, keyed by task ID.
+  async rebalanceColumn(workspaceId, status) {
+    const tasks = await this.find({ workspace: workspaceId, status, isDeleted: { $ne: true } })
+      .sort({ position: 1, createdAt: 1 })
+      .select('_id');
+
+    const ranks = spreadRanks(tasks.length);
+
+    if (tasks.length > 0) {
+      await this.bulkWrite(tasks.map((task, index) => ({
+        updateOne: {
+          filter: { _id: task._id },
+          update: { $set: { position: ranks[index] } }
+        }
+      })));
+    }
+
+    return Object.fromEntries(tasks.map((task, index) => [task._id.toString(), ranks[index]]));
+  },
+
+  // Find tasks in a workspace trash, most recently deleted first
+  async findTrashed(workspaceId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const query = { workspace: workspaceId, isDeleted: true };
+
+    const tasks = await this.find(query)
+      .populate('assignees', 'firstName lastName avatar')
+      .populate('deletedBy', 'firstName lastName avatar')
+      .select('title status priority assignees deletedAt deletedBy')
+      .sort({ deletedAt: -1 })
       .limit(limit)
       .skip((page - 1) * limit);
 
@@ -505,13 +1063,49 @@ taskSchema.statics = {
     };
   },
 
+  // Status history of a workspace's tasks: only the status_changed entries
+  // of the activity log are loaded
+  async getStatusHistory(workspaceId, filters = {}) {
+    const match = {
+      workspace: new mongoose.Types.ObjectId(workspaceId),
+      isDeleted: { $ne: true }
+    };
+
+    if (filters.sprint) {
+      match.sprint = new mongoose.Types.ObjectId(filters.sprint);
+    }
+
+    if (filters.statusCategory) {
+      match.statusCategory = filters.statusCategory;
+    }
+
+    return this.aggregate([
+      { $match: match },
+      {
+        $project: {
+          status: 1,
+          statusCategory: 1,
+          storyPoints: 1,
+          createdAt: 1,
+          statusChanges: {
+            $filter: {
+              input: '$activity',
+              cond: { $eq: ['$$this.type', 'status_changed'] }
+            }
+          }
+        }
+      }
+    ]);
+  },
+
   // Find overdue tasks
   async findOverdue(workspaceId) {
     return this.find({
       workspace: workspaceId,
       dueDate: { $lt: new Date() },
-      status: { $ne: 'done' },
-      isArchived: { $ne: true }
+      statusCategory: { $ne: 'done' },
+      isArchived: { $ne: true },
+      isDeleted: { $ne: true }
     })
     .populate('assignees', 'firstName lastName email')
     .sort({ dueDate: 1 });
@@ -527,8 +1121,9 @@ taskSchema.statics = {
     return this.find({
       workspace: workspaceId,
       dueDate: { $gte: today, $lt: tomorrow },
-      status: { $ne: 'done' },
-      isArchived: { $ne: true }
+      statusCategory: { $ne: 'done' },
+      isArchived: { $ne: true },
+      isDeleted: { $ne: true }
     })
     .populate('assignees', 'firstName lastName email')
     .sort({ dueDate: 1 });
@@ -536,21 +1131,27 @@ taskSchema.statics = {
 
   // Get workspace task statistics
   async getWorkspaceStats(workspaceId) {
+    const match = {
+      workspace: new mongoose.Types.ObjectId(workspaceId),
+      isArchived: { $ne: true },
+      isDeleted: { $ne: true }
+    };
+
     const stats = await this.aggregate([
-      { $match: { workspace: workspaceId, isArchived: { $ne: true } } },
+      { $match: match },
       {
         $group: {
           _id: null,
           totalTasks: { $sum: 1 },
           completedTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'done'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] }
           },
           overdueTasks: {
             $sum: {
               $cond: [
                 {
                   $and: [
-                    { $ne: ['$status', 'done'] },
+                    { $ne: ['$statusCategory', 'done'] },
                     { $lt: ['$dueDate', new Date()] },
                     { $ne: ['$dueDate', null] }
                   ]
@@ -563,6 +1164,9 @@ taskSchema.statics = {
           byStatus: {
             $push: '$status'
           },
+          byCategory: {
+            $push: '$statusCategory'
+          },
           byPriority: {
             $push: '$priority'
           }
@@ -570,6 +1174,20 @@ taskSchema.statics = {
       }
     ]);
 
+    // Summarise the workspace's custom fields
+    const Workspace = (await import('./Workspace.js')).default;
+    const workspace = await Workspace.findById(workspaceId).select('customFields');
+    const definitions = workspace?.customFields || [];
+    let customFields = {};
+
+    if (definitions.length > 0) {
+      const [facets] = await this.aggregate([
+        { $match: match },
+        { $facet: buildCustomFieldFacets(definitions) }
+      ]);
+      customFields = formatCustomFieldStats(definitions, facets);
+    }
+
     if (stats.length === 0) {
       return {
         totalTasks: 0,
@@ -577,7 +1195,9 @@ taskSchema.statics = {
         overdueTasks: 0,
         completionRate: 0,
         byStatus: {},
-        byPriority: {}
+        byCategory: {},
+        byPriority: {},
+        customFields
       };
     }
 
@@ -592,13 +1212,104 @@ taskSchema.statics = {
       return acc;
     }, {});
 
+    // Count by status category
+    result.byCategory = result.byCategory.reduce((acc, category) => {
+      acc[category] = (acc[category] || 0) + 1;
+      return acc;
+    }, {});
+
     // Count by priority
     result.byPriority = result.byPriority.reduce((acc, priority) => {
       acc[priority] = (acc[priority] || 0) + 1;
       return acc;
     }, {});
 
+    result.customFields = customFields;
+
     return result;
+  },
+
+  // Build the dependency graph for all active tasks in a workspace
+  async getDependencyGraph(workspaceId) {
+    const tasks = await this.find({
+      workspace: workspaceId,
+      isArchived: { $ne: true },
+      isDeleted: { $ne: true }
+    }).select('title status statusCategory dependencies estimatedHours dueDate');
+
+    return buildGraph(tasks, { isFinished: task => task.statusCategory === 'done' });
+  },
+
+  // Check proposed dependencies for a task; returns an error message or null
+  async validateDependencies(task, dependencyIds) {
+    const ids = dependencyIds.map(id => id.toString());
+
+    if (new Set(ids).size !== ids.length) {
+      return 'Dependencies cannot contain duplicates';
+    }
+
+    const dependencies = await this.find({ _id: { $in: ids } }).select('workspace isArchived isDeleted');
+    if (dependencies.length !== ids.length) {
+      return 'One or more dependency tasks were not found';
+    }
+
+    if (dependencies.some(dep => dep.workspace.toString() !== task.workspace.toString())) {
+      return 'Dependencies must belong to the same workspace';
+    }
+
+    if (dependencies.some(dep => dep.isArchived)) {
+      return 'Archived tasks cannot be used as dependencies';
+    }
+
+    if (dependencies.some(dep => dep.isDeleted)) {
+      return 'Deleted tasks cannot be used as dependencies';
+    }
+
+    // New tasks have no dependents yet, so they cannot close a loop
+    if (task.isNew) return null;
+
+    const graph = await this.getDependencyGraph(task.workspace);
+    const taskId = task._id.toString();
+
+    // The proposed list replaces the current one
+    const node = graph.nodes.get(taskId);
+    if (node) node.dependencies = [];
+    for (const dependencyId of ids) {
+      const cycle = wouldCreateCycle(graph, taskId, dependencyId);
+      if (cycle) {
+        return `Adding this dependency would create a cycle: ${[taskId, ...cycle].join(' -> ')}`;
+      }
+    }
+
+    return null;
+  },
+
+  // Check whether another task still references an attachment's stored file
+  async isAttachmentShared(attachment, taskId) {
+    const match = attachment.storage === 's3'
+      ? { 'attachments.key': attachment.key }
+      : { 'attachments.filename': attachment.filename };
+
+    return Boolean(await this.exists({ _id: { $ne: taskId }, ...match }));
+  },
+
+  // Get total attachment bytes stored for a workspace
+  async getWorkspaceStorageUsage(workspaceId) {
+    const usage = await this.aggregate([
+      { $match: { workspace: new mongoose.Types.ObjectId(workspaceId) } },
+      { $unwind: '$attachments' },
+      {
+        $group: {
+          _id: null,
+          totalSize: { $sum: { $ifNull: ['$attachments.size', 0] } },
+          totalFiles: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return usage.length > 0
+      ? { totalSize: usage[0].totalSize, totalFiles: usage[0].totalFiles }
+      : { totalSize: 0, totalFiles: 0 };
   }
 };
 
@@ -612,6 +1323,43 @@ taskSchema.post('save', function(doc) {
   });
 });
 
+// Completing a recurring task schedules its next occurrence
+taskSchema.post('save', function(doc) {
+  if (!doc.$locals.completedNow || !doc.seriesId) return;
+
+  doc.$locals.completedNow = false;
+
+  // Import the service dynamically to avoid circular dependencies
+  import('../services/recurrenceService.js')
+    .then(({ default: recurrenceService }) => recurrenceService.generateNext(doc))
+    .catch(error => logger.error('Failed to schedule next occurrence:', error));
+});
+
+// Run the automation rules fired by the activity in this save
+taskSchema.post('save', function(doc) {
+  const events = doc.$locals.automationEvents;
+  if (!events?.length) return;
+
+  doc.$locals.automationEvents = [];
+
+  // Import the service dynamically to avoid circular dependencies
+  import('../services/automationService.js')
+    .then(({ default: automationService }) => automationService.handleEvents(doc, events))
+    .catch(error => logger.error('Failed to run automation rules:', error));
+});
+
+// Cached analytics for the workspace are rebuilt on their next request
+taskSchema.post('save', function(doc) {
+  if (!doc.$locals.historyChanged) return;
+
+  doc.$locals.historyChanged = false;
+
+  // Import the service dynamically to avoid circular dependencies
+  import('../services/analyticsService.js')
+    .then(({ default: analyticsService }) => analyticsService.invalidate(doc.workspace))
+    .catch(error => logger.error('Failed to invalidate analytics cache:', error));
+});
+
 // Post-remove middleware for logging
 taskSchema.post('remove', function(doc) {
   logger.database('task_removed', 'tasks', {
@@ -630,11 +1378,33 @@ taskSchema.methods.broadcastUpdate = async function(updates, updatedBy) {
       updatedBy,
       timestamp: new Date()
     });
+
+    webhookService.emit(this.workspace, 'task.updated', {
+      taskId: this._id,
+      title: this.title,
+      changes: updates,
+      updatedBy
+    });
   } catch (error) {
     logger.error('Error broadcasting task update:', error);
   }
 };
 
+taskSchema.methods.broadcastReorder = async function(move, updatedBy) {
+  try {
+    realtimeService.broadcastToWorkspace(this.workspace.toString(), 'task:reordered', {
+      taskId: this._id,
+      status: this.status,
+      position: this.position,
+      ...move,
+      updatedBy,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    logger.error('Error broadcasting task reorder:', error);
+  }
+};
+
 taskSchema.methods.broadcastCreate = async function(createdBy) {
   try {
     const taskData = await this.toDetailedJSON();
@@ -643,6 +1413,8 @@ taskSchema.methods.broadcastCreate = async function(createdBy) {
       createdBy,
       timestamp: new Date()
     });
+
+    webhookService.emit(this.workspace, 'task.created', { task: taskData, createdBy });
   } catch (error) {
     logger.error('Error broadcasting task creation:', error);
   }
@@ -655,6 +1427,12 @@ taskSchema.methods.broadcastDelete = async function(deletedBy) {
       deletedBy,
       timestamp: new Date()
     });
+
+    webhookService.emit(this.workspace, 'task.deleted', {
+      taskId: this._id,
+      title: this.title,
+      deletedBy
+    });
   } catch (error) {
     logger.error('Error broadcasting task deletion:', error);
   }
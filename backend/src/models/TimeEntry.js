@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { toHours } from '../utils/timeTracking.js';
+
+// Time entry schema definition
+const timeEntrySchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Time entry must belong to a workspace']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Time entry must belong to a task'],
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Time entry must belong to a user']
+  },
+  startedAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endedAt: Date,
+  // Seconds between start and end, set once the entry is stopped
+  duration: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    default: 0
+  },
+  isRunning: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  billable: {
+    type: Boolean,
+    default: false
+  },
+  source: {
+    type: String,
+    enum: ['timer', 'manual'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for duration in hours
+timeEntrySchema.virtual('hours').get(function() {
+  return toHours(this.duration);
+});
+
+// Index definitions
+timeEntrySchema.index({ workspace: 1, startedAt: -1 });
+timeEntrySchema.index({ workspace: 1, user: 1, startedAt: -1 });
+// A user can only have one timer running at a time
+timeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isRunning: true } }
+);
+
+// Keep duration in sync with the start and end times
+timeEntrySchema.pre('save', function(next) {
+  if (this.endedAt) {
+    this.duration = Math.max(0, Math.round((this.endedAt - this.startedAt) / 1000));
+    this.isRunning = false;
+  }
+
+  next();
+});
+
+// Instance methods
+timeEntrySchema.methods = {
+  // Stop a running timer
+  async stop(endedAt = new Date()) {
+    if (!this.isRunning) {
+      throw new Error('Timer is not running');
+    }
+
+    this.endedAt = endedAt;
+    await this.save();
+
+    return this;
+  }
+};
+
+// Static methods
+timeEntrySchema.statics = {
+  // Find the timer a user currently has running
+  async findRunning(userId) {
+    return this.findOne({ user: userId, isRunning: true });
+  },
+
+  // Recalculate a task's actual hours from its completed entries
+  async rollupTaskHours(taskId) {
+    const [result] = await this.aggregate([
+      { $match: { task: new mongoose.Types.ObjectId(taskId.toString()), isRunning: false } },
+      { $group: { _id: null, duration: { $sum: '$duration' } } }
+    ]);
+
+    const actualHours = toHours(result?.duration);
+
+    try {
+      const Task = (await import('./Task.js')).default;
+      await Task.updateOne({ _id: taskId }, { $set: { actualHours } });
+    } catch (error) {
+      logger.error(`Failed to roll up time for task ${taskId}:`, error);
+    }
+
+    return actualHours;
+  },
+
+  // Summarise completed entries in a workspace, grouped by user, task, tag or day
+  async getTimesheet(workspaceId, { from, to, groupBy = 'user', userId, billable, timeZone = 'UTC' } = {}) {
+    const match = {
+      workspace: new mongoose.Types.ObjectId(workspaceId.toString()),
+      isRunning: false
+    };
+
+    if (from || to) {
+      match.startedAt = {};
+      if (from) match.startedAt.$gte = from;
+      if (to) match.startedAt.$lt = to;
+    }
+    if (userId) match.user = new mongoose.Types.ObjectId(userId.toString());
+    if (billable !== undefined) match.billable = billable;
+
+    const pipeline = [{ $match: match }];
+    let groupKey;
+
+    switch (groupBy) {
+      case 'task':
+        groupKey = '$task';
+        break;
+
+      case 'tag':
+        // Entries on untagged tasks are grouped under a null tag
+        pipeline.push(
+          { $lookup: { from: 'tasks', localField: 'task', foreignField: '_id', as: 'taskDoc' } },
+          { $unwind: { path: '$taskDoc', preserveNullAndEmptyArrays: true } },
+          { $unwind: { path: '$taskDoc.tags', preserveNullAndEmptyArrays: true } }
+        );
+        groupKey = { $ifNull: ['$taskDoc.tags', null] };
+        break;
+
+      case 'day':
+        groupKey = { $dateToString: { format: '%Y-%m-%d', date: '$startedAt', timezone: timeZone } };
+        break;
+
+      default:
+        groupKey = '$user';
+    }
+
+    pipeline.push(
+      {
+        $group: {
+          _id: groupKey,
+          duration: { $sum: '$duration' },
+          billableDuration: { $sum: { $cond: ['$billable', '$duration', 0] } },
+          entries: { $sum: 1 },
+          users: { $addToSet: '$user' },
+          tasks: { $addToSet: '$task' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    );
+
+    const groups = await this.aggregate(pipeline);
+
+    // Resolve readable labels for users and tasks
+    const labels = new Map();
+    if (groupBy === 'user' || groupBy === 'task') {
+      const Model = mongoose.model(groupBy === 'user' ? 'User' : 'Task');
+      const fields = groupBy === 'user' ? 'firstName lastName email' : 'title';
+      const docs = await Model.find({ _id: { $in: groups.map(group => group._id) } }).select(fields);
+
+      for (const doc of docs) {
+        labels.set(doc._id.toString(), groupBy === 'user'
+          ? { label: `${doc.firstName} ${doc.lastName}`.trim(), email: doc.email }
+          : { label: doc.title });
+      }
+    }
+
+    const rows = groups.map(group => {
+      const key = group._id === null ? null : group._id.toString();
+
+      return {
+        key,
+        label: labels.get(key)?.label ?? key ?? (groupBy === 'tag' ? 'Untagged' : 'Unknown'),
+        ...(labels.get(key)?.email && { email: labels.get(key).email }),
+        hours: toHours(group.duration),
+        billableHours: toHours(group.billableDuration),
+        nonBillableHours: toHours(group.duration - group.billableDuration),
+        entries: group.entries,
+        users: group.users.length,
+        tasks: group.tasks.length
+      };
+    });
+
+    // Days read chronologically; other groupings lead with the most time
+    if (groupBy !== 'day') {
+      rows.sort((a, b) => b.hours - a.hours);
+    }
+
+    // Tag groups can count an entry more than once, so totals come from the entries themselves
+    const [totals] = await this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          duration: { $sum: '$duration' },
+          billableDuration: { $sum: { $cond: ['$billable', '$duration', 0] } },
+          entries: { $sum: 1 }
+        }
+      }
+    ]);
+
+    return {
+      groupBy,
+      groups: rows,
+      totals: {
+        hours: toHours(totals?.duration),
+        billableHours: toHours(totals?.billableDuration),
+        nonBillableHours: toHours((totals?.duration || 0) - (totals?.billableDuration || 0)),
+        entries: totals?.entries || 0
+      }
+    };
+  }
+};
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+export default TimeEntry;
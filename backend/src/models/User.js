@@ -1,8 +1,21 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} from '../utils/mfa.js';
+
+const SESSION_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
 
 // User schema definition
 const userSchema = new mongoose.Schema({
@@ -91,13 +104,46 @@ const userSchema = new mongoose.Schema({
   emailVerificationExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  // Signed-in sessions. Each entry is a refresh token family: its _id is the
+  // session ID carried by the tokens and it holds the family's current token.
   refreshTokens: [{
     token: String,
     createdAt: { type: Date, default: Date.now },
     expiresAt: Date,
+    lastUsedAt: Date,
     userAgent: String,
     ipAddress: String
-  }]
+  }],
+  // Accounts created through single sign-on get a random password nobody
+  // knows until they reset it
+  passwordEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Linked OpenID Connect identities
+  identities: [{
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now },
+    lastLoginAt: Date
+  }],
+  // TOTP two-factor authentication. Secrets are encrypted, recovery codes hashed.
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    enabledAt: Date,
+    lastUsedStep: Number,
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        hash: String,
+        usedAt: { type: Date, default: null }
+      }],
+      select: false
+    }
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -129,6 +175,7 @@ userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ username: 1 }, { unique: true });
 userSchema.index({ lastActive: 1 });
 userSchema.index({ 'refreshTokens.token': 1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
 userSchema.index({ emailVerificationExpires: 1 }, { expireAfterSeconds: 0 });
 userSchema.index({ passwordResetExpires: 1 }, { expireAfterSeconds: 0 });
 
@@ -160,13 +207,14 @@ userSchema.methods = {
     }
   },
 
-  // Generate JWT access token
-  generateAccessToken() {
+  // Generate JWT access token, tied to a session when one is given
+  generateAccessToken(sessionId = null) {
     return jwt.sign(
       {
         userId: this._id,
         email: this.email,
-        role: this.role
+        role: this.role,
+        ...(sessionId && { sid: sessionId.toString() })
       },
       config.jwt.secret,
       {
@@ -177,40 +225,124 @@ userSchema.methods = {
     );
   },
 
-  // Generate JWT refresh token
-  generateRefreshToken() {
+  // Generate JWT refresh token. The jti keeps tokens unique so a rotated
+  // token never equals its successor.
+  generateRefreshToken(sessionId = null) {
     return jwt.sign(
       {
         userId: this._id,
-        type: 'refresh'
+        type: 'refresh',
+        ...(sessionId && { sid: sessionId.toString() })
       },
       config.jwt.refreshSecret,
       {
         expiresIn: config.jwt.refreshExpire,
         issuer: 'collabtask-api',
-        audience: 'collabtask-users'
+        audience: 'collabtask-users',
+        jwtid: crypto.randomUUID()
       }
     );
   },
 
-  // Add refresh token to user
-  async addRefreshToken(token, userAgent = '', ipAddress = '') {
-    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
+  // Start a session, returning its ID and first access/refresh token pair
+  async createSession(userAgent = '', ipAddress = '') {
+    const sessionId = new mongoose.Types.ObjectId();
+    const accessToken = this.generateAccessToken(sessionId);
+    const refreshToken = this.generateRefreshToken(sessionId);
+    const now = new Date();
 
     this.refreshTokens.push({
-      token,
-      expiresAt,
+      _id: sessionId,
+      token: refreshToken,
+      expiresAt: new Date(now.getTime() + SESSION_LIFETIME_MS),
+      lastUsedAt: now,
       userAgent,
       ipAddress
     });
 
-    // Keep only last 5 refresh tokens
+    // Keep only the last 5 sessions
     if (this.refreshTokens.length > 5) {
       this.refreshTokens = this.refreshTokens.slice(-5);
     }
 
     await this.save();
-    logger.auth('refresh_token_added', this._id, { ipAddress, userAgent });
+    logger.auth('session_created', this._id, { sessionId, ipAddress, userAgent });
+
+    return { sessionId, accessToken, refreshToken };
+  },
+
+  // Active session by ID
+  findSession(sessionId) {
+    const session = this.refreshTokens.id(sessionId);
+    return session && session.expiresAt > new Date() ? session : null;
+  },
+
+  // Swap a session's refresh token for a new pair. The swap only happens if
+  // presentedToken is still current, so two requests cannot rotate the same
+  // token; returns null when it was already rotated.
+  async rotateSession(sessionId, presentedToken, userAgent = '', ipAddress = '') {
+    const accessToken = this.generateAccessToken(sessionId);
+    const refreshToken = this.generateRefreshToken(sessionId);
+    const now = new Date();
+
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        refreshTokens: { $elemMatch: { _id: sessionId, token: presentedToken } }
+      },
+      {
+        $set: {
+          'refreshTokens.$.token': refreshToken,
+          'refreshTokens.$.expiresAt': new Date(now.getTime() + SESSION_LIFETIME_MS),
+          'refreshTokens.$.lastUsedAt': now,
+          'refreshTokens.$.userAgent': userAgent,
+          'refreshTokens.$.ipAddress': ipAddress
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) return null;
+
+    logger.auth('refresh_token_rotated', this._id, { sessionId, ipAddress, userAgent });
+    return { accessToken, refreshToken };
+  },
+
+  // Record session activity, at most every few minutes
+  async touchSession(sessionId) {
+    const session = this.refreshTokens.id(sessionId);
+    const now = new Date();
+
+    if (!session || (session.lastUsedAt && now - session.lastUsedAt < SESSION_TOUCH_INTERVAL_MS)) return;
+
+    await this.constructor.updateOne(
+      { _id: this._id, 'refreshTokens._id': sessionId },
+      { $set: { 'refreshTokens.$.lastUsedAt': now } }
+    );
+  },
+
+  // Revoke a session (its whole refresh token family)
+  async revokeSession(sessionId) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $pull: { refreshTokens: { _id: sessionId } } }
+    );
+    this.refreshTokens = this.refreshTokens.filter(rt => !rt._id.equals(sessionId));
+    logger.auth('session_revoked', this._id, { sessionId });
+  },
+
+  // Revoke every session except the given one; returns how many were revoked
+  async revokeOtherSessions(currentSessionId = null) {
+    const others = this.refreshTokens.filter(rt => !currentSessionId || !rt._id.equals(currentSessionId));
+    if (others.length === 0) return 0;
+
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { $pull: { refreshTokens: { _id: { $in: others.map(rt => rt._id) } } } }
+    );
+    this.refreshTokens = this.refreshTokens.filter(rt => !others.includes(rt));
+    logger.auth('other_sessions_revoked', this._id, { keptSessionId: currentSessionId, count: others.length });
+
+    return others.length;
   },
 
   // Remove refresh token
@@ -270,6 +402,134 @@ userSchema.methods = {
     return resetToken;
   },
 
+  // Short-lived token proving the password step of a two-factor login
+  generateMfaPendingToken() {
+    return jwt.sign(
+      { userId: this._id, type: 'mfa_pending' },
+      config.jwt.secret,
+      {
+        expiresIn: config.mfa.pendingTokenExpire,
+        issuer: 'collabtask-api',
+        audience: 'collabtask-users',
+        jwtid: crypto.randomUUID()
+      }
+    );
+  },
+
+  // Start TOTP enrollment; the secret only becomes active once confirmed
+  startMfaEnrollment() {
+    const secret = generateTotpSecret();
+    this.mfa.pendingSecret = encryptSecret(secret, config.mfa.encryptionKey);
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: this.email, issuer: config.mfa.issuer })
+    };
+  },
+
+  // Confirm enrollment with a code from the pending secret. Returns the
+  // plaintext recovery codes, or null if the code is wrong.
+  confirmMfaEnrollment(code) {
+    if (!this.mfa.pendingSecret) return null;
+
+    const secret = decryptSecret(this.mfa.pendingSecret, config.mfa.encryptionKey);
+    const step = verifyTotp(secret, code);
+    if (step === null) return null;
+
+    this.mfa.enabled = true;
+    this.mfa.enabledAt = new Date();
+    this.mfa.secret = this.mfa.pendingSecret;
+    this.mfa.pendingSecret = undefined;
+    this.mfa.lastUsedStep = step;
+
+    return this.regenerateRecoveryCodes();
+  },
+
+  // Replace recovery codes, returning the new plaintext codes
+  regenerateRecoveryCodes() {
+    const codes = generateRecoveryCodes(config.mfa.recoveryCodeCount);
+    this.mfa.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code, config.mfa.encryptionKey) }));
+    return codes;
+  },
+
+  // Check a TOTP or recovery code and consume it atomically so it cannot be
+  // used twice. Needs +mfa.secret and +mfa.recoveryCodes selected. Returns
+  // 'totp', 'recovery' or null.
+  async consumeMfaCode(code) {
+    if (!this.mfa?.enabled || !this.mfa.secret) return null;
+
+    const User = this.constructor;
+    const candidate = String(code || '').trim();
+
+    if (/^\d{6}$/.test(candidate.replace(/\s/g, ''))) {
+      const secret = decryptSecret(this.mfa.secret, config.mfa.encryptionKey);
+      const step = verifyTotp(secret, candidate, { lastUsedStep: this.mfa.lastUsedStep ?? null });
+      if (step === null) return null;
+
+      const result = await User.updateOne(
+        {
+          _id: this._id,
+          $or: [{ 'mfa.lastUsedStep': { $lt: step } }, { 'mfa.lastUsedStep': null }]
+        },
+        { $set: { 'mfa.lastUsedStep': step } }
+      );
+      if (result.modifiedCount === 0) return null;
+
+      this.mfa.lastUsedStep = step;
+      return 'totp';
+    }
+
+    const hash = hashRecoveryCode(candidate, config.mfa.encryptionKey);
+    const result = await User.updateOne(
+      { _id: this._id, 'mfa.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+    );
+    if (result.modifiedCount === 0) return null;
+
+    const used = (this.mfa.recoveryCodes || []).find(entry => entry.hash === hash);
+    if (used) used.usedAt = new Date();
+
+    logger.auth('mfa_recovery_code_used', this._id);
+    return 'recovery';
+  },
+
+  // Turn two-factor authentication off and forget its secrets
+  disableMfa() {
+    this.mfa.enabled = false;
+    this.mfa.enabledAt = undefined;
+    this.mfa.secret = undefined;
+    this.mfa.pendingSecret = undefined;
+    this.mfa.lastUsedStep = undefined;
+    this.mfa.recoveryCodes = [];
+  },
+
+  // Unused recovery codes left; needs +mfa.recoveryCodes selected
+  remainingRecoveryCodes() {
+    return (this.mfa?.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+  },
+
+  // Linked identity for a provider subject
+  findIdentity(provider, subject) {
+    return this.identities.find(identity => identity.provider === provider && identity.subject === subject) || null;
+  },
+
+  // Link an OpenID Connect identity, or refresh it if already linked
+  async linkIdentity({ provider, subject, email }) {
+    let identity = this.findIdentity(provider, subject);
+
+    if (!identity) {
+      this.identities.push({ provider, subject, email, lastLoginAt: new Date() });
+      identity = this.identities[this.identities.length - 1];
+      logger.auth('identity_linked', this._id, { provider, subject });
+    } else {
+      identity.email = email;
+      identity.lastLoginAt = new Date();
+    }
+
+    await this.save({ validateBeforeSave: false });
+    return identity;
+  },
+
   // Get user public profile (without sensitive data)
   toPublicProfile() {
     return {
@@ -286,6 +546,8 @@ userSchema.methods = {
       isOnline: this.isOnline,
       timezone: this.timezone,
       emailVerified: this.emailVerified,
+      mfaEnabled: Boolean(this.mfa?.enabled),
+      identityProviders: [...new Set((this.identities || []).map(identity => identity.provider))],
       profileCompletion: this.profileCompletion,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
@@ -305,6 +567,13 @@ userSchema.statics = {
     });
   },
 
+  // Find the user an OpenID Connect identity is linked to
+  async findByIdentity(provider, subject) {
+    return this.findOne({
+      identities: { $elemMatch: { provider, subject } }
+    });
+  },
+
   // Find user by refresh token
   async findByRefreshToken(token) {
     return this.findOne({
@@ -0,0 +1,154 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS, WILDCARD_EVENT, generateSecret } from '../utils/webhooks.js';
+
+// Webhook subscription schema definition
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Webhook name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot exceed 2000 characters']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: [...WEBHOOK_EVENTS, WILDCARD_EVENT],
+        message: 'Invalid webhook event'
+      }
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'Webhooks must subscribe to at least one event'
+    }
+  },
+  // Shared secret for the HMAC signature; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    default: generateSecret,
+    select: false
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Webhook must belong to a workspace']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Failed attempts since the last successful one
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  disabledAt: Date,
+  disabledReason: String,
+  lastDeliveryAt: Date,
+  lastSuccessAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index definitions
+webhookSchema.index({ workspace: 1, enabled: 1 });
+
+// Instance methods
+webhookSchema.methods = {
+  // Turn the webhook back on with a clean failure count
+  enable(updatedBy) {
+    this.enabled = true;
+    this.consecutiveFailures = 0;
+    this.disabledAt = undefined;
+    this.disabledReason = undefined;
+    this.updatedBy = updatedBy;
+  },
+
+  // Replace the signing secret, returning the new one
+  rotateSecret(updatedBy) {
+    this.secret = generateSecret();
+    this.updatedBy = updatedBy;
+    return this.secret;
+  },
+
+  // API representation; the secret is never included
+  toPublicJSON() {
+    return {
+      _id: this._id,
+      name: this.name,
+      url: this.url,
+      events: this.events,
+      workspace: this.workspace,
+      enabled: this.enabled,
+      consecutiveFailures: this.consecutiveFailures,
+      disabledAt: this.disabledAt,
+      disabledReason: this.disabledReason,
+      lastDeliveryAt: this.lastDeliveryAt,
+      lastSuccessAt: this.lastSuccessAt,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+};
+
+// Static methods
+webhookSchema.statics = {
+  // Enabled webhooks in a workspace subscribed to an event
+  async findSubscribed(workspaceId, event) {
+    return this.find({
+      workspace: workspaceId,
+      enabled: true,
+      events: { $in: [event, WILDCARD_EVENT] }
+    });
+  },
+
+  // Count a failed attempt, disabling the webhook once the limit is reached.
+  // Returns true when this failure disabled it.
+  async recordFailure(webhookId, disableAfter) {
+    const webhook = await this.findOneAndUpdate(
+      { _id: webhookId },
+      { $inc: { consecutiveFailures: 1 }, $set: { lastDeliveryAt: new Date() } },
+      { new: true }
+    );
+
+    if (!webhook || !webhook.enabled || webhook.consecutiveFailures < disableAfter) return false;
+
+    const result = await this.updateOne({ _id: webhookId, enabled: true }, {
+      $set: {
+        enabled: false,
+        disabledAt: new Date(),
+        disabledReason: `Disabled after ${webhook.consecutiveFailures} consecutive failed deliveries`
+      }
+    });
+
+    return result.modifiedCount === 1;
+  },
+
+  async recordSuccess(webhookId) {
+    const now = new Date();
+    await this.updateOne({ _id: webhookId }, {
+      $set: { consecutiveFailures: 0, lastDeliveryAt: now, lastSuccessAt: now }
+    });
+  }
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
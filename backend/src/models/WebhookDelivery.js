@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+
+export const DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+// Longest response body kept for an attempt
+const MAX_RESPONSE_BODY = 1000;
+
+// Webhook delivery log schema definition
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exactly what is POSTed, so retries send the same body
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  maxAttempts: {
+    type: Number,
+    default: () => config.webhooks.maxAttempts
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    responseBody: String,
+    error: String,
+    durationMs: Number
+  }],
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index definitions
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Old entries expire on their own
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.webhooks.logRetentionDays * 24 * 60 * 60 }
+);
+
+// Instance methods
+webhookDeliverySchema.methods = {
+  // Record the outcome of one attempt. Failures are retried with the given
+  // delay until maxAttempts is reached.
+  recordAttempt({ statusCode, responseBody, error, durationMs }, retryDelayMs) {
+    this.attempts.push({
+      at: new Date(),
+      statusCode,
+      responseBody: responseBody?.slice(0, MAX_RESPONSE_BODY),
+      error,
+      durationMs
+    });
+
+    const succeeded = !error && statusCode >= 200 && statusCode < 300;
+
+    if (succeeded) {
+      this.status = 'success';
+      this.completedAt = new Date();
+    } else if (this.attempts.length >= this.maxAttempts) {
+      this.status = 'failed';
+      this.completedAt = new Date();
+    } else {
+      this.nextAttemptAt = new Date(Date.now() + retryDelayMs);
+    }
+
+    return succeeded;
+  },
+
+  // Stop retrying, e.g. because the webhook was disabled or deleted
+  abandon(reason) {
+    this.status = 'failed';
+    this.completedAt = new Date();
+    this.attempts.push({ at: new Date(), error: reason });
+  },
+
+  toPublicJSON() {
+    return {
+      _id: this._id,
+      webhook: this.webhook,
+      event: this.event,
+      status: this.status,
+      payload: this.payload,
+      attempts: this.attempts,
+      attemptCount: this.attempts.length,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: this.status === 'pending' ? this.nextAttemptAt : null,
+      completedAt: this.completedAt,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+// Static methods
+webhookDeliverySchema.statics = {
+  // Page through a webhook's deliveries, newest first
+  async findForWebhook(webhookId, filters = {}, options = {}) {
+    const { page = 1, limit = 50 } = options;
+    const query = { webhook: webhookId };
+
+    if (filters.status) query.status = filters.status;
+    if (filters.event) query.event = filters.event;
+
+    const deliveries = await this.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await this.countDocuments(query);
+
+    return {
+      deliveries: deliveries.map(delivery => delivery.toPublicJSON()),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -1,5 +1,18 @@
 import mongoose from 'mongoose';
 import logger from '../utils/logger.js';
+import {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW_STATUSES,
+  validateWorkflow,
+  canTransition as isTransitionAllowed
+} from '../utils/workflow.js';
+import { DEFAULT_WORKING_DAYS, dailyWorkingHours } from '../utils/workload.js';
+import {
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELDS,
+  validateFieldDefinition,
+  customFieldPath
+} from '../utils/customFields.js';
 
 // Workspace schema definition
 const workspaceSchema = new mongoose.Schema({
@@ -58,6 +71,13 @@ const workspaceSchema = new mongoose.Schema({
     invitedAt: {
       type: Date,
       default: Date.now
+    },
+    // Hours per week available for task work; null uses the workspace working hours
+    weeklyCapacity: {
+      type: Number,
+      min: [0, 'Weekly capacity cannot be negative'],
+      max: [168, 'Weekly capacity cannot exceed 168 hours'],
+      default: null
     }
   }],
   settings: {
@@ -69,6 +89,21 @@ const workspaceSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Members must have two-factor authentication enabled to access the workspace
+    requireMfa: {
+      type: Boolean,
+      default: false
+    },
+    // Users signing in through single sign-on with a verified email at one
+    // of these domains join the workspace as members
+    autoJoinDomains: {
+      type: [{
+        type: String,
+        lowercase: true,
+        trim: true
+      }],
+      default: []
+    },
     defaultTaskView: {
       type: String,
       enum: ['kanban', 'list', 'calendar'],
@@ -86,11 +121,110 @@ const workspaceSchema = new mongoose.Schema({
         match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/
       }
     },
+    // Weekdays the team works, 0 (Sunday) to 6 (Saturday)
+    workingDays: {
+      type: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      default: () => [...DEFAULT_WORKING_DAYS]
+    },
     timezone: {
       type: String,
       default: 'UTC'
+    },
+    storageQuota: {
+      type: Number,
+      min: [0, 'Storage quota cannot be negative'],
+      default: null
     }
   },
+  workflow: {
+    // Ordered task statuses; array order is the board column order
+    statuses: {
+      type: [{
+        _id: false,
+        key: {
+          type: String,
+          required: true,
+          trim: true,
+          lowercase: true
+        },
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [50, 'Status name cannot exceed 50 characters']
+        },
+        category: {
+          type: String,
+          enum: STATUS_CATEGORIES,
+          required: true
+        },
+        color: {
+          type: String,
+          match: /^#[0-9A-F]{6}$/i
+        }
+      }],
+      default: () => DEFAULT_WORKFLOW_STATUSES.map(status => ({ ...status }))
+    },
+    // Allowed moves per status; statuses without a rule may move anywhere
+    transitions: [{
+      _id: false,
+      from: String,
+      to: [String]
+    }]
+  },
+  // Typed fields admins add to every task in the workspace
+  customFields: [{
+    key: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Custom field name cannot exceed 100 characters']
+    },
+    type: {
+      type: String,
+      enum: CUSTOM_FIELD_TYPES,
+      required: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Custom field description cannot exceed 500 characters']
+    },
+    options: [{
+      _id: false,
+      value: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      label: String,
+      color: {
+        type: String,
+        match: /^#[0-9A-F]{6}$/i
+      }
+    }],
+    required: {
+      type: Boolean,
+      default: false
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   branding: {
     primaryColor: {
       type: String,
@@ -165,6 +299,7 @@ workspaceSchema.index({ 'members.user': 1 });
 workspaceSchema.index({ slug: 1 }, { unique: true });
 workspaceSchema.index({ isArchived: 1, updatedAt: -1 });
 workspaceSchema.index({ 'stats.lastActivity': -1 });
+workspaceSchema.index({ 'settings.autoJoinDomains': 1 });
 
 // Pre-save middleware to generate slug
 workspaceSchema.pre('save', async function(next) {
@@ -303,6 +438,42 @@ workspaceSchema.methods = {
     );
   },
 
+  // Hours per week a member can spend on tasks
+  getMemberCapacity(userId) {
+    const member = this.members.find(
+      member => member.user.toString() === userId.toString()
+    );
+
+    if (member?.weeklyCapacity !== null && member?.weeklyCapacity !== undefined) {
+      return member.weeklyCapacity;
+    }
+
+    const workingDays = this.settings?.workingDays ?? DEFAULT_WORKING_DAYS;
+    return dailyWorkingHours(this.settings?.workingHours) * workingDays.length;
+  },
+
+  // Set a member's weekly capacity; null returns them to the workspace default
+  async setMemberCapacity(userId, weeklyCapacity, updatedBy) {
+    const member = this.members.find(
+      member => member.user.toString() === userId.toString()
+    );
+
+    if (!member) {
+      throw new Error('User is not a member of this workspace');
+    }
+
+    member.weeklyCapacity = weeklyCapacity;
+    await this.save();
+
+    logger.workspace('member_capacity_updated', this._id, {
+      userId,
+      weeklyCapacity,
+      updatedBy: updatedBy?._id || updatedBy
+    });
+
+    return member;
+  },
+
   // Check if user has specific role or higher
   hasRole(userId, requiredRole) {
     const member = this.members.find(
@@ -361,19 +532,227 @@ workspaceSchema.methods = {
     return this;
   },
 
+  // Get the ordered workflow statuses
+  getStatuses() {
+    return this.workflow?.statuses?.length > 0
+      ? this.workflow.statuses
+      : DEFAULT_WORKFLOW_STATUSES;
+  },
+
+  // Find a workflow status by key
+  getStatus(key) {
+    return this.getStatuses().find(status => status.key === key) || null;
+  },
+
+  // Get status keys, optionally limited to one category
+  getStatusKeys(category = null) {
+    return this.getStatuses()
+      .filter(status => !category || status.category === category)
+      .map(status => status.key);
+  },
+
+  // Status new tasks start in
+  getDefaultStatus() {
+    const statuses = this.getStatuses();
+    return (statuses.find(status => status.category === 'not-started') || statuses[0]).key;
+  },
+
+  // Check whether the workflow allows moving between two statuses
+  canTransition(from, to) {
+    return isTransitionAllowed(this.workflow?.transitions || [], from, to);
+  },
+
+  // Set each task's status category from this workspace's workflow. Also
+  // fills it in on tasks saved before the field existed.
+  async syncTaskStatusCategories() {
+    const Task = (await import('./Task.js')).default;
+    let updated = 0;
+
+    for (const status of this.getStatuses()) {
+      const result = await Task.updateMany(
+        { workspace: this._id, status: status.key, statusCategory: { $ne: status.category } },
+        { statusCategory: status.category }
+      );
+      updated += result.modifiedCount;
+    }
+
+    return updated;
+  },
+
+  // Replace the workflow, moving tasks out of removed statuses
+  async updateWorkflow({ statuses, transitions = [], statusMapping = {} }, updatedBy) {
+    const error = validateWorkflow(statuses, transitions);
+    if (error) {
+      throw new Error(error);
+    }
+
+    // Import Task model dynamically to avoid circular dependencies
+    const Task = (await import('./Task.js')).default;
+
+    const nextKeys = new Set(statuses.map(status => status.key));
+    const removed = this.getStatusKeys().filter(key => !nextKeys.has(key));
+
+    // Every removed status still in use needs somewhere to go
+    for (const key of removed) {
+      const inUse = await Task.countDocuments({ workspace: this._id, status: key });
+      if (inUse > 0 && !nextKeys.has(statusMapping[key])) {
+        throw new Error(`Status ${key} is used by ${inUse} task(s). Map it to one of the new statuses.`);
+      }
+    }
+
+    this.workflow = { statuses, transitions };
+    this.stats.lastActivity = new Date();
+    await this.save();
+
+    for (const key of removed) {
+      if (statusMapping[key]) {
+        await Task.updateMany({ workspace: this._id, status: key }, { status: statusMapping[key] });
+      }
+    }
+
+    // Keep the denormalised category on tasks in sync
+    await this.syncTaskStatusCategories();
+
+    await this.updateTaskStats();
+
+    logger.workspace('workflow_updated', this._id, {
+      updatedBy: updatedBy?._id || updatedBy,
+      statuses: statuses.map(status => status.key),
+      removed
+    });
+
+    return this.workflow;
+  },
+
+  // Find a custom field definition by key
+  getCustomField(key) {
+    return this.customFields.find(field => field.key === key) || null;
+  },
+
+  // Add a custom field definition
+  async addCustomField(definition, createdBy) {
+    if (this.customFields.length >= MAX_CUSTOM_FIELDS) {
+      throw new Error(`A workspace can define at most ${MAX_CUSTOM_FIELDS} custom fields`);
+    }
+
+    const error = validateFieldDefinition(definition, this.customFields);
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.customFields.push({
+      key: definition.key,
+      name: definition.name,
+      type: definition.type,
+      description: definition.description,
+      options: definition.options || [],
+      required: Boolean(definition.required),
+      createdBy
+    });
+    await this.save();
+
+    logger.workspace('custom_field_added', this._id, {
+      key: definition.key,
+      type: definition.type,
+      createdBy: createdBy?._id || createdBy
+    });
+
+    return this.customFields[this.customFields.length - 1];
+  },
+
+  // Update a custom field definition; key and type are fixed once created
+  async updateCustomField(fieldId, changes, updatedBy) {
+    const field = this.customFields.id(fieldId);
+    if (!field) {
+      throw new Error('Custom field not found');
+    }
+
+    if ((changes.key && changes.key !== field.key) || (changes.type && changes.type !== field.type)) {
+      throw new Error('Custom field key and type cannot be changed');
+    }
+
+    const updated = {
+      ...field.toObject(),
+      name: changes.name ?? field.name,
+      description: changes.description ?? field.description,
+      options: changes.options ?? field.options,
+      required: changes.required ?? field.required
+    };
+
+    const others = this.customFields.filter(item => item._id.toString() !== field._id.toString());
+    const error = validateFieldDefinition(updated, others);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const removedOptions = field.options
+      .map(option => option.value)
+      .filter(value => !updated.options.some(option => option.value === value));
+
+    Object.assign(field, {
+      name: updated.name,
+      description: updated.description,
+      options: updated.options,
+      required: updated.required
+    });
+    await this.save();
+
+    // Clear task values that point at options which no longer exist
+    if (removedOptions.length > 0) {
+      const Task = (await import('./Task.js')).default;
+      const path = customFieldPath(field.key);
+
+      if (field.type === 'multiselect') {
+        await Task.updateMany({ workspace: this._id }, { $pull: { [path]: { $in: removedOptions } } });
+      } else {
+        await Task.updateMany({ workspace: this._id, [path]: { $in: removedOptions } }, { $unset: { [path]: '' } });
+      }
+    }
+
+    logger.workspace('custom_field_updated', this._id, {
+      key: field.key,
+      removedOptions,
+      updatedBy: updatedBy?._id || updatedBy
+    });
+
+    return field;
+  },
+
+  // Remove a custom field definition and its values from every task
+  async removeCustomField(fieldId, removedBy) {
+    const field = this.customFields.id(fieldId);
+    if (!field) {
+      throw new Error('Custom field not found');
+    }
+
+    const { key } = field;
+    this.customFields.pull(fieldId);
+    await this.save();
+
+    const Task = (await import('./Task.js')).default;
+    await Task.updateMany({ workspace: this._id }, { $unset: { [customFieldPath(key)]: '' } });
+
+    logger.workspace('custom_field_removed', this._id, {
+      key,
+      removedBy: removedBy?._id || removedBy
+    });
+
+    return field;
+  },
+
   // Update task statistics
   async updateTaskStats() {
     // Import Task model dynamically to avoid circular dependencies
     const Task = (await import('./Task.js')).default;
 
     const stats = await Task.aggregate([
-      { $match: { workspace: this._id, isArchived: { $ne: true } } },
+      { $match: { workspace: this._id, isArchived: { $ne: true }, isDeleted: { $ne: true } } },
       {
         $group: {
           _id: null,
           totalTasks: { $sum: 1 },
           completedTasks: {
-            $sum: { $cond: [{ $eq: ['$status', 'done'] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] }
           }
         }
       }
@@ -401,9 +780,16 @@ workspaceSchema.methods = {
       memberCount: this.memberCount,
       settings: {
         isPublic: this.settings.isPublic,
+        requireMfa: this.settings.requireMfa,
+        autoJoinDomains: this.settings.autoJoinDomains,
         defaultTaskView: this.settings.defaultTaskView
       },
       branding: this.branding,
+      workflow: {
+        statuses: this.getStatuses(),
+        transitions: this.workflow?.transitions || []
+      },
+      customFields: this.customFields,
       stats: this.stats,
       completionRate: this.completionRate,
       isActive: this.isActive,
@@ -431,6 +817,23 @@ workspaceSchema.methods = {
 
 // Static methods
 workspaceSchema.statics = {
+  // Backfill the status category on tasks saved before workflows existed,
+  // which queries on statusCategory would otherwise treat as not done
+  async backfillStatusCategories() {
+    const Task = (await import('./Task.js')).default;
+    const workspaceIds = await Task.distinct('workspace', { statusCategory: { $exists: false } });
+    let updated = 0;
+
+    for (const workspaceId of workspaceIds) {
+      const workspace = await this.findById(workspaceId);
+      if (workspace) {
+        updated += await workspace.syncTaskStatusCategories();
+      }
+    }
+
+    return updated;
+  },
+
   // Find workspaces where user is member or owner
   async findUserWorkspaces(userId, includeArchived = false) {
     const matchCondition = {
@@ -450,6 +853,14 @@ workspaceSchema.statics = {
       .sort({ updatedAt: -1 });
   },
 
+  // Active workspaces that single sign-on users from an email domain auto-join
+  async findByAutoJoinDomain(domain) {
+    return this.find({
+      'settings.autoJoinDomains': domain.toLowerCase(),
+      isArchived: { $ne: true }
+    });
+  },
+
   // Find public workspaces
   async findPublicWorkspaces(limit = 20) {
     return this.find({
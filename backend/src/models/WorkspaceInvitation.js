@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import config from '../config/index.js';
+
+// Only a hash of the token is stored; the raw token is sent by email
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Workspace invitation schema definition
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Invitation must belong to a workspace'],
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Invitation email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['admin', 'manager', 'member'],
+      message: 'Invitation role must be admin, manager, or member'
+    },
+    default: 'member'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date,
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for expiry
+workspaceInvitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+// Index definitions
+workspaceInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+// One open invitation per email and workspace
+workspaceInvitationSchema.index(
+  { workspace: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Instance methods
+workspaceInvitationSchema.methods = {
+  // Issue a fresh token and expiry, invalidating any previously sent link
+  generateToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    this.tokenHash = hashToken(token);
+    this.expiresAt = new Date(Date.now() + config.invitations.expiryDays * 24 * 60 * 60 * 1000);
+    this.sentCount += 1;
+    this.lastSentAt = new Date();
+
+    return token;
+  },
+
+  // Add the user to the workspace with the invited role
+  async accept(user) {
+    if (this.status !== 'pending') {
+      throw new Error(`Invitation has already been ${this.status}`);
+    }
+
+    if (this.isExpired) {
+      throw new Error('Invitation has expired');
+    }
+
+    if (user.email.toLowerCase() !== this.email) {
+      throw new Error('Invitation was sent to a different email address');
+    }
+
+    const Workspace = (await import('./Workspace.js')).default;
+    const workspace = await Workspace.findById(this.workspace);
+
+    if (!workspace || workspace.isArchived) {
+      throw new Error('Workspace is no longer available');
+    }
+
+    if (!workspace.isMember(user._id)) {
+      await workspace.addMember(user._id, this.role, this.invitedBy);
+    }
+
+    this.status = 'accepted';
+    this.acceptedAt = new Date();
+    this.acceptedBy = user._id;
+    await this.save();
+
+    return workspace;
+  },
+
+  // Revoke a pending invitation
+  async revoke(revokedBy) {
+    if (this.status !== 'pending') {
+      throw new Error(`Invitation has already been ${this.status}`);
+    }
+
+    this.status = 'revoked';
+    this.revokedAt = new Date();
+    this.revokedBy = revokedBy;
+    await this.save();
+
+    return this;
+  },
+
+  // Shape returned to workspace admins
+  toPublicJSON() {
+    return {
+      _id: this._id,
+      workspace: this.workspace,
+      email: this.email,
+      role: this.role,
+      status: this.status,
+      isExpired: this.isExpired,
+      invitedBy: this.invitedBy,
+      expiresAt: this.expiresAt,
+      sentCount: this.sentCount,
+      lastSentAt: this.lastSentAt,
+      acceptedAt: this.acceptedAt,
+      createdAt: this.createdAt
+    };
+  }
+};
+
+// Static methods
+workspaceInvitationSchema.statics = {
+  hashToken,
+
+  // Find the invitation a token was issued for
+  async findByToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    return this.findOne({ tokenHash: hashToken(token) });
+  },
+
+  // Pending invitations for a workspace, newest first
+  async findPending(workspaceId) {
+    return this.find({ workspace: workspaceId, status: 'pending' })
+      .populate('invitedBy', 'firstName lastName email avatar')
+      .sort({ createdAt: -1 });
+  }
+};
+
+const WorkspaceInvitation = mongoose.model('WorkspaceInvitation', workspaceInvitationSchema);
+
+export default WorkspaceInvitation;
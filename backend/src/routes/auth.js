@@ -10,12 +10,48 @@ import {
   forgotPassword,
   resetPassword,
   verifyEmail,
-  resendVerification
+  resendVerification,
+  verifyMfaLogin,
+  exchangeOidcLogin,
+  requestMagicLink,
+  verifyMagicLink
 } from '../controllers/authController.js';
+import {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes
+} from '../controllers/mfaController.js';
+import {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+} from '../controllers/accessTokenController.js';
+import {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} from '../controllers/sessionController.js';
+import {
+  getAccountLockout,
+  unlockAccount,
+  unlockIpAddress
+} from '../controllers/lockoutController.js';
+import {
+  getOidcProviders,
+  startOidcLogin,
+  startOidcLink,
+  oidcCallback,
+  getIdentities,
+  unlinkIdentity
+} from '../controllers/oidcController.js';
 import {
   protect,
+  authorize,
   verifyRefreshToken,
-  logAuth
+  logAuth,
+  sessionOnly
 } from '../middleware/auth.js';
 import {
   validateRegister,
@@ -24,7 +60,17 @@ import {
   validateUpdateProfile,
   validateForgotPassword,
   validateResetPassword,
-  validateVerifyEmail
+  validateVerifyEmail,
+  validateCreateAccessToken,
+  validateMfaLogin,
+  validateMfaCode,
+  validateDisableMfa,
+  validateIpAddressParam,
+  validateMagicLinkRequest,
+  validateMagicLinkVerify,
+  validateOidcAuthorize,
+  validateOidcExchange,
+  validateObjectId
 } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -32,18 +78,61 @@ const router = express.Router();
 // Public routes
 router.post('/register', validateRegister, logAuth('register_attempt'), register);
 router.post('/login', validateLogin, logAuth('login_attempt'), login);
+router.post('/mfa/verify', validateMfaLogin, logAuth('mfa_login_attempt'), verifyMfaLogin);
 router.post('/refresh', verifyRefreshToken, logAuth('token_refresh'), refreshToken);
 router.post('/forgot-password', validateForgotPassword, logAuth('password_reset_request'), forgotPassword);
 router.post('/reset-password', validateResetPassword, logAuth('password_reset'), resetPassword);
 router.post('/verify-email', validateVerifyEmail, logAuth('email_verification'), verifyEmail);
 
+// Passwordless login by emailed link
+router.post('/magic-link', validateMagicLinkRequest, logAuth('magic_link_request'), requestMagicLink);
+router.post('/magic-link/verify', validateMagicLinkVerify, logAuth('magic_link_login_attempt'), verifyMagicLink);
+
+// Single sign-on (OpenID Connect)
+router.get('/oidc/providers', getOidcProviders);
+router.post('/oidc/exchange', validateOidcExchange, logAuth('oidc_login_attempt'), exchangeOidcLogin);
+router.post('/oidc/:provider/authorize', validateOidcAuthorize, logAuth('oidc_authorize'), startOidcLogin);
+router.get('/oidc/:provider/callback', oidcCallback);
+
 // Protected routes
 router.use(protect); // All routes below require authentication
 
-router.post('/logout', logAuth('logout'), logout);
+// Access tokens may read the profile; everything else needs a signed-in session
 router.get('/me', getMe);
-router.put('/me', validateUpdateProfile, logAuth('profile_update'), updateProfile);
-router.put('/change-password', validateChangePassword, logAuth('password_change'), changePassword);
-router.post('/resend-verification', logAuth('verification_resend'), resendVerification);
 
-export default router;
\ No newline at end of file
+router.post('/logout', sessionOnly, logAuth('logout'), logout);
+router.put('/me', sessionOnly, validateUpdateProfile, logAuth('profile_update'), updateProfile);
+router.put('/change-password', sessionOnly, validateChangePassword, logAuth('password_change'), changePassword);
+router.post('/resend-verification', sessionOnly, logAuth('verification_resend'), resendVerification);
+
+// Signed-in sessions and devices
+router.route('/sessions')
+  .get(sessionOnly, getSessions)
+  .delete(sessionOnly, logAuth('sessions_revoke_others'), revokeOtherSessions);
+router.delete('/sessions/:sessionId', sessionOnly, validateObjectId('sessionId'), logAuth('session_revoke'), revokeSession);
+
+// Linked single sign-on identities
+router.post('/oidc/:provider/link', sessionOnly, validateOidcAuthorize, logAuth('oidc_link'), startOidcLink);
+router.get('/identities', sessionOnly, getIdentities);
+router.delete('/identities/:identityId', sessionOnly, validateObjectId('identityId'), logAuth('identity_unlink'), unlinkIdentity);
+
+// Two-factor authentication
+router.get('/mfa', sessionOnly, getMfaStatus);
+router.post('/mfa/setup', sessionOnly, logAuth('mfa_setup'), setupMfa);
+router.post('/mfa/enable', sessionOnly, validateMfaCode, logAuth('mfa_enable'), enableMfa);
+router.post('/mfa/disable', sessionOnly, validateDisableMfa, logAuth('mfa_disable'), disableMfa);
+router.post('/mfa/recovery-codes', sessionOnly, validateMfaCode, logAuth('mfa_recovery_codes'), regenerateRecoveryCodes);
+
+// Personal access tokens
+router.route('/tokens')
+  .get(sessionOnly, getAccessTokens)
+  .post(sessionOnly, validateCreateAccessToken, logAuth('access_token_create'), createAccessToken);
+router.delete('/tokens/:tokenId', sessionOnly, validateObjectId('tokenId'), logAuth('access_token_revoke'), revokeAccessToken);
+
+// Login lockouts (admins)
+router.route('/lockouts/users/:userId')
+  .get(sessionOnly, authorize('admin'), validateObjectId('userId'), getAccountLockout)
+  .delete(sessionOnly, authorize('admin'), validateObjectId('userId'), logAuth('account_unlock'), unlockAccount);
+router.delete('/lockouts/ips/:ipAddress', sessionOnly, authorize('admin'), validateIpAddressParam, logAuth('ip_unlock'), unlockIpAddress);
+
+export default router;
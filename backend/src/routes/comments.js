@@ -0,0 +1,59 @@
+import express from 'express';
+import {
+  getComments,
+  searchComments,
+  getComment,
+  createComment,
+  getReplies,
+  updateComment,
+  getCommentHistory,
+  deleteComment,
+  addReaction,
+  removeReaction
+} from '../controllers/commentController.js';
+import {
+  protect,
+  methodScope,
+  restrictWorkspace,
+  taskWorkspace
+} from '../middleware/auth.js';
+import {
+  validateCreateComment,
+  validateUpdateComment,
+  validateObjectId
+} from '../middleware/validation.js';
+
+// Mounted under /tasks/:taskId/comments
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication; access tokens need read:tasks or write:tasks
+router.use(protect, methodScope);
+router.use(validateObjectId('taskId'));
+router.use(restrictWorkspace(taskWorkspace));
+
+// Comment list and creation
+router.route('/')
+  .get(getComments)
+  .post(validateCreateComment, createComment);
+
+// Comment search
+router.get('/search', searchComments);
+
+// Comment CRUD routes
+router.route('/:commentId')
+  .get(validateObjectId('commentId'), getComment)
+  .put(validateObjectId('commentId'), validateUpdateComment, updateComment)
+  .delete(validateObjectId('commentId'), deleteComment);
+
+// Threaded replies
+router.get('/:commentId/replies', validateObjectId('commentId'), getReplies);
+
+// Edit history
+router.get('/:commentId/history', validateObjectId('commentId'), getCommentHistory);
+
+// Reactions
+router.route('/:commentId/reactions')
+  .post(validateObjectId('commentId'), addReaction)
+  .delete(validateObjectId('commentId'), removeReaction);
+
+export default router;
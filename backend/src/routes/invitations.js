@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getInvitationByToken,
+  acceptInvitation
+} from '../controllers/invitationController.js';
+import { protect, sessionOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Public preview so the accept page can show who sent the invite
+router.get('/:token', getInvitationByToken);
+
+// Existing users accept while signed in; new users pass the token to /auth/register
+router.post('/:token/accept', protect, sessionOnly, acceptInvitation);
+
+export default router;
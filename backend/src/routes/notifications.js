@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification
+} from '../controllers/notificationController.js';
+import { protect, methodScope, unrestrictedToken } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication. Notifications span workspaces, so
+// workspace-restricted access tokens cannot read them.
+router.use(protect, methodScope, unrestrictedToken);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.patch('/read-all', markAllNotificationsRead);
+
+router.patch('/:notificationId/read', validateObjectId('notificationId'), markNotificationRead);
+router.delete('/:notificationId', validateObjectId('notificationId'), deleteNotification);
+
+export default router;
@@ -5,58 +5,145 @@ import {
   createTask,
   updateTask,
   deleteTask,
+  archiveTask,
+  restoreTask,
+  bulkUpdateTasks,
+  bulkDeleteTasks,
+  duplicateTask,
+  moveTask,
   updateTaskStatus,
+  reorderTask,
   addTaskAssignee,
   removeTaskAssignee,
+  watchTask,
+  unwatchTask,
   addSubtask,
   completeSubtask,
+  addTaskDependency,
+  removeTaskDependency,
+  getTaskGraph,
+  setTaskRecurrence,
+  stopTaskRecurrence,
+  getTaskOccurrences,
   getTaskActivity,
   getWorkspaceTaskStats,
   getOverdueTasks,
   getTasksDueToday
 } from '../controllers/taskController.js';
+import {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} from '../controllers/attachmentController.js';
+import {
+  getTaskTimeEntries,
+  createTimeEntry,
+  startTimer,
+  stopTimer
+} from '../controllers/timeEntryController.js';
 import {
   protect,
-  workspaceMember
+  workspaceMember,
+  methodScope,
+  restrictWorkspace,
+  taskWorkspace,
+  bulkTaskWorkspaces
 } from '../middleware/auth.js';
 import {
   validateCreateTask,
   validateUpdateTask,
+  validateBulkUpdate,
+  validateBulkDelete,
+  validateDuplicateTask,
+  validateMoveTask,
+  validateReorderTask,
+  validateRecurrence,
+  validateTimeEntry,
   validateObjectId
 } from '../middleware/validation.js';
+import { uploadAttachments } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; access tokens need read:tasks or write:tasks
+router.use(protect, methodScope);
+
+// Workspace access policies (restricted access tokens, required MFA) for the task's workspace
+router.param('taskId', restrictWorkspace(taskWorkspace));
 
 // Task CRUD routes
 router.route('/')
   .get(validateObjectId, workspaceMember(), getTasks)
   .post(validateObjectId, validateCreateTask, workspaceMember(), createTask);
 
+// Bulk operations (before /:taskId so they are not read as task IDs)
+router.post('/bulk-update', validateBulkUpdate, restrictWorkspace(bulkTaskWorkspaces), bulkUpdateTasks);
+router.post('/bulk-delete', validateBulkDelete, restrictWorkspace(bulkTaskWorkspaces), bulkDeleteTasks);
+
 router.route('/:taskId')
-  .get(validateObjectId, getTask)
-  .put(validateObjectId, validateUpdateTask, updateTask)
-  .delete(validateObjectId, deleteTask);
+  .get(validateObjectId('taskId'), getTask)
+  .put(validateObjectId('taskId'), validateUpdateTask, updateTask)
+  .delete(validateObjectId('taskId'), deleteTask);
+
+// Task archiving
+router.post('/:taskId/archive', validateObjectId('taskId'), archiveTask);
+router.post('/:taskId/restore', validateObjectId('taskId'), restoreTask);
+
+// Task duplication and moving between workspaces
+router.post('/:taskId/duplicate', validateObjectId('taskId'), validateDuplicateTask, duplicateTask);
+router.post('/:taskId/move', validateObjectId('taskId'), validateMoveTask, restrictWorkspace(req => req.body.workspaceId), moveTask);
 
 // Task status management
-router.patch('/:taskId/status', validateObjectId, updateTaskStatus);
+router.patch('/:taskId/status', validateObjectId('taskId'), updateTaskStatus);
+
+// Board ordering
+router.patch('/:taskId/reorder', validateObjectId('taskId'), validateReorderTask, reorderTask);
 
 // Task assignee management
-router.post('/:taskId/assignees', validateObjectId, addTaskAssignee);
-router.delete('/:taskId/assignees/:assigneeId', validateObjectId, removeTaskAssignee);
+router.post('/:taskId/assignees', validateObjectId('taskId'), addTaskAssignee);
+router.delete('/:taskId/assignees/:assigneeId', validateObjectId('taskId'), removeTaskAssignee);
+
+// Task watching (status change notifications)
+router.route('/:taskId/watch')
+  .post(validateObjectId('taskId'), watchTask)
+  .delete(validateObjectId('taskId'), unwatchTask);
 
 // Subtask management
-router.post('/:taskId/subtasks', validateObjectId, addSubtask);
-router.patch('/:taskId/subtasks/:subtaskId/complete', validateObjectId, completeSubtask);
+router.post('/:taskId/subtasks', validateObjectId('taskId'), addSubtask);
+router.patch('/:taskId/subtasks/:subtaskId/complete', validateObjectId('taskId'), completeSubtask);
+
+// Task dependencies
+router.post('/:taskId/dependencies', validateObjectId('taskId'), addTaskDependency);
+router.delete('/:taskId/dependencies/:dependencyId', validateObjectId('taskId'), validateObjectId('dependencyId'), removeTaskDependency);
+router.get('/:taskId/graph', validateObjectId('taskId'), getTaskGraph);
+
+// Recurring tasks
+router.route('/:taskId/recurrence')
+  .put(validateObjectId('taskId'), validateRecurrence, setTaskRecurrence)
+  .delete(validateObjectId('taskId'), stopTaskRecurrence);
+router.get('/:taskId/occurrences', validateObjectId('taskId'), getTaskOccurrences);
+
+// Task attachments
+router.route('/:taskId/attachments')
+  .get(validateObjectId('taskId'), getAttachments)
+  .post(validateObjectId('taskId'), uploadAttachments, uploadAttachment);
+router.get('/:taskId/attachments/:attachmentId/download', validateObjectId('taskId'), validateObjectId('attachmentId'), downloadAttachment);
+router.delete('/:taskId/attachments/:attachmentId', validateObjectId('taskId'), validateObjectId('attachmentId'), deleteAttachment);
+
+// Time tracking
+router.route('/:taskId/time-entries')
+  .get(validateObjectId('taskId'), getTaskTimeEntries)
+  .post(validateObjectId('taskId'), validateTimeEntry, createTimeEntry);
+router.post('/:taskId/timer/start', validateObjectId('taskId'), validateTimeEntry, startTimer);
+router.post('/:taskId/timer/stop', validateObjectId('taskId'), validateTimeEntry, stopTimer);
 
 // Task activity
-router.get('/:taskId/activity', validateObjectId, getTaskActivity);
+router.get('/:taskId/activity', validateObjectId('taskId'), getTaskActivity);
 
 // Workspace-level task routes (nested under workspaces)
-router.get('/workspaces/:workspaceId/stats', validateObjectId, workspaceMember(), getWorkspaceTaskStats);
-router.get('/workspaces/:workspaceId/overdue', validateObjectId, workspaceMember(), getOverdueTasks);
-router.get('/workspaces/:workspaceId/due-today', validateObjectId, workspaceMember(), getTasksDueToday);
+router.get('/workspaces/:workspaceId/stats', validateObjectId('workspaceId'), workspaceMember(), getWorkspaceTaskStats);
+router.get('/workspaces/:workspaceId/overdue', validateObjectId('workspaceId'), workspaceMember(), getOverdueTasks);
+router.get('/workspaces/:workspaceId/due-today', validateObjectId('workspaceId'), workspaceMember(), getTasksDueToday);
 
 export default router;
\ No newline at end of file
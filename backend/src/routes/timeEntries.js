@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  getRunningTimer,
+  updateTimeEntry,
+  deleteTimeEntry
+} from '../controllers/timeEntryController.js';
+import {
+  protect,
+  methodScope,
+  unrestrictedToken,
+  restrictWorkspace,
+  timeEntryWorkspace
+} from '../middleware/auth.js';
+import {
+  validateTimeEntry,
+  validateObjectId
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication; access tokens need read:tasks or write:tasks
+router.use(protect, methodScope);
+
+// Workspace access policies (restricted access tokens, required MFA) for the entry's workspace
+router.param('entryId', restrictWorkspace(timeEntryWorkspace));
+
+// The current user's running timer, which may be in any workspace
+router.get('/current', unrestrictedToken, getRunningTimer);
+
+router.route('/:entryId')
+  .put(validateObjectId('entryId'), validateTimeEntry, updateTimeEntry)
+  .delete(validateObjectId('entryId'), deleteTimeEntry);
+
+export default router;
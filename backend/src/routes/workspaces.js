@@ -8,55 +8,223 @@ import {
   getWorkspaceMembers,
   addWorkspaceMember,
   updateMemberRole,
+  updateMemberCapacity,
   removeWorkspaceMember,
   getWorkspaceStats,
+  getWorkload,
+  getWorkflow,
+  updateWorkflow,
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
   searchWorkspaces,
   archiveWorkspace,
   unarchiveWorkspace
 } from '../controllers/workspaceController.js';
+import {
+  getInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation
+} from '../controllers/invitationController.js';
+import { getTimesheet } from '../controllers/timeEntryController.js';
+import { getTrash, restoreFromTrash } from '../controllers/taskController.js';
+import {
+  getViews,
+  createView,
+  getView,
+  updateView,
+  deleteView,
+  pinView,
+  unpinView,
+  applyView
+} from '../controllers/savedViewController.js';
+import {
+  getSprints,
+  createSprint,
+  getVelocity,
+  getSprint,
+  updateSprint,
+  deleteSprint,
+  addSprintTasks,
+  removeSprintTask,
+  startSprint,
+  completeSprint
+} from '../controllers/sprintController.js';
+import {
+  getBurndown,
+  getCumulativeFlow,
+  getFlowTimes
+} from '../controllers/analyticsController.js';
+import {
+  getAutomationRules,
+  createAutomationRule,
+  getAutomationLogs,
+  getAutomationRule,
+  updateAutomationRule,
+  deleteAutomationRule
+} from '../controllers/automationController.js';
+import {
+  getWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries
+} from '../controllers/webhookController.js';
 import {
   protect,
   workspaceMember,
-  workspaceAdmin
+  workspaceAdmin,
+  workspaceRole,
+  methodScope,
+  requireScope,
+  unrestrictedToken
 } from '../middleware/auth.js';
 import {
   validateCreateWorkspace,
   validateUpdateWorkspace,
+  validateUpdateWorkflow,
+  validateCustomField,
+  validateInvitation,
+  validateCreateSavedView,
+  validateUpdateSavedView,
+  validateMemberCapacity,
+  validateCreateSprint,
+  validateUpdateSprint,
+  validateSprintTasks,
+  validateCompleteSprint,
+  validateCreateAutomationRule,
+  validateUpdateAutomationRule,
+  validateCreateWebhook,
+  validateUpdateWebhook,
+  validateTimesheetQuery,
   validateObjectId
 } from '../middleware/validation.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// Access tokens need admin:workspace to change workspace settings and membership
+const adminScope = requireScope('admin:workspace');
+
+// All routes require authentication; access tokens need read:tasks or write:tasks
+router.use(protect, methodScope);
 
 // Workspace CRUD routes
 router.route('/')
-  .get(getWorkspaces)
-  .post(validateCreateWorkspace, createWorkspace);
+  .get(unrestrictedToken, getWorkspaces)
+  .post(unrestrictedToken, adminScope, validateCreateWorkspace, createWorkspace);
 
 // Search workspaces
-router.get('/search', searchWorkspaces);
+router.get('/search', unrestrictedToken, searchWorkspaces);
 
 // Workspace-specific routes
 router.route('/:workspaceId')
-  .get(validateObjectId, workspaceMember(), getWorkspace)
-  .put(validateObjectId, validateUpdateWorkspace, workspaceAdmin(), updateWorkspace)
-  .delete(validateObjectId, workspaceAdmin(), deleteWorkspace);
+  .get(validateObjectId('workspaceId'), workspaceMember(), getWorkspace)
+  .put(validateObjectId('workspaceId'), validateUpdateWorkspace, adminScope, workspaceAdmin(), updateWorkspace)
+  .delete(validateObjectId('workspaceId'), adminScope, workspaceAdmin(), deleteWorkspace);
 
 // Workspace archive/unarchive
-router.put('/:workspaceId/archive', validateObjectId, workspaceAdmin(), archiveWorkspace);
-router.put('/:workspaceId/unarchive', validateObjectId, workspaceAdmin(), unarchiveWorkspace);
+router.put('/:workspaceId/archive', validateObjectId('workspaceId'), adminScope, workspaceAdmin(), archiveWorkspace);
+router.put('/:workspaceId/unarchive', validateObjectId('workspaceId'), adminScope, workspaceAdmin(), unarchiveWorkspace);
 
 // Workspace statistics
-router.get('/:workspaceId/stats', validateObjectId, workspaceMember(), getWorkspaceStats);
+router.get('/:workspaceId/stats', validateObjectId('workspaceId'), workspaceMember(), getWorkspaceStats);
+
+// Task workflow (custom statuses and transitions)
+router.route('/:workspaceId/workflow')
+  .get(validateObjectId('workspaceId'), workspaceMember(), getWorkflow)
+  .put(validateObjectId('workspaceId'), validateUpdateWorkflow, adminScope, workspaceAdmin(), updateWorkflow);
+
+// Custom task fields
+router.route('/:workspaceId/custom-fields')
+  .get(validateObjectId('workspaceId'), workspaceMember(), getCustomFields)
+  .post(validateObjectId('workspaceId'), validateCustomField, adminScope, workspaceAdmin(), createCustomField);
+router.route('/:workspaceId/custom-fields/:fieldId')
+  .put(validateObjectId('workspaceId'), validateObjectId('fieldId'), adminScope, workspaceAdmin(), updateCustomField)
+  .delete(validateObjectId('workspaceId'), validateObjectId('fieldId'), adminScope, workspaceAdmin(), deleteCustomField);
+
+// Saved task views
+router.route('/:workspaceId/views')
+  .get(validateObjectId('workspaceId'), workspaceMember(), getViews)
+  .post(validateObjectId('workspaceId'), validateCreateSavedView, workspaceMember(), createView);
+router.route('/:workspaceId/views/:viewId')
+  .get(validateObjectId('workspaceId'), validateObjectId('viewId'), workspaceMember(), getView)
+  .put(validateObjectId('workspaceId'), validateObjectId('viewId'), validateUpdateSavedView, workspaceMember(), updateView)
+  .delete(validateObjectId('workspaceId'), validateObjectId('viewId'), workspaceMember(), deleteView);
+router.route('/:workspaceId/views/:viewId/pin')
+  .post(validateObjectId('workspaceId'), validateObjectId('viewId'), workspaceMember(), pinView)
+  .delete(validateObjectId('workspaceId'), validateObjectId('viewId'), workspaceMember(), unpinView);
+router.get('/:workspaceId/views/:viewId/tasks', validateObjectId('workspaceId'), validateObjectId('viewId'), workspaceMember(), applyView);
+
+// Sprint routes
+router.route('/:workspaceId/sprints')
+  .get(validateObjectId('workspaceId'), workspaceMember(), getSprints)
+  .post(validateObjectId('workspaceId'), validateCreateSprint, workspaceMember(), workspaceRole('manager'), createSprint);
+router.get('/:workspaceId/sprints/velocity', validateObjectId('workspaceId'), workspaceMember(), getVelocity);
+router.route('/:workspaceId/sprints/:sprintId')
+  .get(validateObjectId('workspaceId'), validateObjectId('sprintId'), workspaceMember(), getSprint)
+  .put(validateObjectId('workspaceId'), validateObjectId('sprintId'), validateUpdateSprint, workspaceMember(), workspaceRole('manager'), updateSprint)
+  .delete(validateObjectId('workspaceId'), validateObjectId('sprintId'), workspaceMember(), workspaceRole('manager'), deleteSprint);
+router.post('/:workspaceId/sprints/:sprintId/tasks', validateObjectId('workspaceId'), validateObjectId('sprintId'), validateSprintTasks, workspaceMember(), addSprintTasks);
+router.delete('/:workspaceId/sprints/:sprintId/tasks/:taskId', validateObjectId('workspaceId'), validateObjectId('sprintId'), validateObjectId('taskId'), workspaceMember(), removeSprintTask);
+router.post('/:workspaceId/sprints/:sprintId/start', validateObjectId('workspaceId'), validateObjectId('sprintId'), workspaceMember(), workspaceRole('manager'), startSprint);
+router.post('/:workspaceId/sprints/:sprintId/complete', validateObjectId('workspaceId'), validateObjectId('sprintId'), validateCompleteSprint, workspaceMember(), workspaceRole('manager'), completeSprint);
+
+// Historical analytics
+router.get('/:workspaceId/analytics/burndown', validateObjectId('workspaceId'), workspaceMember(), getBurndown);
+router.get('/:workspaceId/analytics/cumulative-flow', validateObjectId('workspaceId'), workspaceMember(), getCumulativeFlow);
+router.get('/:workspaceId/analytics/flow-times', validateObjectId('workspaceId'), workspaceMember(), getFlowTimes);
+
+// Member workload against capacity
+router.get('/:workspaceId/workload', validateObjectId('workspaceId'), workspaceMember(), getWorkload);
+
+// Automation rules
+router.route('/:workspaceId/automations')
+  .get(validateObjectId('workspaceId'), workspaceMember(), getAutomationRules)
+  .post(validateObjectId('workspaceId'), adminScope, validateCreateAutomationRule, workspaceMember(), workspaceRole('manager'), createAutomationRule);
+router.get('/:workspaceId/automations/logs', validateObjectId('workspaceId'), workspaceMember(), getAutomationLogs);
+router.route('/:workspaceId/automations/:ruleId')
+  .get(validateObjectId('workspaceId'), validateObjectId('ruleId'), workspaceMember(), getAutomationRule)
+  .put(validateObjectId('workspaceId'), validateObjectId('ruleId'), adminScope, validateUpdateAutomationRule, workspaceMember(), workspaceRole('manager'), updateAutomationRule)
+  .delete(validateObjectId('workspaceId'), validateObjectId('ruleId'), adminScope, workspaceMember(), workspaceRole('manager'), deleteAutomationRule);
+
+// Outbound webhooks
+router.route('/:workspaceId/webhooks')
+  .get(validateObjectId('workspaceId'), adminScope, workspaceAdmin(), getWebhooks)
+  .post(validateObjectId('workspaceId'), validateCreateWebhook, adminScope, workspaceAdmin(), createWebhook);
+router.route('/:workspaceId/webhooks/:webhookId')
+  .get(validateObjectId('workspaceId'), validateObjectId('webhookId'), adminScope, workspaceAdmin(), getWebhook)
+  .put(validateObjectId('workspaceId'), validateObjectId('webhookId'), validateUpdateWebhook, adminScope, workspaceAdmin(), updateWebhook)
+  .delete(validateObjectId('workspaceId'), validateObjectId('webhookId'), adminScope, workspaceAdmin(), deleteWebhook);
+router.get('/:workspaceId/webhooks/:webhookId/deliveries', validateObjectId('workspaceId'), validateObjectId('webhookId'), adminScope, workspaceAdmin(), getWebhookDeliveries);
+router.post('/:workspaceId/webhooks/:webhookId/test', validateObjectId('workspaceId'), validateObjectId('webhookId'), adminScope, workspaceAdmin(), testWebhook);
+router.post('/:workspaceId/webhooks/:webhookId/rotate-secret', validateObjectId('workspaceId'), validateObjectId('webhookId'), adminScope, workspaceAdmin(), rotateWebhookSecret);
+
+// Time tracking reports
+router.get('/:workspaceId/timesheets', validateObjectId('workspaceId'), validateTimesheetQuery, workspaceMember(), getTimesheet);
+
+// Workspace trash
+router.get('/:workspaceId/trash', validateObjectId('workspaceId'), workspaceMember(), getTrash);
+router.post('/:workspaceId/trash/:taskId/restore', validateObjectId('workspaceId'), validateObjectId('taskId'), workspaceMember(), restoreFromTrash);
 
 // Workspace members management
-router.get('/:workspaceId/members', validateObjectId, workspaceMember(), getWorkspaceMembers);
-router.post('/:workspaceId/members', validateObjectId, workspaceAdmin(), addWorkspaceMember);
+router.get('/:workspaceId/members', validateObjectId('workspaceId'), workspaceMember(), getWorkspaceMembers);
+router.post('/:workspaceId/members', validateObjectId('workspaceId'), validateInvitation, adminScope, workspaceAdmin(), addWorkspaceMember);
+
+// Workspace invitations
+router.route('/:workspaceId/invitations')
+  .get(validateObjectId('workspaceId'), adminScope, workspaceAdmin(), getInvitations)
+  .post(validateObjectId('workspaceId'), validateInvitation, adminScope, workspaceAdmin(), createInvitation);
+router.post('/:workspaceId/invitations/:invitationId/resend', validateObjectId('workspaceId'), validateObjectId('invitationId'), adminScope, workspaceAdmin(), resendInvitation);
+router.delete('/:workspaceId/invitations/:invitationId', validateObjectId('workspaceId'), validateObjectId('invitationId'), adminScope, workspaceAdmin(), revokeInvitation);
 
 // Member role management
-router.put('/:workspaceId/members/:userId', validateObjectId, workspaceAdmin(), updateMemberRole);
-router.delete('/:workspaceId/members/:userId', validateObjectId, workspaceAdmin(), removeWorkspaceMember);
+router.put('/:workspaceId/members/:userId', validateObjectId('workspaceId'), validateObjectId('userId'), adminScope, workspaceAdmin(), updateMemberRole);
+router.put('/:workspaceId/members/:userId/capacity', validateObjectId('workspaceId'), validateObjectId('userId'), adminScope, validateMemberCapacity, workspaceMember(), updateMemberCapacity);
+router.delete('/:workspaceId/members/:userId', validateObjectId('workspaceId'), validateObjectId('userId'), adminScope, workspaceAdmin(), removeWorkspaceMember);
 
 export default router;
\ No newline at end of file
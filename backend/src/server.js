@@ -9,19 +9,29 @@ import 'express-async-errors';
 
 import config from './config/index.js';
 import connectDB from './config/database.js';
+import { connectRedis } from './config/redis.js';
 import logger from './utils/logger.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
+import Workspace from './models/Workspace.js';
 
 import authRoutes from './routes/auth.js';
 import workspaceRoutes from './routes/workspaces.js';
 import taskRoutes from './routes/tasks.js';
+import commentRoutes from './routes/comments.js';
+import notificationRoutes from './routes/notifications.js';
+import invitationRoutes from './routes/invitations.js';
+import timeEntryRoutes from './routes/timeEntries.js';
 // Import routes (will be created later)
 // import userRoutes from './routes/users.js';
-// import commentRoutes from './routes/comments.js';
 // import fileRoutes from './routes/files.js';
 
 // Import real-time services
 import realtimeService from './services/realtimeService.js';
+import recurrenceService from './services/recurrenceService.js';
+import notificationService from './services/notificationService.js';
+import trashService from './services/trashService.js';
+import automationService from './services/automationService.js';
+import webhookService from './services/webhookService.js';
 
 // Create Express application
 const app = express();
@@ -114,9 +124,12 @@ app.get('/', (req, res) => {
 // API routes
 app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/auth`, authRoutes);
 app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/workspaces`, workspaceRoutes);
+app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/tasks/:taskId/comments`, commentRoutes);
 app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/tasks`, taskRoutes);
+app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/notifications`, notificationRoutes);
+app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/invitations`, invitationRoutes);
+app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/time-entries`, timeEntryRoutes);
 // app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/users`, userRoutes);
-// app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/comments`, commentRoutes);
 // app.use(`${config.server.apiPrefix}/${config.server.apiVersion}/files`, fileRoutes);
 
 // 404 handler
@@ -169,6 +182,15 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Connect to Redis for caching
+    await connectRedis();
+
+    // Fill in status categories on tasks from before custom workflows
+    const backfilled = await Workspace.backfillStatusCategories();
+    if (backfilled > 0) {
+      logger.info(`Backfilled the status category on ${backfilled} task(s)`);
+    }
+
     // Start server
     server = httpServer.listen(config.server.port, () => {
       logger.info(`🚀 Server running in ${config.server.nodeEnv} mode on port ${config.server.port}`);
@@ -181,6 +203,21 @@ const startServer = async () => {
     // Initialize real-time service
     realtimeService.initialize(io);
 
+    // Start generating occurrences for recurring tasks
+    recurrenceService.start();
+
+    // Start sending due date reminders
+    notificationService.start();
+
+    // Start purging expired tasks from the trash
+    trashService.start();
+
+    // Start firing automation rules for overdue tasks
+    automationService.start();
+
+    // Start sending queued webhook deliveries
+    webhookService.start();
+
     return server;
   } catch (error) {
     logger.error('❌ Failed to start server:', error);
@@ -0,0 +1,103 @@
+import Task from '../models/Task.js';
+import { cache } from '../config/redis.js';
+import config from '../config/index.js';
+import {
+  analyticsVersionKey,
+  buildStatusTimeline,
+  listDays,
+  toDayKey,
+  calculateBurndown,
+  calculateCumulativeFlow,
+  calculateFlowTimes
+} from '../utils/analytics.js';
+
+class AnalyticsService {
+  // Serve a report from the cache, computing and storing it on a miss. Keys
+  // include the workspace's cache generation, so invalidating a workspace
+  // only needs to bump its counter.
+  async cached(workspaceId, report, params, compute) {
+    const version = await cache.getCounter(analyticsVersionKey(workspaceId));
+    const key = `analytics:${workspaceId}:${version}:${report}:${JSON.stringify(params)}`;
+
+    const hit = await cache.get(key);
+    if (hit) {
+      return { ...hit, cached: true };
+    }
+
+    const result = await compute();
+    await cache.set(key, result, config.analytics.cacheTtl);
+
+    return { ...result, cached: false };
+  }
+
+  // Drop every cached report for a workspace
+  async invalidate(workspaceId) {
+    await cache.incr(analyticsVersionKey(workspaceId));
+  }
+
+  // Status timelines for a workspace's tasks
+  async loadTimelines(workspace, timeZone, filters = {}) {
+    const tasks = await Task.getStatusHistory(workspace._id, filters);
+
+    // Older changes were logged without their category
+    const categoryOf = key => workspace.getStatus(key)?.category || 'not-started';
+
+    return tasks.map(task => ({
+      _id: task._id,
+      storyPoints: task.storyPoints,
+      timeline: buildStatusTimeline(task, categoryOf, timeZone)
+    }));
+  }
+
+  // Reports work on whole days, which also keeps cache keys stable within a day
+  toDays(from, to, timeZone) {
+    return { fromDay: toDayKey(from, timeZone), toDay: toDayKey(to, timeZone) };
+  }
+
+  // Burndown and burnup series, optionally limited to a sprint's tasks
+  async getBurndown(workspace, { from, to, unit, sprintId, timeZone }) {
+    const { fromDay, toDay } = this.toDays(from, to, timeZone);
+    const params = { fromDay, toDay, unit, sprintId, timeZone };
+
+    return this.cached(workspace._id, 'burndown', params, async () => {
+      const items = await this.loadTimelines(workspace, timeZone, { sprint: sprintId });
+      const days = listDays(fromDay, toDay);
+
+      return {
+        unit,
+        series: calculateBurndown(items, days, unit)
+      };
+    });
+  }
+
+  // Daily task counts per workflow status
+  async getCumulativeFlow(workspace, { from, to, timeZone }) {
+    const { fromDay, toDay } = this.toDays(from, to, timeZone);
+    const params = { fromDay, toDay, timeZone };
+
+    return this.cached(workspace._id, 'cumulative-flow', params, async () => {
+      const items = await this.loadTimelines(workspace, timeZone);
+      const days = listDays(fromDay, toDay);
+
+      return calculateCumulativeFlow(
+        items.map(item => item.timeline),
+        days,
+        workspace.getStatusKeys()
+      );
+    });
+  }
+
+  // Lead and cycle time distributions for tasks finished in the range
+  async getFlowTimes(workspace, { from, to, timeZone }) {
+    const { fromDay, toDay } = this.toDays(from, to, timeZone);
+    const params = { fromDay, toDay, timeZone };
+
+    return this.cached(workspace._id, 'flow-times', params, async () => {
+      const items = await this.loadTimelines(workspace, timeZone, { statusCategory: 'done' });
+
+      return calculateFlowTimes(items.map(item => item.timeline), fromDay, toDay);
+    });
+  }
+}
+
+export default new AnalyticsService();
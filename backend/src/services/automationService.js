@@ -0,0 +1,411 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import Task, { BLOCKED_CATEGORIES } from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import Comment from '../models/Comment.js';
+import AutomationRule from '../models/AutomationRule.js';
+import AutomationLog from '../models/AutomationLog.js';
+import notificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+import { normalizeFieldValue } from '../utils/customFields.js';
+import {
+  MAX_AUTOMATION_DEPTH,
+  matchesTrigger,
+  matchesConditions,
+  resolveUsers,
+  renderTemplate
+} from '../utils/automation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TAGS = 10;
+
+class AutomationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    // Carries the rule chain through the saves an automation makes, so rules
+    // fired by other rules know how deep the cascade is
+    this.context = new AsyncLocalStorage();
+  }
+
+  // Start the periodic scan for tasks whose due date has passed
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processOverdue().catch(error => {
+        logger.error('Overdue automation scan failed:', error);
+      });
+    }, config.automation.checkInterval);
+
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref?.();
+
+    logger.info('⚙️ Automation scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Run the rules fired by activity recorded on a task
+  async handleEvents(task, events) {
+    for (const event of events) {
+      await this.dispatch(task, event);
+    }
+  }
+
+  // Run every enabled rule of the workspace whose trigger and conditions match
+  async dispatch(task, event) {
+    const rules = await AutomationRule.findForTrigger(task.workspace, event.type);
+    if (rules.length === 0) return;
+
+    const parent = this.context.getStore();
+    const depth = (parent?.depth || 0) + 1;
+    const chain = parent?.chain || [];
+
+    for (const rule of rules) {
+      if (!matchesTrigger(rule.trigger, event)) continue;
+
+      // Tasks that were already overdue when the rule was created do not fire it
+      if (event.type === 'due_date_passed' && event.dueDate < rule.createdAt) continue;
+
+      // Conditions see the task as earlier rules left it
+      const current = await Task.findAvailable(task._id);
+      if (!current || current.isArchived) return;
+
+      if (!matchesConditions(current, rule.conditions)) continue;
+
+      // Loop protection: cap cascades and never run a rule twice on a task in one chain
+      const link = `${rule._id}:${current._id}`;
+      if (depth > MAX_AUTOMATION_DEPTH || chain.includes(link)) {
+        await this.log(rule, current, event, {
+          status: 'skipped',
+          depth,
+          reason: depth > MAX_AUTOMATION_DEPTH
+            ? `Stopped after ${MAX_AUTOMATION_DEPTH} chained rule runs`
+            : 'Rule already ran on this task earlier in the chain'
+        });
+        continue;
+      }
+
+      await this.context.run({ depth, chain: [...chain, link] }, () => this.runRule(rule, current, event, depth));
+    }
+  }
+
+  // Apply a rule's actions to a task. Field changes are saved together; comments
+  // and notifications follow once the save succeeds.
+  async runRule(rule, task, event, depth) {
+    const started = Date.now();
+    const workspace = await Workspace.findById(task.workspace);
+    const run = {
+      rule,
+      task,
+      workspace,
+      actor: event.actor,
+      details: { automation: { ruleId: rule._id, ruleName: rule.name } },
+      changes: {},
+      afterSave: []
+    };
+
+    const results = [];
+
+    for (const action of rule.actions) {
+      try {
+        const message = await this.applyAction(action, run);
+        results.push({ type: action.type, status: 'success', message });
+      } catch (error) {
+        results.push({ type: action.type, status: 'failed', message: error.message });
+      }
+    }
+
+    if (task.isModified()) {
+      try {
+        await task.save();
+        await task.broadcastUpdate(run.changes, rule.createdBy);
+      } catch (error) {
+        // Nothing applied to the task was stored
+        for (const result of results) {
+          if (result.status === 'success' && result.type !== 'notify') {
+            result.status = 'failed';
+            result.message = `Could not save task: ${error.message}`;
+          }
+        }
+        run.afterSave = run.afterSave.filter(step => step.type === 'notify');
+      }
+    }
+
+    for (const step of run.afterSave) {
+      try {
+        await step.run();
+      } catch (error) {
+        logger.error(`Automation ${rule._id} ${step.type} follow-up failed:`, error);
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    let status = 'partial';
+    if (failed === 0) status = 'success';
+    if (failed === results.length) status = 'failed';
+
+    await this.log(rule, task, event, {
+      status,
+      depth,
+      actions: results,
+      durationMs: Date.now() - started
+    });
+    await rule.recordRun(status !== 'success');
+
+    logger.task('automation_run', task._id, {
+      ruleId: rule._id,
+      trigger: event.type,
+      status,
+      depth
+    });
+  }
+
+  // Apply one action, returning a short description of what it did
+  async applyAction(action, run) {
+    switch (action.type) {
+      case 'set_field':
+        return this.setField(action, run);
+      case 'assign':
+        return this.assign(action, run);
+      case 'comment':
+        return this.comment(action, run);
+      case 'notify':
+        return this.notify(action, run);
+      case 'move':
+        return this.move(action, run);
+      default:
+        throw new Error(`Unknown action type ${action.type}`);
+    }
+  }
+
+  async setField({ field, value, mode = 'add' }, { task, workspace, rule, details, changes }) {
+    const author = rule.createdBy;
+
+    if (field === 'priority') {
+      if (task.priority === value) return `Priority already ${value}`;
+      const previous = task.priority;
+      task.priority = value;
+      task.addActivity('priority_changed', author, details, previous, value);
+      changes.priority = value;
+      return `Priority set to ${value}`;
+    }
+
+    if (field === 'tags') {
+      const tags = (Array.isArray(value) ? value : [value]).map(tag => tag.trim().toLowerCase());
+      const previous = [...task.tags];
+      let next = previous;
+
+      if (mode === 'replace') next = [...new Set(tags)];
+      if (mode === 'add') next = [...new Set([...previous, ...tags])];
+      if (mode === 'remove') next = previous.filter(tag => !tags.includes(tag));
+
+      if (next.length > MAX_TAGS) {
+        throw new Error(`Tasks cannot have more than ${MAX_TAGS} tags`);
+      }
+
+      task.tags = next;
+      task.addActivity('updated', author, { ...details, fields: ['tags'] }, previous, next);
+      changes.tags = next;
+      return `Tags are now ${next.join(', ') || 'empty'}`;
+    }
+
+    if (field === 'storyPoints' || field === 'estimatedHours') {
+      const previous = task[field];
+      task[field] = value;
+      task.addActivity('updated', author, { ...details, fields: [field] }, previous, value);
+      changes[field] = value;
+      return `${field} set to ${value ?? 'nothing'}`;
+    }
+
+    if (field === 'dueDate') {
+      const previous = task.dueDate;
+      const dueDate = value === null ? null : new Date(Date.now() + value * DAY_MS);
+      task.dueDate = dueDate;
+      task.addActivity('due_date_changed', author, details, previous, dueDate);
+      changes.dueDate = dueDate;
+      return dueDate ? `Due date set to ${dueDate.toISOString()}` : 'Due date cleared';
+    }
+
+    // Custom fields are checked against the workspace's current definition
+    const key = field.slice('customFields.'.length);
+    const definition = workspace.getCustomField(key);
+    if (!definition) {
+      throw new Error(`Custom field ${key} no longer exists`);
+    }
+
+    const previous = task.customFields.get(key);
+    if (value === null) {
+      task.customFields.delete(key);
+    } else {
+      const result = normalizeFieldValue(definition, value, { isMember: userId => workspace.isMember(userId) });
+      if (result.error) throw new Error(result.error);
+      task.customFields.set(key, result.value);
+    }
+
+    task.addActivity('custom_fields_updated', author, { ...details, fields: [key] }, previous, value);
+    changes.customFields = Object.fromEntries(task.customFields);
+    return `${key} updated`;
+  }
+
+  async assign({ users, mode = 'add' }, { task, workspace, rule, actor, details, changes, afterSave }) {
+    const userIds = resolveUsers(users, { task, actor });
+    const members = userIds.filter(userId => workspace.isMember(userId));
+
+    if (members.length === 0) {
+      throw new Error('None of the users to assign are members of this workspace');
+    }
+
+    const current = task.assignees.map(assignee => assignee.toString());
+    const next = mode === 'replace' ? members : [...new Set([...current, ...members])];
+    const added = next.filter(userId => !current.includes(userId));
+
+    task.assignees = next;
+    if (added.length > 0 || next.length !== current.length) {
+      task.addActivity('assigned', rule.createdBy, { ...details, assigneeIds: added }, current, next);
+      changes.assignees = next;
+    }
+
+    if (added.length > 0) {
+      afterSave.push({
+        type: 'assign',
+        run: () => notificationService.automationAssigned(task, added, rule)
+      });
+    }
+
+    const skipped = userIds.length - members.length;
+    return `Assigned ${added.length} new user(s)${skipped > 0 ? `, skipped ${skipped} non-member(s)` : ''}`;
+  }
+
+  async comment({ text }, { task, rule, details, afterSave }) {
+    const comment = await Comment.create({
+      content: renderTemplate(text, { task, rule }),
+      author: rule.createdBy,
+      task: task._id
+    });
+
+    task.comments.push(comment._id);
+    task.addActivity('comment_added', rule.createdBy, { ...details, commentId: comment._id, isReply: false });
+
+    afterSave.push({
+      type: 'comment',
+      run: () => comment.broadcastCreate(rule.createdBy)
+    });
+
+    return 'Comment added';
+  }
+
+  async notify({ recipients, message }, { task, rule, actor, afterSave }) {
+    const recipientIds = resolveUsers(recipients, { task, actor });
+
+    if (recipientIds.length === 0) {
+      throw new Error('No one to notify');
+    }
+
+    // Sent after the save so the message describes the task as the rule left it
+    afterSave.push({
+      type: 'notify',
+      run: () => notificationService.automationMessage(task, recipientIds, rule, renderTemplate(message, { task, rule }))
+    });
+
+    return `Notifying ${recipientIds.length} user(s)`;
+  }
+
+  async move({ status: statusKey }, { task, workspace, rule, details, changes }) {
+    if (task.status === statusKey) return `Already in ${statusKey}`;
+
+    const status = workspace.getStatus(statusKey);
+    if (!status) {
+      throw new Error(`Status ${statusKey} is not defined in this workspace's workflow`);
+    }
+
+    if (!workspace.canTransition(task.status, statusKey)) {
+      throw new Error(`Tasks cannot move from ${task.status} to ${statusKey}`);
+    }
+
+    if (BLOCKED_CATEGORIES.includes(status.category)) {
+      const blockers = await task.getUnfinishedBlockers();
+      if (blockers.length > 0) {
+        throw new Error(`Task is blocked by ${blockers.length} unfinished task(s)`);
+      }
+    }
+
+    const previous = task.status;
+    task.status = statusKey;
+    task.statusCategory = status.category;
+    task.addActivity('status_changed', rule.createdBy, { ...details, category: status.category }, previous, statusKey);
+    changes.status = statusKey;
+
+    return `Moved from ${previous} to ${statusKey}`;
+  }
+
+  async log(rule, task, event, entry) {
+    try {
+      await AutomationLog.create({
+        rule: rule._id,
+        ruleName: rule.name,
+        workspace: task.workspace,
+        task: task._id,
+        trigger: event.type,
+        actor: event.actor,
+        ...entry
+      });
+    } catch (error) {
+      logger.error(`Failed to log automation run for rule ${rule._id}:`, error);
+    }
+  }
+
+  // Fire due_date_passed rules once per due date for open tasks that are now overdue
+  async processOverdue() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let fired = 0;
+
+    try {
+      const workspaceIds = await AutomationRule.distinct('workspace', {
+        enabled: true,
+        'trigger.type': 'due_date_passed'
+      });
+      if (workspaceIds.length === 0) return 0;
+
+      const tasks = await Task.find({
+        workspace: { $in: workspaceIds },
+        dueDate: { $lte: new Date() },
+        statusCategory: { $ne: 'done' },
+        isArchived: { $ne: true },
+        isDeleted: { $ne: true },
+        // Moving the due date re-arms the trigger
+        $expr: { $ne: ['$overdueTriggeredFor', '$dueDate'] }
+      }).select('workspace dueDate');
+
+      for (const task of tasks) {
+        try {
+          // Claim the task first so concurrent scans do not fire it twice
+          const claim = await Task.updateOne(
+            { _id: task._id, dueDate: task.dueDate, overdueTriggeredFor: { $ne: task.dueDate } },
+            { $set: { overdueTriggeredFor: task.dueDate } }
+          );
+          if (claim.modifiedCount === 0) continue;
+
+          await this.dispatch(task, { type: 'due_date_passed', dueDate: task.dueDate });
+          fired++;
+        } catch (error) {
+          logger.error(`Failed to run overdue automations for task ${task._id}:`, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return fired;
+  }
+}
+
+export default new AutomationService();
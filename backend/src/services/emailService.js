@@ -1,4 +1,4 @@
-const nodemailer = require('nodemailer')
+import nodemailer from 'nodemailer'
 
 // Email service for sending notifications and transactional emails
 class EmailService {
@@ -21,13 +21,11 @@ class EmailService {
       },
     }
 
-    // In test environment, use a mock transporter
+    // In test environment, render messages as JSON instead of delivering them
     if (process.env.NODE_ENV === 'test') {
-      this.transporter = {
-        sendMail: jest.fn().mockResolvedValue({ messageId: 'test-message-id' })
-      }
+      this.transporter = nodemailer.createTransport({ jsonTransport: true })
     } else {
-      this.transporter = nodemailer.createTransporter(config)
+      this.transporter = nodemailer.createTransport(config)
     }
 
     this.isInitialized = true
@@ -120,16 +118,16 @@ class EmailService {
   }
 
   // Send workspace invitation email
-  async sendWorkspaceInvitationEmail(email, workspace, inviter) {
+  async sendWorkspaceInvitationEmail(email, workspace, inviter, invitation) {
     this.initialize()
 
-    const acceptUrl = `${process.env.FRONTEND_URL}/accept-invitation?workspace=${workspace._id}&email=${email}`
+    const acceptUrl = `${process.env.FRONTEND_URL}/accept-invitation?token=${invitation.token}`
 
     const mailOptions = {
       from: `"CollabTask Team" <${process.env.SMTP_USER}>`,
       to: email,
       subject: `You're invited to join ${workspace.name}`,
-      html: this.generateWorkspaceInvitationEmailHTML(email, workspace, inviter, acceptUrl),
+      html: this.generateWorkspaceInvitationEmailHTML(email, workspace, inviter, acceptUrl, invitation.expiresAt),
     }
 
     try {
@@ -142,6 +140,50 @@ class EmailService {
     }
   }
 
+  // Tell a user their account was locked after repeated failed logins
+  async sendAccountLockedEmail(user, { lockedUntil, ipAddress }) {
+    this.initialize()
+
+    const mailOptions = {
+      from: `"CollabTask Team" <${process.env.SMTP_USER}>`,
+      to: user.email,
+      subject: 'Your CollabTask account has been temporarily locked',
+      html: this.generateAccountLockedEmailHTML(user, lockedUntil, ipAddress),
+    }
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions)
+      console.log('Account locked email sent:', info.messageId)
+      return { success: true, messageId: info.messageId }
+    } catch (error) {
+      console.error('Error sending account locked email:', error)
+      throw new Error('Failed to send account locked email')
+    }
+  }
+
+  // Send a one-time link that signs the user in without a password
+  async sendMagicLinkEmail(user, token, expiresInMinutes) {
+    this.initialize()
+
+    const loginUrl = `${process.env.FRONTEND_URL}/auth/magic-link?token=${token}`
+
+    const mailOptions = {
+      from: `"CollabTask Team" <${process.env.SMTP_USER}>`,
+      to: user.email,
+      subject: 'Your CollabTask sign-in link',
+      html: this.generateMagicLinkEmailHTML(user, loginUrl, expiresInMinutes),
+    }
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions)
+      console.log('Magic link email sent:', info.messageId)
+      return { success: true, messageId: info.messageId }
+    } catch (error) {
+      console.error('Error sending magic link email:', error)
+      throw new Error('Failed to send magic link email')
+    }
+  }
+
   // HTML email templates
   generateWelcomeEmailHTML(user) {
     return `
@@ -323,7 +365,7 @@ class EmailService {
     `
   }
 
-  generateWorkspaceInvitationEmailHTML(email, workspace, inviter, acceptUrl) {
+  generateWorkspaceInvitationEmailHTML(email, workspace, inviter, acceptUrl, expiresAt) {
     return `
       <!DOCTYPE html>
       <html>
@@ -364,7 +406,87 @@ class EmailService {
             </div>
             <div class="footer">
               <p>© 2024 CollabTask. All rights reserved.</p>
-              <p>This invitation will expire in 7 days.</p>
+              <p>This invitation will expire on ${new Date(expiresAt).toUTCString()}.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }
+
+  generateAccountLockedEmailHTML(user, lockedUntil, ipAddress) {
+    const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`
+
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Account Temporarily Locked</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: #dc3545; color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+            .button { display: inline-block; background: #dc3545; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🔒 Account Temporarily Locked</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${user.firstName},</h2>
+              <p>We locked your CollabTask account after several failed sign-in attempts${ipAddress ? ` from IP address <strong>${ipAddress}</strong>` : ''}.</p>
+              <p>You can sign in again after <strong>${new Date(lockedUntil).toUTCString()}</strong>.</p>
+
+              <p>If this wasn't you, someone may be trying to guess your password. We recommend resetting it and turning on two-factor authentication.</p>
+
+              <a href="${resetUrl}" class="button">Reset Password</a>
+            </div>
+            <div class="footer">
+              <p>© 2024 CollabTask. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `
+  }
+
+  generateMagicLinkEmailHTML(user, loginUrl, expiresInMinutes) {
+    return `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Sign In to CollabTask</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✨ Sign In to CollabTask</h1>
+            </div>
+            <div class="content">
+              <h2>Hello ${user.firstName},</h2>
+              <p>Click the button below to sign in. No password needed.</p>
+
+              <a href="${loginUrl}" class="button">Sign In</a>
+
+              <p>This link works once and expires in ${expiresInMinutes} minutes. Requesting a new link cancels this one.</p>
+              <p>If you didn't ask to sign in, you can ignore this email.</p>
+            </div>
+            <div class="footer">
+              <p>© 2024 CollabTask. All rights reserved.</p>
             </div>
           </div>
         </body>
@@ -373,4 +495,4 @@ class EmailService {
   }
 }
 
-module.exports = new EmailService()
\ No newline at end of file
+export default new EmailService()
@@ -1,7 +1,12 @@
-const AWS = require('aws-sdk')
-const fs = require('fs')
-const path = require('path')
-const { v4: uuidv4 } = require('uuid')
+import AWS from 'aws-sdk'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { v4 as uuidv4 } from 'uuid'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'))
 
 // File service for handling file uploads and storage
 class FileService {
@@ -40,7 +45,7 @@ class FileService {
     if (this.storageType === 's3') {
       return this.uploadToS3(fileBuffer, uniqueFileName, mimeType, options)
     } else {
-      return this.uploadToLocal(fileBuffer, uniqueFileName, options)
+      return this.uploadToLocal(fileBuffer, uniqueFileName, { ...options, mimeType })
     }
   }
 
@@ -85,7 +90,7 @@ class FileService {
 
   // Upload to local storage
   async uploadToLocal(fileBuffer, fileName, options) {
-    const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads')
+    const uploadDir = getUploadDir()
     const filePath = path.join(uploadDir, fileName)
 
     // Ensure upload directory exists
@@ -145,9 +150,11 @@ class FileService {
 
   // Delete from local storage
   async deleteFromLocal(fileInfo) {
+    const filePath = this.getLocalPath(fileInfo)
+
     try {
-      if (fs.existsSync(fileInfo.path)) {
-        await fs.promises.unlink(fileInfo.path)
+      if (filePath && fs.existsSync(filePath)) {
+        await fs.promises.unlink(filePath)
       }
       return { success: true }
     } catch (error) {
@@ -167,6 +174,32 @@ class FileService {
     }
   }
 
+  // Resolve a locally stored file from its stored name. Only files directly
+  // inside the upload directory resolve; anything else returns null.
+  getLocalPath(fileInfo) {
+    const fileName = fileInfo.filename || fileInfo.fileName
+    if (typeof fileName !== 'string' || !fileName) return null
+
+    const uploadDir = getUploadDir()
+    const filePath = path.resolve(uploadDir, fileName)
+
+    return path.dirname(filePath) === uploadDir ? filePath : null
+  }
+
+  // Open a readable stream for a locally stored file
+  getFileStream(fileInfo) {
+    if (fileInfo.storage === 's3') {
+      throw new Error('S3 files must be downloaded through a signed URL')
+    }
+
+    const filePath = this.getLocalPath(fileInfo)
+    if (!filePath || !fs.existsSync(filePath)) {
+      throw new Error('File not found in storage')
+    }
+
+    return fs.createReadStream(filePath)
+  }
+
   // Generate signed URL for S3 private files
   async getSignedS3Url(fileInfo, expiresIn) {
     const signedUrlParams = {
@@ -300,8 +333,14 @@ class FileService {
 
   // Get local file metadata
   async getLocalMetadata(fileInfo) {
+    const filePath = this.getLocalPath(fileInfo)
+
     try {
-      const stats = await fs.promises.stat(fileInfo.path)
+      if (!filePath) {
+        throw new Error('File not found in storage')
+      }
+
+      const stats = await fs.promises.stat(filePath)
       return {
         size: stats.size,
         lastModified: stats.mtime,
@@ -334,4 +373,4 @@ class FileService {
   }
 }
 
-module.exports = new FileService()
\ No newline at end of file
+export default new FileService()
\ No newline at end of file
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import cache from '../config/redis.js';
+import emailService from './emailService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { attemptDelaySeconds, secondsUntil } from '../utils/loginProtection.js';
+
+// Failed login counters, progressive delays and lockouts, kept in Redis so
+// every API instance sees the same state. Each attempt is tracked against the
+// account and the client IP. If Redis is unavailable logins are not throttled
+// beyond the global rate limit.
+
+const failuresKey = (scope, id) => `login:failures:${scope}:${id}`;
+const delayKey = (scope, id) => `login:delay:${scope}:${id}`;
+const lockKey = (scope, id) => `login:lock:${scope}:${id}`;
+
+class LoginProtectionService {
+  // Counters an attempt touches. Unknown identifiers are counted too, so a
+  // lockout does not reveal whether an account exists.
+  scopes({ user, identifier, ipAddress }) {
+    const accountId = user
+      ? user._id.toString()
+      : `unknown:${crypto.createHash('sha256').update(String(identifier).toLowerCase()).digest('hex')}`;
+
+    return [
+      { scope: 'account', id: accountId },
+      ...(ipAddress ? [{ scope: 'ip', id: ipAddress }] : [])
+    ];
+  }
+
+  // Whether an attempt must be refused: { scope, locked, retryAfter } or null
+  async check(attempt) {
+    const scopes = this.scopes(attempt);
+
+    for (const { scope, id } of scopes) {
+      const lock = await cache.get(lockKey(scope, id));
+      if (lock) {
+        return { scope, locked: true, retryAfter: secondsUntil(lock.lockedUntil) };
+      }
+    }
+
+    for (const { scope, id } of scopes) {
+      const delay = await cache.get(delayKey(scope, id));
+      if (delay) {
+        return { scope, locked: false, retryAfter: secondsUntil(delay.until) };
+      }
+    }
+
+    return null;
+  }
+
+  // Count a failed attempt, then delay or lock the account and IP as needed
+  async recordFailure({ user, identifier, ipAddress }) {
+    const settings = config.loginProtection;
+
+    for (const { scope, id } of this.scopes({ user, identifier, ipAddress })) {
+      const key = failuresKey(scope, id);
+      const failures = await cache.incr(key);
+      if (failures === null) continue;
+
+      if (failures === 1) {
+        await cache.expire(key, settings.windowMinutes * 60);
+      }
+
+      const threshold = scope === 'account' ? settings.accountLockThreshold : settings.ipLockThreshold;
+
+      if (failures >= threshold) {
+        await this.lock(scope, id, { user: scope === 'account' ? user : null, ipAddress, failures });
+        continue;
+      }
+
+      // Many people can share an IP, so its delays only start after an
+      // account's worth of failures
+      const delay = attemptDelaySeconds(failures, {
+        ...settings,
+        freeAttempts: scope === 'account' ? settings.freeAttempts : settings.accountLockThreshold
+      });
+
+      if (delay > 0) {
+        await cache.set(delayKey(scope, id), { until: new Date(Date.now() + delay * 1000) }, delay);
+      }
+    }
+  }
+
+  // Lock an account or IP; account owners are emailed
+  async lock(scope, id, { user, ipAddress, failures }) {
+    const seconds = config.loginProtection.lockoutMinutes * 60;
+    const lockedUntil = new Date(Date.now() + seconds * 1000);
+
+    await cache.set(lockKey(scope, id), { lockedUntil, failures }, seconds);
+    await cache.del(failuresKey(scope, id));
+    await cache.del(delayKey(scope, id));
+
+    logger.auth('login_locked', user?._id, { scope, id, failures, lockedUntil, ipAddress });
+
+    if (user) {
+      emailService.sendAccountLockedEmail(user, { lockedUntil, ipAddress }).catch(error => {
+        logger.error(`Failed to send account locked email to user ${user._id}:`, error);
+      });
+    }
+  }
+
+  // A successful login clears the account's failures. The IP keeps its count
+  // so one valid account cannot reset it.
+  async recordSuccess({ user, ipAddress }) {
+    const accountId = user._id.toString();
+
+    await cache.del(failuresKey('account', accountId));
+    await cache.del(delayKey('account', accountId));
+    if (ipAddress) await cache.del(delayKey('ip', ipAddress));
+  }
+
+  // Lock state of an account or IP
+  async getStatus(scope, id) {
+    const lock = await cache.get(lockKey(scope, id));
+
+    return {
+      locked: Boolean(lock),
+      lockedUntil: lock?.lockedUntil || null,
+      failures: lock?.failures ?? await cache.getCounter(failuresKey(scope, id))
+    };
+  }
+
+  // Clear the lock, delay and failures of an account or IP
+  async unlock(scope, id) {
+    const wasLocked = await cache.exists(lockKey(scope, id));
+
+    await cache.del(lockKey(scope, id));
+    await cache.del(delayKey(scope, id));
+    await cache.del(failuresKey(scope, id));
+
+    return wasLocked;
+  }
+}
+
+export default new LoginProtectionService();
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import cache from '../config/redis.js';
+import emailService from './emailService.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// Passwordless login links. Tokens live in Redis under their SHA-256 hash and
+// are taken atomically, so each link works once and only until it expires.
+// Requests are counted per email address and per IP to stop inbox flooding.
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+const hashEmail = email => crypto.createHash('sha256').update(String(email).toLowerCase()).digest('hex');
+
+const tokenKey = tokenHash => `magic:token:${tokenHash}`;
+const userKey = userId => `magic:user:${userId}`;
+const requestsKey = (scope, id) => `magic:requests:${scope}:${id}`;
+
+class MagicLinkService {
+  // Links and their rate limits need Redis
+  isAvailable() {
+    return cache.isReady();
+  }
+
+  // Count a link request. Returns { retryAfter } when the email address or IP
+  // has asked for too many links this window, { unavailable: true } when the
+  // requests cannot be counted, otherwise null.
+  async throttle({ email, ipAddress }) {
+    const settings = config.magicLink;
+    const limits = [
+      { key: requestsKey('email', hashEmail(email)), max: settings.maxPerEmail },
+      ...(ipAddress ? [{ key: requestsKey('ip', ipAddress), max: settings.maxPerIp }] : [])
+    ];
+
+    for (const { key, max } of limits) {
+      const requests = await cache.incr(key);
+      if (requests === null) return { unavailable: true };
+
+      if (requests === 1) {
+        await cache.expire(key, settings.windowMinutes * 60);
+      }
+
+      if (requests > max) {
+        return { retryAfter: (await cache.ttl(key)) || settings.windowMinutes * 60 };
+      }
+    }
+
+    return null;
+  }
+
+  // Create a link for a user and email it. A new link replaces any earlier
+  // one still outstanding.
+  async send(user, { ipAddress } = {}) {
+    const ttlSeconds = config.magicLink.tokenTtlMinutes * 60;
+    const token = crypto.randomBytes(32).toString('base64url');
+    const tokenHash = hashToken(token);
+
+    const previous = await cache.get(userKey(user._id));
+    if (previous) await cache.del(tokenKey(previous));
+
+    const stored = await cache.set(tokenKey(tokenHash), { userId: user._id.toString(), ipAddress }, ttlSeconds);
+    if (!stored) {
+      throw new Error('Could not store magic link; Redis is unavailable');
+    }
+    await cache.set(userKey(user._id), tokenHash, ttlSeconds);
+
+    emailService.sendMagicLinkEmail(user, token, config.magicLink.tokenTtlMinutes).catch(error => {
+      logger.error(`Failed to send magic link email to user ${user._id}:`, error);
+    });
+  }
+
+  // Use up a link. Returns { userId, ipAddress } or null when the token is
+  // unknown, expired or already used.
+  async redeem(token) {
+    if (!token) return null;
+
+    const tokenHash = hashToken(token);
+    const record = await cache.take(tokenKey(tokenHash));
+
+    if (record && (await cache.get(userKey(record.userId))) === tokenHash) {
+      await cache.del(userKey(record.userId));
+    }
+
+    return record;
+  }
+}
+
+export default new MagicLinkService();
@@ -0,0 +1,271 @@
+import Notification from '../models/Notification.js';
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import realtimeService from './realtimeService.js';
+import emailService from './emailService.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+const toId = value => (value?._id || value)?.toString();
+
+const displayName = user => (user?.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : 'Someone');
+
+const taskUrl = task => `/tasks/${task._id}`;
+
+class NotificationService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Start the periodic scan for tasks that are due soon
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDueSoon().catch(error => {
+        logger.error('Due date reminder scan failed:', error);
+      });
+    }, config.notifications.checkInterval);
+
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref?.();
+
+    logger.info('🔔 Notification scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Deliver a notification to each recipient over the channels they have enabled.
+  // The actor never notifies themselves; `sendEmail` overrides the generic email.
+  async notify(recipients, { actor, sendEmail, ...notification }) {
+    const actorId = toId(actor);
+    const recipientIds = [...new Set(recipients.map(toId).filter(Boolean))]
+      .filter(id => id !== actorId);
+
+    if (recipientIds.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: recipientIds } })
+      .select('firstName lastName email preferences');
+
+    const created = [];
+
+    for (const user of users) {
+      const preferences = user.preferences?.notifications || {};
+      const data = { ...notification, actor: actorId, recipient: user._id };
+
+      try {
+        let payload = { ...data, read: false, createdAt: new Date() };
+
+        if (preferences.inApp !== false) {
+          const saved = await Notification.create(data);
+          created.push(saved);
+          payload = saved.toPublicJSON();
+        }
+
+        if (preferences.push !== false) {
+          realtimeService.sendToUser(user._id.toString(), 'notification:new', payload);
+        }
+
+        if (preferences.email !== false && user.email) {
+          const email = sendEmail
+            ? sendEmail(user)
+            : emailService.sendNotificationEmail(user, {
+              ...notification,
+              actionUrl: notification.actionUrl && `${config.notifications.appUrl}${notification.actionUrl}`
+            });
+
+          // Email delivery is best effort and never holds up the caller
+          email.catch(error => logger.error(`Failed to email notification to user ${user._id}:`, error));
+        }
+      } catch (error) {
+        logger.error(`Failed to notify user ${user._id}:`, error);
+      }
+    }
+
+    return created;
+  }
+
+  // Notify users who were just assigned to a task
+  async taskAssigned(task, assigneeIds, assignedBy) {
+    try {
+      return await this.notify(assigneeIds, {
+        type: 'task_assigned',
+        title: 'New task assigned',
+        message: `${displayName(assignedBy)} assigned you to "${task.title}"`,
+        actionUrl: taskUrl(task),
+        actionText: 'View Task',
+        actor: assignedBy,
+        workspace: task.workspace,
+        task: task._id,
+        metadata: { taskId: task._id },
+        sendEmail: user => emailService.sendTaskAssignmentEmail(user, task, assignedBy)
+      });
+    } catch (error) {
+      logger.error('Error sending assignment notifications:', error);
+      return [];
+    }
+  }
+
+  // Notify users mentioned in a comment
+  async commentMention(comment, task, author, mentionIds = comment.mentions) {
+    try {
+      return await this.notify(mentionIds, {
+        type: 'comment_mention',
+        title: 'You were mentioned in a comment',
+        message: `${displayName(author)} mentioned you in "${task.title}"`,
+        actionUrl: taskUrl(task),
+        actionText: 'View Comment',
+        actor: author,
+        workspace: task.workspace,
+        task: task._id,
+        metadata: { taskId: task._id, commentId: comment._id }
+      });
+    } catch (error) {
+      logger.error('Error sending mention notifications:', error);
+      return [];
+    }
+  }
+
+  // Notify a task's watchers that its status changed
+  async taskStatusChanged(task, previousStatus, changedBy) {
+    try {
+      return await this.notify(task.watchers, {
+        type: 'task_status_changed',
+        title: 'Task status changed',
+        message: `${displayName(changedBy)} moved "${task.title}" from ${previousStatus} to ${task.status}`,
+        actionUrl: taskUrl(task),
+        actionText: 'View Task',
+        actor: changedBy,
+        workspace: task.workspace,
+        task: task._id,
+        metadata: { taskId: task._id, from: previousStatus, to: task.status }
+      });
+    } catch (error) {
+      logger.error('Error sending status change notifications:', error);
+      return [];
+    }
+  }
+
+  // Notify users an automation rule assigned them to a task
+  async automationAssigned(task, assigneeIds, rule) {
+    try {
+      return await this.notify(assigneeIds, {
+        type: 'task_assigned',
+        title: 'New task assigned',
+        message: `Automation "${rule.name}" assigned you to "${task.title}"`,
+        actionUrl: taskUrl(task),
+        actionText: 'View Task',
+        workspace: task.workspace,
+        task: task._id,
+        metadata: { taskId: task._id, ruleId: rule._id }
+      });
+    } catch (error) {
+      logger.error('Error sending automation assignment notifications:', error);
+      return [];
+    }
+  }
+
+  // Deliver a message from an automation rule's notify action
+  async automationMessage(task, recipientIds, rule, message) {
+    try {
+      return await this.notify(recipientIds, {
+        type: 'automation',
+        title: rule.name,
+        message,
+        actionUrl: taskUrl(task),
+        actionText: 'View Task',
+        workspace: task.workspace,
+        task: task._id,
+        metadata: { taskId: task._id, ruleId: rule._id }
+      });
+    } catch (error) {
+      logger.error('Error sending automation notifications:', error);
+      return [];
+    }
+  }
+
+  // Tell a registered user they were invited to a workspace
+  async workspaceInvited(invitation, token, workspace, inviter, user) {
+    try {
+      return await this.notify([user._id], {
+        type: 'workspace_invite',
+        title: `Invitation to ${workspace.name}`,
+        message: `${displayName(inviter)} invited you to join ${workspace.name} as ${invitation.role}`,
+        actionUrl: `/accept-invitation?token=${token}`,
+        actionText: 'View Invitation',
+        actor: inviter,
+        workspace: workspace._id,
+        metadata: { invitationId: invitation._id, role: invitation.role },
+        sendEmail: recipient => emailService.sendWorkspaceInvitationEmail(recipient.email, workspace, inviter, {
+          token,
+          expiresAt: invitation.expiresAt
+        })
+      });
+    } catch (error) {
+      logger.error('Error sending invitation notification:', error);
+      return [];
+    }
+  }
+
+  // Remind assignees of open tasks that fall due within the configured window
+  async processDueSoon() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let reminded = 0;
+
+    try {
+      const now = new Date();
+      const windowEnd = new Date(now.getTime() + config.notifications.dueSoonHours * 60 * 60 * 1000);
+
+      const tasks = await Task.find({
+        dueDate: { $gt: now, $lte: windowEnd },
+        statusCategory: { $ne: 'done' },
+        isArchived: { $ne: true },
+        isDeleted: { $ne: true },
+        // A reminder is sent once per due date; moving the date re-arms it
+        $expr: { $ne: ['$dueReminderSentFor', '$dueDate'] }
+      }).select('title workspace dueDate assignees createdBy');
+
+      for (const task of tasks) {
+        try {
+          // Claim the reminder first so concurrent scans do not send it twice
+          const claim = await Task.updateOne(
+            { _id: task._id, dueDate: task.dueDate, dueReminderSentFor: { $ne: task.dueDate } },
+            { $set: { dueReminderSentFor: task.dueDate } }
+          );
+          if (claim.modifiedCount === 0) continue;
+
+          const recipients = task.assignees.length > 0 ? task.assignees : [task.createdBy];
+
+          await this.notify(recipients, {
+            type: 'task_due',
+            title: 'Task due soon',
+            message: `"${task.title}" is due ${task.dueDate.toUTCString()}`,
+            actionUrl: taskUrl(task),
+            actionText: 'View Task',
+            workspace: task.workspace,
+            task: task._id,
+            metadata: { taskId: task._id, dueDate: task.dueDate }
+          });
+
+          reminded++;
+        } catch (error) {
+          logger.error(`Failed to send due date reminder for task ${task._id}:`, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return reminded;
+  }
+}
+
+export default new NotificationService();
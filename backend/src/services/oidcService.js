@@ -0,0 +1,203 @@
+import cache from '../config/redis.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import {
+  randomToken,
+  generatePkce,
+  buildAuthorizationUrl,
+  validateMetadata,
+  verifyIdToken
+} from '../utils/oidc.js';
+
+// OpenID Connect relying party: provider discovery and JWKS caching, the
+// authorization code + PKCE exchange, and short-lived state kept in Redis so
+// the callback can land on any API instance.
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+const stateKey = state => `oidc:state:${state}`;
+const loginCodeKey = code => `oidc:login:${code}`;
+
+class OidcService {
+  constructor() {
+    this.metadata = new Map(); // providerId -> { value, fetchedAt }
+    this.jwks = new Map(); // providerId -> { keys, fetchedAt }
+  }
+
+  // Providers offered on the login page
+  listProviders() {
+    return config.oidc.providers.map(({ id, name }) => ({ id, name }));
+  }
+
+  getProvider(providerId) {
+    return config.oidc.providers.find(provider => provider.id === providerId) || null;
+  }
+
+  redirectUri(provider) {
+    const base = config.oidc.callbackBaseUrl.replace(/\/+$/, '');
+    return `${base}${config.server.apiPrefix}/${config.server.apiVersion}/auth/oidc/${provider.id}/callback`;
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers },
+      signal: AbortSignal.timeout(config.oidc.requestTimeout)
+    });
+
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+      const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+      throw new Error(`OIDC request to ${new URL(url).origin} failed: ${detail}`);
+    }
+
+    return body;
+  }
+
+  // Provider discovery document, cached for an hour
+  async discover(provider) {
+    const cached = this.metadata.get(provider.id);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+      return cached.value;
+    }
+
+    if (!provider.issuer.startsWith('https://') && !config.oidc.allowInsecureIssuers) {
+      throw new Error(`OIDC issuer for ${provider.id} must use https`);
+    }
+
+    const url = `${provider.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+    const value = validateMetadata(await this.fetchJson(url), provider.issuer);
+
+    this.metadata.set(provider.id, { value, fetchedAt: Date.now() });
+    return value;
+  }
+
+  // Provider signing keys, cached for an hour and refetched when rotated
+  async getKeys(provider, { refresh = false } = {}) {
+    const cached = this.jwks.get(provider.id);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+      return cached.keys;
+    }
+
+    const metadata = await this.discover(provider);
+    const { keys = [] } = await this.fetchJson(metadata.jwks_uri);
+
+    this.jwks.set(provider.id, { keys, fetchedAt: Date.now() });
+    return keys;
+  }
+
+  // Start a sign-in or link: remember state, nonce and PKCE verifier and
+  // return the provider URL to send the browser to
+  async createAuthorizationRequest(provider, { intent = 'login', userId = null, redirect = null } = {}) {
+    const metadata = await this.discover(provider);
+    const state = randomToken();
+    const nonce = randomToken();
+    const { codeVerifier, codeChallenge } = generatePkce();
+
+    const stored = await cache.set(stateKey(state), {
+      provider: provider.id,
+      intent,
+      userId,
+      redirect,
+      nonce,
+      codeVerifier
+    }, config.oidc.stateTtlSeconds);
+
+    if (!stored) {
+      throw new Error('Could not store OIDC state; Redis is unavailable');
+    }
+
+    return buildAuthorizationUrl(metadata, {
+      clientId: provider.clientId,
+      redirectUri: this.redirectUri(provider),
+      scope: provider.scopes,
+      state,
+      nonce,
+      codeChallenge
+    });
+  }
+
+  // Look up and forget the state of an authorization request
+  async consumeState(state) {
+    if (!state) return null;
+
+    return cache.take(stateKey(state));
+  }
+
+  // Exchange the authorization code and return the verified identity claims
+  async completeAuthorization(provider, { code, codeVerifier, nonce }) {
+    const metadata = await this.discover(provider);
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri(provider),
+      client_id: provider.clientId,
+      code_verifier: codeVerifier
+    });
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (provider.clientSecret) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await this.fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+
+    if (!tokens?.id_token) {
+      throw new Error('Token response has no ID token');
+    }
+
+    const claims = await this.verifyIdToken(provider, metadata, tokens.id_token, nonce);
+
+    // Userinfo can fill in profile claims the ID token leaves out
+    if (metadata.userinfo_endpoint && tokens.access_token) {
+      try {
+        const userinfo = await this.fetchJson(metadata.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+
+        if (userinfo?.sub === claims.sub) {
+          return { ...userinfo, ...claims };
+        }
+      } catch (error) {
+        logger.warn(`OIDC userinfo request for ${provider.id} failed: ${error.message}`);
+      }
+    }
+
+    return claims;
+  }
+
+  async verifyIdToken(provider, metadata, idToken, nonce) {
+    const options = { issuer: metadata.issuer, clientId: provider.clientId, nonce };
+
+    try {
+      return verifyIdToken(idToken, { ...options, keys: await this.getKeys(provider) });
+    } catch (error) {
+      // The provider may have rotated its keys since we cached them
+      if (!error.message.startsWith('No signing key')) throw error;
+      return verifyIdToken(idToken, { ...options, keys: await this.getKeys(provider, { refresh: true }) });
+    }
+  }
+
+  // One-time code the app exchanges for a session after the browser comes back
+  async issueLoginCode(userId, providerId) {
+    const code = randomToken();
+    const stored = await cache.set(loginCodeKey(code), { userId, provider: providerId }, config.oidc.loginCodeTtlSeconds);
+
+    if (!stored) {
+      throw new Error('Could not store OIDC login code; Redis is unavailable');
+    }
+
+    return code;
+  }
+
+  async redeemLoginCode(code) {
+    if (!code) return null;
+
+    return cache.take(loginCodeKey(code));
+  }
+}
+
+export default new OidcService();
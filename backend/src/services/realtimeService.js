@@ -3,6 +3,7 @@ import User from '../models/User.js';
 import Workspace from '../models/Workspace.js';
 import Task from '../models/Task.js';
 import Comment from '../models/Comment.js';
+import notificationService from './notificationService.js';
 import logger from '../utils/logger.js';
 import config from '../config/index.js';
 
@@ -38,6 +39,11 @@ class RealtimeService {
         // Verify JWT token
         const decoded = jwt.verify(token, config.jwt.secret);
 
+        // Only session tokens; reset, verification and pending MFA tokens are typed
+        if (decoded.type) {
+          return next(new Error('Invalid token type'));
+        }
+
         // Get user from database
         const user = await User.findById(decoded.id).select('-password');
         if (!user) {
@@ -241,19 +247,36 @@ class RealtimeService {
       const userId = socket.userId;
 
       // Verify task exists and user has access
-      const task = await Task.findById(taskId);
+      const task = await Task.findAvailable(taskId);
       if (!task || !(await task.canAccess(userId))) {
         socket.emit('error', { message: 'Task access denied' });
         return;
       }
 
+      // Status changes must follow the workspace workflow
+      const previousStatus = task.status;
+      if (updates.status && updates.status !== previousStatus) {
+        const workspace = await Workspace.findById(task.workspace);
+        if (!workspace.getStatus(updates.status) || !workspace.canTransition(previousStatus, updates.status)) {
+          socket.emit('error', { message: `Tasks cannot move from ${previousStatus} to ${updates.status}` });
+          return;
+        }
+      }
+
       // Apply updates
+      const previousAssignees = task.assignees.map(assignee => assignee.toString());
       Object.assign(task, updates);
       await task.save();
 
       // Log activity
-      if (updates.status) {
-        await task.logActivity('status_changed', userId, {}, task.status, updates.status);
+      if (updates.status && updates.status !== previousStatus) {
+        await task.logActivity('status_changed', userId, {}, previousStatus, updates.status);
+        await notificationService.taskStatusChanged(task, previousStatus, socket.user);
+      }
+
+      if (updates.assignees) {
+        const added = task.assignees.filter(assignee => !previousAssignees.includes(assignee.toString()));
+        await notificationService.taskAssigned(task, added, socket.user);
       }
 
       // Broadcast to workspace
@@ -293,6 +316,8 @@ class RealtimeService {
       // Log activity
       await task.logActivity('created', userId);
 
+      await notificationService.taskAssigned(task, task.assignees, socket.user);
+
       // Broadcast to workspace
       this.io.to(`workspace:${workspaceId}`).emit('task:created', {
         task: await task.toDetailedJSON(),
@@ -313,14 +338,14 @@ class RealtimeService {
       const userId = socket.userId;
 
       // Verify task exists and user has access
-      const task = await Task.findById(taskId);
+      const task = await Task.findAvailable(taskId);
       if (!task || !(await task.canAccess(userId))) {
         socket.emit('error', { message: 'Task access denied' });
         return;
       }
 
-      // Archive task
-      await task.archive(userId);
+      // Move task to the trash
+      await task.moveToTrash(userId);
 
       // Broadcast to workspace
       this.io.to(`workspace:${workspaceId}`).emit('task:deleted', {
@@ -342,7 +367,7 @@ class RealtimeService {
       const userId = socket.userId;
 
       // Verify task access
-      const task = await Task.findById(taskId);
+      const task = await Task.findAvailable(taskId);
       if (!task || !(await task.canAccess(userId))) {
         socket.emit('error', { message: 'Task access denied' });
         return;
@@ -357,7 +382,8 @@ class RealtimeService {
       });
 
       // Add to task
-      await task.comments.push(comment._id);
+      task.comments.push(comment._id);
+      task.addActivity('comment_added', userId, { commentId: comment._id, isReply: false });
       await task.save();
 
       // Populate comment
@@ -375,16 +401,7 @@ class RealtimeService {
       });
 
       // Send notifications to mentioned users
-      for (const mention of mentions) {
-        if (mention !== userId) {
-          this.sendNotification(mention, {
-            type: 'mention',
-            title: 'You were mentioned in a comment',
-            message: `${socket.user.firstName} mentioned you in a task comment`,
-            data: { taskId, commentId: comment._id }
-          });
-        }
-      }
+      await notificationService.commentMention(comment, task, socket.user);
 
       logger.info(`Comment ${comment._id} created by user ${userId}`);
     } catch (error) {
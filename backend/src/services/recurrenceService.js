@@ -0,0 +1,203 @@
+import Task, { SERIES_FIELDS } from '../models/Task.js';
+import Workspace from '../models/Workspace.js';
+import { nextOccurrence, listOccurrences, isValidTimeZone } from '../utils/recurrence.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+class RecurrenceService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Start the periodic scan for series whose latest occurrence is due
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDueSeries().catch(error => {
+        logger.error('Recurrence scan failed:', error);
+      });
+    }, config.recurrence.checkInterval);
+
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref?.();
+
+    logger.info('🔁 Recurrence scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Resolve the timezone series in a workspace are expanded in
+  async getTimeZone(workspaceId) {
+    const workspace = await Workspace.findById(workspaceId).select('settings.timezone');
+    const timeZone = workspace?.settings?.timezone || 'UTC';
+
+    return isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  }
+
+  // Preview the next occurrences of a series
+  async getUpcoming(root, limit = 5) {
+    if (!root.recurrence?.rule || !root.recurrence.isActive) return [];
+
+    const latest = await this.getLatestInstance(root._id);
+    const timeZone = await this.getTimeZone(root.workspace);
+
+    return listOccurrences(root.recurrence.rule, root.recurrence.dtstart, timeZone, {
+      after: latest?.occurrenceDate || root.recurrence.dtstart,
+      limit
+    });
+  }
+
+  getLatestInstance(seriesId) {
+    return Task.findOne({ seriesId }).sort({ occurrenceDate: -1 });
+  }
+
+  // Create the occurrence that follows the given instance, if it is the latest one
+  async generateNext(instance) {
+    const root = instance.isSeriesRoot()
+      ? instance
+      : await Task.findById(instance.seriesId);
+
+    if (!root?.recurrence?.rule || !root.recurrence.isActive || root.isArchived || root.isDeleted) {
+      return null;
+    }
+
+    // Only the latest occurrence extends the series
+    const latest = await this.getLatestInstance(root._id);
+    if (latest && latest.occurrenceDate > instance.occurrenceDate) {
+      return null;
+    }
+
+    // Missed occurrences are skipped rather than back-filled
+    const timeZone = await this.getTimeZone(root.workspace);
+    const after = Math.max(new Date(instance.occurrenceDate).getTime(), Date.now());
+    const occurrenceDate = nextOccurrence(root.recurrence.rule, root.recurrence.dtstart, after, timeZone);
+
+    if (!occurrenceDate) {
+      await root.stopRecurrence();
+      logger.task('recurrence_completed', root._id, { workspace: root.workspace });
+      return null;
+    }
+
+    const data = {
+      workspace: root.workspace,
+      createdBy: root.createdBy,
+      dueDate: occurrenceDate,
+      occurrenceDate,
+      seriesId: root._id,
+      subtasks: root.subtasks.map(subtask => ({
+        title: subtask.title,
+        assignedTo: subtask.assignedTo
+      }))
+    };
+
+    for (const field of SERIES_FIELDS) {
+      data[field] = root[field];
+    }
+
+    let task;
+    try {
+      task = await Task.create(data);
+    } catch (error) {
+      // Another worker already created this occurrence
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    await task.logActivity('created', root.createdBy, {
+      title: task.title,
+      seriesId: root._id,
+      occurrenceDate
+    });
+
+    await task.broadcastCreate(root.createdBy);
+
+    const workspace = await Workspace.findById(root.workspace);
+    if (workspace) await workspace.updateTaskStats();
+
+    logger.task('occurrence_created', task._id, {
+      seriesId: root._id,
+      workspace: root.workspace,
+      occurrenceDate
+    });
+
+    return task;
+  }
+
+  // Generate the next occurrence for every active series whose latest one is past due
+  async processDueSeries() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let created = 0;
+
+    try {
+      const roots = await Task.find({
+        'recurrence.rule': { $exists: true },
+        'recurrence.isActive': true,
+        isArchived: { $ne: true },
+        isDeleted: { $ne: true }
+      });
+
+      const now = new Date();
+
+      for (const root of roots) {
+        try {
+          const latest = await this.getLatestInstance(root._id);
+          const dueAt = latest?.dueDate || latest?.occurrenceDate;
+
+          if (latest && dueAt && dueAt <= now) {
+            const task = await this.generateNext(latest);
+            if (task) created++;
+          }
+        } catch (error) {
+          logger.error(`Failed to process recurring series ${root._id}:`, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return created;
+  }
+
+  // Apply template field changes to the root and every open occurrence of a series
+  async updateSeries(task, updates, updatedBy) {
+    const fields = Object.fromEntries(
+      Object.entries(updates).filter(([field]) => SERIES_FIELDS.includes(field))
+    );
+
+    if (Object.keys(fields).length === 0) return 0;
+
+    const tasks = await Task.find({
+      seriesId: task.seriesId,
+      _id: { $ne: task._id },
+      statusCategory: { $ne: 'done' },
+      isArchived: { $ne: true },
+      isDeleted: { $ne: true },
+      isRecurrenceException: { $ne: true }
+    });
+
+    // The root is the template for future occurrences even once it is done
+    const root = await Task.findById(task.seriesId);
+    if (root && !root._id.equals(task._id) && !tasks.some(item => item._id.equals(root._id))) {
+      tasks.push(root);
+    }
+
+    for (const item of tasks) {
+      Object.assign(item, fields);
+      await item.logActivity('updated', updatedBy, { fields: Object.keys(fields), series: true });
+      await item.broadcastUpdate(fields, updatedBy);
+    }
+
+    return tasks.length;
+  }
+}
+
+export default new RecurrenceService();
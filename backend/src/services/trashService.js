@@ -0,0 +1,98 @@
+import Task from '../models/Task.js';
+import Comment from '../models/Comment.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Notification from '../models/Notification.js';
+import fileService from './fileService.js';
+import logger from '../utils/logger.js';
+import config from '../config/index.js';
+
+class TrashService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // Start the periodic purge of tasks past the trash retention period
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        logger.error('Trash purge failed:', error);
+      });
+    }, config.trash.purgeInterval);
+
+    // Do not keep the process alive just for the scheduler
+    this.timer.unref?.();
+
+    logger.info('🗑️ Trash purge scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Permanently delete tasks that have been in the trash longer than the retention period
+  async purgeExpired() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let purged = 0;
+
+    try {
+      const cutoff = new Date(Date.now() - config.trash.retentionDays * 24 * 60 * 60 * 1000);
+      const tasks = await Task.find({ isDeleted: true, deletedAt: { $lte: cutoff } });
+
+      for (const task of tasks) {
+        try {
+          await this.purgeTask(task);
+          purged++;
+        } catch (error) {
+          logger.error(`Failed to purge task ${task._id}:`, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (purged > 0) {
+      logger.info(`Purged ${purged} tasks from the trash`);
+    }
+
+    return purged;
+  }
+
+  // Delete a task with its attachment blobs, comments, time entries and notifications
+  async purgeTask(task) {
+    // Duplicated tasks share files, so keep a blob while another task still uses it
+    for (const attachment of task.attachments) {
+      if (!(await Task.isAttachmentShared(attachment, task._id))) {
+        await fileService.deleteFile(attachment);
+      }
+    }
+
+    await Comment.deleteMany({ task: task._id });
+    await TimeEntry.deleteMany({ task: task._id });
+    await Notification.deleteMany({ task: task._id });
+
+    // Other tasks no longer depend on it, and its occurrences stand alone
+    await Task.updateMany({ dependencies: task._id }, { $pull: { dependencies: task._id } });
+    await Task.updateMany(
+      { seriesId: task._id, _id: { $ne: task._id } },
+      { $unset: { seriesId: 1, occurrenceDate: 1 } }
+    );
+
+    await task.deleteOne();
+
+    logger.task('task_purged', task._id, {
+      workspace: task.workspace,
+      deletedAt: task.deletedAt,
+      deletedBy: task.deletedBy
+    });
+  }
+}
+
+export default new TrashService();
@@ -0,0 +1,294 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import mongoose from 'mongoose';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import cache from '../config/redis.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import {
+  TEST_EVENT,
+  SIGNATURE_HEADER,
+  signPayload,
+  retryDelay,
+  buildPayload,
+  isPrivateAddress,
+  validateWebhookUrl
+} from '../utils/webhooks.js';
+
+// Redis sorted set of delivery IDs scored by when they are next due
+const QUEUE_KEY = 'webhooks:deliveries';
+const BATCH_SIZE = 50;
+
+// DNS lookup for webhook requests that refuses private addresses. It runs for
+// the connection itself, so a host cannot pass a check and then rebind to a
+// private address before the request is sent.
+const lookupPublicAddress = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error('Webhook URL resolves to a private or loopback address'));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.redisReady = false;
+  }
+
+  // Start sending queued deliveries
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processQueue().catch(error => {
+        logger.error('Webhook delivery run failed:', error);
+      });
+    }, config.webhooks.pollInterval);
+
+    // Do not keep the process alive just for the queue
+    this.timer.unref?.();
+
+    logger.info('🔗 Webhook delivery queue started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Queue an event for every webhook in the workspace subscribed to it.
+  // Never throws: webhooks must not break the request that raised the event.
+  async emit(workspaceId, event, data) {
+    try {
+      const webhooks = await Webhook.findSubscribed(workspaceId, event);
+
+      for (const webhook of webhooks) {
+        const delivery = await this.createDelivery(webhook, event, data);
+        await cache.schedule(QUEUE_KEY, delivery._id, delivery.nextAttemptAt);
+      }
+    } catch (error) {
+      logger.error(`Failed to queue ${event} webhooks for workspace ${workspaceId}:`, error);
+    }
+  }
+
+  async createDelivery(webhook, event, data, options = {}) {
+    // The delivery ID doubles as the payload id receivers can use to drop duplicates
+    const id = new mongoose.Types.ObjectId();
+
+    return WebhookDelivery.create({
+      _id: id,
+      webhook: webhook._id,
+      workspace: webhook.workspace,
+      event,
+      payload: buildPayload({ id: id.toString(), event, workspaceId: webhook.workspace, data }),
+      ...options
+    });
+  }
+
+  // Send a test event straight away, outside the queue and without retries.
+  // Test failures do not count towards disabling the webhook.
+  async sendTest(webhook, userId) {
+    const delivery = await this.createDelivery(webhook, TEST_EVENT, {
+      message: 'This is a test event',
+      webhookId: webhook._id,
+      triggeredBy: userId
+    }, { maxAttempts: 1 });
+
+    await this.attempt(delivery, webhook, { countFailures: false });
+    return delivery;
+  }
+
+  // Send every delivery that is due
+  async processQueue() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let sent = 0;
+
+    try {
+      // Redis only knows about deliveries queued while it was up; after an
+      // outage, queue whatever is still pending
+      const ready = cache.isReady();
+      if (ready && !this.redisReady) {
+        await this.requeuePending();
+      }
+      this.redisReady = ready;
+
+      const ids = ready
+        ? await cache.claimDue(QUEUE_KEY, BATCH_SIZE)
+        : await this.findDue();
+
+      for (const id of ids) {
+        try {
+          if (await this.deliver(id)) sent++;
+        } catch (error) {
+          logger.error(`Failed to deliver webhook ${id}:`, error);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return sent;
+  }
+
+  // Pending deliveries due now, read from the database while Redis is down
+  async findDue() {
+    const deliveries = await WebhookDelivery.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() }
+    }).select('_id').sort({ nextAttemptAt: 1 }).limit(BATCH_SIZE);
+
+    return deliveries.map(delivery => delivery._id.toString());
+  }
+
+  async requeuePending() {
+    const deliveries = await WebhookDelivery.find({ status: 'pending' }).select('_id nextAttemptAt');
+
+    for (const delivery of deliveries) {
+      await cache.schedule(QUEUE_KEY, delivery._id, delivery.nextAttemptAt);
+    }
+
+    if (deliveries.length > 0) {
+      logger.info(`Queued ${deliveries.length} pending webhook deliveries`);
+    }
+  }
+
+  // Make the next attempt for a delivery. Returns true when it succeeded.
+  async deliver(deliveryId) {
+    // Lease the delivery so another instance polling the database skips it
+    const lease = new Date(Date.now() + config.webhooks.timeout * 2);
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { nextAttemptAt: lease } },
+      { new: true }
+    );
+    if (!delivery) return false;
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+    if (!webhook || !webhook.enabled) {
+      delivery.abandon(webhook ? 'Webhook is disabled' : 'Webhook was deleted');
+      await delivery.save();
+      return false;
+    }
+
+    const succeeded = await this.attempt(delivery, webhook);
+
+    if (delivery.status === 'pending') {
+      await cache.schedule(QUEUE_KEY, delivery._id, delivery.nextAttemptAt);
+    }
+
+    return succeeded;
+  }
+
+  // POST the payload once and record the outcome on the delivery
+  async attempt(delivery, webhook, { countFailures = true } = {}) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const result = {};
+
+    try {
+      this.checkDestination(webhook.url);
+
+      const response = await this.post(webhook.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CollabTask-Webhooks/1.0',
+          'X-Webhook-Id': webhook._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Timestamp': String(timestamp),
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+        },
+        body
+      });
+
+      result.statusCode = response.status;
+      result.responseBody = response.body;
+      if (response.status < 200 || response.status >= 300) {
+        result.error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (error) {
+      result.error = error.cause?.name === 'TimeoutError'
+        ? `Timed out after ${config.webhooks.timeout}ms`
+        : error.message;
+    }
+
+    result.durationMs = Date.now() - started;
+
+    const delay = retryDelay(delivery.attempts.length + 1, config.webhooks.retryBaseDelay, config.webhooks.retryMaxDelay);
+    const succeeded = delivery.recordAttempt(result, delay);
+    await delivery.save();
+
+    if (!countFailures) return succeeded;
+
+    if (succeeded) {
+      await Webhook.recordSuccess(webhook._id);
+    } else if (await Webhook.recordFailure(webhook._id, config.webhooks.disableAfterFailures)) {
+      logger.warn(`Webhook ${webhook._id} disabled after repeated delivery failures`, {
+        workspaceId: webhook.workspace,
+        url: webhook.url
+      });
+    }
+
+    logger.debug(`Webhook delivery ${delivery._id} attempt ${delivery.attempts.length}`, {
+      webhookId: webhook._id,
+      event: delivery.event,
+      statusCode: result.statusCode,
+      error: result.error
+    });
+
+    return succeeded;
+  }
+
+  // Refuse URLs that point at private addresses. Hostnames are checked when
+  // the request connects, by lookupPublicAddress.
+  checkDestination(url) {
+    if (config.webhooks.allowPrivateUrls) return;
+
+    const error = validateWebhookUrl(url);
+    if (error) throw new Error(error);
+  }
+
+  // POST a body and resolve with the status and response text. Redirects are
+  // not followed.
+  post(url, { headers, body }) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: config.webhooks.allowPrivateUrls ? undefined : lookupPublicAddress,
+        signal: AbortSignal.timeout(config.webhooks.timeout)
+      }, (response) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => resolve({
+          status: response.statusCode,
+          body: Buffer.concat(chunks).toString()
+        }));
+        response.on('error', reject);
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+export default new WebhookService();
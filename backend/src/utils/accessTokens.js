@@ -0,0 +1,49 @@
+import crypto from 'crypto';
+
+// Personal access tokens: long-lived API credentials users create for scripts
+// and integrations. Only a hash is stored; the token is shown once.
+
+// Recognisable prefix so leaked tokens are easy to spot and scan for
+export const TOKEN_PREFIX = 'ctp_';
+
+// Characters of the token kept in clear so users can tell tokens apart
+export const DISPLAY_PREFIX_LENGTH = 12;
+
+export const TOKEN_SCOPES = ['read:tasks', 'write:tasks', 'admin:workspace'];
+
+// Broader scopes include the narrower ones
+const IMPLIED_SCOPES = {
+  'write:tasks': ['read:tasks'],
+  'admin:workspace': ['write:tasks', 'read:tasks']
+};
+
+export const generateAccessToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+  return {
+    token,
+    prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    tokenHash: hashAccessToken(token)
+  };
+};
+
+// Tokens are random enough that a plain SHA-256 is a safe lookup key
+export const hashAccessToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+export const isAccessToken = token => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+// All scopes a token effectively holds
+export const expandScopes = (scopes = []) => {
+  return [...new Set(scopes.flatMap(scope => [scope, ...(IMPLIED_SCOPES[scope] || [])]))];
+};
+
+// Whether granted scopes cover every required one
+export const hasScopes = (granted, required) => {
+  const effective = expandScopes(granted);
+  return required.every(scope => effective.includes(scope));
+};
+
+// Reads need read:tasks; anything that changes data needs write:tasks
+export const scopeForMethod = (method) => {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method.toUpperCase()) ? 'read:tasks' : 'write:tasks';
+};
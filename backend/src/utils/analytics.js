@@ -0,0 +1,215 @@
+// Historical task analytics rebuilt from the status_changed activity log.
+// Each task's history becomes a timeline of { at, day, status, category }
+// entries; reports read the state a task was in at the end of each day.
+// Days are calendar dates in the workspace time zone ('YYYY-MM-DD').
+
+export const ANALYTICS_UNITS = ['tasks', 'points'];
+
+export const FLOW_PERCENTILES = [50, 85, 95];
+
+// Longest range a daily report may cover
+export const MAX_ANALYTICS_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayFormatters = new Map();
+
+// Calendar date of an instant in a time zone
+export const toDayKey = (date, timeZone = 'UTC') => {
+  if (!dayFormatters.has(timeZone)) {
+    dayFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+
+  return dayFormatters.get(timeZone).format(new Date(date));
+};
+
+// Day key a number of days after another
+export const addDays = (day, count) => (
+  new Date(Date.parse(`${day}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10)
+);
+
+// Every calendar date from one day key to another, inclusive
+export const listDays = (fromDay, toDay) => {
+  const days = [];
+  const end = Date.parse(`${toDay}T00:00:00Z`);
+
+  for (let time = Date.parse(`${fromDay}T00:00:00Z`); time <= end; time += DAY_MS) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+
+  return days;
+};
+
+// Build a task's status timeline. The first entry is the status it was created
+// in, taken from the earliest recorded change; categoryOf maps a status key to
+// its workflow category for changes logged without one.
+export const buildStatusTimeline = (task, categoryOf, timeZone = 'UTC') => {
+  const changes = [...(task.statusChanges || [])]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const entry = (at, status, category) => ({
+    at: new Date(at),
+    day: toDayKey(at, timeZone),
+    status,
+    category: category || categoryOf(status)
+  });
+
+  const initialStatus = changes.length > 0 ? changes[0].previousValue : task.status;
+  const timeline = [
+    entry(task.createdAt, initialStatus, changes.length > 0 ? null : task.statusCategory)
+  ];
+
+  for (const change of changes) {
+    timeline.push(entry(change.timestamp, change.newValue, change.details?.category));
+  }
+
+  return timeline;
+};
+
+// State of a task at the end of a day, or null if it did not exist yet
+export const stateOnDay = (timeline, day) => {
+  let state = null;
+
+  for (const entry of timeline) {
+    if (entry.day > day) break;
+    state = entry;
+  }
+
+  return state;
+};
+
+// Daily scope and completed work, with the ideal line from the first day's
+// remaining work down to zero. Burnup reads scope and completed; burndown
+// reads remaining and ideal.
+export const calculateBurndown = (items, days, unit = 'tasks') => {
+  const weight = item => (unit === 'points' ? item.storyPoints || 0 : 1);
+
+  const series = days.map(day => {
+    let scope = 0;
+    let completed = 0;
+
+    for (const item of items) {
+      const state = stateOnDay(item.timeline, day);
+      if (!state) continue;
+
+      scope += weight(item);
+      if (state.category === 'done') {
+        completed += weight(item);
+      }
+    }
+
+    return { date: day, scope, completed, remaining: scope - completed };
+  });
+
+  const start = series[0]?.remaining || 0;
+  const steps = Math.max(series.length - 1, 1);
+
+  return series.map((point, index) => ({
+    ...point,
+    ideal: Math.round(start * (1 - index / steps) * 100) / 100
+  }));
+};
+
+// Number of tasks in each status at the end of every day. Statuses no longer
+// in the workflow are appended after the workflow's own.
+export const calculateCumulativeFlow = (timelines, days, statusKeys = []) => {
+  const statuses = [...statusKeys];
+
+  const series = days.map(day => {
+    const counts = Object.fromEntries(statuses.map(status => [status, 0]));
+
+    for (const timeline of timelines) {
+      const state = stateOnDay(timeline, day);
+      if (!state) continue;
+
+      if (!(state.status in counts)) {
+        counts[state.status] = 0;
+        if (!statuses.includes(state.status)) statuses.push(state.status);
+      }
+      counts[state.status]++;
+    }
+
+    return { date: day, counts };
+  });
+
+  // Backfill statuses first seen on a later day
+  for (const point of series) {
+    for (const status of statuses) {
+      point.counts[status] = point.counts[status] || 0;
+    }
+  }
+
+  return { statuses, series };
+};
+
+// Nearest-rank percentile of sorted values
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+};
+
+const roundDays = value => (value === null ? null : Math.round(value * 100) / 100);
+
+// Summarise durations given in days
+export const summarizeDurations = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+
+  return {
+    count: sorted.length,
+    average: roundDays(sorted.length > 0 ? total / sorted.length : null),
+    min: roundDays(sorted.length > 0 ? sorted[0] : null),
+    max: roundDays(sorted.length > 0 ? sorted[sorted.length - 1] : null),
+    ...Object.fromEntries(FLOW_PERCENTILES.map(p => [`p${p}`, roundDays(percentile(sorted, p))]))
+  };
+};
+
+// The timeline entry where a finished task last moved into done, or null if
+// it is not done
+export const completionEntry = (timeline) => {
+  let done = null;
+
+  for (const entry of timeline) {
+    if (entry.category === 'done') {
+      done = done || entry;
+    } else {
+      done = null;
+    }
+  }
+
+  return done;
+};
+
+// Lead time (created to done) and cycle time (first active to done) in days
+// for tasks completed between two days. Tasks that skipped straight to done
+// have a lead time but no cycle time.
+export const calculateFlowTimes = (timelines, fromDay, toDay) => {
+  const leadTimes = [];
+  const cycleTimes = [];
+
+  for (const timeline of timelines) {
+    const done = completionEntry(timeline);
+    if (!done || done.day < fromDay || done.day > toDay) continue;
+
+    leadTimes.push((done.at - timeline[0].at) / DAY_MS);
+
+    const started = timeline.find(entry => entry.category === 'active' && entry.at <= done.at);
+    if (started) {
+      cycleTimes.push((done.at - started.at) / DAY_MS);
+    }
+  }
+
+  return {
+    leadTime: summarizeDurations(leadTimes),
+    cycleTime: summarizeDurations(cycleTimes)
+  };
+};
+
+// Redis key holding a workspace's analytics cache generation
+export const analyticsVersionKey = workspaceId => `analytics:${workspaceId}:version`;
@@ -0,0 +1,285 @@
+// Workspace automation rules: "when <trigger>, if <conditions>, do <actions>".
+// Rules are plain data so they can be checked here without the database;
+// automationService runs them.
+
+// Trigger fired by each type of task activity
+export const ACTIVITY_TRIGGERS = {
+  created: 'task_created',
+  status_changed: 'status_changed',
+  comment_added: 'comment_added',
+  subtask_completed: 'subtask_completed'
+};
+
+// due_date_passed is raised by the scheduler rather than by task activity
+export const AUTOMATION_TRIGGERS = [...Object.values(ACTIVITY_TRIGGERS), 'due_date_passed'];
+
+export const CONDITION_FIELDS = [
+  'status', 'statusCategory', 'priority', 'assignees', 'tags', 'title',
+  'dueDate', 'storyPoints', 'estimatedHours', 'sprint', 'allSubtasksCompleted'
+];
+
+export const CONDITION_OPERATORS = [
+  'equals', 'not_equals', 'in', 'not_in', 'contains', 'not_contains',
+  'is_empty', 'is_not_empty', 'gt', 'lt'
+];
+
+export const ACTION_TYPES = ['set_field', 'assign', 'comment', 'notify', 'move'];
+
+export const SETTABLE_FIELDS = ['priority', 'tags', 'storyPoints', 'estimatedHours', 'dueDate'];
+
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Stand-ins for users resolved when a rule runs
+export const USER_TOKENS = ['creator', 'actor'];
+export const RECIPIENT_TOKENS = [...USER_TOKENS, 'assignees', 'watchers'];
+
+// How many rule runs may cascade from one change before the chain is cut
+export const MAX_AUTOMATION_DEPTH = 3;
+
+export const MAX_CONDITIONS = 10;
+export const MAX_ACTIONS = 10;
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const CUSTOM_FIELD_PATTERN = /^customFields\.[a-z][a-z0-9_]{0,39}$/;
+
+const isConditionField = field => CONDITION_FIELDS.includes(field) || CUSTOM_FIELD_PATTERN.test(field || '');
+const isSettableField = field => SETTABLE_FIELDS.includes(field) || CUSTOM_FIELD_PATTERN.test(field || '');
+const isUserRef = (value, tokens) => tokens.includes(value) || OBJECT_ID_PATTERN.test(value || '');
+
+const toId = value => (value?._id || value)?.toString();
+
+// Check a single action's parameters, returning an error message or null
+const validateAction = (action) => {
+  switch (action.type) {
+    case 'set_field': {
+      if (!isSettableField(action.field)) {
+        return `set_field can change ${SETTABLE_FIELDS.join(', ')} or a custom field (customFields.<key>)`;
+      }
+      if (action.field === 'priority' && !PRIORITIES.includes(action.value)) {
+        return `priority must be one of ${PRIORITIES.join(', ')}`;
+      }
+      if (action.field === 'tags') {
+        const tags = Array.isArray(action.value) ? action.value : [action.value];
+        if (tags.length === 0 || tags.some(tag => typeof tag !== 'string' || tag.trim() === '' || tag.length > 50)) {
+          return 'tags must be one or more tags of up to 50 characters';
+        }
+        if (action.mode !== undefined && !['add', 'remove', 'replace'].includes(action.mode)) {
+          return 'tags mode must be add, remove or replace';
+        }
+      }
+      if (['storyPoints', 'estimatedHours'].includes(action.field) &&
+        action.value !== null && (typeof action.value !== 'number' || action.value < 0)) {
+        return `${action.field} must be a non-negative number or null`;
+      }
+      // Due dates are set relative to when the rule runs
+      if (action.field === 'dueDate' && action.value !== null && !Number.isInteger(action.value)) {
+        return 'dueDate must be a whole number of days from when the rule runs, or null';
+      }
+      if (action.value === undefined) {
+        return `set_field needs a value for ${action.field}`;
+      }
+      return null;
+    }
+
+    case 'assign': {
+      if (!Array.isArray(action.users) || action.users.length === 0 ||
+        !action.users.every(user => isUserRef(user, USER_TOKENS))) {
+        return `assign needs users: user IDs or ${USER_TOKENS.join(', ')}`;
+      }
+      if (action.mode !== undefined && !['add', 'replace'].includes(action.mode)) {
+        return 'assign mode must be add or replace';
+      }
+      return null;
+    }
+
+    case 'comment': {
+      if (typeof action.text !== 'string' || action.text.trim() === '' || action.text.length > 1000) {
+        return 'comment needs text of up to 1000 characters';
+      }
+      return null;
+    }
+
+    case 'notify': {
+      if (!Array.isArray(action.recipients) || action.recipients.length === 0 ||
+        !action.recipients.every(recipient => isUserRef(recipient, RECIPIENT_TOKENS))) {
+        return `notify needs recipients: user IDs or ${RECIPIENT_TOKENS.join(', ')}`;
+      }
+      if (typeof action.message !== 'string' || action.message.trim() === '' || action.message.length > 500) {
+        return 'notify needs a message of up to 500 characters';
+      }
+      return null;
+    }
+
+    case 'move': {
+      if (typeof action.status !== 'string' || action.status.trim() === '') {
+        return 'move needs the status key to move the task to';
+      }
+      return null;
+    }
+
+    default:
+      return `Action type must be one of ${ACTION_TYPES.join(', ')}`;
+  }
+};
+
+// Validate a rule's trigger, conditions and actions, returning an error message or null
+export const validateRule = ({ trigger, conditions = [], actions } = {}) => {
+  if (!trigger || !AUTOMATION_TRIGGERS.includes(trigger.type)) {
+    return `Trigger must be one of ${AUTOMATION_TRIGGERS.join(', ')}`;
+  }
+
+  for (const key of ['from', 'to']) {
+    if (trigger[key] === undefined || trigger[key] === null) continue;
+    if (trigger.type !== 'status_changed') {
+      return `Only status_changed triggers can filter by ${key}`;
+    }
+    if (typeof trigger[key] !== 'string') {
+      return `Trigger ${key} must be a status key`;
+    }
+  }
+
+  if (!Array.isArray(conditions) || conditions.length > MAX_CONDITIONS) {
+    return `Conditions must be a list of at most ${MAX_CONDITIONS}`;
+  }
+
+  for (const condition of conditions) {
+    if (!condition || !isConditionField(condition.field)) {
+      return `Condition field must be one of ${CONDITION_FIELDS.join(', ')} or customFields.<key>`;
+    }
+    if (!CONDITION_OPERATORS.includes(condition.operator)) {
+      return `Condition operator must be one of ${CONDITION_OPERATORS.join(', ')}`;
+    }
+    if (['in', 'not_in'].includes(condition.operator) && !Array.isArray(condition.value)) {
+      return `${condition.operator} conditions need a list of values`;
+    }
+    if (!['is_empty', 'is_not_empty'].includes(condition.operator) && condition.value === undefined) {
+      return `${condition.operator} conditions need a value`;
+    }
+  }
+
+  if (!Array.isArray(actions) || actions.length === 0 || actions.length > MAX_ACTIONS) {
+    return `Rules need between 1 and ${MAX_ACTIONS} actions`;
+  }
+
+  for (const action of actions) {
+    const error = validateAction(action || {});
+    if (error) return error;
+  }
+
+  return null;
+};
+
+// Check whether an event fires a rule's trigger
+export const matchesTrigger = (trigger, event) => {
+  if (trigger.type !== event.type) return false;
+
+  if (trigger.type === 'status_changed') {
+    if (trigger.from && trigger.from !== event.from) return false;
+    if (trigger.to && trigger.to !== event.to) return false;
+  }
+
+  return true;
+};
+
+// Read a task field for a condition. ObjectIds become strings.
+export const getFieldValue = (task, field) => {
+  if (field === 'allSubtasksCompleted') {
+    const subtasks = task.subtasks || [];
+    return subtasks.length > 0 && subtasks.every(subtask => subtask.completed);
+  }
+
+  if (field.startsWith('customFields.')) {
+    const key = field.slice('customFields.'.length);
+    const values = task.customFields;
+    return typeof values?.get === 'function' ? values.get(key) : values?.[key];
+  }
+
+  const normalize = item => (item && typeof item === 'object' && !(item instanceof Date) ? toId(item) : item);
+  const value = task[field];
+
+  return Array.isArray(value) ? value.map(normalize) : normalize(value);
+};
+
+const isEmpty = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) => String(a) === String(b);
+
+// Numbers and dates compare numerically
+const toNumber = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') {
+    return Number.isNaN(Number(value)) ? Date.parse(value) : Number(value);
+  }
+  return NaN;
+};
+
+// Check one condition. List fields (assignees, tags) match equals and in when
+// any of their items does.
+export const matchesCondition = (task, { field, operator, value }) => {
+  const actual = getFieldValue(task, field);
+  const items = Array.isArray(actual) ? actual : [actual];
+
+  switch (operator) {
+    case 'equals':
+      return items.some(item => sameValue(item, value));
+    case 'not_equals':
+      return !items.some(item => sameValue(item, value));
+    case 'in':
+      return items.some(item => value.some(expected => sameValue(item, expected)));
+    case 'not_in':
+      return !items.some(item => value.some(expected => sameValue(item, expected)));
+    case 'contains':
+    case 'not_contains': {
+      const found = typeof actual === 'string'
+        ? actual.toLowerCase().includes(String(value).toLowerCase())
+        : items.some(item => sameValue(item, value));
+      return operator === 'contains' ? found : !found;
+    }
+    case 'is_empty':
+      return isEmpty(actual);
+    case 'is_not_empty':
+      return !isEmpty(actual);
+    case 'gt':
+    case 'lt': {
+      if (isEmpty(actual)) return false;
+      const left = toNumber(actual);
+      const right = toNumber(value);
+      if (Number.isNaN(left) || Number.isNaN(right)) return false;
+      return operator === 'gt' ? left > right : left < right;
+    }
+    default:
+      return false;
+  }
+};
+
+// All conditions must hold
+export const matchesConditions = (task, conditions = []) => conditions.every(condition => matchesCondition(task, condition));
+
+// Turn user references into user IDs for a task and the user behind the event
+export const resolveUsers = (refs, { task, actor }) => {
+  const ids = refs.flatMap((ref) => {
+    switch (ref) {
+      case 'creator': return [task.createdBy];
+      case 'actor': return actor ? [actor] : [];
+      case 'assignees': return task.assignees || [];
+      case 'watchers': return task.watchers || [];
+      default: return [ref];
+    }
+  });
+
+  return [...new Set(ids.filter(Boolean).map(toId))];
+};
+
+// Fill {{placeholders}} in comment and notification text
+export const renderTemplate = (text, { task, rule }) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+  const values = {
+    title: task.title,
+    status: task.status,
+    priority: task.priority,
+    dueDate: task.dueDate ? new Date(task.dueDate).toISOString().slice(0, 10) : '',
+    rule: rule?.name
+  };
+  return key in values ? values[key] ?? '' : match;
+});
@@ -0,0 +1,333 @@
+// Custom field helpers for workspace-defined task fields.
+// Definitions live on the workspace; task values are stored by field key
+// under task.customFields, so queries use `customFields.<key>` paths.
+
+export const CUSTOM_FIELD_TYPES = [
+  'text', 'number', 'date', 'select', 'multiselect', 'user', 'url', 'checkbox'
+];
+
+export const MAX_CUSTOM_FIELDS = 50;
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const MAX_TEXT_LENGTH = 1000;
+
+const isSelectType = type => type === 'select' || type === 'multiselect';
+
+export const customFieldPath = key => `customFields.${key}`;
+
+// Validate a field definition, returning an error message or null
+export const validateFieldDefinition = (definition, existing = []) => {
+  if (!definition || !FIELD_KEY_PATTERN.test(definition.key || '')) {
+    return 'Field key must start with a letter and contain only lowercase letters, numbers or underscores (max 40 characters)';
+  }
+
+  if (existing.some(field => field.key === definition.key)) {
+    return `A custom field with key ${definition.key} already exists`;
+  }
+
+  if (!definition.name || typeof definition.name !== 'string' || definition.name.trim().length > 100) {
+    return 'Field name is required and must be at most 100 characters';
+  }
+
+  if (!CUSTOM_FIELD_TYPES.includes(definition.type)) {
+    return `Field type must be one of ${CUSTOM_FIELD_TYPES.join(', ')}`;
+  }
+
+  if (isSelectType(definition.type)) {
+    const options = definition.options || [];
+
+    if (!Array.isArray(options) || options.length === 0) {
+      return 'Select fields must define at least one option';
+    }
+
+    const values = options.map(option => option?.value);
+    if (values.some(value => typeof value !== 'string' || !value.trim())) {
+      return 'Each option must have a value';
+    }
+
+    if (new Set(values).size !== values.length) {
+      return 'Option values must be unique';
+    }
+  } else if (definition.options?.length > 0) {
+    return 'Only select fields can define options';
+  }
+
+  return null;
+};
+
+// Coerce and check a single value against its definition
+export const normalizeFieldValue = (definition, value, { isMember = () => true } = {}) => {
+  const { key, type } = definition;
+
+  switch (type) {
+    case 'text': {
+      if (typeof value !== 'string') return { error: `${key} must be text` };
+      if (value.length > MAX_TEXT_LENGTH) return { error: `${key} cannot exceed ${MAX_TEXT_LENGTH} characters` };
+      return { value: value.trim() };
+    }
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: `${key} must be a number` };
+      return { value: number };
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      if (value === true || value === false || Number.isNaN(date.getTime())) {
+        return { error: `${key} must be a valid date` };
+      }
+      return { value: date };
+    }
+
+    case 'select': {
+      const allowed = definition.options.map(option => option.value);
+      if (!allowed.includes(value)) return { error: `${key} must be one of ${allowed.join(', ')}` };
+      return { value };
+    }
+
+    case 'multiselect': {
+      const allowed = definition.options.map(option => option.value);
+      if (!Array.isArray(value)) return { error: `${key} must be a list of options` };
+      const invalid = value.find(item => !allowed.includes(item));
+      if (invalid !== undefined) return { error: `${key} has an unknown option: ${invalid}` };
+      return { value: [...new Set(value)] };
+    }
+
+    case 'user': {
+      const userId = value?._id?.toString() || value?.toString();
+      if (!userId || !OBJECT_ID_PATTERN.test(userId)) return { error: `${key} must be a user ID` };
+      if (!isMember(userId)) return { error: `${key} must be a member of this workspace` };
+      return { value: userId };
+    }
+
+    case 'url': {
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        return { error: `${key} must be a valid URL` };
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) return { error: `${key} must be an http or https URL` };
+      return { value: url.toString() };
+    }
+
+    case 'checkbox': {
+      if (value === 'true' || value === 'false') return { value: value === 'true' };
+      if (typeof value !== 'boolean') return { error: `${key} must be true or false` };
+      return { value };
+    }
+
+    default:
+      return { error: `${key} has an unsupported type` };
+  }
+};
+
+const isEmpty = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Validate submitted values. Empty values clear a field (returned as null).
+// With `partial`, required fields only fail when they are being cleared.
+export const validateCustomFieldValues = (definitions, values, { partial = false, isMember } = {}) => {
+  const errors = [];
+  const normalized = {};
+
+  if (values !== undefined && (values === null || typeof values !== 'object' || Array.isArray(values))) {
+    return { values: normalized, errors: ['customFields must be an object keyed by field key'] };
+  }
+
+  const submitted = values || {};
+
+  for (const key of Object.keys(submitted)) {
+    if (!definitions.some(field => field.key === key)) {
+      errors.push(`Unknown custom field: ${key}`);
+    }
+  }
+
+  for (const definition of definitions) {
+    const hasValue = Object.prototype.hasOwnProperty.call(submitted, definition.key);
+    const value = submitted[definition.key];
+
+    if (!hasValue) {
+      if (definition.required && !partial) errors.push(`${definition.key} is required`);
+      continue;
+    }
+
+    if (isEmpty(value)) {
+      if (definition.required) {
+        errors.push(`${definition.key} is required`);
+      } else {
+        normalized[definition.key] = null;
+      }
+      continue;
+    }
+
+    const result = normalizeFieldValue(definition, value, { isMember });
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      normalized[definition.key] = result.value;
+    }
+  }
+
+  return { values: normalized, errors };
+};
+
+// Turn a query string filter ({ key: value } or { key: { gte, lte } }) into a MongoDB query
+export const buildCustomFieldQuery = (definitions, filters = {}) => {
+  const query = {};
+
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'Custom field filters must use cf[fieldKey]=value' };
+  }
+
+  for (const [key, raw] of Object.entries(filters)) {
+    const definition = definitions.find(field => field.key === key);
+    if (!definition) {
+      return { error: `Unknown custom field: ${key}` };
+    }
+
+    const path = customFieldPath(key);
+
+    // `?cf[key]=` with no value matches tasks where the field is empty
+    if (raw === '' || raw === 'null') {
+      query[path] = { $in: [null, []] };
+      continue;
+    }
+
+    switch (definition.type) {
+      case 'number':
+      case 'date': {
+        const range = typeof raw === 'object' ? raw : { eq: raw };
+        const condition = {};
+
+        for (const [operator, operand] of Object.entries(range)) {
+          if (!['eq', 'gt', 'gte', 'lt', 'lte'].includes(operator)) {
+            return { error: `Unsupported operator ${operator} for ${key}` };
+          }
+
+          const result = normalizeFieldValue(definition, operand);
+          if (result.error) return { error: result.error };
+          condition[`$${operator}`] = result.value;
+        }
+
+        query[path] = condition;
+        break;
+      }
+
+      case 'select':
+      case 'multiselect':
+      case 'user': {
+        const values = Array.isArray(raw) ? raw : String(raw).split(',');
+        query[path] = { $in: values.map(value => value.trim()) };
+        break;
+      }
+
+      case 'checkbox': {
+        query[path] = raw === true || raw === 'true' ? true : { $ne: true };
+        break;
+      }
+
+      default: {
+        // Text and URL fields match on a case-insensitive substring
+        const escaped = String(raw).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query[path] = { $regex: escaped, $options: 'i' };
+      }
+    }
+  }
+
+  return { query };
+};
+
+// Map `cf.<key>` / `-cf.<key>` sort values onto stored paths; other sorts pass through
+export const resolveCustomFieldSort = (definitions, sort) => {
+  if (typeof sort !== 'string') return { sort };
+
+  const match = sort.match(/^(-?)cf\.(.+)$/);
+  if (!match) return { sort };
+
+  if (!definitions.some(field => field.key === match[2])) {
+    return { error: `Unknown custom field: ${match[2]}` };
+  }
+
+  return { sort: `${match[1]}${customFieldPath(match[2])}` };
+};
+
+// Build $facet stages summarising each custom field
+export const buildCustomFieldFacets = (definitions) => {
+  const facets = {};
+
+  for (const { key, type } of definitions) {
+    const field = `$${customFieldPath(key)}`;
+    const present = { $match: { [customFieldPath(key)]: { $exists: true, $nin: [null, '', []] } } };
+
+    switch (type) {
+      case 'number':
+        facets[key] = [
+          present,
+          { $group: { _id: null, count: { $sum: 1 }, sum: { $sum: field }, avg: { $avg: field }, min: { $min: field }, max: { $max: field } } }
+        ];
+        break;
+
+      case 'date':
+        facets[key] = [
+          present,
+          { $group: { _id: null, count: { $sum: 1 }, min: { $min: field }, max: { $max: field } } }
+        ];
+        break;
+
+      case 'multiselect':
+        facets[key] = [present, { $unwind: field }, { $group: { _id: field, count: { $sum: 1 } } }];
+        break;
+
+      case 'select':
+      case 'user':
+      case 'checkbox':
+        facets[key] = [present, { $group: { _id: field, count: { $sum: 1 } } }];
+        break;
+
+      default:
+        facets[key] = [present, { $count: 'count' }];
+    }
+  }
+
+  return facets;
+};
+
+// Shape $facet output into { key: summary }
+export const formatCustomFieldStats = (definitions, facetResult = {}) => {
+  const stats = {};
+
+  for (const { key, type } of definitions) {
+    const rows = facetResult[key] || [];
+
+    switch (type) {
+      case 'number':
+      case 'date': {
+        const { _id, ...summary } = rows[0] || { count: 0 };
+        stats[key] = summary;
+        break;
+      }
+
+      case 'select':
+      case 'multiselect':
+      case 'user':
+      case 'checkbox': {
+        const values = {};
+        let count = 0;
+        for (const row of rows) {
+          values[String(row._id)] = row.count;
+          count += row.count;
+        }
+        stats[key] = type === 'multiselect' ? { values } : { count, values };
+        break;
+      }
+
+      default:
+        stats[key] = { count: rows[0]?.count || 0 };
+    }
+  }
+
+  return stats;
+};
@@ -0,0 +1,165 @@
+// Dependency graph helpers for tasks.
+// An edge A -> B means "A depends on B", so B must be finished before A.
+
+// Build lookup maps from task-like objects ({ _id, dependencies, status, estimatedHours })
+export const buildGraph = (tasks, { isFinished = task => task.status === 'done' } = {}) => {
+  const nodes = new Map();
+  const dependents = new Map();
+
+  for (const task of tasks) {
+    const id = task._id.toString();
+    const finished = isFinished(task);
+
+    nodes.set(id, {
+      id,
+      title: task.title,
+      status: task.status,
+      dueDate: task.dueDate,
+      estimatedHours: task.estimatedHours,
+      finished,
+      // Finished work no longer contributes to the schedule; unestimated tasks count as one hour
+      weight: finished ? 0 : (task.estimatedHours || 1),
+      dependencies: (task.dependencies || []).map(dep => (dep._id || dep).toString())
+    });
+  }
+
+  // Only keep edges between tasks we know about (archived/removed tasks drop out)
+  for (const node of nodes.values()) {
+    node.dependencies = node.dependencies.filter(dep => nodes.has(dep));
+
+    for (const dep of node.dependencies) {
+      if (!dependents.has(dep)) dependents.set(dep, []);
+      dependents.get(dep).push(node.id);
+    }
+  }
+
+  return { nodes, dependents };
+};
+
+// Find a dependency path from one task to another, or null if none exists
+export const findPath = (graph, fromId, toId) => {
+  const from = fromId.toString();
+  const to = toId.toString();
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    if (current === to) {
+      const path = [];
+      for (let step = to; step !== null; step = previous.get(step)) {
+        path.unshift(step);
+      }
+      return path;
+    }
+
+    for (const next of graph.nodes.get(current)?.dependencies || []) {
+      if (!previous.has(next)) {
+        previous.set(next, current);
+        queue.push(next);
+      }
+    }
+  }
+
+  return null;
+};
+
+// Check whether adding "taskId depends on dependencyId" would close a loop
+export const wouldCreateCycle = (graph, taskId, dependencyId) => {
+  if (taskId.toString() === dependencyId.toString()) {
+    return [taskId.toString()];
+  }
+
+  // A cycle exists if the new dependency already (transitively) depends on the task
+  return findPath(graph, dependencyId, taskId);
+};
+
+// Walk the graph breadth-first and record the shortest distance to each task
+const walk = (startId, getNext) => {
+  const start = startId.toString();
+  const depths = new Map([[start, 0]]);
+  const queue = [start];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    for (const next of getNext(current)) {
+      if (!depths.has(next)) {
+        depths.set(next, depths.get(current) + 1);
+        queue.push(next);
+      }
+    }
+  }
+
+  depths.delete(start);
+  return Array.from(depths, ([id, depth]) => ({ id, depth }));
+};
+
+// Tasks this task is (transitively) waiting on
+export const collectUpstream = (graph, taskId) => {
+  return walk(taskId, id => graph.nodes.get(id)?.dependencies || []);
+};
+
+// Tasks (transitively) waiting on this task
+export const collectDownstream = (graph, taskId) => {
+  return walk(taskId, id => graph.dependents.get(id) || []);
+};
+
+// Longest chain of remaining work through the given tasks, weighted by estimated hours
+export const findCriticalPath = (graph, taskIds = Array.from(graph.nodes.keys())) => {
+  const subset = new Set(taskIds.map(id => id.toString()));
+  const inDegree = new Map();
+
+  for (const id of subset) {
+    const deps = graph.nodes.get(id).dependencies.filter(dep => subset.has(dep));
+    inDegree.set(id, deps.length);
+  }
+
+  // Kahn's algorithm: blockers are processed before the tasks they block
+  const queue = Array.from(subset).filter(id => inDegree.get(id) === 0);
+  const distance = new Map();
+  const previous = new Map();
+
+  for (const id of queue) {
+    distance.set(id, graph.nodes.get(id).weight);
+    previous.set(id, null);
+  }
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+
+    for (const next of graph.dependents.get(current) || []) {
+      if (!subset.has(next)) continue;
+
+      const candidate = distance.get(current) + graph.nodes.get(next).weight;
+      if (!distance.has(next) || candidate > distance.get(next)) {
+        distance.set(next, candidate);
+        previous.set(next, current);
+      }
+
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) {
+        queue.push(next);
+      }
+    }
+  }
+
+  let end = null;
+  for (const [id, total] of distance) {
+    if (end === null || total > distance.get(end)) {
+      end = id;
+    }
+  }
+
+  if (end === null) {
+    return { tasks: [], totalHours: 0 };
+  }
+
+  const path = [];
+  for (let step = end; step !== null; step = previous.get(step)) {
+    path.unshift(step);
+  }
+
+  return { tasks: path, totalHours: distance.get(end) };
+};
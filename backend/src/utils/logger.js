@@ -144,6 +144,22 @@ logger.auth = (action, userId, details = {}) => {
   });
 };
 
+// Workspace event logging
+logger.workspace = (action, workspaceId, details = {}) => {
+  logger.info(`Workspace ${action}`, {
+    workspaceId,
+    ...details,
+  });
+};
+
+// Task event logging
+logger.task = (action, taskId, details = {}) => {
+  logger.info(`Task ${action}`, {
+    taskId,
+    ...details,
+  });
+};
+
 // Real-time event logging
 logger.socket = (event, room, userId, data = {}) => {
   logger.debug(`Socket ${event}`, {
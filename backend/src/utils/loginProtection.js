@@ -0,0 +1,22 @@
+// Brute-force protection helpers for login: progressive delays between failed
+// attempts and readable wait times.
+
+// Seconds a client must wait before its next attempt after `failures`
+// consecutive failures. The first few are free, then the wait doubles.
+export const attemptDelaySeconds = (failures, { freeAttempts = 3, baseDelaySeconds = 1, maxDelaySeconds = 60 } = {}) => {
+  if (!Number.isFinite(failures) || failures <= freeAttempts) return 0;
+  return Math.min(baseDelaySeconds * 2 ** (failures - freeAttempts - 1), maxDelaySeconds);
+};
+
+// Whole seconds from now until a timestamp, at least 1
+export const secondsUntil = (timestamp, now = Date.now()) => {
+  return Math.max(Math.ceil((new Date(timestamp).getTime() - now) / 1000), 1);
+};
+
+// "45 seconds", "1 minute", "15 minutes"
+export const describeWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+
+// Two-factor authentication helpers: RFC 6238 TOTP codes, otpauth:// URIs for
+// authenticator apps, recovery codes and encryption of stored TOTP secrets.
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+
+// Accept codes from one step either side to allow for clock drift
+export const TOTP_WINDOW = 1;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP code for a counter
+export const hotp = (secret, counter, digits = TOTP_DIGITS) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+export const timeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+export const totp = (secret, time = Date.now()) => hotp(secret, timeStep(time));
+
+// Check a TOTP code, returning the time step it matched or null. Steps at or
+// before lastUsedStep are refused so a code cannot be replayed.
+export const verifyTotp = (secret, code, { time = Date.now(), window = TOTP_WINDOW, lastUsedStep = null } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+  const current = timeStep(time);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = current + offset;
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// Provisioning URI authenticator apps read from a QR code
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Recovery codes look like "a1b2c-3d4e5" and are compared case-insensitively
+// with or without the dash
+export const normalizeRecoveryCode = code => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Recovery codes carry only 40 bits, so they are hashed with a server-side
+// key; a leaked database alone is not enough to brute-force them
+export const hashRecoveryCode = (code, key) => crypto
+  .createHmac('sha256', String(key))
+  .update(`recovery-code:${normalizeRecoveryCode(code)}`)
+  .digest('hex');
+
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+const encryptionKey = key => crypto.createHash('sha256').update(String(key)).digest();
+
+// TOTP secrets must be readable to check codes, so they are encrypted rather
+// than hashed. Output is iv.tag.ciphertext in base64url.
+export const encryptSecret = (plaintext, key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(key), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+export const decryptSecret = (sealed, key) => {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(key), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// OpenID Connect helpers for the authorization code flow with PKCE: request
+// parameters, ID token verification against a provider's JWKS and mapping
+// claims to a user profile.
+
+// Signature algorithms accepted on ID tokens; never "none" or HMAC
+export const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Random URL-safe value for state, nonce and PKCE verifiers
+export const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// RFC 7636 PKCE pair using the S256 method
+export const generatePkce = () => {
+  const codeVerifier = randomToken(32);
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge };
+};
+
+export const buildAuthorizationUrl = (metadata, { clientId, redirectUri, scope, state, nonce, codeChallenge }) => {
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Check discovery metadata belongs to the configured issuer and supports the flow
+export const validateMetadata = (metadata, issuer) => {
+  const trim = value => String(value || '').replace(/\/+$/, '');
+
+  if (trim(metadata?.issuer) !== trim(issuer)) {
+    throw new Error(`Discovery document issuer ${metadata?.issuer} does not match ${issuer}`);
+  }
+
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!metadata[field]) throw new Error(`Discovery document is missing ${field}`);
+  }
+
+  const methods = metadata.code_challenge_methods_supported;
+  if (Array.isArray(methods) && !methods.includes('S256')) {
+    throw new Error('Provider does not support PKCE with S256');
+  }
+
+  return metadata;
+};
+
+// Verify an ID token's signature and claims. `keys` is the provider's JWKS
+// key list. Returns the claims.
+export const verifyIdToken = (idToken, { keys, issuer, clientId, nonce, clockTolerance = 60 }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) throw new Error('ID token is not a JWT');
+
+  const { alg, kid } = decoded.header;
+  if (!ID_TOKEN_ALGORITHMS.includes(alg)) {
+    throw new Error(`ID token algorithm ${alg} is not allowed`);
+  }
+
+  const candidates = keys.filter(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+  if (candidates.length === 0) {
+    throw new Error(kid ? `No signing key ${kid} found for ID token` : 'No signing key found for ID token');
+  }
+
+  let claims = null;
+  let lastError = null;
+
+  for (const jwk of candidates) {
+    try {
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      claims = jwt.verify(idToken, publicKey, {
+        algorithms: [alg],
+        issuer,
+        audience: clientId,
+        clockTolerance
+      });
+      break;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  if (!claims) throw lastError;
+
+  if (!claims.sub) throw new Error('ID token has no subject');
+
+  // With several audiences the token must have been issued to us
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+    throw new Error('ID token authorized party does not match the client');
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+export const emailDomain = email => String(email || '').toLowerCase().split('@')[1] || null;
+
+// Profile fields for a new account from ID token and userinfo claims
+export const profileFromClaims = (claims) => {
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  const [givenFromName, ...familyFromName] = String(claims.name || '').trim().split(/\s+/);
+
+  const username = String(claims.preferred_username || (email ? email.split('@')[0] : '') || claims.sub)
+    .split('@')[0]
+    .replace(/[^a-zA-Z0-9_-]/g, '')
+    .slice(0, 24);
+
+  return {
+    email,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: (claims.given_name || givenFromName || username || 'User').slice(0, 50),
+    lastName: (claims.family_name || familyFromName.join(' ') || '-').slice(0, 50),
+    username: username.length >= 3 ? username : `user${username}`,
+    avatar: claims.picture || null
+  };
+};
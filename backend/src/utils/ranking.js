@@ -0,0 +1,30 @@
+// Fractional ranks for manually ordered lists such as board columns.
+// A moved card takes a rank between its new neighbours, so only that card
+// is written; the column is only renumbered once the gap gets too small.
+
+// Distance between ranks when appending or spreading a column
+export const RANK_STEP = 1024;
+
+// Smallest gap worth splitting before a column needs rebalancing
+export const MIN_RANK_GAP = 1e-6;
+
+const isRank = value => typeof value === 'number' && Number.isFinite(value);
+
+// Rank between two neighbours (either may be missing), or null when there is no room
+export const rankBetween = (before = null, after = null) => {
+  const hasBefore = isRank(before);
+  const hasAfter = isRank(after);
+
+  if (!hasBefore && !hasAfter) return RANK_STEP;
+  if (!hasAfter) return before + RANK_STEP;
+  if (!hasBefore) return after - RANK_STEP;
+
+  if (after - before <= MIN_RANK_GAP) return null;
+
+  return before + (after - before) / 2;
+};
+
+// Evenly spaced ranks for a column of the given size
+export const spreadRanks = (count) => {
+  return Array.from({ length: count }, (_, index) => (index + 1) * RANK_STEP);
+};
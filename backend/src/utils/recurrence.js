@@ -0,0 +1,347 @@
+// Recurrence helpers implementing the iCalendar RRULE subset used for recurring tasks.
+// Supported parts: FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH.
+// Occurrences are expanded in the wall-clock time of a timezone, so a 09:00
+// standup stays at 09:00 across daylight saving changes. Ordinal BYDAY values
+// (e.g. 1MO, -1FR) are evaluated within the month.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Stop scanning after this many days without finding an occurrence
+const MAX_SCAN_DAYS = 366 * 30;
+
+// Parse an RRULE string such as "FREQ=WEEKLY;BYDAY=MO,WE;INTERVAL=2"
+export const parseRRule = (rule) => {
+  if (!rule || typeof rule !== 'string') {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const parsed = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: []
+  };
+
+  const body = rule.trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, value] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+
+    if (!value) {
+      throw new Error(`Recurrence rule part ${key} has no value`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new Error(`Unsupported recurrence frequency: ${value}`);
+        }
+        parsed.freq = value.toUpperCase();
+        break;
+
+      case 'INTERVAL':
+        parsed.interval = parseInt(value, 10);
+        if (!Number.isInteger(parsed.interval) || parsed.interval < 1) {
+          throw new Error('INTERVAL must be a positive integer');
+        }
+        break;
+
+      case 'COUNT':
+        parsed.count = parseInt(value, 10);
+        if (!Number.isInteger(parsed.count) || parsed.count < 1) {
+          throw new Error('COUNT must be a positive integer');
+        }
+        break;
+
+      case 'UNTIL':
+        parsed.until = parseUntil(value);
+        break;
+
+      case 'BYDAY':
+        parsed.byDay = value.split(',').map(parseWeekday);
+        break;
+
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = value.split(',').map(day => {
+          const monthDay = parseInt(day, 10);
+          if (!monthDay || monthDay < -31 || monthDay > 31) {
+            throw new Error(`Invalid BYMONTHDAY value: ${day}`);
+          }
+          return monthDay;
+        });
+        break;
+
+      case 'BYMONTH':
+        parsed.byMonth = value.split(',').map(month => {
+          const monthNumber = parseInt(month, 10);
+          if (!monthNumber || monthNumber < 1 || monthNumber > 12) {
+            throw new Error(`Invalid BYMONTH value: ${month}`);
+          }
+          return monthNumber;
+        });
+        break;
+
+      case 'WKST':
+        if (value.toUpperCase() !== 'MO') {
+          throw new Error('Only WKST=MO is supported');
+        }
+        break;
+
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (!parsed.freq) {
+    throw new Error('Recurrence rule must include FREQ');
+  }
+
+  if (parsed.count && parsed.until) {
+    throw new Error('Recurrence rule cannot include both COUNT and UNTIL');
+  }
+
+  if (parsed.freq !== 'MONTHLY' && parsed.freq !== 'YEARLY' && parsed.byDay.some(day => day.ordinal)) {
+    throw new Error('Ordinal BYDAY values are only allowed with MONTHLY or YEARLY rules');
+  }
+
+  return parsed;
+};
+
+// Validate a rule, returning an error message or null
+export const validateRRule = (rule) => {
+  try {
+    parseRRule(rule);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Parse an UNTIL value in either basic (20240131T090000Z) or ISO format
+const parseUntil = (value) => {
+  const basic = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  const date = basic
+    ? new Date(Date.UTC(basic[1], basic[2] - 1, basic[3], basic[4] || 23, basic[5] || 59, basic[6] || 59))
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid UNTIL value: ${value}`);
+  }
+
+  return date;
+};
+
+// Parse a BYDAY entry such as MO, 2TU or -1FR
+const parseWeekday = (value) => {
+  const match = value.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match) {
+    throw new Error(`Invalid BYDAY value: ${value}`);
+  }
+
+  const ordinal = match[1] ? parseInt(match[1], 10) : null;
+  if (ordinal !== null && (ordinal === 0 || ordinal < -5 || ordinal > 5)) {
+    throw new Error(`Invalid BYDAY ordinal: ${value}`);
+  }
+
+  return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+};
+
+// Break an instant into wall-clock parts in a timezone
+export const toWallClock = (date, timeZone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+const getOffset = (timestamp, timeZone) => {
+  const wall = toWallClock(new Date(timestamp), timeZone);
+  const asUTC = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  return asUTC - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Convert wall-clock parts in a timezone back to an instant
+export const fromWallClock = (wall, timeZone = 'UTC') => {
+  const asUTC = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+
+  // Two passes settle the offset on either side of a DST transition
+  let timestamp = asUTC - getOffset(asUTC, timeZone);
+  timestamp = asUTC - getOffset(timestamp, timeZone);
+
+  return new Date(timestamp);
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Monday of the week containing a UTC-midnight day timestamp
+const weekStart = (dayTimestamp) => {
+  const weekday = new Date(dayTimestamp).getUTCDay();
+  return dayTimestamp - ((weekday + 6) % 7) * DAY_MS;
+};
+
+// Check BYMONTHDAY/BYDAY (or the DTSTART day) within a month
+const matchesDayOfMonth = (rule, date, start) => {
+  const monthDay = date.getUTCDate();
+  const weekday = date.getUTCDay();
+  const monthLength = daysInMonth(date.getUTCFullYear(), date.getUTCMonth() + 1);
+
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+    return monthDay === start.day;
+  }
+
+  const monthDayMatches = rule.byMonthDay.length === 0 || rule.byMonthDay.some(day =>
+    day > 0 ? monthDay === day : monthDay === monthLength + day + 1
+  );
+
+  const weekdayMatches = rule.byDay.length === 0 || rule.byDay.some(({ weekday: day, ordinal }) => {
+    if (day !== weekday) return false;
+    if (!ordinal) return true;
+    return ordinal > 0
+      ? Math.ceil(monthDay / 7) === ordinal
+      : Math.floor((monthLength - monthDay) / 7) + 1 === -ordinal;
+  });
+
+  return monthDayMatches && weekdayMatches;
+};
+
+// Check whether a calendar day (UTC midnight timestamp) is part of the rule
+const matchesDay = (rule, dayTimestamp, start, startDay) => {
+  const date = new Date(dayTimestamp);
+  const month = date.getUTCMonth() + 1;
+  const weekday = date.getUTCDay();
+
+  if (rule.byMonth.length > 0 && !rule.byMonth.includes(month)) {
+    return false;
+  }
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const days = Math.round((dayTimestamp - startDay) / DAY_MS);
+      if (days % rule.interval !== 0) return false;
+      if (rule.byDay.length > 0 && !rule.byDay.some(day => day.weekday === weekday)) return false;
+      return rule.byMonthDay.length === 0 || matchesDayOfMonth({ ...rule, byDay: [] }, date, start);
+    }
+
+    case 'WEEKLY': {
+      const weeks = Math.round((weekStart(dayTimestamp) - weekStart(startDay)) / (7 * DAY_MS));
+      if (weeks % rule.interval !== 0) return false;
+      return rule.byDay.length > 0
+        ? rule.byDay.some(day => day.weekday === weekday)
+        : weekday === new Date(startDay).getUTCDay();
+    }
+
+    case 'MONTHLY': {
+      const months = (date.getUTCFullYear() - start.year) * 12 + (month - start.month);
+      if (months % rule.interval !== 0) return false;
+      return matchesDayOfMonth(rule, date, start);
+    }
+
+    case 'YEARLY': {
+      const years = date.getUTCFullYear() - start.year;
+      if (years % rule.interval !== 0) return false;
+      if (rule.byMonth.length === 0 && month !== start.month) return false;
+      return matchesDayOfMonth(rule, date, start);
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Yield occurrences in order, starting with DTSTART itself
+export function* iterateOccurrences(rule, dtstart, timeZone = 'UTC') {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const first = new Date(dtstart);
+
+  if (parsed.until && first > parsed.until) return;
+
+  const start = toWallClock(first, timeZone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+  let emitted = 1;
+
+  yield first;
+
+  for (let offset = 1; offset <= MAX_SCAN_DAYS; offset++) {
+    if (parsed.count && emitted >= parsed.count) return;
+
+    const dayTimestamp = startDay + offset * DAY_MS;
+    if (!matchesDay(parsed, dayTimestamp, start, startDay)) continue;
+
+    const day = new Date(dayTimestamp);
+    const occurrence = fromWallClock({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour: start.hour,
+      minute: start.minute,
+      second: start.second
+    }, timeZone);
+
+    if (parsed.until && occurrence > parsed.until) return;
+
+    emitted++;
+    yield occurrence;
+  }
+}
+
+// First occurrence strictly after a given instant, or null when the series has ended
+export const nextOccurrence = (rule, dtstart, after, timeZone = 'UTC') => {
+  const threshold = new Date(after).getTime();
+
+  for (const occurrence of iterateOccurrences(rule, dtstart, timeZone)) {
+    if (occurrence.getTime() > threshold) {
+      return occurrence;
+    }
+  }
+
+  return null;
+};
+
+// List upcoming occurrences after a given instant
+export const listOccurrences = (rule, dtstart, timeZone = 'UTC', { after = null, limit = 10 } = {}) => {
+  const threshold = after ? new Date(after).getTime() : -Infinity;
+  const occurrences = [];
+
+  for (const occurrence of iterateOccurrences(rule, dtstart, timeZone)) {
+    if (occurrence.getTime() <= threshold) continue;
+
+    occurrences.push(occurrence);
+    if (occurrences.length >= limit) break;
+  }
+
+  return occurrences;
+};
+
+// Check that a timezone name is known to the runtime
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
@@ -80,4 +80,9 @@ export const conflictResponse = (res, message = 'Resource conflict') => {
 // Too many requests response utility
 export const tooManyRequestsResponse = (res, message = 'Too many requests') => {
   return errorResponse(res, message, 429);
-};
\ No newline at end of file
+};
+
+// Service unavailable response utility
+export const serviceUnavailableResponse = (res, message = 'Service temporarily unavailable') => {
+  return errorResponse(res, message, 503);
+};
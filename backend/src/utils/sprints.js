@@ -0,0 +1,44 @@
+// Sprint point totals and velocity, shared by the sprint endpoints and reports.
+
+export const SPRINT_STATES = ['planned', 'active', 'completed'];
+
+// Number of completed sprints velocity is averaged over by default
+export const VELOCITY_WINDOW = 3;
+
+const points = task => (typeof task.storyPoints === 'number' ? task.storyPoints : 0);
+
+const round = value => Math.round(value * 100) / 100;
+
+// Point and task totals for the tasks planned into a sprint
+export const summarizeSprintTasks = (tasks = []) => {
+  const done = tasks.filter(task => task.statusCategory === 'done');
+
+  return {
+    totalTasks: tasks.length,
+    completedTasks: done.length,
+    unestimatedTasks: tasks.filter(task => typeof task.storyPoints !== 'number').length,
+    totalPoints: round(tasks.reduce((total, task) => total + points(task), 0)),
+    completedPoints: round(done.reduce((total, task) => total + points(task), 0))
+  };
+};
+
+// Average completed points over the most recent completed sprints (newest first)
+export const calculateVelocity = (sprints = [], window = VELOCITY_WINDOW) => {
+  const recent = sprints.slice(0, window);
+  const completed = recent.map(sprint => sprint.report?.completedPoints || 0);
+
+  return {
+    window,
+    sprintCount: recent.length,
+    average: recent.length > 0
+      ? round(completed.reduce((total, value) => total + value, 0) / recent.length)
+      : 0,
+    sprints: recent.map(sprint => ({
+      _id: sprint._id,
+      name: sprint.name,
+      endDate: sprint.endDate,
+      committedPoints: sprint.report?.committedPoints || 0,
+      completedPoints: sprint.report?.completedPoints || 0
+    }))
+  };
+};
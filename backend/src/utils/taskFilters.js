@@ -0,0 +1,89 @@
+// Task list filter helpers shared by the task list endpoint and saved views.
+// Filters use the same shape as the GET /tasks query string so a saved view
+// can be turned back into a URL by clients.
+import { buildCustomFieldQuery, resolveCustomFieldSort } from './customFields.js';
+
+export const TASK_FILTER_KEYS = [
+  'status', 'statusCategory', 'priority', 'assignee', 'tags', 'sprint', 'dueDateRange', 'search', 'cf'
+];
+
+export const TASK_GROUP_BY = ['none', 'status', 'priority', 'assignee', 'dueDate', 'tags'];
+
+const isEmpty = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// Keep only known filter keys with a value
+export const pickTaskFilters = (params = {}) => Object.fromEntries(
+  TASK_FILTER_KEYS
+    .filter(key => !isEmpty(params[key]))
+    .map(key => [key, params[key]])
+);
+
+// Turn query parameters into findByWorkspace filters and a sort, or an error
+export const buildTaskFilters = (params = {}, customFieldDefinitions = []) => {
+  const {
+    status,
+    statusCategory,
+    priority,
+    assignee,
+    tags,
+    sprint,
+    dueDateRange,
+    search,
+    cf,
+    sort = 'position'
+  } = params;
+
+  const filters = {};
+
+  if (status) filters.status = status;
+  if (statusCategory) filters.statusCategory = statusCategory;
+  if (priority) filters.priority = priority;
+  if (assignee) filters.assignee = assignee;
+  if (tags) filters.tags = Array.isArray(tags) ? tags : [tags];
+
+  if (sprint) {
+    if (sprint !== 'backlog' && !/^[0-9a-fA-F]{24}$/.test(sprint)) {
+      return { error: 'sprint must be a sprint ID or backlog' };
+    }
+
+    filters.sprint = sprint;
+  }
+
+  if (dueDateRange) {
+    const start = new Date(dueDateRange.start);
+    const end = new Date(dueDateRange.end);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return { error: 'dueDateRange needs a valid start and end date' };
+    }
+
+    filters.dueDateRange = { start, end };
+  }
+
+  if (typeof search === 'string' && search.trim()) filters.search = search.trim();
+
+  // Custom field filters arrive as cf[fieldKey]=value or cf[fieldKey][gte]=value
+  if (cf) {
+    const { query, error } = buildCustomFieldQuery(customFieldDefinitions, cf);
+    if (error) return { error };
+    filters.customFields = query;
+  }
+
+  // Sorting on a custom field uses sort=cf.fieldKey or sort=-cf.fieldKey
+  const { sort: resolvedSort, error: sortError } = resolveCustomFieldSort(customFieldDefinitions, sort);
+  if (sortError) return { error: sortError };
+
+  return { filters, sort: resolvedSort };
+};
+
+// Check a saved view grouping, returning an error message or null
+export const validateGroupBy = (groupBy, customFieldDefinitions = []) => {
+  if (!groupBy || TASK_GROUP_BY.includes(groupBy)) return null;
+
+  const match = groupBy.match(/^cf\.(.+)$/);
+  if (match && customFieldDefinitions.some(field => field.key === match[1])) return null;
+
+  return `groupBy must be one of ${TASK_GROUP_BY.join(', ')} or cf.<fieldKey>`;
+};
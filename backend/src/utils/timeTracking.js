@@ -0,0 +1,56 @@
+// Time tracking helpers shared by time entries and timesheet reports.
+// Durations are stored in seconds; reports and task roll-ups use hours.
+
+export const TIMESHEET_GROUPS = ['user', 'task', 'tag', 'day'];
+
+// Longest span a single entry may cover
+export const MAX_ENTRY_SECONDS = 24 * 60 * 60;
+
+// Convert seconds to hours, rounded to two decimals
+export const toHours = seconds => Math.round(((seconds || 0) / 3600) * 100) / 100;
+
+// Check the bounds of a time entry, returning an error message or null
+export const validateEntryRange = (startedAt, endedAt, now = new Date()) => {
+  const start = new Date(startedAt);
+  const end = new Date(endedAt);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return 'Time entries need a valid start and end time';
+  }
+
+  if (end <= start) {
+    return 'End time must be after start time';
+  }
+
+  if (end > now) {
+    return 'Time entries cannot end in the future';
+  }
+
+  if ((end - start) / 1000 > MAX_ENTRY_SECONDS) {
+    return 'A single time entry cannot exceed 24 hours';
+  }
+
+  return null;
+};
+
+// Quote a value for CSV. Cells that a spreadsheet would treat as a formula are
+// prefixed with an apostrophe so exported notes cannot run as formulas.
+export const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from column definitions ({ key, label }) and rows
+export const toCSV = (columns, rows) => {
+  const header = columns.map(column => escapeCSVValue(column.label)).join(',');
+  const lines = rows.map(row => columns.map(column => escapeCSVValue(row[column.key])).join(','));
+
+  return [header, ...lines].join('\r\n') + '\r\n';
+};
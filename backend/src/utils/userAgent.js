@@ -0,0 +1,66 @@
+// User-Agent parsing for the session list. Deliberately coarse: browser and
+// OS family with major version, and the kind of device.
+
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/(\d+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/(\d+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/(\d+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/(\d+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/(\d+)/ },
+  { name: 'Safari', pattern: /Version\/(\d+)[\d.]* (?:Mobile\/\S+ )?Safari\// },
+  // API clients and scripts
+  { name: 'curl', pattern: /^curl\/(\d+)/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/(\d+)/ },
+  { name: 'Node.js', pattern: /^(?:node|node-fetch|undici|axios)(?:\/(\d+))?/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*?OS (\d+)/ },
+  { name: 'Android', pattern: /Android (\d+)/ },
+  { name: 'Windows', pattern: /Windows NT (\d+)/, versions: { 10: '10/11', 6: '7/8' } },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'macOS', pattern: /Mac OS X (\d+)/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+const DESKTOP_OS = new Set(['Windows', 'macOS', 'Linux', 'ChromeOS']);
+
+const match = (userAgent, candidates) => {
+  for (const candidate of candidates) {
+    const result = userAgent.match(candidate.pattern);
+    if (result) {
+      const version = result[1] && (candidate.versions?.[result[1]] || result[1]);
+      return { name: candidate.name, version: version || null };
+    }
+  }
+
+  return null;
+};
+
+const deviceType = (userAgent, os) => {
+  if (/iPad|Tablet/.test(userAgent) || (os === 'Android' && !/Mobile/.test(userAgent))) return 'tablet';
+  if (/Mobi|iPhone|iPod/.test(userAgent) || os === 'Android') return 'mobile';
+  if (DESKTOP_OS.has(os)) return 'desktop';
+  return 'unknown';
+};
+
+// { browser, os, deviceType, label } for a User-Agent header; names are null
+// when unrecognised
+export const parseUserAgent = (userAgent = '') => {
+  const ua = String(userAgent || '');
+  const browser = match(ua, BROWSERS);
+  const os = match(ua, OPERATING_SYSTEMS);
+
+  const format = part => (part ? [part.name, part.version].filter(Boolean).join(' ') : null);
+  const label = [format(browser), os && `on ${format(os)}`].filter(Boolean).join(' ') || 'Unknown device';
+
+  return {
+    browser: browser?.name || null,
+    browserVersion: browser?.version || null,
+    os: os?.name || null,
+    osVersion: os?.version || null,
+    deviceType: deviceType(ua, os?.name),
+    label
+  };
+};
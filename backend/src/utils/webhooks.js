@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import net from 'net';
+
+// Outbound webhook helpers: event names, payload signing and retry timing.
+// webhookService queues and sends the deliveries.
+
+export const WEBHOOK_EVENTS = [
+  'task.created', 'task.updated', 'task.deleted',
+  'comment.created', 'comment.updated', 'comment.deleted'
+];
+
+// Subscribes to every event, including ones added later
+export const WILDCARD_EVENT = '*';
+
+// Sent only by the "send test event" endpoint, whatever the subscription
+export const TEST_EVENT = 'webhook.test';
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Receivers should reject signatures older than this
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Secrets are shown once at creation, so make them recognisable
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Sign `${timestamp}.${body}` so a captured request cannot be replayed later
+// with a fresh timestamp
+export const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `sha256=${digest}`;
+};
+
+// Check a signature the way a receiver would
+export const verifySignature = (secret, timestamp, body, signature, {
+  tolerance = SIGNATURE_TOLERANCE_SECONDS,
+  now = Date.now()
+} = {}) => {
+  if (!signature || Math.abs(now / 1000 - Number(timestamp)) > tolerance) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Exponential backoff: the base delay doubles after each failed attempt
+export const retryDelay = (attempt, baseDelay, maxDelay) => {
+  return Math.min(baseDelay * 2 ** Math.max(attempt - 1, 0), maxDelay);
+};
+
+// Whether a webhook's event filter includes an event
+export const subscribesTo = (events = [], event) => {
+  return events.includes(WILDCARD_EVENT) || events.includes(event);
+};
+
+// Request body shared by every event
+export const buildPayload = ({ id, event, workspaceId, data, createdAt = new Date() }) => ({
+  id,
+  event,
+  workspace: workspaceId?.toString(),
+  createdAt: new Date(createdAt).toISOString(),
+  data
+});
+
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+];
+
+const ipv4ToNumber = ip => ip.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+
+// Loopback, link-local and private network addresses
+export const isPrivateAddress = (host) => {
+  const address = host.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+    return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return value >= ipv4ToNumber(base) && value < ipv4ToNumber(base) + size;
+    });
+  }
+
+  if (net.isIPv6(address)) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return address === '::' || address === '::1' || /^f[cd]/.test(address) || /^fe[89ab]/.test(address);
+  }
+
+  return address === 'localhost' || address.endsWith('.localhost') || address.endsWith('.internal');
+};
+
+// Check a webhook URL, returning an error message or null
+export const validateWebhookUrl = (value, { allowPrivate = false } = {}) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'Webhook URL must be a valid URL';
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'Webhook URL must use http or https';
+  }
+
+  if (url.username || url.password) {
+    return 'Webhook URL cannot contain credentials';
+  }
+
+  if (!allowPrivate && isPrivateAddress(url.hostname)) {
+    return 'Webhook URL cannot point to a private or loopback address';
+  }
+
+  return null;
+};
@@ -0,0 +1,95 @@
+// Workflow helpers for per-workspace task statuses.
+// Each status maps to a category so reports and queries can reason about
+// progress without knowing a workspace's custom status names.
+
+export const STATUS_CATEGORIES = ['not-started', 'active', 'done'];
+
+// Workflow used by workspaces that have not customised their statuses
+export const DEFAULT_WORKFLOW_STATUSES = [
+  { key: 'todo', name: 'To Do', category: 'not-started', color: '#6B7280' },
+  { key: 'in-progress', name: 'In Progress', category: 'active', color: '#2563EB' },
+  { key: 'review', name: 'Review', category: 'active', color: '#F59E0B' },
+  { key: 'done', name: 'Done', category: 'done', color: '#10B981' }
+];
+
+export const MAX_WORKFLOW_STATUSES = 20;
+
+const STATUS_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+const COLOR_PATTERN = /^#[0-9A-F]{6}$/i;
+
+// Validate a proposed workflow, returning an error message or null
+export const validateWorkflow = (statuses, transitions = []) => {
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return 'Workflow must define at least one status';
+  }
+
+  if (statuses.length > MAX_WORKFLOW_STATUSES) {
+    return `Workflow cannot define more than ${MAX_WORKFLOW_STATUSES} statuses`;
+  }
+
+  const keys = new Set();
+
+  for (const status of statuses) {
+    if (!status || !STATUS_KEY_PATTERN.test(status.key || '')) {
+      return 'Status keys must be lowercase letters, numbers or hyphens (max 50 characters)';
+    }
+
+    if (keys.has(status.key)) {
+      return `Duplicate status key: ${status.key}`;
+    }
+    keys.add(status.key);
+
+    if (!status.name || typeof status.name !== 'string' || status.name.trim().length > 50) {
+      return `Status ${status.key} must have a name of at most 50 characters`;
+    }
+
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      return `Status ${status.key} must have a category of ${STATUS_CATEGORIES.join(', ')}`;
+    }
+
+    if (status.color && !COLOR_PATTERN.test(status.color)) {
+      return `Status ${status.key} has an invalid color`;
+    }
+  }
+
+  if (!statuses.some(status => status.category === 'done')) {
+    return 'Workflow must include at least one status in the done category';
+  }
+
+  if (!Array.isArray(transitions)) {
+    return 'Transitions must be an array';
+  }
+
+  const sources = new Set();
+
+  for (const transition of transitions) {
+    if (!transition || !keys.has(transition.from)) {
+      return `Transition source ${transition?.from} is not a workflow status`;
+    }
+
+    if (sources.has(transition.from)) {
+      return `Transitions from ${transition.from} are defined more than once`;
+    }
+    sources.add(transition.from);
+
+    if (!Array.isArray(transition.to)) {
+      return `Transitions from ${transition.from} must list target statuses`;
+    }
+
+    const unknown = transition.to.find(target => !keys.has(target));
+    if (unknown) {
+      return `Transition target ${unknown} is not a workflow status`;
+    }
+  }
+
+  return null;
+};
+
+// Check whether a task may move between two statuses.
+// Statuses without a transition rule may move anywhere.
+export const canTransition = (transitions = [], from, to) => {
+  if (from === to) return true;
+
+  const rule = transitions.find(transition => transition.from === from);
+  return !rule || rule.to.includes(to);
+};
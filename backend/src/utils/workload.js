@@ -0,0 +1,155 @@
+// Workload planning helpers. Open work with a due date is spread evenly over
+// the working days from today (or when the task was created, if later) to its
+// due date, split between assignees, and compared with each member's capacity.
+// Days are calendar dates ('YYYY-MM-DD'); weekdays run 0 (Sunday) to 6.
+
+import { addDays, listDays } from './analytics.js';
+
+export const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+// Longest window a workload report may cover
+export const MAX_WORKLOAD_DAYS = 92;
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Length of the working day in hours from { start, end } times ('HH:MM')
+export const dailyWorkingHours = (workingHours = {}) => {
+  const toMinutes = (time, fallback) => {
+    const match = TIME_PATTERN.exec(time || fallback);
+    return Number(match[1]) * 60 + Number(match[2]);
+  };
+
+  const start = toMinutes(workingHours.start, '09:00');
+  let end = toMinutes(workingHours.end, '17:00');
+
+  // Shifts may run past midnight
+  if (end <= start) end += 24 * 60;
+
+  return (end - start) / 60;
+};
+
+export const weekdayOf = day => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+export const isWorkingDay = (day, workingDays = DEFAULT_WORKING_DAYS) => workingDays.includes(weekdayOf(day));
+
+// First working day on or after a day
+export const nextWorkingDay = (day, workingDays = DEFAULT_WORKING_DAYS) => {
+  if (workingDays.length === 0) return day;
+
+  let candidate = day;
+  while (!isWorkingDay(candidate, workingDays)) {
+    candidate = addDays(candidate, 1);
+  }
+
+  return candidate;
+};
+
+// Spread a task's hours over the working days between two days. Overdue work
+// lands on the first working day from the start; work with no working day
+// before it is due lands on the due date.
+export const spreadHours = (hours, startDay, dueDay, workingDays = DEFAULT_WORKING_DAYS) => {
+  if (dueDay < startDay) {
+    return [{ date: nextWorkingDay(startDay, workingDays), hours }];
+  }
+
+  const days = listDays(startDay, dueDay).filter(day => isWorkingDay(day, workingDays));
+  if (days.length === 0) {
+    return [{ date: dueDay, hours }];
+  }
+
+  return days.map(date => ({ date, hours: hours / days.length }));
+};
+
+// Per-member workload for a window of days.
+// tasks: [{ assignees, estimatedHours, storyPoints, createdDay, dueDay }]
+// members: [{ user, weeklyCapacity }] with capacity in hours per week
+export const calculateWorkload = (tasks, members, { days, today, workingDays = DEFAULT_WORKING_DAYS }) => {
+  const inWindow = new Set(days);
+  const capacityDays = days.filter(day => isWorkingDay(day, workingDays)).length;
+
+  const rows = new Map(members.map(member => {
+    const dailyCapacity = workingDays.length > 0 ? member.weeklyCapacity / workingDays.length : 0;
+
+    return [member.user.toString(), {
+      user: member.user,
+      weeklyCapacity: member.weeklyCapacity,
+      openTasks: 0,
+      overdueTasks: 0,
+      unestimatedTasks: 0,
+      unscheduledTasks: 0,
+      estimatedHours: 0,
+      storyPoints: 0,
+      allocatedHours: 0,
+      capacityHours: dailyCapacity * capacityDays,
+      heatmap: days.map(date => ({
+        date,
+        hours: 0,
+        capacity: isWorkingDay(date, workingDays) ? dailyCapacity : 0
+      }))
+    }];
+  }));
+
+  for (const task of tasks) {
+    const assigned = (task.assignees || [])
+      .map(assignee => rows.get(assignee.toString()))
+      .filter(Boolean);
+    if (assigned.length === 0) continue;
+
+    // Shared tasks are split evenly between their assignees
+    const share = 1 / assigned.length;
+
+    if (!task.dueDay) {
+      assigned.forEach(row => { row.unscheduledTasks++; });
+      continue;
+    }
+
+    const startDay = task.createdDay > today ? task.createdDay : today;
+    const spread = spreadHours(task.estimatedHours || 0, startDay, task.dueDay, workingDays)
+      .filter(point => inWindow.has(point.date));
+
+    if (spread.length === 0 && !inWindow.has(task.dueDay)) continue;
+
+    for (const row of assigned) {
+      row.openTasks++;
+      if (task.dueDay < today) row.overdueTasks++;
+      if (!task.estimatedHours) row.unestimatedTasks++;
+      row.estimatedHours += (task.estimatedHours || 0) * share;
+      row.storyPoints += (task.storyPoints || 0) * share;
+
+      for (const point of spread) {
+        row.heatmap[days.indexOf(point.date)].hours += point.hours * share;
+        row.allocatedHours += point.hours * share;
+      }
+    }
+  }
+
+  // Flags compare rounded totals so even splits do not tip over by a rounding error
+  return [...rows.values()].map(row => {
+    const allocatedHours = round(row.allocatedHours);
+    const capacityHours = round(row.capacityHours);
+
+    return {
+      ...row,
+      estimatedHours: round(row.estimatedHours),
+      storyPoints: round(row.storyPoints),
+      allocatedHours,
+      capacityHours,
+      utilization: capacityHours > 0 ? round(allocatedHours / capacityHours) : null,
+      overallocated: allocatedHours > capacityHours,
+      heatmap: row.heatmap.map(day => {
+        const hours = round(day.hours);
+        const capacity = round(day.capacity);
+
+        return {
+          date: day.date,
+          hours,
+          capacity,
+          utilization: capacity > 0 ? round(hours / capacity) : null,
+          overallocated: hours > capacity
+        };
+      })
+    };
+  });
+};
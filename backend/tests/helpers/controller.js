@@ -0,0 +1,17 @@
+// Run a controller and resolve with the response it sends. catchAsync does not
+// return the handler's promise, so errors passed to next() reject instead.
+export const run = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body })
+      return this
+    },
+  }
+
+  handler(req, res, error => reject(error))
+})
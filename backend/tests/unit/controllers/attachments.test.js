@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Task, { toPublicAttachment } from '../../../src/models/Task.js'
+import Workspace from '../../../src/models/Workspace.js'
+import fileService from '../../../src/services/fileService.js'
+import config from '../../../src/config/index.js'
+import { getAttachments, uploadAttachment } from '../../../src/controllers/attachmentController.js'
+import { run } from '../../helpers/controller.js'
+
+const id = () => new mongoose.Types.ObjectId()
+const MB = 1024 * 1024
+
+describe('Task attachments', () => {
+  const userId = id()
+  let workspace
+  let task
+  let usage
+
+  const upload = files => run(uploadAttachment, {
+    params: { taskId: task._id.toString() },
+    files,
+    user: { _id: userId },
+  })
+
+  const file = (size, name = 'notes.txt') => ({ originalname: name, mimetype: 'text/plain', size, buffer: Buffer.alloc(0) })
+
+  beforeEach(() => {
+    workspace = new Workspace({ name: 'Team', owner: userId, members: [{ user: userId, role: 'member' }] })
+    task = new Task({
+      title: 'Task',
+      workspace: workspace._id,
+      createdBy: userId,
+      attachments: [{
+        filename: 'spec.pdf',
+        originalName: 'spec.pdf',
+        size: 4096,
+        storage: 's3',
+        key: 'workspaces/team/spec.pdf',
+        bucket: 'private-bucket',
+        uploadedBy: userId,
+      }],
+    })
+    usage = { totalSize: 0, totalFiles: 0 }
+
+    jest.spyOn(Task, 'findAvailable').mockResolvedValue(task)
+    jest.spyOn(Task, 'getWorkspaceStorageUsage').mockImplementation(async () => usage)
+    jest.spyOn(Task.prototype, 'canAccess').mockResolvedValue(true)
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(Task.prototype, 'populate').mockImplementation(function populate() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(Task.prototype, 'broadcastUpdate').mockResolvedValue()
+    jest.spyOn(Workspace, 'findById').mockResolvedValue(workspace)
+    jest.spyOn(fileService, 'batchUpload').mockImplementation(async files => ({
+      successfulUploads: files.length,
+      results: files.map(({ originalname, mimetype, size }) => ({
+        fileName: `stored-${originalname}`,
+        originalName: originalname,
+        url: `/uploads/stored-${originalname}`,
+        size,
+        mimeType: mimetype,
+        storage: 'local',
+        path: `/srv/uploads/stored-${originalname}`,
+      })),
+      errors: [],
+    }))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('toPublicAttachment()', () => {
+    it('should strip the storage path, key and bucket', () => {
+      const attachment = {
+        _id: 'a1',
+        filename: 'spec.pdf',
+        size: 10,
+        storage: 's3',
+        key: 'workspaces/team/spec.pdf',
+        bucket: 'private-bucket',
+        path: '/srv/uploads/spec.pdf',
+      }
+
+      expect(toPublicAttachment(attachment)).toEqual({ _id: 'a1', filename: 'spec.pdf', size: 10, storage: 's3' })
+    })
+  })
+
+  describe('getAttachments()', () => {
+    it('should not expose where files are stored', async () => {
+      const { body } = await run(getAttachments, { params: { taskId: task._id.toString() }, user: { _id: userId } })
+      const [attachment] = body.data.attachments
+
+      expect(body.data.count).toBe(1)
+      expect(attachment).toMatchObject({ filename: 'spec.pdf', size: 4096 })
+      expect(attachment).not.toHaveProperty('key')
+      expect(attachment).not.toHaveProperty('bucket')
+      expect(attachment).not.toHaveProperty('path')
+    })
+  })
+
+  describe('uploadAttachment()', () => {
+    it('should store files under the task and return public attachments', async () => {
+      const { status, body } = await upload([file(100), file(200, 'todo.txt')])
+
+      expect(status).toBe(201)
+      expect(fileService.batchUpload).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+        maxSize: config.upload.maxFileSize,
+        path: `workspaces/${workspace._id}/tasks/${task._id}`,
+      }))
+      expect(body.data.attachments.map(attachment => attachment.originalName)).toEqual(['notes.txt', 'todo.txt'])
+      expect(body.data.attachments.every(attachment => !('path' in attachment))).toBe(true)
+      expect(task.attachments).toHaveLength(3)
+      expect(task.attachments[2].filename).toBe('stored-todo.txt')
+      expect(task.attachments[2].toObject()).not.toHaveProperty('path')
+    })
+
+    it('should require at least one file', async () => {
+      await expect(upload([])).rejects.toMatchObject({ statusCode: 400 })
+    })
+
+    it('should refuse uploads past the workspace quota', async () => {
+      usage = { totalSize: config.upload.workspaceQuota - 150, totalFiles: 12 }
+
+      await expect(upload([file(100), file(100)])).rejects.toMatchObject({
+        statusCode: 413,
+        message: 'Workspace storage quota exceeded. 150 bytes remaining.',
+      })
+      expect(fileService.batchUpload).not.toHaveBeenCalled()
+    })
+
+    it('should allow an upload that exactly fills the quota', async () => {
+      usage = { totalSize: config.upload.workspaceQuota - 200, totalFiles: 12 }
+
+      const { status } = await upload([file(100), file(100)])
+
+      expect(status).toBe(201)
+    })
+
+    it('should use the workspace quota when one is set', async () => {
+      workspace.settings.storageQuota = 5 * MB
+      usage = { totalSize: 4 * MB, totalFiles: 3 }
+
+      await expect(upload([file(2 * MB)])).rejects.toMatchObject({ statusCode: 413 })
+
+      workspace.settings.storageQuota = 0
+
+      await expect(upload([file(1)])).rejects.toMatchObject({
+        statusCode: 413,
+        message: 'Workspace storage quota exceeded. 0 bytes remaining.',
+      })
+    })
+
+    it('should report files that failed to upload', async () => {
+      fileService.batchUpload.mockResolvedValue({ successfulUploads: 0, results: [], errors: [{ file: 'notes.txt', error: 'Disk full' }] })
+
+      const { status, body } = await upload([file(100)])
+
+      expect(status).toBe(400)
+      expect(body.error).toEqual({ message: 'File upload failed', details: [{ file: 'notes.txt', error: 'Disk full' }] })
+    })
+  })
+})
@@ -0,0 +1,266 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Task from '../../../src/models/Task.js'
+import Workspace from '../../../src/models/Workspace.js'
+import notificationService from '../../../src/services/notificationService.js'
+import realtimeService from '../../../src/services/realtimeService.js'
+import { bulkUpdateTasks } from '../../../src/controllers/taskController.js'
+import { run } from '../../helpers/controller.js'
+
+const id = () => new mongoose.Types.ObjectId()
+const DAY = 24 * 60 * 60 * 1000
+
+describe('Bulk task updates', () => {
+  const userId = id()
+  const outsiderId = id()
+  let workspace
+  let otherWorkspace
+  let tasks
+
+  const makeTask = (fields = {}) => new Task({
+    title: 'Task',
+    workspace: workspace._id,
+    createdBy: userId,
+    status: 'todo',
+    statusCategory: 'not-started',
+    ...fields,
+  })
+
+  const bulkUpdate = (taskIds, data) => run(bulkUpdateTasks, {
+    body: { taskIds: taskIds.map(String), data },
+    user: { _id: userId },
+  })
+
+  beforeEach(() => {
+    workspace = new Workspace({ name: 'Team', owner: userId, members: [{ user: userId, role: 'admin' }] })
+    otherWorkspace = new Workspace({ name: 'Elsewhere', owner: outsiderId, members: [{ user: outsiderId, role: 'admin' }] })
+    tasks = []
+
+    jest.spyOn(Task, 'find').mockImplementation(async ({ _id }) => (
+      tasks.filter(task => _id.$in.includes(task._id.toString()))
+    ))
+    jest.spyOn(Workspace, 'findById').mockImplementation(async workspaceId => (
+      [workspace, otherWorkspace].find(candidate => candidate._id.toString() === workspaceId.toString()) || null
+    ))
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(Workspace.prototype, 'updateTaskStats').mockResolvedValue()
+    jest.spyOn(realtimeService, 'broadcastToWorkspace').mockImplementation(() => {})
+    jest.spyOn(notificationService, 'taskAssigned').mockResolvedValue()
+    jest.spyOn(notificationService, 'taskStatusChanged').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('response contract', () => {
+    it('should report the updated count and each failed task with a reason', async () => {
+      const task = makeTask()
+      const foreign = makeTask({ workspace: otherWorkspace._id })
+      const missingId = id()
+      tasks.push(task, foreign)
+
+      const { status, body } = await bulkUpdate([task._id, missingId, foreign._id], { priority: 'high' })
+
+      expect(status).toBe(200)
+      expect(body.data).toEqual({
+        updated: 1,
+        failed: [
+          { taskId: missingId.toString(), reason: 'Task not found' },
+          { taskId: foreign._id.toString(), reason: 'Access denied. You cannot access this task.' },
+        ],
+      })
+      expect(task.priority).toBe('high')
+      expect(foreign.priority).toBe('medium')
+    })
+
+    it('should check each task on its own', async () => {
+      const first = makeTask({ status: 'in-progress', statusCategory: 'active' })
+      const second = makeTask()
+      tasks.push(first, second)
+
+      const { body } = await bulkUpdate([first._id, second._id], { status: 'missing' })
+
+      expect(body.data.updated).toBe(0)
+      expect(body.data.failed.map(item => item.reason)).toEqual([
+        'Status missing is not defined in this workspace\'s workflow.',
+        'Status missing is not defined in this workspace\'s workflow.',
+      ])
+
+      const { body: next } = await bulkUpdate([first._id, second._id], { status: 'done' })
+
+      expect(next.data.updated).toBe(2)
+      expect(first.status).toBe('done')
+      expect(second.statusCategory).toBe('done')
+    })
+
+    it('should count tasks without changes as updated but not save them', async () => {
+      const task = makeTask({ priority: 'low' })
+      tasks.push(task)
+
+      const { body } = await bulkUpdate([task._id], { priority: 'low' })
+
+      expect(body.data).toEqual({ updated: 1, failed: [] })
+      expect(Task.prototype.save).not.toHaveBeenCalled()
+      expect(realtimeService.broadcastToWorkspace).not.toHaveBeenCalled()
+    })
+
+    it('should refresh stats and broadcast once per workspace', async () => {
+      const first = makeTask()
+      const second = makeTask()
+      tasks.push(first, second)
+
+      await bulkUpdate([first._id, second._id], { priority: 'urgent' })
+
+      expect(Workspace.prototype.updateTaskStats).toHaveBeenCalledTimes(1)
+      expect(realtimeService.broadcastToWorkspace).toHaveBeenCalledTimes(1)
+      expect(realtimeService.broadcastToWorkspace).toHaveBeenCalledWith(
+        workspace._id.toString(),
+        'task:bulk-updated',
+        expect.objectContaining({ taskIds: [first._id, second._id], updates: { priority: 'urgent' } }),
+      )
+    })
+  })
+
+  describe('status changes', () => {
+    it('should refuse to move a task with unfinished blockers unless forced', async () => {
+      const task = makeTask({ dependencies: [id()] })
+      tasks.push(task)
+      jest.spyOn(task, 'getUnfinishedBlockers').mockResolvedValue([{ title: 'Design' }])
+
+      const { body } = await bulkUpdate([task._id], { status: 'in-progress' })
+
+      expect(body.data.failed).toEqual([
+        { taskId: task._id.toString(), reason: 'Task is blocked by unfinished dependencies: Design' },
+      ])
+      expect(task.status).toBe('todo')
+
+      const { body: forced } = await bulkUpdate([task._id], { status: 'in-progress', force: true })
+
+      expect(forced.data.updated).toBe(1)
+      expect(task.status).toBe('in-progress')
+      expect(task.activity.at(-1).details).toMatchObject({ forced: true, bulk: true })
+    })
+
+    it('should notify watchers of the status change', async () => {
+      const task = makeTask()
+      tasks.push(task)
+
+      await bulkUpdate([task._id], { status: 'review' })
+
+      expect(notificationService.taskStatusChanged).toHaveBeenCalledWith(task, 'todo', { _id: userId })
+    })
+  })
+
+  describe('list changes', () => {
+    it('should add and remove tags, normalizing them', async () => {
+      const task = makeTask({ tags: ['api', 'backend'] })
+      tasks.push(task)
+
+      await bulkUpdate([task._id], { tags: { add: [' Urgent ', 'backend'], remove: ['API'] } })
+
+      expect([...task.tags]).toEqual(['backend', 'urgent'])
+    })
+
+    it('should replace tags when given an array', async () => {
+      const task = makeTask({ tags: ['api'] })
+      tasks.push(task)
+
+      await bulkUpdate([task._id], { tags: ['ui', 'UI', 'docs'] })
+
+      expect([...task.tags]).toEqual(['ui', 'docs'])
+    })
+
+    it('should reject more than 10 tags', async () => {
+      const task = makeTask({ tags: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'] })
+      tasks.push(task)
+
+      const { body } = await bulkUpdate([task._id], { tags: { add: ['j', 'k'] } })
+
+      expect(body.data.failed[0].reason).toBe('Maximum 10 tags allowed')
+    })
+
+    it('should add assignees and notify only the new ones', async () => {
+      const memberId = id()
+      workspace.members.push({ user: memberId, role: 'member' })
+      const task = makeTask({ assignees: [userId] })
+      tasks.push(task)
+
+      await bulkUpdate([task._id], { assignees: { add: [memberId.toString()] } })
+
+      expect(task.assignees.map(String)).toEqual([userId.toString(), memberId.toString()])
+      expect(notificationService.taskAssigned).toHaveBeenCalledTimes(1)
+      expect(notificationService.taskAssigned.mock.calls[0][1].map(String)).toEqual([memberId.toString()])
+    })
+
+    it('should reject assignees outside the workspace', async () => {
+      const task = makeTask({ assignees: [userId] })
+      tasks.push(task)
+
+      const { body } = await bulkUpdate([task._id], { assignees: [outsiderId.toString()] })
+
+      expect(body.data.failed[0].reason).toBe(`Assignee ${outsiderId} is not a member of this workspace.`)
+      expect(task.assignees.map(String)).toEqual([userId.toString()])
+    })
+  })
+
+  describe('due dates', () => {
+    it('should shift due dates by a number of days', async () => {
+      const dueDate = new Date('2026-03-10T12:00:00Z')
+      const task = makeTask({ dueDate })
+      const undated = makeTask()
+      tasks.push(task, undated)
+
+      const { body } = await bulkUpdate([task._id, undated._id], { shiftDueDateDays: -3 })
+
+      expect(body.data.updated).toBe(2)
+      expect(task.dueDate).toEqual(new Date(dueDate.getTime() - 3 * DAY))
+      expect(undated.dueDate).toBeUndefined()
+      expect(task.activity.at(-1)).toMatchObject({ type: 'due_date_changed', previousValue: dueDate })
+    })
+
+    it('should clear due dates when set to null', async () => {
+      const task = makeTask({ dueDate: new Date('2026-03-10T12:00:00Z') })
+      tasks.push(task)
+
+      await bulkUpdate([task._id], { dueDate: null })
+
+      expect(task.dueDate).toBeNull()
+    })
+  })
+
+  describe('archiving', () => {
+    it('should archive and restore tasks', async () => {
+      const task = makeTask()
+      tasks.push(task)
+
+      await bulkUpdate([task._id], { archive: true })
+
+      expect(task.isArchived).toBe(true)
+      expect(task.archivedBy).toEqual(userId)
+
+      await bulkUpdate([task._id], { archive: false })
+
+      expect(task.isArchived).toBe(false)
+      expect(task.archivedAt).toBeUndefined()
+      expect(task.activity.at(-1).type).toBe('restored')
+    })
+
+    it('should not edit archived tasks without restoring them', async () => {
+      const task = makeTask({ isArchived: true })
+      tasks.push(task)
+
+      const { body } = await bulkUpdate([task._id], { priority: 'high' })
+
+      expect(body.data.failed[0].reason).toBe('Task is archived')
+
+      const { body: restored } = await bulkUpdate([task._id], { priority: 'high', archive: false })
+
+      expect(restored.data.updated).toBe(1)
+      expect(task.priority).toBe('high')
+      expect(task.isArchived).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,269 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Task from '../../../src/models/Task.js'
+import Comment from '../../../src/models/Comment.js'
+import notificationService from '../../../src/services/notificationService.js'
+import {
+  createComment,
+  updateComment,
+  getCommentHistory,
+  addReaction,
+  removeReaction,
+  searchComments,
+} from '../../../src/controllers/commentController.js'
+import { run } from '../../helpers/controller.js'
+
+const id = () => new mongoose.Types.ObjectId()
+
+describe('Comments', () => {
+  const authorId = id()
+  const otherId = id()
+  let task
+  let stored
+
+  const request = (handler, { params = {}, body = {}, query = {}, userId = authorId } = {}) => run(handler, {
+    params: { taskId: task._id.toString(), ...params },
+    body,
+    query,
+    user: { _id: userId },
+  })
+
+  const addComment = (fields = {}) => {
+    const comment = new Comment({ content: 'First!', author: authorId, task: task._id, ...fields })
+    stored.set(comment._id.toString(), comment)
+    return comment
+  }
+
+  beforeEach(() => {
+    task = new Task({ title: 'Task', workspace: id(), createdBy: authorId })
+    stored = new Map()
+
+    jest.spyOn(Task, 'findAvailable').mockImplementation(async taskId => (taskId === task._id.toString() ? task : null))
+    jest.spyOn(Task.prototype, 'canAccess').mockImplementation(async userId => [authorId, otherId].some(member => member.equals(userId)))
+    jest.spyOn(Task.prototype, 'logActivity').mockResolvedValue()
+    jest.spyOn(Comment, 'findById').mockImplementation(async commentId => stored.get(commentId.toString()) || null)
+    jest.spyOn(Comment, 'create').mockImplementation(async data => addComment(data))
+    jest.spyOn(Comment.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(Comment.prototype, 'toDetailedJSON').mockImplementation(function toDetailedJSON() {
+      return Promise.resolve({
+        _id: this._id,
+        content: this.content,
+        parentComment: this.parentComment,
+        reactionSummary: this.reactionSummary,
+      })
+    })
+    jest.spyOn(Comment.prototype, 'populate').mockImplementation(function populate() {
+      return Promise.resolve(this)
+    })
+    for (const method of ['broadcastCreate', 'broadcastUpdate', 'broadcastReaction']) {
+      jest.spyOn(Comment.prototype, method).mockResolvedValue()
+    }
+    jest.spyOn(notificationService, 'commentMention').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('threaded replies', () => {
+    it('should add top-level comments to the task', async () => {
+      const { status, body } = await request(createComment, { body: { content: 'Hello' } })
+
+      expect(status).toBe(201)
+      expect(body.message).toBe('Comment added successfully')
+      expect(task.comments.map(String)).toEqual([body.data.comment._id.toString()])
+      expect(task.logActivity).toHaveBeenCalledWith('comment_added', authorId, expect.objectContaining({ isReply: false }))
+    })
+
+    it('should attach a reply to its parent', async () => {
+      const root = addComment()
+
+      const { body } = await request(createComment, {
+        body: { content: 'Reply', parentComment: root._id.toString() },
+        userId: otherId,
+      })
+
+      expect(body.message).toBe('Reply added successfully')
+      expect(body.data.comment.parentComment).toEqual(root._id)
+      expect(root.replies.map(String)).toEqual([body.data.comment._id.toString()])
+      expect(task.comments).toHaveLength(0)
+    })
+
+    it('should attach a reply to a reply to the root comment', async () => {
+      const root = addComment()
+      const reply = addComment({ content: 'Reply', parentComment: root._id })
+      root.replies.push(reply._id)
+
+      const { body } = await request(createComment, {
+        body: { content: 'Nested', parentComment: reply._id.toString() },
+      })
+
+      expect(body.data.comment.parentComment).toEqual(root._id)
+      expect(root.replies.map(String)).toEqual([reply._id.toString(), body.data.comment._id.toString()])
+      expect(reply.replies).toHaveLength(0)
+    })
+
+    it('should not reply to comments on another task', async () => {
+      const elsewhere = addComment({ task: id() })
+
+      const { status, body } = await request(createComment, {
+        body: { content: 'Reply', parentComment: elsewhere._id.toString() },
+      })
+
+      expect(status).toBe(404)
+      expect(body.error.message).toBe('Parent comment not found')
+      expect(Comment.create).not.toHaveBeenCalled()
+    })
+
+    it('should not reply to deleted comments', async () => {
+      const root = addComment({ isDeleted: true })
+
+      const { status } = await request(createComment, {
+        body: { content: 'Reply', parentComment: root._id.toString() },
+      })
+
+      expect(status).toBe(404)
+    })
+
+    it('should refuse users outside the workspace', async () => {
+      await expect(request(createComment, { body: { content: 'Hi' }, userId: id() }))
+        .rejects.toMatchObject({ statusCode: 403 })
+    })
+  })
+
+  describe('reactions', () => {
+    it('should add a reaction and summarize reactions by emoji', async () => {
+      const comment = addComment()
+      await comment.addReaction(otherId, '🎉')
+
+      const { body } = await request(addReaction, {
+        params: { commentId: comment._id.toString() },
+        body: { emoji: '🎉' },
+      })
+
+      expect(body.data.comment.reactionSummary).toEqual({ '🎉': { count: 2, users: [otherId, authorId] } })
+      expect(comment.broadcastReaction).toHaveBeenCalledWith(authorId, '🎉', 'add')
+    })
+
+    it('should reject the same reaction twice', async () => {
+      const comment = addComment()
+      const react = () => request(addReaction, { params: { commentId: comment._id.toString() }, body: { emoji: '👍' } })
+
+      await react()
+
+      await expect(react()).rejects.toMatchObject({ statusCode: 409 })
+      expect(comment.reactions).toHaveLength(1)
+    })
+
+    it('should require a short emoji', async () => {
+      const comment = addComment()
+
+      await expect(request(addReaction, {
+        params: { commentId: comment._id.toString() },
+        body: { emoji: 'not-an-emoji!' },
+      })).rejects.toMatchObject({ statusCode: 400 })
+    })
+
+    it('should remove only the current user\'s reaction', async () => {
+      const comment = addComment()
+      await comment.addReaction(authorId, '👍')
+      await comment.addReaction(otherId, '👍')
+
+      const { status } = await request(removeReaction, {
+        params: { commentId: comment._id.toString() },
+        query: { emoji: '👍' },
+      })
+
+      expect(status).toBe(200)
+      expect(comment.reactions.map(reaction => reaction.user)).toEqual([otherId])
+    })
+
+    it('should report a missing reaction', async () => {
+      const comment = addComment()
+
+      const { status, body } = await request(removeReaction, {
+        params: { commentId: comment._id.toString() },
+        body: { emoji: '👍' },
+      })
+
+      expect(status).toBe(404)
+      expect(body.error.message).toBe('Reaction not found')
+    })
+  })
+
+  describe('edit history', () => {
+    it('should keep each previous revision', async () => {
+      const comment = addComment({ content: 'Frist' })
+      const edit = content => request(updateComment, { params: { commentId: comment._id.toString() }, body: { content } })
+
+      await edit('First')
+      await edit('First!')
+
+      expect(comment.content).toBe('First!')
+      expect(comment.isEdited).toBe(true)
+      expect(comment.editHistory.map(revision => revision.content)).toEqual(['Frist', 'First'])
+      expect(comment.editHistory[0].editedBy).toEqual(authorId)
+    })
+
+    it('should return the history newest first', async () => {
+      const comment = addComment({ content: 'One' })
+      await comment.edit('Two', authorId)
+      await comment.edit('Three', authorId)
+
+      const { body } = await request(getCommentHistory, { params: { commentId: comment._id.toString() } })
+
+      expect(body.data.current).toMatchObject({ content: 'Three', isEdited: true })
+      expect(body.data.history.map(revision => revision.content)).toEqual(['Two', 'One'])
+    })
+
+    it('should only let the author edit', async () => {
+      const comment = addComment()
+
+      await expect(request(updateComment, {
+        params: { commentId: comment._id.toString() },
+        body: { content: 'Hijacked' },
+        userId: otherId,
+      })).rejects.toMatchObject({ statusCode: 403 })
+      expect(comment.editHistory).toHaveLength(0)
+    })
+
+    it('should clear the history when the comment is deleted', async () => {
+      const comment = addComment({ content: 'One' })
+      await comment.edit('Two', authorId)
+
+      await comment.softDelete(authorId)
+
+      expect(comment.editHistory).toHaveLength(0)
+      await expect(comment.edit('Three', authorId)).rejects.toThrow('Cannot edit deleted comment')
+    })
+  })
+
+  describe('search', () => {
+    beforeEach(() => {
+      jest.spyOn(Comment, 'searchComments').mockResolvedValue({ comments: [], pagination: {} })
+    })
+
+    it('should require at least two characters', async () => {
+      await expect(request(searchComments, { query: { q: ' a ' } })).rejects.toMatchObject({ statusCode: 400 })
+      await expect(request(searchComments, { query: {} })).rejects.toMatchObject({ statusCode: 400 })
+      await expect(request(searchComments, { query: { q: ['ab', 'cd'] } })).rejects.toMatchObject({ statusCode: 400 })
+    })
+
+    it('should search the task with the trimmed query', async () => {
+      await request(searchComments, { query: { q: '  deploy  ', page: '2' } })
+
+      expect(Comment.searchComments).toHaveBeenCalledWith(task._id, 'deploy', { page: 2, limit: 20 })
+    })
+
+    it('should match regular expression characters literally', async () => {
+      await request(searchComments, { query: { q: 'fix (v2.1)*' } })
+
+      const [, searchTerm] = Comment.searchComments.mock.calls[0]
+
+      expect(new RegExp(searchTerm, 'i').test('Released FIX (V2.1)* today')).toBe(true)
+      expect(new RegExp(searchTerm, 'i').test('fix v2x1')).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Task from '../../../src/models/Task.js'
+import Workspace from '../../../src/models/Workspace.js'
+import Comment from '../../../src/models/Comment.js'
+import notificationService from '../../../src/services/notificationService.js'
+import { duplicateTask } from '../../../src/controllers/taskController.js'
+import { run } from '../../helpers/controller.js'
+
+const id = () => new mongoose.Types.ObjectId()
+
+describe('Task duplication', () => {
+  const userId = id()
+  const memberId = id()
+  let workspace
+  let original
+  let comments
+
+  const duplicate = (body = {}) => run(duplicateTask, {
+    params: { taskId: original._id.toString() },
+    body,
+    user: { _id: userId },
+  })
+
+  // The copy is the last task saved
+  const savedCopy = () => Task.prototype.save.mock.contexts.at(-1)
+
+  beforeEach(() => {
+    workspace = new Workspace({
+      name: 'Team',
+      owner: userId,
+      members: [userId, memberId].map(user => ({ user, role: 'member' })),
+    })
+    original = new Task({
+      title: 'Launch plan',
+      description: 'Steps for the launch',
+      workspace: workspace._id,
+      createdBy: memberId,
+      status: 'review',
+      statusCategory: 'active',
+      priority: 'high',
+      assignees: [memberId],
+      tags: ['launch'],
+      subtasks: [{ title: 'Draft', assignedTo: memberId, completed: true }],
+      attachments: [{
+        filename: 'plan.pdf',
+        originalName: 'plan.pdf',
+        size: 2048,
+        storage: 's3',
+        key: 'workspaces/team/plan.pdf',
+        uploadedBy: memberId,
+      }],
+    })
+    comments = []
+
+    jest.spyOn(Task, 'findAvailable').mockResolvedValue(original)
+    jest.spyOn(Task.prototype, 'canAccess').mockResolvedValue(true)
+    jest.spyOn(Task, 'find').mockReturnValue({ distinct: async () => [] })
+    jest.spyOn(Workspace, 'findById').mockResolvedValue(workspace)
+    jest.spyOn(Workspace.prototype, 'updateTaskStats').mockResolvedValue()
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(Task.prototype, 'broadcastCreate').mockResolvedValue()
+    jest.spyOn(Task.prototype, 'toDetailedJSON').mockImplementation(function toDetailedJSON() {
+      return Promise.resolve({ _id: this._id, title: this.title })
+    })
+    jest.spyOn(notificationService, 'taskAssigned').mockResolvedValue()
+    jest.spyOn(Comment, 'find').mockImplementation(() => ({
+      sort: () => ({ lean: async () => comments }),
+    }))
+    jest.spyOn(Comment, 'insertMany').mockResolvedValue([])
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should copy the task without its status', async () => {
+    const { status, body } = await duplicate()
+    const copy = savedCopy()
+
+    expect(status).toBe(201)
+    expect(body.data.task).toEqual({ _id: copy._id, title: 'Launch plan (copy)' })
+    expect(copy._id).not.toEqual(original._id)
+    expect(copy.createdBy).toEqual(userId)
+    expect(copy.priority).toBe('high')
+    // The save hook fills in the workspace's default status
+    expect(copy.status).toBeUndefined()
+    expect(copy.activity[0]).toMatchObject({ type: 'created', details: { duplicatedFrom: original._id } })
+  })
+
+  it('should leave assignees off unless asked', async () => {
+    await duplicate()
+    expect(savedCopy().assignees).toHaveLength(0)
+
+    await duplicate({ includeAssignees: true })
+    expect(savedCopy().assignees.map(String)).toEqual([memberId.toString()])
+  })
+
+  it('should reject assignees outside the workspace', async () => {
+    const outsiderId = id().toString()
+
+    await expect(duplicate({ assignees: [outsiderId] }))
+      .rejects.toThrow(`Assignee ${outsiderId} is not a member of this workspace.`)
+    expect(Task.prototype.save).not.toHaveBeenCalled()
+  })
+
+  it('should copy subtasks as not completed', async () => {
+    await duplicate()
+
+    expect(savedCopy().subtasks).toHaveLength(1)
+    expect(savedCopy().subtasks[0]).toMatchObject({ title: 'Draft', completed: false })
+    expect(savedCopy().subtasks[0]._id).not.toEqual(original.subtasks[0]._id)
+  })
+
+  describe('attachments', () => {
+    it('should share the stored file with new attachment ids', async () => {
+      await duplicate()
+      const [attachment] = savedCopy().attachments
+
+      expect(attachment._id).not.toEqual(original.attachments[0]._id)
+      expect(attachment).toMatchObject({
+        storage: 's3',
+        key: 'workspaces/team/plan.pdf',
+        size: 2048,
+        uploadedBy: memberId,
+      })
+    })
+
+    it('should skip attachments when asked', async () => {
+      await duplicate({ includeAttachments: false })
+
+      expect(savedCopy().attachments).toHaveLength(0)
+    })
+  })
+
+  describe('comments', () => {
+    const comment = (fields = {}) => ({
+      _id: id(),
+      content: 'Looks good',
+      author: memberId,
+      task: original._id,
+      mentions: [],
+      attachments: [],
+      reactions: [],
+      replies: [],
+      parentComment: null,
+      createdAt: new Date('2026-04-01T10:00:00Z'),
+      ...fields,
+    })
+
+    it('should not copy comments by default', async () => {
+      await duplicate()
+
+      expect(Comment.find).not.toHaveBeenCalled()
+      expect(savedCopy().comments).toHaveLength(0)
+    })
+
+    it('should copy threads with new ids pointing at each other', async () => {
+      const root = comment({ reactions: [{ _id: id(), user: userId, emoji: '👍' }] })
+      const reply = comment({ content: 'Agreed', parentComment: root._id })
+      root.replies = [reply._id]
+      comments.push(root, reply)
+
+      await duplicate({ includeComments: true })
+
+      const [copies] = Comment.insertMany.mock.calls[0]
+      const [rootCopy, replyCopy] = copies
+      const copy = savedCopy()
+
+      expect(copies).toHaveLength(2)
+      expect(rootCopy._id).not.toEqual(root._id)
+      expect(rootCopy.task).toEqual(copy._id)
+      expect(rootCopy.replies).toEqual([replyCopy._id])
+      expect(rootCopy.reactions).toEqual([{ user: userId, emoji: '👍' }])
+      expect(rootCopy.createdAt).toEqual(root.createdAt)
+      expect(replyCopy.parentComment).toEqual(rootCopy._id)
+      expect(copy.comments).toEqual([rootCopy._id])
+    })
+
+    it('should skip replies whose parent was not copied', async () => {
+      comments.push(comment({ parentComment: id() }))
+
+      await duplicate({ includeComments: true })
+
+      expect(Comment.insertMany).not.toHaveBeenCalled()
+      expect(savedCopy().comments).toHaveLength(0)
+    })
+  })
+})
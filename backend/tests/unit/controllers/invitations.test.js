@@ -0,0 +1,256 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import WorkspaceInvitation from '../../../src/models/WorkspaceInvitation.js'
+import Workspace from '../../../src/models/Workspace.js'
+import User from '../../../src/models/User.js'
+import emailService from '../../../src/services/emailService.js'
+import notificationService from '../../../src/services/notificationService.js'
+import { createInvitation, resendInvitation, revokeInvitation } from '../../../src/controllers/invitationController.js'
+import { register } from '../../../src/controllers/authController.js'
+import { run } from '../../helpers/controller.js'
+
+const id = () => new mongoose.Types.ObjectId()
+const DAY = 24 * 60 * 60 * 1000
+
+describe('Invitations', () => {
+  const adminId = id()
+  let workspace
+  let invitations
+  let users
+
+  const admin = { _id: adminId, firstName: 'Ada', lastName: 'Lovelace' }
+
+  const pendingInvitation = (fields = {}) => {
+    const invitation = new WorkspaceInvitation({
+      workspace: workspace._id,
+      email: 'grace@example.com',
+      invitedBy: adminId,
+      ...fields,
+    })
+    invitation.generateToken()
+    invitations.push(invitation)
+    return invitation
+  }
+
+  const invite = body => run(createInvitation, {
+    params: { workspaceId: workspace._id.toString() },
+    body,
+    user: admin,
+  })
+
+  // The raw token only leaves through the email
+  const emailedToken = () => emailService.sendWorkspaceInvitationEmail.mock.calls.at(-1)[3].token
+
+  beforeEach(() => {
+    workspace = new Workspace({ name: 'Team', owner: adminId, members: [{ user: adminId, role: 'admin' }] })
+    invitations = []
+    users = []
+
+    jest.spyOn(Workspace, 'findById').mockImplementation(async () => workspace)
+    jest.spyOn(Workspace.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(WorkspaceInvitation, 'findOne').mockImplementation(async query => (
+      invitations.find(invitation => Object.entries(query).every(([key, value]) => String(invitation[key]) === String(value))) || null
+    ))
+    jest.spyOn(WorkspaceInvitation, 'findById').mockImplementation(async invitationId => (
+      invitations.find(invitation => invitation._id.equals(invitationId)) || null
+    ))
+    jest.spyOn(WorkspaceInvitation.prototype, 'save').mockImplementation(function save() {
+      if (!invitations.includes(this)) invitations.push(this)
+      return Promise.resolve(this)
+    })
+    jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => users.find(user => user.email === email) || null)
+    jest.spyOn(emailService, 'sendWorkspaceInvitationEmail').mockResolvedValue()
+    jest.spyOn(notificationService, 'workspaceInvited').mockResolvedValue([])
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('createInvitation()', () => {
+    it('should email a token matching the stored hash', async () => {
+      const { status, body } = await invite({ email: 'grace@example.com', role: 'manager' })
+      const [invitation] = invitations
+
+      expect(status).toBe(201)
+      expect(body.data).toMatchObject({ emailSent: true, invitation: { email: 'grace@example.com', role: 'manager', sentCount: 1 } })
+      expect(body.data.invitation).not.toHaveProperty('tokenHash')
+      expect(invitation.tokenHash).toBe(WorkspaceInvitation.hashToken(emailedToken()))
+    })
+
+    it('should notify registered users in the app instead', async () => {
+      const user = { _id: id(), email: 'grace@example.com' }
+      users.push(user)
+
+      await invite({ email: 'grace@example.com' })
+
+      expect(notificationService.workspaceInvited).toHaveBeenCalledWith(
+        invitations[0], expect.any(String), workspace, admin, user,
+      )
+      expect(emailService.sendWorkspaceInvitationEmail).not.toHaveBeenCalled()
+    })
+
+    it('should refuse a second pending invitation for the same email', async () => {
+      pendingInvitation()
+
+      await expect(invite({ email: 'grace@example.com' })).rejects.toMatchObject({ statusCode: 409 })
+      expect(invitations).toHaveLength(1)
+    })
+
+    it('should renew an expired invitation rather than create another', async () => {
+      const expired = pendingInvitation()
+      const oldHash = expired.tokenHash
+      expired.expiresAt = new Date(Date.now() - DAY)
+
+      const { status } = await invite({ email: 'grace@example.com', role: 'admin' })
+
+      expect(status).toBe(201)
+      expect(invitations).toEqual([expired])
+      expect(expired.tokenHash).not.toBe(oldHash)
+      expect(expired.role).toBe('admin')
+      expect(expired.isExpired).toBe(false)
+    })
+
+    it('should refuse to invite existing members', async () => {
+      users.push({ _id: adminId, email: 'ada@example.com' })
+
+      await expect(invite({ email: 'ada@example.com' })).rejects.toMatchObject({ statusCode: 409 })
+    })
+
+    it('should report when the email could not be sent', async () => {
+      emailService.sendWorkspaceInvitationEmail.mockRejectedValue(new Error('SMTP down'))
+
+      const { status, body } = await invite({ email: 'grace@example.com' })
+
+      expect(status).toBe(201)
+      expect(body.data.emailSent).toBe(false)
+    })
+  })
+
+  describe('resendInvitation()', () => {
+    const resend = invitation => run(resendInvitation, {
+      params: { workspaceId: workspace._id.toString(), invitationId: invitation._id.toString() },
+      user: admin,
+    })
+
+    it('should send a new link that replaces the old one', async () => {
+      const invitation = pendingInvitation()
+      const oldHash = invitation.tokenHash
+
+      const { body } = await resend(invitation)
+
+      expect(body.data.invitation.sentCount).toBe(2)
+      expect(invitation.tokenHash).not.toBe(oldHash)
+      expect(invitation.tokenHash).toBe(WorkspaceInvitation.hashToken(emailedToken()))
+    })
+
+    it('should not resend revoked invitations', async () => {
+      const invitation = pendingInvitation({ status: 'revoked' })
+
+      await expect(resend(invitation)).rejects.toMatchObject({ statusCode: 400, message: 'Invitation has already been revoked.' })
+    })
+
+    it('should not resend invitations from another workspace', async () => {
+      const invitation = pendingInvitation({ workspace: id() })
+
+      const { status } = await resend(invitation)
+
+      expect(status).toBe(404)
+    })
+  })
+
+  describe('revokeInvitation()', () => {
+    it('should revoke a pending invitation', async () => {
+      const invitation = pendingInvitation()
+
+      const { body } = await run(revokeInvitation, {
+        params: { workspaceId: workspace._id.toString(), invitationId: invitation._id.toString() },
+        user: admin,
+      })
+
+      expect(body.data.invitation.status).toBe('revoked')
+      expect(invitation.revokedBy).toEqual(adminId)
+    })
+
+    it('should only let admins revoke', async () => {
+      const memberId = id()
+      workspace.members.push({ user: memberId, role: 'manager' })
+      const invitation = pendingInvitation()
+
+      await expect(run(revokeInvitation, {
+        params: { workspaceId: workspace._id.toString(), invitationId: invitation._id.toString() },
+        user: { _id: memberId },
+      })).rejects.toMatchObject({ statusCode: 403 })
+      expect(invitation.status).toBe('pending')
+    })
+  })
+
+  describe('register() with an invitation', () => {
+    const signUp = (invitationToken, email = 'Grace@Example.com') => run(register, {
+      get: () => 'jest',
+      ip: '127.0.0.1',
+      body: { email, password: 'Sup3r-secret!', firstName: 'Grace', lastName: 'Hopper', username: 'grace', invitationToken },
+    })
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findByEmailOrUsername').mockResolvedValue(null)
+      jest.spyOn(User, 'create').mockImplementation(async data => new User(data))
+      jest.spyOn(User.prototype, 'createSession').mockResolvedValue({
+        sessionId: 'session',
+        accessToken: 'access',
+        refreshToken: 'refresh',
+      })
+      jest.spyOn(WorkspaceInvitation, 'findByToken').mockImplementation(async token => (
+        invitations.find(invitation => invitation.tokenHash === WorkspaceInvitation.hashToken(token)) || null
+      ))
+    })
+
+    it('should join the workspace and verify the email', async () => {
+      const invitation = new WorkspaceInvitation({ workspace: workspace._id, email: 'grace@example.com', role: 'manager', invitedBy: adminId })
+      const token = invitation.generateToken()
+      invitations.push(invitation)
+
+      const { status, body } = await signUp(token)
+      const user = await User.create.mock.results[0].value
+
+      expect(status).toBe(201)
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ emailVerified: true }))
+      expect(invitation.status).toBe('accepted')
+      expect(workspace.getMemberRole(user._id)).toBe('manager')
+      expect(body.data.workspace).toMatchObject({ name: 'Team' })
+    })
+
+    it('should reject an unknown or expired token before creating the account', async () => {
+      const invitation = new WorkspaceInvitation({ workspace: workspace._id, email: 'grace@example.com', invitedBy: adminId })
+      const token = invitation.generateToken()
+      invitation.expiresAt = new Date(Date.now() - 1)
+      invitations.push(invitation)
+
+      await expect(signUp('not-a-token')).rejects.toMatchObject({ statusCode: 400 })
+      await expect(signUp(token)).rejects.toMatchObject({ statusCode: 400, message: 'Invitation is invalid or has expired' })
+      expect(User.create).not.toHaveBeenCalled()
+    })
+
+    it('should reject a token sent to another address', async () => {
+      const invitation = new WorkspaceInvitation({ workspace: workspace._id, email: 'grace@example.com', invitedBy: adminId })
+      const token = invitation.generateToken()
+      invitations.push(invitation)
+
+      await expect(signUp(token, 'mallory@example.com')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Invitation was sent to a different email address',
+      })
+      expect(User.create).not.toHaveBeenCalled()
+    })
+
+    it('should register without verifying the email when there is no invitation', async () => {
+      const { status, body } = await signUp(undefined)
+
+      expect(status).toBe(201)
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ emailVerified: false }))
+      expect(body.data).not.toHaveProperty('workspace')
+    })
+  })
+})
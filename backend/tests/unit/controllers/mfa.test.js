@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals'
+import User from '../../../src/models/User.js'
+import Workspace from '../../../src/models/Workspace.js'
+import { disableMfa } from '../../../src/controllers/mfaController.js'
+import { run } from '../../helpers/controller.js'
+
+describe('Two-factor authentication', () => {
+  describe('disableMfa()', () => {
+    let user
+    let requiredBy
+
+    const makeUser = (fields = {}) => new User({
+      email: 'ada@example.com',
+      username: 'ada',
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      password: 'hashed',
+      mfa: { enabled: true, secret: 'secret' },
+      ...fields,
+    })
+
+    const disable = body => run(disableMfa, {
+      body,
+      user: { _id: user._id },
+      get: () => 'jest',
+      ip: '127.0.0.1',
+    })
+
+    beforeEach(() => {
+      user = makeUser()
+      requiredBy = []
+
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user })
+      jest.spyOn(Workspace, 'find').mockReturnValue({ select: async () => requiredBy })
+      jest.spyOn(User.prototype, 'comparePassword').mockImplementation(async password => password === 'correct horse')
+      jest.spyOn(User.prototype, 'consumeMfaCode').mockImplementation(async code => (code === '123456' ? 'totp' : null))
+      jest.spyOn(User.prototype, 'save').mockImplementation(function save() {
+        return Promise.resolve(this)
+      })
+    })
+
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    it('should need the password and a code', async () => {
+      const { status } = await disable({ password: 'correct horse', code: '123456' })
+
+      expect(status).toBe(200)
+      expect(user.mfa.enabled).toBe(false)
+    })
+
+    it('should refuse a wrong or missing password', async () => {
+      await expect(disable({ password: 'wrong', code: '123456' })).resolves.toMatchObject({ status: 401 })
+      await expect(disable({ code: '123456' })).resolves.toMatchObject({ status: 401 })
+
+      expect(user.mfa.enabled).toBe(true)
+      expect(user.consumeMfaCode).not.toHaveBeenCalled()
+    })
+
+    it('should accept the code alone for accounts without a password', async () => {
+      user = makeUser({ passwordEnabled: false })
+
+      const { status } = await disable({ code: '123456' })
+
+      expect(status).toBe(200)
+      expect(user.comparePassword).not.toHaveBeenCalled()
+      expect(user.mfa.enabled).toBe(false)
+    })
+
+    it('should still need a valid code for accounts without a password', async () => {
+      user = makeUser({ passwordEnabled: false })
+
+      const { status } = await disable({ code: '000000' })
+
+      expect(status).toBe(401)
+      expect(user.mfa.enabled).toBe(true)
+    })
+
+    it('should refuse while a workspace requires two-factor authentication', async () => {
+      requiredBy = [{ name: 'Platform' }]
+
+      await expect(disable({ password: 'correct horse', code: '123456' })).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'Two-factor authentication is required by: Platform.',
+      })
+    })
+  })
+})
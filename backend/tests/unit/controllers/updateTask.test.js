@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Task from '../../../src/models/Task.js'
+import Workspace from '../../../src/models/Workspace.js'
+import notificationService from '../../../src/services/notificationService.js'
+import { updateTask } from '../../../src/controllers/taskController.js'
+import { run } from '../../helpers/controller.js'
+
+const id = () => new mongoose.Types.ObjectId()
+
+describe('Task updates', () => {
+  const userId = id()
+  const memberId = id()
+  let workspace
+  let task
+
+  const update = body => run(updateTask, {
+    params: { taskId: task._id.toString() },
+    body,
+    user: { _id: userId },
+  })
+
+  beforeEach(() => {
+    workspace = new Workspace({
+      name: 'Team',
+      owner: userId,
+      members: [userId, memberId].map(user => ({ user, role: 'member' })),
+    })
+    task = new Task({
+      title: 'Write docs',
+      workspace: workspace._id,
+      createdBy: userId,
+      status: 'todo',
+      statusCategory: 'not-started',
+      position: 1.5,
+      attachments: [{ filename: 'spec.pdf', storage: 'local', uploadedBy: userId }],
+    })
+
+    jest.spyOn(Task, 'findAvailable').mockResolvedValue(task)
+    jest.spyOn(Task.prototype, 'canAccess').mockResolvedValue(true)
+    jest.spyOn(Workspace, 'findById').mockResolvedValue(workspace)
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(Task.prototype, 'logActivity').mockResolvedValue()
+    jest.spyOn(Task.prototype, 'broadcastUpdate').mockResolvedValue()
+    jest.spyOn(Task.prototype, 'toDetailedJSON').mockImplementation(function toDetailedJSON() {
+      return Promise.resolve({ _id: this._id, title: this.title })
+    })
+    jest.spyOn(notificationService, 'taskAssigned').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should change the editable fields', async () => {
+    const { status } = await update({ title: 'Write better docs', priority: 'high', tags: ['docs'], assignees: [memberId.toString()] })
+
+    expect(status).toBe(200)
+    expect(task).toMatchObject({ title: 'Write better docs', priority: 'high' })
+    expect(task.tags).toEqual(['docs'])
+    expect(task.assignees).toEqual([memberId])
+    expect(notificationService.taskAssigned).toHaveBeenCalledWith(task, [memberId], expect.anything())
+  })
+
+  it('should ignore fields managed by other endpoints', async () => {
+    const otherWorkspaceId = id()
+    const [attachment] = task.attachments
+
+    await update({
+      title: 'Renamed',
+      workspace: otherWorkspaceId.toString(),
+      isDeleted: true,
+      deletedAt: new Date().toISOString(),
+      statusCategory: 'done',
+      position: 99,
+      attachments: [{ filename: '../../.env', storage: 'local', path: '/etc/passwd' }],
+      watchers: [id().toString()],
+      activity: [],
+      sprint: id().toString(),
+    })
+
+    expect(task.title).toBe('Renamed')
+    expect(task.workspace).toEqual(workspace._id)
+    expect(task.isDeleted).toBe(false)
+    expect(task.deletedAt).toBeUndefined()
+    expect(task.statusCategory).toBe('not-started')
+    expect(task.position).toBe(1.5)
+    expect(task.attachments.map(item => item._id)).toEqual([attachment._id])
+    expect(task.watchers).toHaveLength(0)
+    expect(task.sprint).toBeNull()
+    expect(task.broadcastUpdate).toHaveBeenCalledWith({ title: 'Renamed' }, userId)
+  })
+
+  it('should reject assignees outside the workspace', async () => {
+    await expect(update({ assignees: [id().toString()] })).rejects.toMatchObject({ statusCode: 400 })
+    expect(task.save).not.toHaveBeenCalled()
+  })
+})
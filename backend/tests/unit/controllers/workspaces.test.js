@@ -0,0 +1,53 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Workspace from '../../../src/models/Workspace.js'
+import { updateWorkspace } from '../../../src/controllers/workspaceController.js'
+import { run } from '../../helpers/controller.js'
+
+const id = () => new mongoose.Types.ObjectId()
+
+describe('Workspace updates', () => {
+  const adminId = id()
+  let workspace
+
+  const update = body => run(updateWorkspace, {
+    params: { workspaceId: workspace._id.toString() },
+    body,
+    user: { _id: adminId },
+  })
+
+  beforeEach(() => {
+    workspace = new Workspace({ name: 'Team', owner: adminId, members: [{ user: adminId, role: 'admin' }] })
+
+    jest.spyOn(Workspace, 'findById').mockResolvedValue(workspace)
+    jest.spyOn(Workspace.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  it('should change the editable fields only', async () => {
+    const { status } = await update({
+      name: 'Platform',
+      description: 'Platform team',
+      owner: id().toString(),
+      members: [],
+      workflow: { statuses: [] },
+      customFields: [{ key: 'team', name: 'Team', type: 'text' }],
+    })
+
+    expect(status).toBe(200)
+    expect(workspace).toMatchObject({ name: 'Platform', description: 'Platform team', owner: adminId })
+    expect(workspace.members).toHaveLength(1)
+    expect(workspace.workflow.statuses.length).toBeGreaterThan(0)
+    expect(workspace.customFields).toHaveLength(0)
+  })
+
+  it('should refuse to require two-factor authentication from an admin without it', async () => {
+    await expect(update({ settings: { requireMfa: true } })).rejects.toMatchObject({ statusCode: 400 })
+    expect(workspace.save).not.toHaveBeenCalled()
+  })
+})
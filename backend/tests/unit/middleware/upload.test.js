@@ -0,0 +1,75 @@
+import express from 'express'
+import request from 'supertest'
+
+// Small limits keep the test payloads tiny; config reads them on import
+process.env.UPLOAD_MAX_FILE_SIZE = '1024'
+process.env.UPLOAD_MAX_FILES = '2'
+
+const { uploadAttachments } = await import('../../../src/middleware/upload.js')
+
+const app = express()
+app.post('/upload', uploadAttachments, (req, res) => {
+  res.json({ files: req.files.map(file => ({ name: file.originalname, size: file.size })) })
+})
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ message: err.message })
+})
+
+const bytes = size => Buffer.alloc(size, 'a')
+
+describe('Upload Middleware', () => {
+  describe('uploadAttachments', () => {
+    it('should collect the file and files fields into req.files', async () => {
+      const res = await request(app)
+        .post('/upload')
+        .attach('file', bytes(10), 'one.txt')
+        .attach('files', bytes(20), 'two.txt')
+
+      expect(res.status).toBe(200)
+      expect(res.body.files).toEqual([
+        { name: 'one.txt', size: 10 },
+        { name: 'two.txt', size: 20 },
+      ])
+    })
+
+    it('should give an empty list without files', async () => {
+      const res = await request(app).post('/upload').field('note', 'hello')
+
+      expect(res.status).toBe(200)
+      expect(res.body.files).toEqual([])
+    })
+
+    it('should reject files over the size limit with 413', async () => {
+      const res = await request(app).post('/upload').attach('file', bytes(1025), 'big.bin')
+
+      expect(res.status).toBe(413)
+      expect(res.body.message).toMatch(/^File size exceeds maximum allowed size/)
+    })
+
+    it('should reject more files than allowed', async () => {
+      const res = await request(app)
+        .post('/upload')
+        .attach('files', bytes(1), 'a.txt')
+        .attach('files', bytes(1), 'b.txt')
+        .attach('files', bytes(1), 'c.txt')
+
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe('A maximum of 2 files can be uploaded at once')
+    })
+
+    it('should reject a second file in the single file field', async () => {
+      const res = await request(app)
+        .post('/upload')
+        .attach('file', bytes(1), 'a.txt')
+        .attach('file', bytes(1), 'b.txt')
+
+      expect(res.status).toBe(400)
+    })
+
+    it('should reject unknown file fields', async () => {
+      const res = await request(app).post('/upload').attach('avatar', bytes(1), 'me.png')
+
+      expect(res.status).toBe(400)
+    })
+  })
+})
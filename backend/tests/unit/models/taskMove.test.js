@@ -0,0 +1,207 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Task from '../../../src/models/Task.js'
+import Workspace from '../../../src/models/Workspace.js'
+
+const id = () => new mongoose.Types.ObjectId()
+
+describe('Task.moveToWorkspace()', () => {
+  const ownerId = id()
+  const sharedId = id()
+  const leaverId = id()
+  const replacementId = id()
+  let source
+  let target
+  let dependents
+
+  const makeTask = (fields = {}) => new Task({
+    title: 'Task',
+    workspace: source._id,
+    createdBy: ownerId,
+    status: 'todo',
+    statusCategory: 'not-started',
+    ...fields,
+  })
+
+  beforeEach(() => {
+    source = new Workspace({
+      name: 'Source',
+      owner: ownerId,
+      members: [ownerId, sharedId, leaverId].map(user => ({ user, role: 'member' })),
+      customFields: [
+        { key: 'team', name: 'Team', type: 'text' },
+        { key: 'size', name: 'Size', type: 'select', options: [{ value: 's' }, { value: 'xl' }] },
+        { key: 'budget', name: 'Budget', type: 'number' },
+      ],
+    })
+    target = new Workspace({
+      name: 'Target',
+      owner: ownerId,
+      members: [ownerId, sharedId, replacementId].map(user => ({ user, role: 'member' })),
+      workflow: {
+        statuses: [
+          { key: 'backlog', name: 'Backlog', category: 'not-started' },
+          { key: 'doing', name: 'Doing', category: 'active' },
+          { key: 'shipped', name: 'Shipped', category: 'done' },
+        ],
+      },
+      customFields: [
+        { key: 'team', name: 'Team', type: 'text' },
+        { key: 'size', name: 'Size', type: 'select', options: [{ value: 's' }, { value: 'm' }] },
+      ],
+    })
+    dependents = []
+
+    jest.spyOn(Workspace, 'findById').mockResolvedValue(source)
+    jest.spyOn(Workspace.prototype, 'updateTaskStats').mockResolvedValue()
+    jest.spyOn(Task, 'find').mockImplementation(async () => dependents)
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('assignees', () => {
+    it('should keep members of both workspaces and drop the rest', async () => {
+      const task = makeTask({ assignees: [ownerId, sharedId, leaverId], watchers: [sharedId, leaverId] })
+
+      const result = await task.moveToWorkspace(target, ownerId)
+
+      expect(task.assignees.map(String)).toEqual([ownerId.toString(), sharedId.toString()])
+      expect(task.watchers.map(String)).toEqual([sharedId.toString()])
+      expect(result.droppedAssignees).toEqual([leaverId.toString()])
+      expect(result.addedAssignees).toEqual([])
+    })
+
+    it('should remap assignees through the assignee map', async () => {
+      const task = makeTask({
+        assignees: [leaverId, sharedId],
+        subtasks: [{ title: 'Write docs', assignedTo: leaverId }],
+      })
+
+      const result = await task.moveToWorkspace(target, ownerId, {
+        assigneeMap: { [leaverId.toString()]: replacementId.toString() },
+      })
+
+      expect(task.assignees.map(String)).toEqual([replacementId.toString(), sharedId.toString()])
+      expect(task.subtasks[0].assignedTo).toEqual(replacementId)
+      expect(result.addedAssignees).toEqual([replacementId.toString()])
+      expect(result.droppedAssignees).toEqual([])
+    })
+
+    it('should not duplicate an assignee mapped onto an existing one', async () => {
+      const task = makeTask({ assignees: [sharedId, leaverId] })
+
+      await task.moveToWorkspace(target, ownerId, { assigneeMap: { [leaverId.toString()]: sharedId.toString() } })
+
+      expect(task.assignees.map(String)).toEqual([sharedId.toString()])
+    })
+
+    it('should reject a map onto someone outside the target', async () => {
+      const task = makeTask({ assignees: [sharedId] })
+
+      await expect(task.moveToWorkspace(target, ownerId, { assigneeMap: { [sharedId.toString()]: leaverId.toString() } }))
+        .rejects.toThrow(`Assignee ${leaverId} is not a member of the target workspace`)
+      expect(task.workspace).toEqual(source._id)
+    })
+  })
+
+  describe('status', () => {
+    it('should pick the first target status of the same category', async () => {
+      const task = makeTask({ status: 'review', statusCategory: 'active' })
+
+      await task.moveToWorkspace(target, ownerId)
+
+      expect(task.status).toBe('doing')
+      expect(task.workspace).toEqual(target._id)
+      expect(task.activity.at(-1)).toMatchObject({
+        type: 'moved',
+        previousValue: { workspace: source._id, status: 'review' },
+        newValue: { workspace: target._id, status: 'doing' },
+      })
+    })
+  })
+
+  describe('custom fields', () => {
+    it('should keep compatible values and drop the rest', async () => {
+      const task = makeTask({ customFields: { team: 'Platform', size: 'xl', budget: 1200 } })
+
+      const result = await task.moveToWorkspace(target, ownerId)
+
+      expect(Object.fromEntries(task.customFields)).toEqual({ team: 'Platform' })
+      expect(result.droppedCustomFields).toEqual(['size', 'budget'])
+      expect(task.activity.at(-1).details.droppedCustomFields).toEqual(['size', 'budget'])
+    })
+  })
+
+  describe('dependencies', () => {
+    it('should cut links to blockers and from dependents', async () => {
+      const blockerId = id()
+      const task = makeTask({ dependencies: [blockerId] })
+      const dependent = makeTask({ title: 'Dependent', dependencies: [task._id, blockerId] })
+      jest.spyOn(dependent, 'logActivity').mockResolvedValue()
+      dependents.push(dependent)
+
+      const result = await task.moveToWorkspace(target, ownerId)
+
+      expect(task.dependencies).toHaveLength(0)
+      expect(dependent.dependencies.map(String)).toEqual([blockerId.toString()])
+      expect(dependent.logActivity).toHaveBeenCalledWith('dependency_removed', ownerId, { dependencyId: task._id, reason: 'moved' })
+      expect(Task.find).toHaveBeenCalledWith({ dependencies: task._id })
+      expect(result.removedDependencies).toEqual([blockerId.toString()])
+      expect(result.removedDependents).toEqual([dependent._id])
+    })
+  })
+
+  describe('sprints', () => {
+    it('should take the task out of its sprint', async () => {
+      const sprintId = id()
+      const task = makeTask({ sprint: sprintId, storyPoints: 3 })
+
+      const result = await task.moveToWorkspace(target, ownerId)
+
+      expect(task.sprint).toBeNull()
+      expect(result.removedSprint).toBe(sprintId.toString())
+      expect(task.activity.at(-1).details.removedSprint).toBe(sprintId.toString())
+    })
+
+    it('should record no sprint for backlog tasks', async () => {
+      const result = await makeTask().moveToWorkspace(target, ownerId)
+
+      expect(result.removedSprint).toBeNull()
+    })
+  })
+
+  describe('recurring series', () => {
+    it('should detach an occurrence from its series', async () => {
+      const task = makeTask({ seriesId: id(), occurrenceDate: new Date(), isRecurrenceException: true })
+
+      await task.moveToWorkspace(target, ownerId)
+
+      expect(task.seriesId).toBeUndefined()
+      expect(task.occurrenceDate).toBeUndefined()
+      expect(task.isRecurrenceException).toBe(false)
+    })
+
+    it('should refuse to move the series root', async () => {
+      const task = makeTask()
+      task.seriesId = task._id
+
+      await expect(task.moveToWorkspace(target, ownerId)).rejects.toThrow('cannot be moved')
+    })
+  })
+
+  it('should refuse a move into the same workspace', async () => {
+    await expect(makeTask().moveToWorkspace(source, ownerId)).rejects.toThrow('Task already belongs to this workspace')
+  })
+
+  it('should refresh stats on both workspaces', async () => {
+    await makeTask().moveToWorkspace(target, ownerId)
+
+    expect(Workspace.prototype.updateTaskStats).toHaveBeenCalledTimes(2)
+    expect(Workspace.prototype.updateTaskStats.mock.contexts).toEqual([source, target])
+  })
+})
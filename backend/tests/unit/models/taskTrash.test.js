@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Task from '../../../src/models/Task.js'
+import Workspace from '../../../src/models/Workspace.js'
+import config from '../../../src/config/index.js'
+
+const id = () => new mongoose.Types.ObjectId()
+const DAY = 24 * 60 * 60 * 1000
+
+describe('Task trash', () => {
+  const userId = id()
+  let workspace
+
+  const makeTask = (fields = {}) => new Task({
+    title: 'Task',
+    workspace: workspace._id,
+    createdBy: userId,
+    ...fields,
+  })
+
+  beforeEach(() => {
+    workspace = new Workspace({ name: 'Team', owner: userId, members: [{ user: userId, role: 'admin' }] })
+
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(Workspace, 'findById').mockResolvedValue(workspace)
+    jest.spyOn(workspace, 'updateTaskStats').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('moveToTrash()', () => {
+    it('should mark the task deleted and record who deleted it', async () => {
+      const task = makeTask()
+
+      await task.moveToTrash(userId)
+
+      expect(task.isDeleted).toBe(true)
+      expect(task.deletedAt).toBeInstanceOf(Date)
+      expect(task.deletedBy).toEqual(userId)
+      expect(task.activity.at(-1)).toMatchObject({ type: 'trashed', user: userId })
+      expect(task.save).toHaveBeenCalled()
+      expect(workspace.updateTaskStats).toHaveBeenCalled()
+    })
+
+    it('should refuse a task already in the trash', async () => {
+      const task = makeTask({ isDeleted: true, deletedAt: new Date() })
+
+      await expect(task.moveToTrash(userId)).rejects.toThrow('Task is already in the trash')
+      expect(task.save).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('restoreFromTrash()', () => {
+    it('should clear the deletion and record the restore', async () => {
+      const task = makeTask()
+      await task.moveToTrash(userId)
+
+      await task.restoreFromTrash(userId)
+
+      expect(task.isDeleted).toBe(false)
+      expect(task.deletedAt).toBeUndefined()
+      expect(task.deletedBy).toBeUndefined()
+      expect(task.activity.at(-1)).toMatchObject({ type: 'restored', details: { from: 'trash' } })
+    })
+
+    it('should refuse a task that is not in the trash', async () => {
+      await expect(makeTask().restoreFromTrash(userId)).rejects.toThrow('Task is not in the trash')
+    })
+  })
+
+  describe('trash and archive', () => {
+    it('should keep an archived task archived through the trash', async () => {
+      const task = makeTask()
+      await task.archive(userId)
+
+      await task.moveToTrash(userId)
+      await task.restoreFromTrash(userId)
+
+      expect(task.isArchived).toBe(true)
+      expect(task.isDeleted).toBe(false)
+    })
+
+    it('should not restore a trashed task by unarchiving it', async () => {
+      const task = makeTask()
+      await task.moveToTrash(userId)
+
+      await expect(task.unarchive(userId)).rejects.toThrow('Task is not archived')
+      expect(task.isDeleted).toBe(true)
+    })
+
+    it('should record where each restore came from', async () => {
+      const task = makeTask()
+      await task.archive(userId)
+      await task.unarchive(userId)
+      await task.moveToTrash(userId)
+      await task.restoreFromTrash(userId)
+
+      const restores = task.activity.filter(activity => activity.type === 'restored')
+
+      expect(restores.map(activity => activity.details.from)).toEqual(['archive', 'trash'])
+    })
+  })
+
+  describe('getPurgeDate()', () => {
+    it('should be the deletion date plus the retention period', () => {
+      const deletedAt = new Date('2026-05-01T08:00:00Z')
+      const task = makeTask({ isDeleted: true, deletedAt })
+
+      expect(task.getPurgeDate()).toEqual(new Date(deletedAt.getTime() + config.trash.retentionDays * DAY))
+    })
+
+    it('should be null for tasks outside the trash', () => {
+      expect(makeTask().getPurgeDate()).toBeNull()
+      expect(makeTask({ isDeleted: true }).getPurgeDate()).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals'
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+import WorkspaceInvitation from '../../../src/models/WorkspaceInvitation.js'
+import Workspace from '../../../src/models/Workspace.js'
+import config from '../../../src/config/index.js'
+
+const id = () => new mongoose.Types.ObjectId()
+const DAY = 24 * 60 * 60 * 1000
+
+describe('Workspace invitations', () => {
+  const adminId = id()
+  let workspace
+
+  const invite = (fields = {}) => {
+    const invitation = new WorkspaceInvitation({
+      workspace: workspace._id,
+      email: 'Grace@Example.com',
+      role: 'manager',
+      invitedBy: adminId,
+      ...fields,
+    })
+    const token = invitation.generateToken()
+    return { invitation, token }
+  }
+
+  const invitee = (fields = {}) => ({ _id: id(), email: 'grace@example.com', ...fields })
+
+  beforeEach(() => {
+    workspace = new Workspace({ name: 'Team', owner: adminId, members: [{ user: adminId, role: 'admin' }] })
+
+    jest.spyOn(Workspace, 'findById').mockImplementation(async () => workspace)
+    jest.spyOn(Workspace.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+    jest.spyOn(WorkspaceInvitation.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this)
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('tokens', () => {
+    it('should store only the SHA-256 hash of the token', () => {
+      const { invitation, token } = invite()
+
+      expect(token).toMatch(/^[0-9a-f]{64}$/)
+      expect(invitation.tokenHash).toBe(crypto.createHash('sha256').update(token).digest('hex'))
+      expect(invitation.tokenHash).not.toBe(token)
+      expect(WorkspaceInvitation.hashToken(token)).toBe(invitation.tokenHash)
+    })
+
+    it('should keep the hash out of queries by default', () => {
+      expect(WorkspaceInvitation.schema.path('tokenHash').options.select).toBe(false)
+      expect(invite().invitation.toPublicJSON()).not.toHaveProperty('tokenHash')
+    })
+
+    it('should look invitations up by the hash of the token', async () => {
+      jest.spyOn(WorkspaceInvitation, 'findOne').mockResolvedValue(null)
+
+      await WorkspaceInvitation.findByToken('abc')
+
+      expect(WorkspaceInvitation.findOne).toHaveBeenCalledWith({ tokenHash: WorkspaceInvitation.hashToken('abc') })
+    })
+
+    it('should not look up missing or non-string tokens', async () => {
+      jest.spyOn(WorkspaceInvitation, 'findOne')
+
+      await expect(WorkspaceInvitation.findByToken(undefined)).resolves.toBeNull()
+      await expect(WorkspaceInvitation.findByToken(['abc'])).resolves.toBeNull()
+      expect(WorkspaceInvitation.findOne).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('expiry and resend', () => {
+    it('should expire after the configured number of days', () => {
+      const before = Date.now()
+      const { invitation } = invite()
+
+      expect(invitation.expiresAt.getTime() - before).toBeGreaterThanOrEqual(config.invitations.expiryDays * DAY)
+      expect(invitation.expiresAt.getTime() - before).toBeLessThan(config.invitations.expiryDays * DAY + 1000)
+      expect(invitation.isExpired).toBe(false)
+
+      invitation.expiresAt = new Date(Date.now() - 1)
+
+      expect(invitation.isExpired).toBe(true)
+    })
+
+    it('should only count pending invitations as expired', () => {
+      const { invitation } = invite()
+      invitation.expiresAt = new Date(Date.now() - DAY)
+      invitation.status = 'accepted'
+
+      expect(invitation.isExpired).toBe(false)
+    })
+
+    it('should replace the token and renew the expiry on resend', () => {
+      const { invitation, token } = invite()
+      const firstHash = invitation.tokenHash
+      invitation.expiresAt = new Date(Date.now() - DAY)
+
+      const resent = invitation.generateToken()
+
+      expect(resent).not.toBe(token)
+      expect(invitation.tokenHash).not.toBe(firstHash)
+      expect(invitation.tokenHash).toBe(WorkspaceInvitation.hashToken(resent))
+      expect(invitation.isExpired).toBe(false)
+      expect(invitation.sentCount).toBe(2)
+    })
+  })
+
+  describe('accept()', () => {
+    it('should add the user with the invited role', async () => {
+      const { invitation } = invite()
+      const user = invitee()
+
+      await expect(invitation.accept(user)).resolves.toBe(workspace)
+
+      expect(workspace.getMemberRole(user._id)).toBe('manager')
+      expect(workspace.members.at(-1).invitedBy).toEqual(adminId)
+      expect(invitation.status).toBe('accepted')
+      expect(invitation.acceptedBy).toEqual(user._id)
+    })
+
+    it('should match the email address case-insensitively', async () => {
+      const { invitation } = invite()
+
+      await expect(invitation.accept(invitee({ email: 'GRACE@example.COM' }))).resolves.toBe(workspace)
+    })
+
+    it('should refuse another email address', async () => {
+      const { invitation } = invite()
+
+      await expect(invitation.accept(invitee({ email: 'mallory@example.com' })))
+        .rejects.toThrow('Invitation was sent to a different email address')
+      expect(workspace.members).toHaveLength(1)
+    })
+
+    it('should refuse expired invitations', async () => {
+      const { invitation } = invite()
+      invitation.expiresAt = new Date(Date.now() - 1)
+
+      await expect(invitation.accept(invitee())).rejects.toThrow('Invitation has expired')
+    })
+
+    it('should only be accepted once', async () => {
+      const { invitation } = invite()
+      await invitation.accept(invitee())
+
+      await expect(invitation.accept(invitee())).rejects.toThrow('Invitation has already been accepted')
+    })
+
+    it('should refuse archived workspaces', async () => {
+      const { invitation } = invite()
+      workspace.isArchived = true
+
+      await expect(invitation.accept(invitee())).rejects.toThrow('Workspace is no longer available')
+      expect(invitation.status).toBe('pending')
+    })
+
+    it('should not add an existing member twice', async () => {
+      const { invitation } = invite({ email: 'admin@example.com' })
+
+      await invitation.accept({ _id: adminId, email: 'admin@example.com' })
+
+      expect(workspace.members).toHaveLength(1)
+      expect(invitation.status).toBe('accepted')
+    })
+  })
+
+  describe('revoke()', () => {
+    it('should record who revoked it and stop it being accepted', async () => {
+      const { invitation } = invite()
+
+      await invitation.revoke(adminId)
+
+      expect(invitation.status).toBe('revoked')
+      expect(invitation.revokedBy).toEqual(adminId)
+      await expect(invitation.accept(invitee())).rejects.toThrow('Invitation has already been revoked')
+      await expect(invitation.revoke(adminId)).rejects.toThrow('Invitation has already been revoked')
+    })
+  })
+})
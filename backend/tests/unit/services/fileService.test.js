@@ -0,0 +1,83 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import fileService from '../../../src/services/fileService.js'
+
+describe('File Service', () => {
+  const originalUploadDir = process.env.UPLOAD_DIR
+  let root
+  let uploadDir
+  let outside
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-service-'))
+    uploadDir = path.join(root, 'uploads')
+    fs.mkdirSync(uploadDir)
+    process.env.UPLOAD_DIR = uploadDir
+
+    fs.writeFileSync(path.join(uploadDir, 'stored.txt'), 'stored')
+    outside = path.join(root, 'secret.txt')
+    fs.writeFileSync(outside, 'secret')
+  })
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true })
+    if (originalUploadDir === undefined) {
+      delete process.env.UPLOAD_DIR
+    } else {
+      process.env.UPLOAD_DIR = originalUploadDir
+    }
+  })
+
+  describe('getLocalPath()', () => {
+    it('should resolve stored names inside the upload directory', () => {
+      expect(fileService.getLocalPath({ filename: 'stored.txt' })).toBe(path.join(uploadDir, 'stored.txt'))
+      expect(fileService.getLocalPath({ fileName: 'stored.txt' })).toBe(path.join(uploadDir, 'stored.txt'))
+    })
+
+    it('should refuse names that leave the upload directory', () => {
+      for (const filename of ['../secret.txt', outside, 'nested/stored.txt', '.', '', undefined, ['stored.txt']]) {
+        expect(fileService.getLocalPath({ filename })).toBeNull()
+      }
+    })
+
+    it('should ignore a stored path', () => {
+      expect(fileService.getLocalPath({ filename: 'stored.txt', path: outside })).toBe(path.join(uploadDir, 'stored.txt'))
+    })
+  })
+
+  describe('getFileStream()', () => {
+    const read = stream => new Promise((resolve, reject) => {
+      let data = ''
+      stream.on('data', chunk => { data += chunk })
+      stream.on('end', () => resolve(data))
+      stream.on('error', reject)
+    })
+
+    it('should stream files from the upload directory', async () => {
+      await expect(read(fileService.getFileStream({ storage: 'local', filename: 'stored.txt' }))).resolves.toBe('stored')
+    })
+
+    it('should not open files outside the upload directory', () => {
+      expect(() => fileService.getFileStream({ storage: 'local', filename: '../secret.txt' }))
+        .toThrow('File not found in storage')
+      expect(() => fileService.getFileStream({ storage: 'local', filename: 'missing.txt', path: outside }))
+        .toThrow('File not found in storage')
+    })
+  })
+
+  describe('deleteFromLocal()', () => {
+    it('should delete files from the upload directory', async () => {
+      await fileService.deleteFromLocal({ filename: 'stored.txt' })
+
+      expect(fs.existsSync(path.join(uploadDir, 'stored.txt'))).toBe(false)
+    })
+
+    it('should never delete files outside the upload directory', async () => {
+      await fileService.deleteFromLocal({ filename: '../secret.txt' })
+      await fileService.deleteFromLocal({ filename: 'missing.txt', path: outside })
+
+      expect(fs.existsSync(outside)).toBe(true)
+    })
+  })
+})
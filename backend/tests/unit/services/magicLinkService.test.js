@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals'
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+import cache from '../../../src/config/redis.js'
+import config from '../../../src/config/index.js'
+import emailService from '../../../src/services/emailService.js'
+import magicLinkService from '../../../src/services/magicLinkService.js'
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex')
+
+describe('Magic Link Service', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com' }
+  let store
+  let ttls
+  let ready
+
+  // The token is only ever sent by email
+  const sentToken = (call = -1) => emailService.sendMagicLinkEmail.mock.calls.at(call)[1]
+
+  beforeEach(() => {
+    store = new Map()
+    ttls = new Map()
+    ready = true
+
+    // An in-memory stand-in for Redis that goes quiet when it is "down"
+    jest.spyOn(cache, 'isReady').mockImplementation(() => ready)
+    jest.spyOn(cache, 'get').mockImplementation(async key => (ready && store.has(key) ? store.get(key) : null))
+    jest.spyOn(cache, 'set').mockImplementation(async (key, value, seconds) => {
+      if (!ready) return false
+      store.set(key, value)
+      if (seconds) ttls.set(key, seconds)
+      return true
+    })
+    jest.spyOn(cache, 'take').mockImplementation(async key => {
+      if (!ready || !store.has(key)) return null
+      const value = store.get(key)
+      store.delete(key)
+      return value
+    })
+    jest.spyOn(cache, 'del').mockImplementation(async key => ready && store.delete(key))
+    jest.spyOn(cache, 'incr').mockImplementation(async key => {
+      if (!ready) return null
+      store.set(key, (store.get(key) || 0) + 1)
+      return store.get(key)
+    })
+    jest.spyOn(cache, 'expire').mockImplementation(async (key, seconds) => {
+      ttls.set(key, seconds)
+      return ready
+    })
+    jest.spyOn(cache, 'ttl').mockImplementation(async key => (ready ? ttls.get(key) ?? null : null))
+    jest.spyOn(emailService, 'sendMagicLinkEmail').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('isAvailable()', () => {
+    it('should follow the Redis connection', () => {
+      expect(magicLinkService.isAvailable()).toBe(true)
+
+      ready = false
+
+      expect(magicLinkService.isAvailable()).toBe(false)
+    })
+  })
+
+  describe('send()', () => {
+    it('should email a token and store only its hash', async () => {
+      await magicLinkService.send(user, { ipAddress: '203.0.113.7' })
+      const token = sentToken()
+
+      expect(emailService.sendMagicLinkEmail).toHaveBeenCalledWith(user, token, config.magicLink.tokenTtlMinutes)
+      expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/)
+      expect(store.get(`magic:token:${sha256(token)}`)).toEqual({ userId: user._id.toString(), ipAddress: '203.0.113.7' })
+      expect(ttls.get(`magic:token:${sha256(token)}`)).toBe(config.magicLink.tokenTtlMinutes * 60)
+      expect([...store.keys()].some(key => key.includes(token))).toBe(false)
+    })
+
+    it('should fail without sending when Redis is down', async () => {
+      ready = false
+
+      await expect(magicLinkService.send(user)).rejects.toThrow('Redis is unavailable')
+      expect(emailService.sendMagicLinkEmail).not.toHaveBeenCalled()
+    })
+
+    it('should not fail when the email cannot be sent', async () => {
+      emailService.sendMagicLinkEmail.mockRejectedValue(new Error('SMTP down'))
+
+      await expect(magicLinkService.send(user)).resolves.toBeUndefined()
+    })
+  })
+
+  describe('redeem()', () => {
+    it('should return the stored record once', async () => {
+      await magicLinkService.send(user, { ipAddress: '203.0.113.7' })
+      const token = sentToken()
+
+      await expect(magicLinkService.redeem(token)).resolves.toEqual({
+        userId: user._id.toString(),
+        ipAddress: '203.0.113.7',
+      })
+      await expect(magicLinkService.redeem(token)).resolves.toBeNull()
+      expect(store.has(`magic:user:${user._id}`)).toBe(false)
+    })
+
+    it('should reject unknown and missing tokens', async () => {
+      await expect(magicLinkService.redeem('not-a-token')).resolves.toBeNull()
+      await expect(magicLinkService.redeem('')).resolves.toBeNull()
+      await expect(magicLinkService.redeem(undefined)).resolves.toBeNull()
+    })
+
+    it('should stop an earlier link working once a new one is sent', async () => {
+      await magicLinkService.send(user)
+      const first = sentToken()
+      await magicLinkService.send(user)
+      const second = sentToken()
+
+      await expect(magicLinkService.redeem(first)).resolves.toBeNull()
+      await expect(magicLinkService.redeem(second)).resolves.toMatchObject({ userId: user._id.toString() })
+    })
+
+    it('should keep a newer link when an older record is redeemed', async () => {
+      await magicLinkService.send(user)
+      const first = sentToken()
+      const firstRecord = store.get(`magic:token:${sha256(first)}`)
+      await magicLinkService.send(user)
+      const second = sentToken()
+
+      // The older token raced the replacement and was still stored
+      store.set(`magic:token:${sha256(first)}`, firstRecord)
+
+      await magicLinkService.redeem(first)
+
+      expect(store.get(`magic:user:${user._id}`)).toBe(sha256(second))
+      await expect(magicLinkService.redeem(second)).resolves.toMatchObject({ userId: user._id.toString() })
+    })
+  })
+
+  describe('throttle()', () => {
+    const { maxPerEmail, maxPerIp, windowMinutes } = config.magicLink
+
+    it('should allow requests up to the per-email limit', async () => {
+      for (let i = 0; i < maxPerEmail; i++) {
+        await expect(magicLinkService.throttle({ email: 'ada@example.com', ipAddress: '203.0.113.7' })).resolves.toBeNull()
+      }
+
+      await expect(magicLinkService.throttle({ email: 'ADA@example.com', ipAddress: '203.0.113.7' }))
+        .resolves.toEqual({ retryAfter: windowMinutes * 60 })
+    })
+
+    it('should start the window on the first request only', async () => {
+      await magicLinkService.throttle({ email: 'ada@example.com' })
+      await magicLinkService.throttle({ email: 'ada@example.com' })
+
+      expect(cache.expire).toHaveBeenCalledTimes(1)
+      expect(cache.expire).toHaveBeenCalledWith(`magic:requests:email:${sha256('ada@example.com')}`, windowMinutes * 60)
+    })
+
+    it('should report the time left in the window', async () => {
+      for (let i = 0; i < maxPerEmail; i++) {
+        await magicLinkService.throttle({ email: 'ada@example.com' })
+      }
+      ttls.set(`magic:requests:email:${sha256('ada@example.com')}`, 42)
+
+      await expect(magicLinkService.throttle({ email: 'ada@example.com' })).resolves.toEqual({ retryAfter: 42 })
+    })
+
+    it('should limit requests from one IP across addresses', async () => {
+      for (let i = 0; i < maxPerIp; i++) {
+        await expect(magicLinkService.throttle({ email: `user${i}@example.com`, ipAddress: '203.0.113.7' })).resolves.toBeNull()
+      }
+
+      await expect(magicLinkService.throttle({ email: 'new@example.com', ipAddress: '203.0.113.7' }))
+        .resolves.toMatchObject({ retryAfter: expect.any(Number) })
+      await expect(magicLinkService.throttle({ email: 'new@example.com', ipAddress: '198.51.100.1' })).resolves.toBeNull()
+    })
+
+    it('should report when requests cannot be counted', async () => {
+      ready = false
+
+      await expect(magicLinkService.throttle({ email: 'ada@example.com' })).resolves.toEqual({ unavailable: true })
+    })
+  })
+})
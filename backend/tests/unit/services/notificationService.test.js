@@ -0,0 +1,231 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Notification from '../../../src/models/Notification.js'
+import Task from '../../../src/models/Task.js'
+import User from '../../../src/models/User.js'
+import realtimeService from '../../../src/services/realtimeService.js'
+import emailService from '../../../src/services/emailService.js'
+import notificationService from '../../../src/services/notificationService.js'
+import config from '../../../src/config/index.js'
+
+const id = () => new mongoose.Types.ObjectId()
+const HOUR = 60 * 60 * 1000
+
+describe('Notification Service', () => {
+  let users
+
+  const makeUser = (notifications = undefined, fields = {}) => {
+    const user = {
+      _id: id(),
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: `user${users.length}@example.com`,
+      preferences: notifications && { notifications },
+      ...fields,
+    }
+    users.push(user)
+    return user
+  }
+
+  const notice = { type: 'task_assigned', title: 'New task assigned', message: 'Hello', actionUrl: '/tasks/1' }
+
+  beforeEach(() => {
+    users = []
+
+    jest.spyOn(User, 'find').mockImplementation(({ _id }) => ({
+      select: async () => users.filter(user => _id.$in.includes(user._id.toString())),
+    }))
+    jest.spyOn(Notification, 'create').mockImplementation(async data => ({
+      ...data,
+      toPublicJSON: () => ({ ...data, _id: 'saved' }),
+    }))
+    jest.spyOn(realtimeService, 'sendToUser').mockImplementation(() => {})
+    jest.spyOn(emailService, 'sendNotificationEmail').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('notify()', () => {
+    it('should use every channel by default', async () => {
+      const user = makeUser()
+
+      const created = await notificationService.notify([user._id], notice)
+
+      expect(created).toHaveLength(1)
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ ...notice, recipient: user._id }))
+      expect(realtimeService.sendToUser).toHaveBeenCalledWith(user._id.toString(), 'notification:new', expect.objectContaining({ _id: 'saved' }))
+      expect(emailService.sendNotificationEmail).toHaveBeenCalledWith(user, expect.objectContaining({
+        actionUrl: `${config.notifications.appUrl}/tasks/1`,
+      }))
+    })
+
+    it('should skip in-app notifications when turned off but still push', async () => {
+      const user = makeUser({ inApp: false })
+
+      const created = await notificationService.notify([user._id], notice)
+
+      expect(created).toEqual([])
+      expect(Notification.create).not.toHaveBeenCalled()
+      expect(realtimeService.sendToUser).toHaveBeenCalledWith(
+        user._id.toString(),
+        'notification:new',
+        expect.objectContaining({ ...notice, read: false }),
+      )
+    })
+
+    it('should respect push and email preferences per user', async () => {
+      const quiet = makeUser({ push: false, email: false })
+      const loud = makeUser({ inApp: true, push: true, email: true })
+
+      await notificationService.notify([quiet._id, loud._id], notice)
+
+      expect(Notification.create).toHaveBeenCalledTimes(2)
+      expect(realtimeService.sendToUser.mock.calls.map(([userId]) => userId)).toEqual([loud._id.toString()])
+      expect(emailService.sendNotificationEmail.mock.calls.map(([user]) => user)).toEqual([loud])
+    })
+
+    it('should not email users without an address', async () => {
+      makeUser({}, { email: undefined })
+
+      await notificationService.notify(users.map(user => user._id), notice)
+
+      expect(emailService.sendNotificationEmail).not.toHaveBeenCalled()
+    })
+
+    it('should use the custom email when given', async () => {
+      const user = makeUser()
+      const sendEmail = jest.fn().mockResolvedValue()
+
+      await notificationService.notify([user._id], { ...notice, sendEmail })
+
+      expect(sendEmail).toHaveBeenCalledWith(user)
+      expect(emailService.sendNotificationEmail).not.toHaveBeenCalled()
+    })
+
+    it('should never notify the actor and dedupe recipients', async () => {
+      const actor = makeUser()
+      const user = makeUser()
+
+      await notificationService.notify([actor._id, user._id, user._id.toString(), null], { ...notice, actor })
+
+      expect(User.find).toHaveBeenCalledWith({ _id: { $in: [user._id.toString()] } })
+      expect(Notification.create).toHaveBeenCalledTimes(1)
+    })
+
+    it('should not look anyone up when only the actor is left', async () => {
+      const actor = makeUser()
+
+      await expect(notificationService.notify([actor._id], { ...notice, actor: actor._id })).resolves.toEqual([])
+      expect(User.find).not.toHaveBeenCalled()
+    })
+
+    it('should carry on when one recipient or email fails', async () => {
+      const first = makeUser()
+      const second = makeUser()
+      Notification.create.mockRejectedValueOnce(new Error('write failed'))
+      emailService.sendNotificationEmail.mockRejectedValue(new Error('SMTP down'))
+
+      const created = await notificationService.notify([first._id, second._id], notice)
+
+      expect(created.map(notification => notification.recipient)).toEqual([second._id])
+    })
+  })
+
+  describe('processDueSoon()', () => {
+    let dueTasks
+    let claimed
+
+    const dueTask = (fields = {}) => {
+      const task = new Task({
+        title: 'Ship release',
+        workspace: id(),
+        createdBy: id(),
+        dueDate: new Date(Date.now() + 2 * HOUR),
+        ...fields,
+      })
+      dueTasks.push(task)
+      return task
+    }
+
+    beforeEach(() => {
+      dueTasks = []
+      claimed = new Set()
+
+      jest.spyOn(Task, 'find').mockImplementation(() => ({ select: async () => dueTasks }))
+      jest.spyOn(Task, 'updateOne').mockImplementation(async ({ _id }) => {
+        if (claimed.has(_id.toString())) return { modifiedCount: 0 }
+        claimed.add(_id.toString())
+        return { modifiedCount: 1 }
+      })
+      jest.spyOn(notificationService, 'notify').mockResolvedValue([])
+    })
+
+    it('should look for open tasks due within the window', async () => {
+      const before = Date.now()
+      await notificationService.processDueSoon()
+      const [query] = Task.find.mock.calls[0]
+
+      expect(query.dueDate.$gt.getTime()).toBeGreaterThanOrEqual(before)
+      expect(query.dueDate.$lte.getTime() - query.dueDate.$gt.getTime()).toBe(config.notifications.dueSoonHours * HOUR)
+      expect(query).toMatchObject({
+        statusCategory: { $ne: 'done' },
+        isArchived: { $ne: true },
+        isDeleted: { $ne: true },
+        $expr: { $ne: ['$dueReminderSentFor', '$dueDate'] },
+      })
+    })
+
+    it('should remind assignees once per due date', async () => {
+      const assigneeId = id()
+      const task = dueTask({ assignees: [assigneeId] })
+
+      await expect(notificationService.processDueSoon()).resolves.toBe(1)
+      await expect(notificationService.processDueSoon()).resolves.toBe(0)
+
+      expect(Task.updateOne).toHaveBeenCalledWith(
+        { _id: task._id, dueDate: task.dueDate, dueReminderSentFor: { $ne: task.dueDate } },
+        { $set: { dueReminderSentFor: task.dueDate } },
+      )
+      expect(notificationService.notify).toHaveBeenCalledTimes(1)
+      expect(notificationService.notify).toHaveBeenCalledWith([assigneeId], expect.objectContaining({
+        type: 'task_due',
+        task: task._id,
+      }))
+    })
+
+    it('should remind the creator of unassigned tasks', async () => {
+      const task = dueTask()
+
+      await notificationService.processDueSoon()
+
+      expect(notificationService.notify.mock.calls[0][0]).toEqual([task.createdBy])
+    })
+
+    it('should keep going when one reminder fails', async () => {
+      dueTask()
+      dueTask()
+      notificationService.notify.mockRejectedValueOnce(new Error('boom'))
+
+      await expect(notificationService.processDueSoon()).resolves.toBe(1)
+    })
+
+    it('should not start a second scan while one is running', async () => {
+      let finish
+      Task.find.mockImplementationOnce(() => ({
+        select: () => new Promise(resolve => {
+          finish = resolve
+        }),
+      }))
+
+      const first = notificationService.processDueSoon()
+
+      await expect(notificationService.processDueSoon()).resolves.toBe(0)
+
+      finish([])
+      await expect(first).resolves.toBe(0)
+      expect(Task.find).toHaveBeenCalledTimes(1)
+    })
+  })
+})
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals'
+import mongoose from 'mongoose'
+import Task from '../../../src/models/Task.js'
+import Comment from '../../../src/models/Comment.js'
+import TimeEntry from '../../../src/models/TimeEntry.js'
+import Notification from '../../../src/models/Notification.js'
+import fileService from '../../../src/services/fileService.js'
+import trashService from '../../../src/services/trashService.js'
+import config from '../../../src/config/index.js'
+
+const id = () => new mongoose.Types.ObjectId()
+const DAY = 24 * 60 * 60 * 1000
+
+describe('Trash Service', () => {
+  const userId = id()
+  const workspaceId = id()
+  let stored
+
+  const trashedTask = (fields = {}) => new Task({
+    title: 'Old task',
+    workspace: workspaceId,
+    createdBy: userId,
+    isDeleted: true,
+    deletedAt: new Date(Date.now() - (config.trash.retentionDays + 1) * DAY),
+    deletedBy: userId,
+    ...fields,
+  })
+
+  const attachment = (fields = {}) => ({
+    filename: `${new mongoose.Types.ObjectId()}-report.pdf`,
+    originalName: 'report.pdf',
+    size: 1024,
+    storage: 'local',
+    ...fields,
+  })
+
+  beforeEach(() => {
+    stored = []
+
+    jest.spyOn(Task, 'find').mockImplementation(async () => stored.filter(task => task.isDeleted))
+    jest.spyOn(Task, 'exists').mockImplementation(async ({ _id, ...match }) => {
+      const [[field, value]] = Object.entries(match)
+      const key = field.split('.')[1]
+
+      return stored.some(task => !task._id.equals(_id.$ne) && task.attachments.some(file => file[key] === value))
+    })
+    jest.spyOn(Task, 'updateMany').mockResolvedValue({ modifiedCount: 0 })
+    jest.spyOn(Task.prototype, 'deleteOne').mockImplementation(function deleteOne() {
+      stored = stored.filter(task => task !== this)
+      return Promise.resolve()
+    })
+    jest.spyOn(Comment, 'deleteMany').mockResolvedValue({ deletedCount: 0 })
+    jest.spyOn(TimeEntry, 'deleteMany').mockResolvedValue({ deletedCount: 0 })
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 })
+    jest.spyOn(fileService, 'deleteFile').mockResolvedValue()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('purgeExpired()', () => {
+    it('should only look for tasks trashed before the retention cutoff', async () => {
+      await trashService.purgeExpired()
+
+      const [query] = Task.find.mock.calls[0]
+      const expectedCutoff = Date.now() - config.trash.retentionDays * DAY
+
+      expect(query.isDeleted).toBe(true)
+      expect(Math.abs(query.deletedAt.$lte.getTime() - expectedCutoff)).toBeLessThan(1000)
+    })
+
+    it('should delete each task with its comments, time entries and notifications', async () => {
+      const task = trashedTask()
+      stored.push(task)
+
+      await expect(trashService.purgeExpired()).resolves.toBe(1)
+
+      expect(stored).toEqual([])
+      expect(Comment.deleteMany).toHaveBeenCalledWith({ task: task._id })
+      expect(TimeEntry.deleteMany).toHaveBeenCalledWith({ task: task._id })
+      expect(Notification.deleteMany).toHaveBeenCalledWith({ task: task._id })
+    })
+
+    it('should unlink dependents and detach series occurrences', async () => {
+      const task = trashedTask()
+      stored.push(task)
+
+      await trashService.purgeExpired()
+
+      expect(Task.updateMany).toHaveBeenCalledWith(
+        { dependencies: task._id },
+        { $pull: { dependencies: task._id } },
+      )
+      expect(Task.updateMany).toHaveBeenCalledWith(
+        { seriesId: task._id, _id: { $ne: task._id } },
+        { $unset: { seriesId: 1, occurrenceDate: 1 } },
+      )
+    })
+
+    it('should delete attachment blobs no other task uses', async () => {
+      const file = attachment()
+      stored.push(trashedTask({ attachments: [file] }))
+
+      await trashService.purgeExpired()
+
+      expect(fileService.deleteFile).toHaveBeenCalledTimes(1)
+      expect(fileService.deleteFile.mock.calls[0][0].filename).toBe(file.filename)
+    })
+
+    it('should keep a blob still shared with a duplicate', async () => {
+      const local = attachment()
+      const s3 = attachment({ storage: 's3', key: 'workspaces/a/report.pdf' })
+      const original = trashedTask({ attachments: [local, s3] })
+      const duplicate = new Task({
+        title: 'Copy',
+        workspace: workspaceId,
+        createdBy: userId,
+        attachments: [local, s3],
+      })
+      stored.push(original, duplicate)
+
+      await expect(trashService.purgeExpired()).resolves.toBe(1)
+
+      expect(fileService.deleteFile).not.toHaveBeenCalled()
+      expect(Task.exists).toHaveBeenCalledWith({ _id: { $ne: original._id }, 'attachments.filename': local.filename })
+      expect(Task.exists).toHaveBeenCalledWith({ _id: { $ne: original._id }, 'attachments.key': s3.key })
+      expect(stored).toEqual([duplicate])
+    })
+
+    it('should delete a shared blob once the last task using it is purged', async () => {
+      const file = attachment()
+      const first = trashedTask({ attachments: [file] })
+      const second = trashedTask({ attachments: [file] })
+      stored.push(first, second)
+
+      await expect(trashService.purgeExpired()).resolves.toBe(2)
+
+      expect(fileService.deleteFile).toHaveBeenCalledTimes(1)
+    })
+
+    it('should carry on after a task fails to purge', async () => {
+      const broken = trashedTask()
+      const task = trashedTask()
+      stored.push(broken, task)
+      Comment.deleteMany.mockImplementation(async ({ task: taskId }) => {
+        if (taskId.equals(broken._id)) throw new Error('write failed')
+      })
+
+      await expect(trashService.purgeExpired()).resolves.toBe(1)
+
+      expect(stored).toEqual([broken])
+    })
+
+    it('should not start a second purge while one is running', async () => {
+      let finish
+      Task.find.mockImplementationOnce(() => new Promise(resolve => {
+        finish = resolve
+      }))
+
+      const first = trashService.purgeExpired()
+
+      await expect(trashService.purgeExpired()).resolves.toBe(0)
+
+      finish([])
+      await expect(first).resolves.toBe(0)
+      expect(Task.find).toHaveBeenCalledTimes(1)
+    })
+  })
+})
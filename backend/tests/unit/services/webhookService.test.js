@@ -0,0 +1,76 @@
+import { jest } from '@jest/globals'
+import dns from 'dns'
+import http from 'http'
+import config from '../../../src/config/index.js'
+import webhookService from '../../../src/services/webhookService.js'
+
+describe('Webhook Service', () => {
+  describe('post()', () => {
+    const allowPrivateUrls = config.webhooks.allowPrivateUrls
+    let server
+    let received
+
+    beforeEach(async () => {
+      received = []
+      server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+          received.push({ headers: req.headers, body })
+          res.writeHead(202)
+          res.end('accepted')
+        })
+      })
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    })
+
+    afterEach(async () => {
+      config.webhooks.allowPrivateUrls = allowPrivateUrls
+      jest.restoreAllMocks()
+      await new Promise(resolve => server.close(resolve))
+    })
+
+    const url = host => `http://${host}:${server.address().port}/hooks`
+
+    it('should send the body and resolve with the response', async () => {
+      config.webhooks.allowPrivateUrls = true
+
+      const response = await webhookService.post(url('127.0.0.1'), {
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"ok":true}',
+      })
+
+      expect(response).toEqual({ status: 202, body: 'accepted' })
+      expect(received).toHaveLength(1)
+      expect(received[0].body).toBe('{"ok":true}')
+      expect(received[0].headers['content-length']).toBe('11')
+    })
+
+    it('should not connect when the host resolves to a private address', async () => {
+      config.webhooks.allowPrivateUrls = false
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: '127.0.0.1', family: 4 }])
+      })
+
+      await expect(webhookService.post(url('hooks.example.com'), { headers: {}, body: '{}' }))
+        .rejects.toThrow('Webhook URL resolves to a private or loopback address')
+      expect(dns.lookup).toHaveBeenCalledWith('hooks.example.com', expect.any(Object), expect.any(Function))
+      expect(received).toHaveLength(0)
+    })
+
+    it('should check the address used for the connection, not an earlier lookup', async () => {
+      config.webhooks.allowPrivateUrls = false
+      // A rebinding host answers with a public address first, then a private one
+      const answers = ['203.0.113.10', '127.0.0.1']
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, [{ address: answers.shift(), family: 4 }])
+      })
+
+      await new Promise(resolve => dns.lookup('hooks.example.com', { all: true }, resolve))
+
+      await expect(webhookService.post(url('hooks.example.com'), { headers: {}, body: '{}' }))
+        .rejects.toThrow('Webhook URL resolves to a private or loopback address')
+      expect(received).toHaveLength(0)
+    })
+  })
+})
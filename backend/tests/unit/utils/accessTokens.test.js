@@ -0,0 +1,54 @@
+import {
+  TOKEN_PREFIX,
+  DISPLAY_PREFIX_LENGTH,
+  generateAccessToken,
+  hashAccessToken,
+  isAccessToken,
+  expandScopes,
+  hasScopes,
+  scopeForMethod,
+} from '../../../src/utils/accessTokens.js'
+
+describe('Access Tokens Utility', () => {
+  describe('generateAccessToken()', () => {
+    it('should return a prefixed token with its display prefix and hash', () => {
+      const { token, prefix, tokenHash } = generateAccessToken()
+
+      expect(token.startsWith(TOKEN_PREFIX)).toBe(true)
+      expect(token.length).toBeGreaterThan(40)
+      expect(prefix).toBe(token.slice(0, DISPLAY_PREFIX_LENGTH))
+      expect(tokenHash).toBe(hashAccessToken(token))
+      expect(tokenHash).toMatch(/^[0-9a-f]{64}$/)
+    })
+
+    it('should never repeat a token', () => {
+      expect(generateAccessToken().token).not.toBe(generateAccessToken().token)
+    })
+  })
+
+  describe('isAccessToken()', () => {
+    it('should tell access tokens from JWTs', () => {
+      expect(isAccessToken(generateAccessToken().token)).toBe(true)
+      expect(isAccessToken('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBe(false)
+      expect(isAccessToken(undefined)).toBe(false)
+    })
+  })
+
+  describe('expandScopes() / hasScopes()', () => {
+    it('should let broader scopes cover narrower ones', () => {
+      expect(expandScopes(['write:tasks']).sort()).toEqual(['read:tasks', 'write:tasks'])
+      expect(hasScopes(['admin:workspace'], ['read:tasks', 'write:tasks'])).toBe(true)
+      expect(hasScopes(['write:tasks'], ['admin:workspace'])).toBe(false)
+      expect(hasScopes(['read:tasks'], ['write:tasks'])).toBe(false)
+      expect(hasScopes([], ['read:tasks'])).toBe(false)
+    })
+  })
+
+  describe('scopeForMethod()', () => {
+    it('should require write:tasks for anything but reads', () => {
+      expect(scopeForMethod('GET')).toBe('read:tasks')
+      expect(scopeForMethod('head')).toBe('read:tasks')
+      expect(['POST', 'PUT', 'PATCH', 'DELETE'].map(scopeForMethod)).toEqual(Array(4).fill('write:tasks'))
+    })
+  })
+})
@@ -0,0 +1,156 @@
+import {
+  toDayKey,
+  listDays,
+  buildStatusTimeline,
+  stateOnDay,
+  calculateBurndown,
+  calculateCumulativeFlow,
+  percentile,
+  summarizeDurations,
+  calculateFlowTimes
+} from '../../../src/utils/analytics.js'
+
+const categories = {
+  todo: 'not-started',
+  'in-progress': 'active',
+  review: 'active',
+  done: 'done',
+}
+const categoryOf = key => categories[key] || 'not-started'
+
+const change = (timestamp, previousValue, newValue) => ({ timestamp, previousValue, newValue })
+
+const timelineOf = (createdAt, status, statusChanges = []) =>
+  buildStatusTimeline({ createdAt, status, statusChanges }, categoryOf)
+
+describe('Analytics Utility', () => {
+  describe('toDayKey()', () => {
+    it('should use the calendar date in the time zone', () => {
+      expect(toDayKey('2024-03-10T23:30:00Z')).toBe('2024-03-10')
+      expect(toDayKey('2024-03-10T23:30:00Z', 'Europe/Berlin')).toBe('2024-03-11')
+    })
+  })
+
+  describe('listDays()', () => {
+    it('should list every day inclusively, across month ends', () => {
+      expect(listDays('2024-02-28', '2024-03-01')).toEqual(['2024-02-28', '2024-02-29', '2024-03-01'])
+      expect(listDays('2024-03-02', '2024-03-01')).toEqual([])
+    })
+  })
+
+  describe('buildStatusTimeline()', () => {
+    it('should start from the status before the first recorded change', () => {
+      const timeline = timelineOf('2024-03-01T09:00:00Z', 'done', [
+        change('2024-03-04T10:00:00Z', 'in-progress', 'done'),
+        change('2024-03-02T10:00:00Z', 'todo', 'in-progress'),
+      ])
+
+      expect(timeline.map(entry => [entry.day, entry.status, entry.category])).toEqual([
+        ['2024-03-01', 'todo', 'not-started'],
+        ['2024-03-02', 'in-progress', 'active'],
+        ['2024-03-04', 'done', 'done'],
+      ])
+    })
+
+    it('should prefer the category recorded with the change', () => {
+      const timeline = buildStatusTimeline({
+        createdAt: '2024-03-01T09:00:00Z',
+        status: 'shipped',
+        statusChanges: [{ ...change('2024-03-02T09:00:00Z', 'todo', 'shipped'), details: { category: 'done' } }],
+      }, categoryOf)
+
+      expect(timeline[1].category).toBe('done')
+    })
+  })
+
+  describe('stateOnDay()', () => {
+    it('should return the last state of the day, or null before creation', () => {
+      const timeline = timelineOf('2024-03-01T09:00:00Z', 'review', [
+        change('2024-03-01T10:00:00Z', 'todo', 'in-progress'),
+        change('2024-03-01T17:00:00Z', 'in-progress', 'review'),
+      ])
+
+      expect(stateOnDay(timeline, '2024-02-29')).toBeNull()
+      expect(stateOnDay(timeline, '2024-03-01').status).toBe('review')
+    })
+  })
+
+  describe('calculateBurndown()', () => {
+    it('should track scope, completed work and the ideal line', () => {
+      const items = [
+        { storyPoints: 3, timeline: timelineOf('2024-03-01T09:00:00Z', 'done', [change('2024-03-02T09:00:00Z', 'todo', 'done')]) },
+        { storyPoints: 5, timeline: timelineOf('2024-03-01T09:00:00Z', 'todo') },
+        { storyPoints: 2, timeline: timelineOf('2024-03-03T09:00:00Z', 'todo') },
+      ]
+      const days = listDays('2024-03-01', '2024-03-03')
+
+      expect(calculateBurndown(items, days, 'points')).toEqual([
+        { date: '2024-03-01', scope: 8, completed: 0, remaining: 8, ideal: 8 },
+        { date: '2024-03-02', scope: 8, completed: 3, remaining: 5, ideal: 4 },
+        { date: '2024-03-03', scope: 10, completed: 3, remaining: 7, ideal: 0 },
+      ])
+      expect(calculateBurndown(items, days, 'tasks')[2]).toMatchObject({ scope: 3, completed: 1 })
+    })
+  })
+
+  describe('calculateCumulativeFlow()', () => {
+    it('should count tasks per status each day, keeping retired statuses', () => {
+      const timelines = [
+        timelineOf('2024-03-01T09:00:00Z', 'in-progress', [change('2024-03-02T09:00:00Z', 'todo', 'in-progress')]),
+        timelineOf('2024-03-02T09:00:00Z', 'legacy'),
+      ]
+
+      const flow = calculateCumulativeFlow(timelines, listDays('2024-03-01', '2024-03-02'), ['todo', 'in-progress', 'done'])
+
+      expect(flow.statuses).toEqual(['todo', 'in-progress', 'done', 'legacy'])
+      expect(flow.series).toEqual([
+        { date: '2024-03-01', counts: { todo: 1, 'in-progress': 0, done: 0, legacy: 0 } },
+        { date: '2024-03-02', counts: { todo: 0, 'in-progress': 1, done: 0, legacy: 1 } },
+      ])
+    })
+  })
+
+  describe('percentile()', () => {
+    it('should use the nearest rank', () => {
+      const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+      expect(percentile(values, 50)).toBe(5)
+      expect(percentile(values, 85)).toBe(9)
+      expect(percentile(values, 95)).toBe(10)
+      expect(percentile([], 50)).toBeNull()
+    })
+  })
+
+  describe('summarizeDurations()', () => {
+    it('should summarise values in days', () => {
+      expect(summarizeDurations([4, 1, 2])).toEqual({
+        count: 3, average: 2.33, min: 1, max: 4, p50: 2, p85: 4, p95: 4,
+      })
+      expect(summarizeDurations([])).toMatchObject({ count: 0, average: null, p50: null })
+    })
+  })
+
+  describe('calculateFlowTimes()', () => {
+    it('should measure lead and cycle time for tasks done in the range', () => {
+      const timelines = [
+        timelineOf('2024-03-01T00:00:00Z', 'done', [
+          change('2024-03-03T00:00:00Z', 'todo', 'in-progress'),
+          change('2024-03-05T00:00:00Z', 'in-progress', 'done'),
+        ]),
+        // Never started: lead time only
+        timelineOf('2024-03-02T00:00:00Z', 'done', [change('2024-03-04T00:00:00Z', 'todo', 'done')]),
+        // Finished outside the range
+        timelineOf('2024-02-01T00:00:00Z', 'done', [change('2024-02-10T00:00:00Z', 'todo', 'done')]),
+        // Reopened and not finished again
+        timelineOf('2024-03-01T00:00:00Z', 'in-progress', [
+          change('2024-03-02T00:00:00Z', 'todo', 'done'),
+          change('2024-03-03T00:00:00Z', 'done', 'in-progress'),
+        ]),
+      ]
+
+      const { leadTime, cycleTime } = calculateFlowTimes(timelines, '2024-03-01', '2024-03-31')
+
+      expect(leadTime).toMatchObject({ count: 2, min: 2, max: 4, p50: 2 })
+      expect(cycleTime).toMatchObject({ count: 1, p50: 2, p95: 2 })
+    })
+  })
+})
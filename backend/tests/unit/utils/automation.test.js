@@ -0,0 +1,122 @@
+import {
+  validateRule,
+  matchesTrigger,
+  getFieldValue,
+  matchesCondition,
+  matchesConditions,
+  resolveUsers,
+  renderTemplate
+} from '../../../src/utils/automation.js'
+
+const userA = '507f1f77bcf86cd799439011'
+const userB = '507f1f77bcf86cd799439012'
+
+const task = {
+  title: 'Ship release',
+  status: 'review',
+  priority: 'high',
+  tags: ['backend', 'release'],
+  assignees: [userA],
+  watchers: [userA, userB],
+  createdBy: userB,
+  dueDate: new Date('2024-03-08T12:00:00Z'),
+  storyPoints: 5,
+  subtasks: [{ completed: true }, { completed: true }],
+  customFields: new Map([['severity', 'major']]),
+}
+
+describe('Automation Utility', () => {
+  describe('validateRule()', () => {
+    const valid = {
+      trigger: { type: 'status_changed', to: 'done' },
+      conditions: [{ field: 'priority', operator: 'in', value: ['high', 'urgent'] }],
+      actions: [{ type: 'notify', recipients: ['watchers'], message: '{{title}} is done' }],
+    }
+
+    it('should accept a well-formed rule', () => {
+      expect(validateRule(valid)).toBeNull()
+    })
+
+    it('should reject unknown triggers and status filters on other triggers', () => {
+      expect(validateRule({ ...valid, trigger: { type: 'task_moved' } })).toMatch(/Trigger must be one of/)
+      expect(validateRule({ ...valid, trigger: { type: 'task_created', to: 'done' } })).toMatch(/Only status_changed/)
+    })
+
+    it('should reject bad conditions', () => {
+      expect(validateRule({ ...valid, conditions: [{ field: 'secret', operator: 'equals', value: 1 }] }))
+        .toMatch(/Condition field/)
+      expect(validateRule({ ...valid, conditions: [{ field: 'tags', operator: 'in', value: 'x' }] }))
+        .toMatch(/need a list/)
+    })
+
+    it('should check each action type\'s parameters', () => {
+      const withAction = action => validateRule({ ...valid, actions: [action] })
+
+      expect(withAction({ type: 'set_field', field: 'priority', value: 'critical' })).toMatch(/priority must be/)
+      expect(withAction({ type: 'set_field', field: 'dueDate', value: 1.5 })).toMatch(/whole number of days/)
+      expect(withAction({ type: 'set_field', field: 'customFields.severity', value: 'minor' })).toBeNull()
+      expect(withAction({ type: 'assign', users: ['someone'] })).toMatch(/assign needs users/)
+      expect(withAction({ type: 'assign', users: ['actor', userA], mode: 'replace' })).toBeNull()
+      expect(withAction({ type: 'comment', text: '' })).toMatch(/comment needs text/)
+      expect(withAction({ type: 'move' })).toMatch(/move needs/)
+      expect(validateRule({ ...valid, actions: [] })).toMatch(/between 1 and/)
+    })
+  })
+
+  describe('matchesTrigger()', () => {
+    it('should match status changes on their from and to filters', () => {
+      const trigger = { type: 'status_changed', to: 'done' }
+
+      expect(matchesTrigger(trigger, { type: 'status_changed', from: 'review', to: 'done' })).toBe(true)
+      expect(matchesTrigger(trigger, { type: 'status_changed', from: 'todo', to: 'review' })).toBe(false)
+      expect(matchesTrigger(trigger, { type: 'comment_added' })).toBe(false)
+    })
+  })
+
+  describe('getFieldValue()', () => {
+    it('should read derived and custom fields', () => {
+      expect(getFieldValue(task, 'allSubtasksCompleted')).toBe(true)
+      expect(getFieldValue({ subtasks: [] }, 'allSubtasksCompleted')).toBe(false)
+      expect(getFieldValue(task, 'customFields.severity')).toBe('major')
+      expect(getFieldValue(task, 'assignees')).toEqual([userA])
+    })
+  })
+
+  describe('matchesCondition()', () => {
+    it('should compare list fields item by item', () => {
+      expect(matchesCondition(task, { field: 'tags', operator: 'equals', value: 'release' })).toBe(true)
+      expect(matchesCondition(task, { field: 'tags', operator: 'not_in', value: ['frontend'] })).toBe(true)
+      expect(matchesCondition(task, { field: 'assignees', operator: 'contains', value: userB })).toBe(false)
+    })
+
+    it('should match text, emptiness and ranges', () => {
+      expect(matchesCondition(task, { field: 'title', operator: 'contains', value: 'RELEASE' })).toBe(true)
+      expect(matchesCondition(task, { field: 'sprint', operator: 'is_empty' })).toBe(true)
+      expect(matchesCondition(task, { field: 'storyPoints', operator: 'gt', value: 3 })).toBe(true)
+      expect(matchesCondition(task, { field: 'dueDate', operator: 'lt', value: '2024-03-01' })).toBe(false)
+    })
+
+    it('should require every condition', () => {
+      expect(matchesConditions(task, [])).toBe(true)
+      expect(matchesConditions(task, [
+        { field: 'priority', operator: 'equals', value: 'high' },
+        { field: 'status', operator: 'equals', value: 'done' },
+      ])).toBe(false)
+    })
+  })
+
+  describe('resolveUsers()', () => {
+    it('should expand tokens without duplicates', () => {
+      expect(resolveUsers(['assignees', 'watchers', 'creator'], { task })).toEqual([userA, userB])
+      expect(resolveUsers(['actor'], { task })).toEqual([])
+      expect(resolveUsers(['actor'], { task, actor: userB })).toEqual([userB])
+    })
+  })
+
+  describe('renderTemplate()', () => {
+    it('should fill known placeholders and leave others alone', () => {
+      expect(renderTemplate('{{ title }} due {{dueDate}} ({{rule}}) {{unknown}}', { task, rule: { name: 'Escalate' } }))
+        .toBe('Ship release due 2024-03-08 (Escalate) {{unknown}}')
+    })
+  })
+})
@@ -0,0 +1,135 @@
+import {
+  validateFieldDefinition,
+  validateCustomFieldValues,
+  buildCustomFieldQuery,
+  resolveCustomFieldSort,
+  formatCustomFieldStats
+} from '../../../src/utils/customFields.js'
+
+const memberId = '507f1f77bcf86cd799439011'
+
+const definitions = [
+  { key: 'story_points', name: 'Story points', type: 'number' },
+  { key: 'release', name: 'Release', type: 'select', options: [{ value: 'v1' }, { value: 'v2' }], required: true },
+  { key: 'platforms', name: 'Platforms', type: 'multiselect', options: [{ value: 'ios' }, { value: 'web' }] },
+  { key: 'reviewer', name: 'Reviewer', type: 'user' },
+  { key: 'spec', name: 'Spec', type: 'url' },
+  { key: 'customer_facing', name: 'Customer facing', type: 'checkbox' },
+  { key: 'launch', name: 'Launch', type: 'date' },
+  { key: 'notes', name: 'Notes', type: 'text' },
+]
+
+const isMember = id => id === memberId
+
+describe('Custom Fields Utility', () => {
+  describe('validateFieldDefinition()', () => {
+    it('should accept a valid select definition', () => {
+      expect(validateFieldDefinition({ key: 'team', name: 'Team', type: 'select', options: [{ value: 'qa' }] })).toBeNull()
+    })
+
+    it('should reject malformed or duplicate keys', () => {
+      expect(validateFieldDefinition({ key: 'Team Name', name: 'Team', type: 'text' })).toMatch(/Field key/)
+      expect(validateFieldDefinition({ key: 'notes', name: 'Notes', type: 'text' }, definitions)).toMatch(/already exists/)
+    })
+
+    it('should require options only for select types', () => {
+      expect(validateFieldDefinition({ key: 'team', name: 'Team', type: 'select' })).toMatch(/at least one option/)
+      expect(validateFieldDefinition({ key: 'size', name: 'Size', type: 'number', options: [{ value: 's' }] })).toMatch(/Only select fields/)
+    })
+  })
+
+  describe('validateCustomFieldValues()', () => {
+    it('should coerce values to their field types', () => {
+      const { values, errors } = validateCustomFieldValues(definitions, {
+        story_points: '5',
+        release: 'v2',
+        platforms: ['web', 'web', 'ios'],
+        reviewer: memberId,
+        spec: 'https://example.com/spec',
+        customer_facing: 'true',
+        launch: '2024-05-01',
+      }, { isMember })
+
+      expect(errors).toEqual([])
+      expect(values.story_points).toBe(5)
+      expect(values.platforms).toEqual(['web', 'ios'])
+      expect(values.customer_facing).toBe(true)
+      expect(values.launch).toEqual(new Date('2024-05-01'))
+    })
+
+    it('should report invalid values and unknown fields', () => {
+      const { errors } = validateCustomFieldValues(definitions, {
+        release: 'v3',
+        reviewer: '507f1f77bcf86cd799439012',
+        spec: 'ftp://example.com',
+        colour: 'red',
+      }, { isMember })
+
+      expect(errors).toEqual([
+        'Unknown custom field: colour',
+        'release must be one of v1, v2',
+        'reviewer must be a member of this workspace',
+        'spec must be an http or https URL',
+      ])
+    })
+
+    it('should require required fields unless the update is partial', () => {
+      expect(validateCustomFieldValues(definitions, {}).errors).toEqual(['release is required'])
+      expect(validateCustomFieldValues(definitions, {}, { partial: true }).errors).toEqual([])
+      expect(validateCustomFieldValues(definitions, { release: null }, { partial: true }).errors).toEqual(['release is required'])
+    })
+
+    it('should return null for cleared optional fields', () => {
+      const { values } = validateCustomFieldValues(definitions, { notes: '' }, { partial: true })
+      expect(values).toEqual({ notes: null })
+    })
+  })
+
+  describe('buildCustomFieldQuery()', () => {
+    it('should build range, list and boolean conditions', () => {
+      const { query } = buildCustomFieldQuery(definitions, {
+        story_points: { gte: '3', lt: '8' },
+        platforms: 'ios,web',
+        customer_facing: 'false',
+      })
+
+      expect(query).toEqual({
+        'customFields.story_points': { $gte: 3, $lt: 8 },
+        'customFields.platforms': { $in: ['ios', 'web'] },
+        'customFields.customer_facing': { $ne: true },
+      })
+    })
+
+    it('should escape text searches', () => {
+      const { query } = buildCustomFieldQuery(definitions, { notes: 'a+b' })
+      expect(query['customFields.notes']).toEqual({ $regex: 'a\\+b', $options: 'i' })
+    })
+
+    it('should reject unknown fields and operators', () => {
+      expect(buildCustomFieldQuery(definitions, { colour: 'red' }).error).toMatch(/Unknown custom field/)
+      expect(buildCustomFieldQuery(definitions, { story_points: { ne: 1 } }).error).toMatch(/Unsupported operator/)
+    })
+  })
+
+  describe('resolveCustomFieldSort()', () => {
+    it('should map custom field sorts onto stored paths', () => {
+      expect(resolveCustomFieldSort(definitions, '-cf.story_points')).toEqual({ sort: '-customFields.story_points' })
+      expect(resolveCustomFieldSort(definitions, 'createdAt')).toEqual({ sort: 'createdAt' })
+      expect(resolveCustomFieldSort(definitions, 'cf.colour').error).toMatch(/Unknown custom field/)
+    })
+  })
+
+  describe('formatCustomFieldStats()', () => {
+    it('should summarise numeric and option fields', () => {
+      const stats = formatCustomFieldStats(definitions.slice(0, 2), {
+        story_points: [{ _id: null, count: 2, sum: 8, avg: 4, min: 3, max: 5 }],
+        release: [{ _id: 'v1', count: 3 }, { _id: 'v2', count: 1 }],
+      })
+
+      expect(stats).toEqual({
+        story_points: { count: 2, sum: 8, avg: 4, min: 3, max: 5 },
+        release: { count: 4, values: { v1: 3, v2: 1 } },
+      })
+    })
+  })
+})
@@ -0,0 +1,106 @@
+import {
+  buildGraph,
+  findPath,
+  wouldCreateCycle,
+  collectUpstream,
+  collectDownstream,
+  findCriticalPath
+} from '../../../src/utils/dependencyGraph.js'
+
+// design <- build <- test <- release, and docs <- release
+const tasks = [
+  { _id: 'design', status: 'done', estimatedHours: 8, dependencies: [] },
+  { _id: 'build', status: 'in-progress', estimatedHours: 20, dependencies: ['design'] },
+  { _id: 'test', status: 'todo', estimatedHours: 6, dependencies: ['build'] },
+  { _id: 'docs', status: 'todo', estimatedHours: 4, dependencies: ['design'] },
+  { _id: 'release', status: 'todo', dependencies: ['test', 'docs'] },
+]
+
+describe('Dependency Graph Utility', () => {
+  let graph
+
+  beforeEach(() => {
+    graph = buildGraph(tasks)
+  })
+
+  describe('buildGraph()', () => {
+    it('should index dependents for each task', () => {
+      expect(graph.dependents.get('design').sort()).toEqual(['build', 'docs'])
+      expect(graph.dependents.get('release')).toBeUndefined()
+    })
+
+    it('should weight finished tasks as zero and unestimated tasks as one hour', () => {
+      expect(graph.nodes.get('design').weight).toBe(0)
+      expect(graph.nodes.get('release').weight).toBe(1)
+    })
+
+    it('should drop edges to unknown tasks', () => {
+      const partial = buildGraph([{ _id: 'a', status: 'todo', dependencies: ['missing'] }])
+      expect(partial.nodes.get('a').dependencies).toEqual([])
+    })
+  })
+
+  describe('findPath()', () => {
+    it('should return the dependency chain between two tasks', () => {
+      expect(findPath(graph, 'test', 'design')).toEqual(['test', 'build', 'design'])
+    })
+
+    it('should prefer the shortest chain', () => {
+      expect(findPath(graph, 'release', 'design')).toEqual(['release', 'docs', 'design'])
+    })
+
+    it('should return null when no chain exists', () => {
+      expect(findPath(graph, 'design', 'release')).toBeNull()
+    })
+  })
+
+  describe('wouldCreateCycle()', () => {
+    it('should detect a self dependency', () => {
+      expect(wouldCreateCycle(graph, 'build', 'build')).toEqual(['build'])
+    })
+
+    it('should detect an indirect cycle', () => {
+      expect(wouldCreateCycle(graph, 'design', 'test')).toEqual(['test', 'build', 'design'])
+    })
+
+    it('should allow edges that keep the graph acyclic', () => {
+      expect(wouldCreateCycle(graph, 'docs', 'build')).toBeNull()
+    })
+  })
+
+  describe('collectUpstream() and collectDownstream()', () => {
+    it('should list transitive blockers with their depth', () => {
+      expect(collectUpstream(graph, 'test')).toEqual([
+        { id: 'build', depth: 1 },
+        { id: 'design', depth: 2 },
+      ])
+    })
+
+    it('should list transitive dependents with their depth', () => {
+      expect(collectDownstream(graph, 'build')).toEqual([
+        { id: 'test', depth: 1 },
+        { id: 'release', depth: 2 },
+      ])
+    })
+  })
+
+  describe('findCriticalPath()', () => {
+    it('should follow the longest chain of remaining work', () => {
+      expect(findCriticalPath(graph)).toEqual({
+        tasks: ['design', 'build', 'test', 'release'],
+        totalHours: 27,
+      })
+    })
+
+    it('should restrict the search to the given tasks', () => {
+      expect(findCriticalPath(graph, ['design', 'docs', 'release'])).toEqual({
+        tasks: ['design', 'docs', 'release'],
+        totalHours: 5,
+      })
+    })
+
+    it('should return an empty path for an empty selection', () => {
+      expect(findCriticalPath(graph, [])).toEqual({ tasks: [], totalHours: 0 })
+    })
+  })
+})
@@ -0,0 +1,47 @@
+import { attemptDelaySeconds, secondsUntil, describeWait } from '../../../src/utils/loginProtection.js'
+
+describe('Login Protection Utility', () => {
+  describe('attemptDelaySeconds()', () => {
+    const options = { freeAttempts: 3, baseDelaySeconds: 1, maxDelaySeconds: 30 }
+
+    it('should not delay the first few failures', () => {
+      expect([0, 1, 2, 3].map(failures => attemptDelaySeconds(failures, options))).toEqual([0, 0, 0, 0])
+    })
+
+    it('should double the delay after that, up to the maximum', () => {
+      expect([4, 5, 6, 7, 8, 9, 20].map(failures => attemptDelaySeconds(failures, options))).toEqual([
+        1,
+        2,
+        4,
+        8,
+        16,
+        30,
+        30,
+      ])
+    })
+
+    it('should ignore counts Redis could not provide', () => {
+      expect(attemptDelaySeconds(null, options)).toBe(0)
+      expect(attemptDelaySeconds(undefined, options)).toBe(0)
+    })
+  })
+
+  describe('secondsUntil()', () => {
+    it('should round up and never go below one second', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z')
+
+      expect(secondsUntil(new Date(now + 1500), now)).toBe(2)
+      expect(secondsUntil(new Date(now - 5000), now)).toBe(1)
+    })
+  })
+
+  describe('describeWait()', () => {
+    it('should describe waits in seconds or whole minutes', () => {
+      expect(describeWait(1)).toBe('1 second')
+      expect(describeWait(45)).toBe('45 seconds')
+      expect(describeWait(60)).toBe('1 minute')
+      expect(describeWait(61)).toBe('2 minutes')
+      expect(describeWait(900)).toBe('15 minutes')
+    })
+  })
+})
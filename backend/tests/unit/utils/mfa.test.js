@@ -0,0 +1,143 @@
+import crypto from 'crypto'
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  hotp,
+  totp,
+  timeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} from '../../../src/utils/mfa.js'
+
+// RFC 6238 test secret: ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'))
+
+describe('MFA Utility', () => {
+  describe('base32Encode() / base32Decode()', () => {
+    it('should round-trip bytes', () => {
+      const bytes = Buffer.from('foobar')
+
+      expect(base32Encode(bytes)).toBe('MZXW6YTBOI')
+      expect(base32Decode('MZXW6YTBOI').toString()).toBe('foobar')
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar')
+    })
+
+    it('should reject characters outside the alphabet', () => {
+      expect(() => base32Decode('MZXW1')).toThrow()
+    })
+  })
+
+  describe('generateTotpSecret()', () => {
+    it('should return a 160-bit base32 secret', () => {
+      const secret = generateTotpSecret()
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/)
+      expect(base32Decode(secret)).toHaveLength(20)
+    })
+  })
+
+  describe('hotp() / totp()', () => {
+    it('should match the RFC 4226 vectors', () => {
+      expect([0, 1, 2, 9].map(counter => hotp(RFC_SECRET, counter))).toEqual([
+        '755224',
+        '287082',
+        '359152',
+        '520489',
+      ])
+    })
+
+    it('should match the RFC 6238 SHA-1 vectors', () => {
+      expect(totp(RFC_SECRET, 59 * 1000)).toBe('287082')
+      expect(totp(RFC_SECRET, 1111111109 * 1000)).toBe('081804')
+      expect(totp(RFC_SECRET, 1234567890 * 1000)).toBe('005924')
+    })
+  })
+
+  describe('verifyTotp()', () => {
+    const time = 1234567890 * 1000
+
+    it('should return the matched step', () => {
+      expect(verifyTotp(RFC_SECRET, '005924', { time })).toBe(timeStep(time))
+    })
+
+    it('should allow one step of clock drift', () => {
+      const previous = totp(RFC_SECRET, time - 30 * 1000)
+      const tooOld = totp(RFC_SECRET, time - 60 * 1000)
+
+      expect(verifyTotp(RFC_SECRET, previous, { time })).toBe(timeStep(time) - 1)
+      expect(verifyTotp(RFC_SECRET, tooOld, { time })).toBeNull()
+    })
+
+    it('should refuse steps already used', () => {
+      const step = timeStep(time)
+
+      expect(verifyTotp(RFC_SECRET, '005924', { time, lastUsedStep: step })).toBeNull()
+      expect(verifyTotp(RFC_SECRET, '005924', { time, lastUsedStep: step - 1 })).toBe(step)
+    })
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(RFC_SECRET, '', { time })).toBeNull()
+      expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull()
+      expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull()
+    })
+  })
+
+  describe('buildOtpauthUri()', () => {
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = new URL(buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'ada@example.com', issuer: 'CollabTask' }))
+
+      expect(uri.protocol).toBe('otpauth:')
+      expect(uri.host).toBe('totp')
+      expect(decodeURIComponent(uri.pathname)).toBe('/CollabTask:ada@example.com')
+      expect(uri.searchParams.get('secret')).toBe('JBSWY3DPEHPK3PXP')
+      expect(uri.searchParams.get('issuer')).toBe('CollabTask')
+      expect(uri.searchParams.get('digits')).toBe('6')
+      expect(uri.searchParams.get('period')).toBe('30')
+    })
+  })
+
+  describe('generateRecoveryCodes() / hashRecoveryCode()', () => {
+    it('should generate distinct codes', () => {
+      const codes = generateRecoveryCodes(10)
+
+      expect(codes).toHaveLength(10)
+      expect(new Set(codes).size).toBe(10)
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/))
+    })
+
+    it('should hash codes regardless of case and dashes', () => {
+      const hash = hashRecoveryCode('ab12c-3de45', 'key')
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/)
+      expect(hashRecoveryCode('AB12C3DE45', 'key')).toBe(hash)
+      expect(hashRecoveryCode(' ab12c 3de45 ', 'key')).toBe(hash)
+      expect(hashRecoveryCode('ab12c-3de46', 'key')).not.toBe(hash)
+    })
+
+    it('should key the hash so it cannot be recomputed without the key', () => {
+      const unkeyed = crypto.createHash('sha256').update('ab12c3de45').digest('hex')
+
+      expect(hashRecoveryCode('ab12c-3de45', 'key')).not.toBe(unkeyed)
+      expect(hashRecoveryCode('ab12c-3de45', 'other')).not.toBe(hashRecoveryCode('ab12c-3de45', 'key'))
+    })
+  })
+
+  describe('encryptSecret() / decryptSecret()', () => {
+    it('should round-trip with the same key', () => {
+      const sealed = encryptSecret('JBSWY3DPEHPK3PXP', 'key')
+
+      expect(sealed).not.toContain('JBSWY3DPEHPK3PXP')
+      expect(decryptSecret(sealed, 'key')).toBe('JBSWY3DPEHPK3PXP')
+      expect(encryptSecret('JBSWY3DPEHPK3PXP', 'key')).not.toBe(sealed)
+    })
+
+    it('should fail with another key', () => {
+      expect(() => decryptSecret(encryptSecret('JBSWY3DPEHPK3PXP', 'key'), 'other')).toThrow()
+    })
+  })
+})
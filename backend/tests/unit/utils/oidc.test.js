@@ -0,0 +1,197 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import {
+  generatePkce,
+  buildAuthorizationUrl,
+  validateMetadata,
+  verifyIdToken,
+  emailDomain,
+  profileFromClaims,
+} from '../../../src/utils/oidc.js'
+
+// A local mock provider: an RSA key published as a JWKS and tokens it signs
+const ISSUER = 'http://localhost:9400'
+const CLIENT_ID = 'collabtask'
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+const JWKS = [{ ...publicKey.export({ format: 'jwk' }), kid: 'mock-1', use: 'sig', alg: 'RS256' }]
+
+const signIdToken = (claims = {}, { kid = 'mock-1', key = privateKey, algorithm = 'RS256', ...options } = {}) => jwt.sign(
+  { sub: 'user-123', nonce: 'n-1', email: 'ada@example.com', email_verified: true, ...claims },
+  key,
+  { algorithm, keyid: kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m', ...options },
+)
+
+const verify = (idToken, options = {}) => verifyIdToken(idToken, {
+  keys: JWKS,
+  issuer: ISSUER,
+  clientId: CLIENT_ID,
+  nonce: 'n-1',
+  ...options,
+})
+
+describe('OIDC Utility', () => {
+  describe('generatePkce()', () => {
+    it('should derive the S256 challenge from the verifier', () => {
+      const { codeVerifier, codeChallenge } = generatePkce()
+      const expected = crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+
+      expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/)
+      expect(codeChallenge).toBe(expected)
+    })
+
+    it('should generate a new verifier each time', () => {
+      expect(generatePkce().codeVerifier).not.toBe(generatePkce().codeVerifier)
+    })
+  })
+
+  describe('buildAuthorizationUrl()', () => {
+    it('should include the code flow and PKCE parameters', () => {
+      const url = new URL(buildAuthorizationUrl(
+        { authorization_endpoint: `${ISSUER}/authorize?prompt=login` },
+        {
+          clientId: CLIENT_ID,
+          redirectUri: 'http://localhost:5000/api/v1/auth/oidc/mock/callback',
+          scope: 'openid email profile',
+          state: 's-1',
+          nonce: 'n-1',
+          codeChallenge: 'challenge',
+        },
+      ))
+
+      expect(url.origin + url.pathname).toBe(`${ISSUER}/authorize`)
+      expect(Object.fromEntries(url.searchParams)).toEqual({
+        response_type: 'code',
+        client_id: CLIENT_ID,
+        redirect_uri: 'http://localhost:5000/api/v1/auth/oidc/mock/callback',
+        scope: 'openid email profile',
+        state: 's-1',
+        nonce: 'n-1',
+        code_challenge: 'challenge',
+        code_challenge_method: 'S256',
+      })
+    })
+  })
+
+  describe('validateMetadata()', () => {
+    const metadata = {
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+      code_challenge_methods_supported: ['S256'],
+    }
+
+    it('should accept metadata for the configured issuer', () => {
+      expect(validateMetadata(metadata, `${ISSUER}/`)).toBe(metadata)
+    })
+
+    it('should reject a different issuer', () => {
+      expect(() => validateMetadata(metadata, 'https://evil.example.com')).toThrow('does not match')
+    })
+
+    it('should reject missing endpoints', () => {
+      expect(() => validateMetadata({ ...metadata, jwks_uri: undefined }, ISSUER)).toThrow('jwks_uri')
+    })
+
+    it('should reject providers without S256 PKCE', () => {
+      expect(() => validateMetadata({ ...metadata, code_challenge_methods_supported: ['plain'] }, ISSUER))
+        .toThrow('PKCE')
+    })
+  })
+
+  describe('verifyIdToken()', () => {
+    it('should return the claims of a valid token', () => {
+      const claims = verify(signIdToken())
+
+      expect(claims.sub).toBe('user-123')
+      expect(claims.email).toBe('ada@example.com')
+    })
+
+    it('should reject a token with the wrong nonce', () => {
+      expect(() => verify(signIdToken({ nonce: 'other' }))).toThrow('nonce')
+    })
+
+    it('should reject a token for another client', () => {
+      expect(() => verify(signIdToken({}, { audience: 'someone-else' }))).toThrow()
+    })
+
+    it('should reject a token from another issuer', () => {
+      expect(() => verify(signIdToken({}, { issuer: 'https://evil.example.com' }))).toThrow()
+    })
+
+    it('should reject an expired token', () => {
+      const idToken = signIdToken({ iat: Math.floor(Date.now() / 1000) - 3600 }, { expiresIn: '5m' })
+
+      expect(() => verify(idToken)).toThrow()
+    })
+
+    it('should report an unknown key id so keys can be refetched', () => {
+      expect(() => verify(signIdToken({}, { kid: 'rotated' }))).toThrow('No signing key rotated')
+    })
+
+    it('should reject a token signed by a different key', () => {
+      const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+
+      expect(() => verify(signIdToken({}, { key: otherKey }))).toThrow()
+    })
+
+    it('should reject HMAC and unsigned tokens', () => {
+      const hmac = signIdToken({}, { key: 'secret', algorithm: 'HS256' })
+      const unsigned = signIdToken({}, { key: '', algorithm: 'none' })
+
+      expect(() => verify(hmac)).toThrow('not allowed')
+      expect(() => verify(unsigned)).toThrow('not allowed')
+    })
+
+    it('should require the client as authorized party with several audiences', () => {
+      const idToken = signIdToken({ azp: 'someone-else' }, { audience: [CLIENT_ID, 'someone-else'] })
+
+      expect(() => verify(idToken)).toThrow('authorized party')
+    })
+  })
+
+  describe('emailDomain()', () => {
+    it('should return the lowercased domain', () => {
+      expect(emailDomain('Ada@Example.COM')).toBe('example.com')
+    })
+
+    it('should return null without an email', () => {
+      expect(emailDomain(null)).toBeNull()
+      expect(emailDomain('not-an-email')).toBeNull()
+    })
+  })
+
+  describe('profileFromClaims()', () => {
+    it('should map standard claims', () => {
+      expect(profileFromClaims({
+        sub: 'user-123',
+        email: 'Ada@Example.com',
+        email_verified: true,
+        given_name: 'Ada',
+        family_name: 'Lovelace',
+        preferred_username: 'ada.l',
+        picture: 'https://example.com/ada.png',
+      })).toEqual({
+        email: 'ada@example.com',
+        emailVerified: true,
+        firstName: 'Ada',
+        lastName: 'Lovelace',
+        username: 'adal',
+        avatar: 'https://example.com/ada.png',
+      })
+    })
+
+    it('should fall back to the full name and email', () => {
+      const profile = profileFromClaims({ sub: 'user-123', email: 'grace@example.com', name: 'Grace Brewster Hopper' })
+
+      expect(profile.firstName).toBe('Grace')
+      expect(profile.lastName).toBe('Brewster Hopper')
+      expect(profile.username).toBe('grace')
+      expect(profile.emailVerified).toBe(false)
+    })
+
+    it('should pad short usernames', () => {
+      expect(profileFromClaims({ sub: 'x', preferred_username: 'al' }).username).toBe('useral')
+    })
+  })
+})
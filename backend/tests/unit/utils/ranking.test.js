@@ -0,0 +1,47 @@
+import {
+  RANK_STEP,
+  rankBetween,
+  spreadRanks
+} from '../../../src/utils/ranking.js'
+
+describe('Ranking Utility', () => {
+  describe('rankBetween()', () => {
+    it('should start an empty column at one step', () => {
+      expect(rankBetween()).toBe(RANK_STEP)
+      expect(rankBetween(null, null)).toBe(RANK_STEP)
+    })
+
+    it('should append and prepend by one step', () => {
+      expect(rankBetween(2048, null)).toBe(2048 + RANK_STEP)
+      expect(rankBetween(null, 2048)).toBe(2048 - RANK_STEP)
+    })
+
+    it('should split the gap between neighbours', () => {
+      expect(rankBetween(1024, 2048)).toBe(1536)
+      expect(rankBetween(1, 2)).toBe(1.5)
+    })
+
+    it('should return null when neighbours leave no room', () => {
+      expect(rankBetween(5, 5)).toBeNull()
+      expect(rankBetween(6, 5)).toBeNull()
+      expect(rankBetween(1, 1 + 1e-7)).toBeNull()
+    })
+
+    it('should keep finding room through repeated moves', () => {
+      let after = 2048
+      for (let i = 0; i < 20; i++) {
+        after = rankBetween(1024, after)
+      }
+
+      expect(after).toBeGreaterThan(1024)
+      expect(rankBetween(1024, after)).not.toBeNull()
+    })
+  })
+
+  describe('spreadRanks()', () => {
+    it('should space ranks one step apart', () => {
+      expect(spreadRanks(3)).toEqual([RANK_STEP, 2 * RANK_STEP, 3 * RANK_STEP])
+      expect(spreadRanks(0)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,116 @@
+import {
+  parseRRule,
+  validateRRule,
+  nextOccurrence,
+  listOccurrences,
+  toWallClock,
+  fromWallClock
+} from '../../../src/utils/recurrence.js'
+
+const iso = dates => dates.map(date => date.toISOString())
+
+describe('Recurrence Utility', () => {
+  describe('parseRRule()', () => {
+    it('should parse frequency, interval and weekdays', () => {
+      const rule = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR')
+      expect(rule.freq).toBe('WEEKLY')
+      expect(rule.interval).toBe(2)
+      expect(rule.byDay).toEqual([
+        { weekday: 1, ordinal: null },
+        { weekday: 5, ordinal: null },
+      ])
+    })
+
+    it('should parse UNTIL in basic format', () => {
+      expect(parseRRule('FREQ=DAILY;UNTIL=20240105T120000Z').until.toISOString())
+        .toBe('2024-01-05T12:00:00.000Z')
+    })
+
+    it('should reject unsupported or conflicting parts', () => {
+      expect(validateRRule('FREQ=HOURLY')).toMatch(/Unsupported recurrence frequency/)
+      expect(validateRRule('FREQ=DAILY;BYSETPOS=1')).toMatch(/Unsupported recurrence rule part/)
+      expect(validateRRule('FREQ=DAILY;COUNT=2;UNTIL=20240101')).toMatch(/both COUNT and UNTIL/)
+      expect(validateRRule('FREQ=WEEKLY;BYDAY=1MO')).toMatch(/Ordinal BYDAY/)
+      expect(validateRRule('INTERVAL=2')).toMatch(/must include FREQ/)
+    })
+
+    it('should accept a valid rule', () => {
+      expect(validateRRule('FREQ=MONTHLY;BYMONTHDAY=1,-1')).toBeNull()
+    })
+  })
+
+  describe('listOccurrences()', () => {
+    it('should start with DTSTART and honour INTERVAL', () => {
+      const occurrences = listOccurrences('FREQ=DAILY;INTERVAL=3', new Date('2024-01-01T09:00:00Z'), 'UTC', { limit: 3 })
+      expect(iso(occurrences)).toEqual([
+        '2024-01-01T09:00:00.000Z',
+        '2024-01-04T09:00:00.000Z',
+        '2024-01-07T09:00:00.000Z',
+      ])
+    })
+
+    it('should expand weekly rules across several weekdays', () => {
+      const occurrences = listOccurrences('FREQ=WEEKLY;BYDAY=MO,TH', new Date('2024-01-01T09:00:00Z'), 'UTC', { limit: 4 })
+      expect(iso(occurrences)).toEqual([
+        '2024-01-01T09:00:00.000Z',
+        '2024-01-04T09:00:00.000Z',
+        '2024-01-08T09:00:00.000Z',
+        '2024-01-11T09:00:00.000Z',
+      ])
+    })
+
+    it('should support ordinal weekdays within the month', () => {
+      const occurrences = listOccurrences('FREQ=MONTHLY;BYDAY=-1FR', new Date('2024-01-26T09:00:00Z'), 'UTC', { limit: 3 })
+      expect(iso(occurrences)).toEqual([
+        '2024-01-26T09:00:00.000Z',
+        '2024-02-23T09:00:00.000Z',
+        '2024-03-29T09:00:00.000Z',
+      ])
+    })
+
+    it('should skip months without the requested day', () => {
+      const occurrences = listOccurrences('FREQ=MONTHLY', new Date('2024-01-31T09:00:00Z'), 'UTC', { limit: 3 })
+      expect(iso(occurrences)).toEqual([
+        '2024-01-31T09:00:00.000Z',
+        '2024-03-31T09:00:00.000Z',
+        '2024-05-31T09:00:00.000Z',
+      ])
+    })
+
+    it('should stop after COUNT occurrences', () => {
+      const occurrences = listOccurrences('FREQ=YEARLY;COUNT=2', new Date('2024-02-10T09:00:00Z'), 'UTC', { limit: 10 })
+      expect(iso(occurrences)).toEqual([
+        '2024-02-10T09:00:00.000Z',
+        '2025-02-10T09:00:00.000Z',
+      ])
+    })
+
+    it('should keep the wall-clock time across daylight saving changes', () => {
+      const occurrences = listOccurrences('FREQ=WEEKLY', new Date('2024-03-04T14:00:00Z'), 'America/New_York', { limit: 2 })
+      expect(iso(occurrences)).toEqual([
+        '2024-03-04T14:00:00.000Z',
+        '2024-03-11T13:00:00.000Z',
+      ])
+    })
+  })
+
+  describe('nextOccurrence()', () => {
+    it('should return the first occurrence after the given instant', () => {
+      const next = nextOccurrence('FREQ=WEEKLY;BYDAY=MO,WE', new Date('2024-01-01T09:00:00Z'), new Date('2024-01-01T09:00:00Z'))
+      expect(next.toISOString()).toBe('2024-01-03T09:00:00.000Z')
+    })
+
+    it('should return null once the series has ended', () => {
+      expect(nextOccurrence('FREQ=DAILY;UNTIL=20240103', new Date('2024-01-01T09:00:00Z'), new Date('2024-01-03T09:00:00Z'))).toBeNull()
+    })
+  })
+
+  describe('toWallClock() and fromWallClock()', () => {
+    it('should round-trip an instant through a timezone', () => {
+      const instant = new Date('2024-07-01T16:30:00Z')
+      const wall = toWallClock(instant, 'Europe/Berlin')
+      expect(wall).toEqual({ year: 2024, month: 7, day: 1, hour: 18, minute: 30, second: 0 })
+      expect(fromWallClock(wall, 'Europe/Berlin').toISOString()).toBe(instant.toISOString())
+    })
+  })
+})
@@ -0,0 +1,53 @@
+import {
+  summarizeSprintTasks,
+  calculateVelocity
+} from '../../../src/utils/sprints.js'
+
+const sprint = (name, committedPoints, completedPoints) => ({
+  _id: name,
+  name,
+  endDate: new Date('2024-01-14'),
+  report: { committedPoints, completedPoints },
+})
+
+describe('Sprints Utility', () => {
+  describe('summarizeSprintTasks()', () => {
+    it('should total points and tasks', () => {
+      expect(summarizeSprintTasks([
+        { storyPoints: 3, statusCategory: 'done' },
+        { storyPoints: 5, statusCategory: 'active' },
+        { statusCategory: 'done' },
+        { storyPoints: 0.5, statusCategory: 'done' },
+      ])).toEqual({
+        totalTasks: 4,
+        completedTasks: 3,
+        unestimatedTasks: 1,
+        totalPoints: 8.5,
+        completedPoints: 3.5,
+      })
+    })
+
+    it('should handle empty sprints', () => {
+      expect(summarizeSprintTasks()).toMatchObject({ totalTasks: 0, totalPoints: 0, completedPoints: 0 })
+    })
+  })
+
+  describe('calculateVelocity()', () => {
+    it('should average completed points over the window', () => {
+      const velocity = calculateVelocity([
+        sprint('S4', 20, 18),
+        sprint('S3', 20, 21),
+        sprint('S2', 15, 12),
+        sprint('S1', 30, 5),
+      ])
+
+      expect(velocity.sprintCount).toBe(3)
+      expect(velocity.average).toBe(17)
+      expect(velocity.sprints.map(item => item.name)).toEqual(['S4', 'S3', 'S2'])
+    })
+
+    it('should return zero without completed sprints', () => {
+      expect(calculateVelocity([], 5)).toEqual({ window: 5, sprintCount: 0, average: 0, sprints: [] })
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import {
+  pickTaskFilters,
+  buildTaskFilters,
+  validateGroupBy
+} from '../../../src/utils/taskFilters.js'
+
+const definitions = [
+  { key: 'points', name: 'Points', type: 'number' },
+  { key: 'team', name: 'Team', type: 'select', options: [{ value: 'web' }, { value: 'api' }] },
+]
+
+describe('Task Filters Utility', () => {
+  describe('pickTaskFilters()', () => {
+    it('should keep known filters with values', () => {
+      expect(pickTaskFilters({
+        status: ['todo'],
+        priority: '',
+        tags: [],
+        search: 'login',
+        page: 2,
+        unknown: 'x',
+      })).toEqual({ status: ['todo'], search: 'login' })
+    })
+  })
+
+  describe('buildTaskFilters()', () => {
+    it('should build filters and keep the sort', () => {
+      const { filters, sort } = buildTaskFilters({
+        status: 'todo',
+        tags: 'bug',
+        search: '  login ',
+        sort: '-dueDate',
+      })
+
+      expect(filters).toEqual({ status: 'todo', tags: ['bug'], search: 'login' })
+      expect(sort).toBe('-dueDate')
+    })
+
+    it('should accept sprint IDs and the backlog', () => {
+      expect(buildTaskFilters({ sprint: 'backlog' }).filters.sprint).toBe('backlog')
+      expect(buildTaskFilters({ sprint: '507f1f77bcf86cd799439011' }).filters.sprint).toBe('507f1f77bcf86cd799439011')
+      expect(buildTaskFilters({ sprint: 'next' }).error).toMatch(/sprint/)
+    })
+
+    it('should parse due date ranges', () => {
+      const { filters } = buildTaskFilters({
+        dueDateRange: { start: '2024-01-01', end: '2024-01-31' },
+      })
+
+      expect(filters.dueDateRange.start).toEqual(new Date('2024-01-01'))
+      expect(filters.dueDateRange.end).toEqual(new Date('2024-01-31'))
+    })
+
+    it('should reject invalid due date ranges', () => {
+      expect(buildTaskFilters({ dueDateRange: { start: 'soon' } }).error).toMatch(/dueDateRange/)
+    })
+
+    it('should resolve custom field filters and sorts', () => {
+      const { filters, sort } = buildTaskFilters({
+        cf: { team: 'web', points: { gte: '3' } },
+        sort: '-cf.points',
+      }, definitions)
+
+      expect(filters.customFields).toEqual({
+        'customFields.team': { $in: ['web'] },
+        'customFields.points': { $gte: 3 },
+      })
+      expect(sort).toBe('-customFields.points')
+    })
+
+    it('should reject unknown custom fields', () => {
+      expect(buildTaskFilters({ cf: { missing: 'x' } }, definitions).error).toMatch(/Unknown custom field/)
+      expect(buildTaskFilters({ sort: 'cf.missing' }, definitions).error).toMatch(/Unknown custom field/)
+    })
+  })
+
+  describe('validateGroupBy()', () => {
+    it('should accept built-in groupings and custom fields', () => {
+      expect(validateGroupBy('status')).toBeNull()
+      expect(validateGroupBy(undefined)).toBeNull()
+      expect(validateGroupBy('cf.team', definitions)).toBeNull()
+    })
+
+    it('should reject unknown groupings', () => {
+      expect(validateGroupBy('colour')).toMatch(/groupBy must be one of/)
+      expect(validateGroupBy('cf.missing', definitions)).toMatch(/groupBy must be one of/)
+    })
+  })
+})
@@ -0,0 +1,75 @@
+import {
+  toHours,
+  validateEntryRange,
+  escapeCSVValue,
+  toCSV
+} from '../../../src/utils/timeTracking.js'
+
+const now = new Date('2024-03-10T12:00:00Z')
+
+describe('Time Tracking Utility', () => {
+  describe('toHours()', () => {
+    it('should convert seconds to hours with two decimals', () => {
+      expect(toHours(5400)).toBe(1.5)
+      expect(toHours(1000)).toBe(0.28)
+      expect(toHours(0)).toBe(0)
+      expect(toHours(undefined)).toBe(0)
+    })
+  })
+
+  describe('validateEntryRange()', () => {
+    it('should accept a past range', () => {
+      expect(validateEntryRange('2024-03-10T08:00:00Z', '2024-03-10T10:30:00Z', now)).toBeNull()
+    })
+
+    it('should reject invalid dates', () => {
+      expect(validateEntryRange('nope', '2024-03-10T10:30:00Z', now)).toMatch(/valid start and end/)
+    })
+
+    it('should reject an end before the start', () => {
+      expect(validateEntryRange('2024-03-10T10:00:00Z', '2024-03-10T09:00:00Z', now)).toMatch(/after start/)
+    })
+
+    it('should reject entries ending in the future', () => {
+      expect(validateEntryRange('2024-03-10T11:00:00Z', '2024-03-10T13:00:00Z', now)).toMatch(/future/)
+    })
+
+    it('should reject entries longer than a day', () => {
+      expect(validateEntryRange('2024-03-08T08:00:00Z', '2024-03-09T09:00:00Z', now)).toMatch(/24 hours/)
+    })
+  })
+
+  describe('escapeCSVValue()', () => {
+    it('should quote values containing separators or quotes', () => {
+      expect(escapeCSVValue('plain')).toBe('plain')
+      expect(escapeCSVValue('a,b')).toBe('"a,b"')
+      expect(escapeCSVValue('say "hi"')).toBe('"say ""hi"""')
+      expect(escapeCSVValue('two\nlines')).toBe('"two\nlines"')
+    })
+
+    it('should neutralise spreadsheet formulas', () => {
+      expect(escapeCSVValue('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)")
+      expect(escapeCSVValue('@cmd')).toBe("'@cmd")
+    })
+
+    it('should leave negative numbers alone', () => {
+      expect(escapeCSVValue(-1.5)).toBe('-1.5')
+    })
+
+    it('should format empty values and dates', () => {
+      expect(escapeCSVValue(null)).toBe('')
+      expect(escapeCSVValue(new Date('2024-03-10T00:00:00Z'))).toBe('2024-03-10T00:00:00.000Z')
+    })
+  })
+
+  describe('toCSV()', () => {
+    it('should build a header and one line per row', () => {
+      const csv = toCSV(
+        [{ key: 'name', label: 'Name' }, { key: 'hours', label: 'Hours' }],
+        [{ name: 'Ada', hours: 7.5 }, { name: 'Grace, R.', hours: 2 }]
+      )
+
+      expect(csv).toBe('Name,Hours\r\nAda,7.5\r\n"Grace, R.",2\r\n')
+    })
+  })
+})
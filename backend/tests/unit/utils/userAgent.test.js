@@ -0,0 +1,55 @@
+import { parseUserAgent } from '../../../src/utils/userAgent.js'
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+const EDGE_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91'
+const SAFARI_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15'
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1'
+const FIREFOX_LINUX = 'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0'
+const CHROME_ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.144 Mobile Safari/537.36'
+const CHROME_ANDROID_TABLET = 'Mozilla/5.0 (Linux; Android 13; SM-X200) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.144 Safari/537.36'
+const SAFARI_IPAD = 'Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.6 Mobile/15E148 Safari/604.1'
+
+describe('User Agent Utility', () => {
+  describe('parseUserAgent()', () => {
+    it('should recognise desktop browsers', () => {
+      expect(parseUserAgent(CHROME_WINDOWS)).toEqual({
+        browser: 'Chrome',
+        browserVersion: '120',
+        os: 'Windows',
+        osVersion: '10/11',
+        deviceType: 'desktop',
+        label: 'Chrome 120 on Windows 10/11',
+      })
+      expect(parseUserAgent(SAFARI_MAC)).toMatchObject({ browser: 'Safari', browserVersion: '17', os: 'macOS', deviceType: 'desktop' })
+      expect(parseUserAgent(FIREFOX_LINUX)).toMatchObject({ browser: 'Firefox', os: 'Linux', deviceType: 'desktop' })
+    })
+
+    it('should not mistake browsers built on Chrome for Chrome', () => {
+      expect(parseUserAgent(EDGE_WINDOWS)).toMatchObject({ browser: 'Edge', browserVersion: '120' })
+    })
+
+    it('should tell phones from tablets', () => {
+      expect(parseUserAgent(SAFARI_IPHONE)).toMatchObject({ browser: 'Safari', os: 'iOS', osVersion: '17', deviceType: 'mobile' })
+      expect(parseUserAgent(CHROME_ANDROID)).toMatchObject({ browser: 'Chrome', os: 'Android', osVersion: '14', deviceType: 'mobile' })
+      expect(parseUserAgent(CHROME_ANDROID_TABLET)).toMatchObject({ os: 'Android', deviceType: 'tablet' })
+      expect(parseUserAgent(SAFARI_IPAD)).toMatchObject({ os: 'iOS', deviceType: 'tablet' })
+    })
+
+    it('should name API clients', () => {
+      expect(parseUserAgent('curl/8.4.0')).toMatchObject({ browser: 'curl', browserVersion: '8', deviceType: 'unknown' })
+      expect(parseUserAgent('PostmanRuntime/7.36.0').label).toBe('Postman 7')
+    })
+
+    it('should cope with missing or unknown agents', () => {
+      expect(parseUserAgent(undefined)).toEqual({
+        browser: null,
+        browserVersion: null,
+        os: null,
+        osVersion: null,
+        deviceType: 'unknown',
+        label: 'Unknown device',
+      })
+      expect(parseUserAgent('SomethingElse/1.0').label).toBe('Unknown device')
+    })
+  })
+})
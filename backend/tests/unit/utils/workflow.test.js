@@ -0,0 +1,65 @@
+import {
+  DEFAULT_WORKFLOW_STATUSES,
+  validateWorkflow,
+  canTransition
+} from '../../../src/utils/workflow.js'
+
+const statuses = [
+  { key: 'backlog', name: 'Backlog', category: 'not-started' },
+  { key: 'qa', name: 'QA', category: 'active', color: '#AA00FF' },
+  { key: 'ready-for-deploy', name: 'Ready for deploy', category: 'done' },
+]
+
+describe('Workflow Utility', () => {
+  describe('validateWorkflow()', () => {
+    it('should accept the default workflow', () => {
+      expect(validateWorkflow(DEFAULT_WORKFLOW_STATUSES)).toBeNull()
+    })
+
+    it('should accept custom statuses with transitions', () => {
+      expect(validateWorkflow(statuses, [
+        { from: 'backlog', to: ['qa'] },
+        { from: 'qa', to: ['backlog', 'ready-for-deploy'] },
+      ])).toBeNull()
+    })
+
+    it('should reject an empty workflow', () => {
+      expect(validateWorkflow([])).toMatch(/at least one status/)
+    })
+
+    it('should reject duplicate or malformed keys', () => {
+      expect(validateWorkflow([...statuses, statuses[0]])).toMatch(/Duplicate status key/)
+      expect(validateWorkflow([{ key: 'Ready Now', name: 'Ready', category: 'done' }])).toMatch(/Status keys/)
+    })
+
+    it('should reject unknown categories', () => {
+      expect(validateWorkflow([{ key: 'done', name: 'Done', category: 'finished' }])).toMatch(/category/)
+    })
+
+    it('should require a done status', () => {
+      expect(validateWorkflow(statuses.slice(0, 2))).toMatch(/done category/)
+    })
+
+    it('should reject transitions that reference unknown statuses', () => {
+      expect(validateWorkflow(statuses, [{ from: 'qa', to: ['blocked'] }])).toMatch(/blocked is not a workflow status/)
+      expect(validateWorkflow(statuses, [{ from: 'blocked', to: ['qa'] }])).toMatch(/blocked is not a workflow status/)
+    })
+  })
+
+  describe('canTransition()', () => {
+    const transitions = [{ from: 'backlog', to: ['qa'] }]
+
+    it('should follow configured transitions', () => {
+      expect(canTransition(transitions, 'backlog', 'qa')).toBe(true)
+      expect(canTransition(transitions, 'backlog', 'ready-for-deploy')).toBe(false)
+    })
+
+    it('should allow any move from statuses without a rule', () => {
+      expect(canTransition(transitions, 'qa', 'backlog')).toBe(true)
+    })
+
+    it('should always allow staying in the same status', () => {
+      expect(canTransition(transitions, 'backlog', 'backlog')).toBe(true)
+    })
+  })
+})
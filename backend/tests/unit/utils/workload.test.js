@@ -0,0 +1,99 @@
+import {
+  dailyWorkingHours,
+  isWorkingDay,
+  nextWorkingDay,
+  spreadHours,
+  calculateWorkload
+} from '../../../src/utils/workload.js'
+import { listDays } from '../../../src/utils/analytics.js'
+
+// 2024-03-04 is a Monday
+const week = listDays('2024-03-04', '2024-03-10')
+
+describe('Workload Utility', () => {
+  describe('dailyWorkingHours()', () => {
+    it('should measure the working day, including shifts past midnight', () => {
+      expect(dailyWorkingHours({ start: '09:00', end: '17:30' })).toBe(8.5)
+      expect(dailyWorkingHours({ start: '22:00', end: '06:00' })).toBe(8)
+      expect(dailyWorkingHours()).toBe(8)
+    })
+  })
+
+  describe('isWorkingDay() / nextWorkingDay()', () => {
+    it('should skip the weekend by default', () => {
+      expect(isWorkingDay('2024-03-08')).toBe(true)
+      expect(isWorkingDay('2024-03-09')).toBe(false)
+      expect(nextWorkingDay('2024-03-09')).toBe('2024-03-11')
+      expect(nextWorkingDay('2024-03-09', [6])).toBe('2024-03-09')
+    })
+  })
+
+  describe('spreadHours()', () => {
+    it('should spread hours evenly over working days up to the due date', () => {
+      expect(spreadHours(6, '2024-03-07', '2024-03-11')).toEqual([
+        { date: '2024-03-07', hours: 2 },
+        { date: '2024-03-08', hours: 2 },
+        { date: '2024-03-11', hours: 2 },
+      ])
+    })
+
+    it('should put overdue work on the next working day', () => {
+      expect(spreadHours(5, '2024-03-09', '2024-03-01')).toEqual([{ date: '2024-03-11', hours: 5 }])
+    })
+
+    it('should put work due before any working day on the due date', () => {
+      expect(spreadHours(3, '2024-03-09', '2024-03-10')).toEqual([{ date: '2024-03-10', hours: 3 }])
+    })
+  })
+
+  describe('calculateWorkload()', () => {
+    const members = [
+      { user: 'ann', weeklyCapacity: 40 },
+      { user: 'bob', weeklyCapacity: 10 },
+    ]
+
+    it('should total open work per member and flag overallocation', () => {
+      const tasks = [
+        // Shared between both members: 5 hours each over the week
+        { assignees: ['ann', 'bob'], estimatedHours: 10, storyPoints: 4, createdDay: '2024-03-01', dueDay: '2024-03-08' },
+        { assignees: ['bob'], estimatedHours: 8, storyPoints: 3, createdDay: '2024-03-01', dueDay: '2024-03-04' },
+        { assignees: ['ann'], createdDay: '2024-03-01', dueDay: null },
+        // Due after the window and assigned to someone outside the report
+        { assignees: ['cat'], estimatedHours: 100, createdDay: '2024-03-01', dueDay: '2024-03-05' },
+      ]
+
+      const [ann, bob] = calculateWorkload(tasks, members, { days: week, today: '2024-03-04' })
+
+      expect(ann).toMatchObject({
+        openTasks: 1,
+        unscheduledTasks: 1,
+        estimatedHours: 5,
+        storyPoints: 2,
+        allocatedHours: 5,
+        capacityHours: 40,
+        utilization: 0.13,
+        overallocated: false,
+      })
+      expect(bob).toMatchObject({
+        openTasks: 2,
+        allocatedHours: 13,
+        capacityHours: 10,
+        overallocated: true,
+      })
+      expect(bob.heatmap[0]).toEqual({ date: '2024-03-04', hours: 9, capacity: 2, utilization: 4.5, overallocated: true })
+      expect(bob.heatmap[5]).toEqual({ date: '2024-03-09', hours: 0, capacity: 0, utilization: null, overallocated: false })
+    })
+
+    it('should only count the part of a task that falls in the window', () => {
+      const tasks = [
+        { assignees: ['ann'], estimatedHours: 10, createdDay: '2024-03-01', dueDay: '2024-03-15' },
+        { assignees: ['ann'], estimatedHours: 4, createdDay: '2024-03-01', dueDay: '2024-03-01' },
+      ]
+
+      const [ann] = calculateWorkload(tasks, members, { days: week, today: '2024-03-04' })
+
+      expect(ann).toMatchObject({ openTasks: 2, overdueTasks: 1, estimatedHours: 14, allocatedHours: 9 })
+      expect(ann.heatmap[0].hours).toBe(5)
+    })
+  })
+})
@@ -7,6 +7,82 @@ export interface AuthResponse {
   refreshToken?: string
 }
 
+// Returned by login instead of a session when two-factor authentication is on
+export interface MfaChallenge {
+  mfaRequired: true
+  mfaToken: string
+  expiresIn: string
+}
+
+export interface MfaStatus {
+  enabled: boolean
+  enabledAt: string | null
+  recoveryCodesRemaining: number
+  requiredBy: { _id: string; name: string }[]
+}
+
+export interface MfaSetup {
+  secret: string
+  // otpauth:// URI to render as a QR code
+  otpauthUri: string
+}
+
+export interface Session {
+  _id: string
+  device: {
+    browser: string | null
+    browserVersion: string | null
+    os: string | null
+    osVersion: string | null
+    deviceType: 'desktop' | 'mobile' | 'tablet' | 'unknown'
+    label: string
+  }
+  userAgent: string | null
+  ipAddress: string | null
+  createdAt: string
+  lastSeenAt: string
+  expiresAt: string
+  current: boolean
+}
+
+// Single sign-on provider offered on the login page
+export interface OidcProvider {
+  id: string
+  name: string
+}
+
+// Sign-in identity from a provider linked to the current user
+export interface LinkedIdentity {
+  _id: string
+  provider: string
+  providerName: string
+  email: string | null
+  linkedAt: string
+  lastLoginAt: string | null
+}
+
+export type AccessTokenScope = 'read:tasks' | 'write:tasks' | 'admin:workspace'
+
+export interface AccessToken {
+  _id: string
+  name: string
+  prefix: string
+  scopes: AccessTokenScope[]
+  workspace: { _id: string; name: string } | string | null
+  expiresAt: string
+  isExpired: boolean
+  lastUsedAt?: string
+  lastUsedIp?: string
+  createdAt: string
+}
+
+export interface CreateAccessTokenData {
+  name: string
+  scopes: AccessTokenScope[]
+  workspace?: string | null
+  expiresInDays?: number
+}
+
 export const authService = {
   // User registration
   async register(userData: RegisterForm): Promise<AuthResponse> {
@@ -14,15 +90,21 @@ export const authService = {
     return response.data!
   },
 
-  // User login
-  async login(credentials: LoginForm): Promise<AuthResponse> {
-    const response = await apiService.post<AuthResponse>('/auth/login', credentials)
+  // User login; accounts with two-factor authentication get an MFA challenge
+  async login(credentials: LoginForm): Promise<AuthResponse | MfaChallenge> {
+    const response = await apiService.post<AuthResponse | MfaChallenge>('/auth/login', credentials)
     return response.data!
   },
 
-  // Refresh token
-  async refreshToken(refreshToken: string): Promise<{ token: string }> {
-    const response = await apiService.post<{ token: string }>('/auth/refresh', { refreshToken })
+  // Complete a two-factor login with a TOTP or recovery code
+  async verifyMfa(data: { mfaToken: string; code: string }): Promise<AuthResponse & { recoveryCodesRemaining?: number }> {
+    const response = await apiService.post<AuthResponse & { recoveryCodesRemaining?: number }>('/auth/mfa/verify', data)
+    return response.data!
+  },
+
+  // Refresh token; refresh tokens rotate, so store the new one and drop the old
+  async refreshToken(refreshToken: string): Promise<{ token: string; refreshToken: string }> {
+    const response = await apiService.post<{ token: string; refreshToken: string }>('/auth/refresh', { refreshToken })
     return response.data!
   },
 
@@ -79,4 +161,133 @@ export const authService = {
     const response = await apiService.post<{ success: boolean }>('/auth/verify-email', { token })
     return response.data!
   },
-}
\ No newline at end of file
+
+  // Email a one-time sign-in link
+  async requestMagicLink(email: string): Promise<{ success: boolean }> {
+    const response = await apiService.post<{ success: boolean }>('/auth/magic-link', { email })
+    return response.data!
+  },
+
+  // Sign in with the token from a magic link
+  async verifyMagicLink(token: string): Promise<AuthResponse | MfaChallenge> {
+    const response = await apiService.post<AuthResponse | MfaChallenge>('/auth/magic-link/verify', { token })
+    return response.data!
+  },
+
+  // Single sign-on providers
+  async getOidcProviders(): Promise<OidcProvider[]> {
+    const response = await apiService.get<{ providers: OidcProvider[] }>('/auth/oidc/providers')
+    return response.data!.providers
+  },
+
+  // Start signing in with a provider; send the browser to the returned URL
+  async startOidcLogin(providerId: string, redirect?: string): Promise<{ authorizationUrl: string }> {
+    const response = await apiService.post<{ authorizationUrl: string }>(`/auth/oidc/${providerId}/authorize`, { redirect })
+    return response.data!
+  },
+
+  // Exchange the code the callback page receives for a session
+  async exchangeOidcLogin(code: string): Promise<AuthResponse | MfaChallenge> {
+    const response = await apiService.post<AuthResponse | MfaChallenge>('/auth/oidc/exchange', { code })
+    return response.data!
+  },
+
+  // Start linking a provider identity to the current user
+  async linkIdentity(providerId: string, redirect?: string): Promise<{ authorizationUrl: string }> {
+    const response = await apiService.post<{ authorizationUrl: string }>(`/auth/oidc/${providerId}/link`, { redirect })
+    return response.data!
+  },
+
+  // Linked sign-in identities
+  async getIdentities(): Promise<{ identities: LinkedIdentity[]; passwordEnabled: boolean }> {
+    const response = await apiService.get<{ identities: LinkedIdentity[]; passwordEnabled: boolean }>('/auth/identities')
+    return response.data!
+  },
+
+  // Unlink a sign-in identity
+  async unlinkIdentity(identityId: string): Promise<void> {
+    await apiService.delete(`/auth/identities/${identityId}`)
+  },
+
+  // List the current user's signed-in sessions
+  async getSessions(): Promise<Session[]> {
+    const response = await apiService.get<{ sessions: Session[] }>('/auth/sessions')
+    return response.data!.sessions
+  },
+
+  // Sign out one session
+  async revokeSession(sessionId: string): Promise<void> {
+    await apiService.delete(`/auth/sessions/${sessionId}`)
+  },
+
+  // Sign out every session except this one
+  async revokeOtherSessions(): Promise<{ revoked: number }> {
+    const response = await apiService.delete<{ revoked: number }>('/auth/sessions')
+    return response.data!
+  },
+
+  // Two-factor authentication status
+  async getMfaStatus(): Promise<MfaStatus> {
+    const response = await apiService.get<MfaStatus>('/auth/mfa')
+    return response.data!
+  },
+
+  // Start two-factor enrollment
+  async setupMfa(): Promise<MfaSetup> {
+    const response = await apiService.post<MfaSetup>('/auth/mfa/setup')
+    return response.data!
+  },
+
+  // Confirm enrollment; the recovery codes are only returned this once
+  async enableMfa(code: string): Promise<{ recoveryCodes: string[]; user: User }> {
+    const response = await apiService.post<{ recoveryCodes: string[]; user: User }>('/auth/mfa/enable', { code })
+    return response.data!
+  },
+
+  // Turn two-factor authentication off
+  async disableMfa(data: { password: string; code: string }): Promise<{ user: User }> {
+    const response = await apiService.post<{ user: User }>('/auth/mfa/disable', data)
+    return response.data!
+  },
+
+  // Replace the recovery codes
+  async regenerateRecoveryCodes(code: string): Promise<{ recoveryCodes: string[] }> {
+    const response = await apiService.post<{ recoveryCodes: string[] }>('/auth/mfa/recovery-codes', { code })
+    return response.data!
+  },
+
+  // Login lockout status of an account (admins)
+  async getAccountLockout(userId: string): Promise<{ locked: boolean; lockedUntil: string | null; failures: number }> {
+    const response = await apiService.get<{ locked: boolean; lockedUntil: string | null; failures: number }>(`/auth/lockouts/users/${userId}`)
+    return response.data!
+  },
+
+  // Unlock an account locked after failed logins (admins)
+  async unlockAccount(userId: string): Promise<{ wasLocked: boolean }> {
+    const response = await apiService.delete<{ wasLocked: boolean }>(`/auth/lockouts/users/${userId}`)
+    return response.data!
+  },
+
+  // Unlock an IP address locked after failed logins (admins)
+  async unlockIpAddress(ipAddress: string): Promise<{ wasLocked: boolean }> {
+    const response = await apiService.delete<{ wasLocked: boolean }>(`/auth/lockouts/ips/${encodeURIComponent(ipAddress)}`)
+    return response.data!
+  },
+
+  // List the current user's personal access tokens
+  async getAccessTokens(): Promise<AccessToken[]> {
+    const response = await apiService.get<{ tokens: AccessToken[] }>('/auth/tokens')
+    return response.data!.tokens
+  },
+
+  // Create a personal access token; the token string is only returned this once
+  async createAccessToken(data: CreateAccessTokenData): Promise<{ token: string; accessToken: AccessToken }> {
+    const response = await apiService.post<{ token: string; accessToken: AccessToken }>('/auth/tokens', data)
+    return response.data!
+  },
+
+  // Revoke a personal access token
+  async revokeAccessToken(tokenId: string): Promise<void> {
+    await apiService.delete(`/auth/tokens/${tokenId}`)
+  },
+}
@@ -9,12 +9,52 @@ export interface CreateTaskData {
   assignees?: string[]
   dueDate?: string
   estimatedHours?: number
+  storyPoints?: number | null
   tags?: string[]
   dependencies?: string[]
 }
 
 export interface UpdateTaskData extends Partial<CreateTaskData> {}
 
+export interface BulkListChange {
+  add?: string[]
+  remove?: string[]
+}
+
+export interface BulkUpdateTaskData {
+  status?: string
+  priority?: 'low' | 'medium' | 'high' | 'urgent'
+  assignees?: string[] | BulkListChange
+  tags?: string[] | BulkListChange
+  dueDate?: string | null
+  shiftDueDateDays?: number
+  archive?: boolean
+  force?: boolean
+}
+
+export interface TaskPosition {
+  _id: string
+  status: string
+  statusCategory: string
+  position: number
+}
+
+export interface TrashedTask {
+  _id: string
+  title: string
+  status: string
+  priority: Task['priority']
+  assignees: Task['assignees']
+  deletedAt: string
+  deletedBy?: Task['createdBy']
+  purgeAt: string
+}
+
+export interface BulkTaskFailure {
+  taskId: string
+  reason: string
+}
+
 export interface TaskFilters {
   status?: string[]
   priority?: string[]
@@ -26,6 +66,7 @@ export interface TaskFilters {
   }
   createdBy?: string
   workspace?: string
+  sprint?: string
 }
 
 export const taskService = {
@@ -74,6 +115,18 @@ export const taskService = {
     return response.data!
   },
 
+  // Move task between two cards on the board, optionally into another column
+  async reorderTask(
+    taskId: string,
+    data: { status?: string; prevTaskId?: string | null; nextTaskId?: string | null; force?: boolean }
+  ): Promise<{ task: TaskPosition; rebalanced?: Record<string, number> }> {
+    const response = await apiService.patch<{ task: TaskPosition; rebalanced?: Record<string, number> }>(
+      `/tasks/${taskId}/reorder`,
+      data
+    )
+    return response.data!
+  },
+
   // Assign task to users
   async assignTask(taskId: string, userIds: string[]): Promise<Task> {
     const response = await apiService.post<Task>(`/tasks/${taskId}/assign`, { userIds })
@@ -171,14 +224,24 @@ export const taskService = {
   },
 
   // Duplicate task
-  async duplicateTask(taskId: string, data?: { title?: string; assignees?: string[] }): Promise<Task> {
+  async duplicateTask(
+    taskId: string,
+    data?: {
+      title?: string
+      assignees?: string[]
+      includeAssignees?: boolean
+      includeSubtasks?: boolean
+      includeAttachments?: boolean
+      includeComments?: boolean
+    }
+  ): Promise<Task> {
     const response = await apiService.post<Task>(`/tasks/${taskId}/duplicate`, data)
     return response.data!
   },
 
   // Move task to different workspace
-  async moveTask(taskId: string, workspaceId: string): Promise<Task> {
-    const response = await apiService.post<Task>(`/tasks/${taskId}/move`, { workspaceId })
+  async moveTask(taskId: string, workspaceId: string, assigneeMap?: Record<string, string>): Promise<Task> {
+    const response = await apiService.post<Task>(`/tasks/${taskId}/move`, { workspaceId, assigneeMap })
     return response.data!
   },
 
@@ -194,6 +257,26 @@ export const taskService = {
     return response.data!
   },
 
+  // Get tasks in the workspace trash
+  async getTrash(workspaceId: string, params?: { page?: number; limit?: number }): Promise<{
+    tasks: TrashedTask[]
+    retentionDays: number
+    pagination: PaginatedResponse<TrashedTask>['pagination']
+  }> {
+    const response = await apiService.get<{
+      tasks: TrashedTask[]
+      retentionDays: number
+      pagination: PaginatedResponse<TrashedTask>['pagination']
+    }>(`/workspaces/${workspaceId}/trash`, { params })
+    return response.data!
+  },
+
+  // Restore task from the workspace trash
+  async restoreFromTrash(workspaceId: string, taskId: string): Promise<Task> {
+    const response = await apiService.post<Task>(`/workspaces/${workspaceId}/trash/${taskId}/restore`)
+    return response.data!
+  },
+
   // Get task statistics
   async getTaskStatistics(workspaceId: string, dateRange?: { start: string; end: string }): Promise<{
     totalTasks: number
@@ -215,14 +298,14 @@ export const taskService = {
   },
 
   // Bulk update tasks
-  async bulkUpdateTasks(taskIds: string[], data: UpdateTaskData): Promise<{ updated: number; failed: string[] }> {
-    const response = await apiService.post<{ updated: number; failed: string[] }>(`/tasks/bulk-update`, { taskIds, data })
+  async bulkUpdateTasks(taskIds: string[], data: BulkUpdateTaskData): Promise<{ updated: number; failed: BulkTaskFailure[] }> {
+    const response = await apiService.post<{ updated: number; failed: BulkTaskFailure[] }>(`/tasks/bulk-update`, { taskIds, data })
     return response.data!
   },
 
   // Bulk delete tasks
-  async bulkDeleteTasks(taskIds: string[]): Promise<{ deleted: number; failed: string[] }> {
-    const response = await apiService.post<{ deleted: number; failed: string[] }>(`/tasks/bulk-delete`, { taskIds })
+  async bulkDeleteTasks(taskIds: string[]): Promise<{ deleted: number; failed: BulkTaskFailure[] }> {
+    const response = await apiService.post<{ deleted: number; failed: BulkTaskFailure[] }>(`/tasks/bulk-delete`, { taskIds })
     return response.data!
   },
 }
\ No newline at end of file
@@ -1,5 +1,5 @@
 import { apiService } from './api'
-import { Workspace, WorkspaceMember, PaginatedResponse } from '@/types'
+import { Workspace, WorkspaceMember, User, PaginatedResponse } from '@/types'
 
 export interface CreateWorkspaceData {
   name: string
@@ -7,6 +7,8 @@ export interface CreateWorkspaceData {
   settings?: {
     isPublic?: boolean
     allowGuestAccess?: boolean
+    requireMfa?: boolean
+    autoJoinDomains?: string[]
     defaultTaskView?: 'kanban' | 'list' | 'calendar'
   }
   branding?: {
@@ -17,6 +19,199 @@ export interface CreateWorkspaceData {
 
 export interface UpdateWorkspaceData extends Partial<CreateWorkspaceData> {}
 
+export interface SprintSummary {
+  totalTasks: number
+  completedTasks: number
+  unestimatedTasks: number
+  totalPoints: number
+  completedPoints: number
+}
+
+export interface SprintReport {
+  committedPoints: number
+  completedPoints: number
+  addedPoints: number
+  totalTasks: number
+  completedTasks: number
+  incompleteTasks: number
+  carriedOverTo?: string
+  carriedOverTasks: string[]
+}
+
+export interface Sprint {
+  _id: string
+  name: string
+  goal: string
+  workspace: string
+  state: 'planned' | 'active' | 'completed'
+  startDate: string
+  endDate: string
+  committedPoints: number
+  startedAt?: string
+  completedAt?: string
+  report?: SprintReport
+  summary?: SprintSummary
+  createdAt: string
+  updatedAt: string
+}
+
+export interface SprintVelocity {
+  window: number
+  sprintCount: number
+  average: number
+  sprints: {
+    _id: string
+    name: string
+    endDate: string
+    committedPoints: number
+    completedPoints: number
+  }[]
+}
+
+export interface AnalyticsRange {
+  from?: string
+  to?: string
+}
+
+export interface BurndownPoint {
+  date: string
+  scope: number
+  completed: number
+  remaining: number
+  ideal: number
+}
+
+export interface DurationSummary {
+  count: number
+  average: number | null
+  min: number | null
+  max: number | null
+  p50: number | null
+  p85: number | null
+  p95: number | null
+}
+
+export interface WorkloadDay {
+  date: string
+  hours: number
+  capacity: number
+  utilization: number | null
+  overallocated: boolean
+}
+
+export interface MemberWorkload {
+  user: User
+  weeklyCapacity: number
+  openTasks: number
+  overdueTasks: number
+  unestimatedTasks: number
+  unscheduledTasks: number
+  estimatedHours: number
+  storyPoints: number
+  allocatedHours: number
+  capacityHours: number
+  utilization: number | null
+  overallocated: boolean
+  heatmap: WorkloadDay[]
+}
+
+export type AutomationTrigger = 'task_created' | 'status_changed' | 'comment_added' | 'subtask_completed' | 'due_date_passed'
+
+export interface AutomationCondition {
+  field: string
+  operator: 'equals' | 'not_equals' | 'in' | 'not_in' | 'contains' | 'not_contains' | 'is_empty' | 'is_not_empty' | 'gt' | 'lt'
+  value?: any
+}
+
+// Parameters used depend on the action type
+export interface AutomationAction {
+  type: 'set_field' | 'assign' | 'comment' | 'notify' | 'move'
+  field?: string
+  value?: any
+  mode?: 'add' | 'remove' | 'replace'
+  users?: string[]
+  recipients?: string[]
+  text?: string
+  message?: string
+  status?: string
+}
+
+export interface AutomationRuleData {
+  name: string
+  description?: string
+  enabled?: boolean
+  trigger: { type: AutomationTrigger; from?: string; to?: string }
+  conditions?: AutomationCondition[]
+  actions: AutomationAction[]
+}
+
+export interface AutomationRule extends AutomationRuleData {
+  _id: string
+  workspace: string
+  enabled: boolean
+  conditions: AutomationCondition[]
+  createdBy: User | string
+  updatedBy?: User | string
+  stats: { runs: number; failures: number; lastRunAt?: string }
+  createdAt: string
+  updatedAt: string
+}
+
+export interface AutomationLogEntry {
+  _id: string
+  rule: string
+  ruleName: string
+  task: { _id: string; title: string; status: string } | null
+  trigger: AutomationTrigger
+  actor?: User
+  status: 'success' | 'partial' | 'failed' | 'skipped'
+  depth: number
+  actions: { type: AutomationAction['type']; status: 'success' | 'failed'; message: string }[]
+  reason?: string
+  durationMs?: number
+  createdAt: string
+}
+
+export type WebhookEvent = 'task.created' | 'task.updated' | 'task.deleted' | 'comment.created' | 'comment.updated' | 'comment.deleted'
+
+export interface Webhook {
+  _id: string
+  name: string
+  url: string
+  events: (WebhookEvent | '*')[]
+  workspace: string
+  enabled: boolean
+  consecutiveFailures: number
+  disabledAt?: string
+  disabledReason?: string
+  lastDeliveryAt?: string
+  lastSuccessAt?: string
+  createdBy: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface WebhookData {
+  name: string
+  url: string
+  events: (WebhookEvent | '*')[]
+  enabled?: boolean
+}
+
+export interface WebhookDelivery {
+  _id: string
+  webhook: string
+  event: WebhookEvent | 'webhook.test'
+  status: 'pending' | 'success' | 'failed'
+  payload: { id: string; event: string; workspace: string; createdAt: string; data: any }
+  attempts: { at: string; statusCode?: number; responseBody?: string; error?: string; durationMs?: number }[]
+  attemptCount: number
+  maxAttempts: number
+  nextAttemptAt: string | null
+  completedAt?: string
+  createdAt: string
+}
+
 export const workspaceService = {
   // Get all workspaces for current user
   async getWorkspaces(params?: {
@@ -150,4 +345,220 @@ export const workspaceService = {
     const response = await apiService.post<Workspace>(`/workspaces/${workspaceId}/restore`)
     return response.data!
   },
-}
\ No newline at end of file
+
+  // Get sprints in a workspace
+  async getSprints(workspaceId: string, state?: Sprint['state']): Promise<Sprint[]> {
+    const response = await apiService.get<{ sprints: Sprint[] }>(`/workspaces/${workspaceId}/sprints`, {
+      params: { state }
+    })
+    return response.data!.sprints
+  },
+
+  // Create sprint
+  async createSprint(workspaceId: string, data: {
+    name: string
+    goal?: string
+    startDate: string
+    endDate: string
+  }): Promise<Sprint> {
+    const response = await apiService.post<{ sprint: Sprint }>(`/workspaces/${workspaceId}/sprints`, data)
+    return response.data!.sprint
+  },
+
+  // Plan tasks into a sprint
+  async addSprintTasks(workspaceId: string, sprintId: string, taskIds: string[]): Promise<{
+    added: number
+    failed: { taskId: string; reason: string }[]
+  }> {
+    const response = await apiService.post<{
+      added: number
+      failed: { taskId: string; reason: string }[]
+    }>(`/workspaces/${workspaceId}/sprints/${sprintId}/tasks`, { taskIds })
+    return response.data!
+  },
+
+  // Start sprint
+  async startSprint(workspaceId: string, sprintId: string): Promise<Sprint> {
+    const response = await apiService.post<{ sprint: Sprint }>(`/workspaces/${workspaceId}/sprints/${sprintId}/start`)
+    return response.data!.sprint
+  },
+
+  // Complete sprint, carrying unfinished tasks to a planned sprint or the backlog
+  async completeSprint(workspaceId: string, sprintId: string, carryOverTo: string = 'backlog'): Promise<{
+    sprint: Sprint
+    report: SprintReport
+    velocity: SprintVelocity
+  }> {
+    const response = await apiService.post<{
+      sprint: Sprint
+      report: SprintReport
+      velocity: SprintVelocity
+    }>(`/workspaces/${workspaceId}/sprints/${sprintId}/complete`, { carryOverTo })
+    return response.data!
+  },
+
+  // Get velocity across recent completed sprints
+  async getVelocity(workspaceId: string, window?: number): Promise<SprintVelocity> {
+    const response = await apiService.get<{ velocity: SprintVelocity }>(`/workspaces/${workspaceId}/sprints/velocity`, {
+      params: { window }
+    })
+    return response.data!.velocity
+  },
+
+  // Get burndown and burnup series, optionally for a sprint
+  async getBurndown(workspaceId: string, params?: AnalyticsRange & {
+    unit?: 'tasks' | 'points'
+    sprint?: string
+  }): Promise<{ unit: 'tasks' | 'points'; series: BurndownPoint[]; sprint: Sprint | null; timeZone: string }> {
+    const response = await apiService.get<{
+      unit: 'tasks' | 'points'
+      series: BurndownPoint[]
+      sprint: Sprint | null
+      timeZone: string
+    }>(`/workspaces/${workspaceId}/analytics/burndown`, { params })
+    return response.data!
+  },
+
+  // Get daily task counts per status
+  async getCumulativeFlow(workspaceId: string, params?: AnalyticsRange): Promise<{
+    statuses: string[]
+    series: { date: string; counts: Record<string, number> }[]
+  }> {
+    const response = await apiService.get<{
+      statuses: string[]
+      series: { date: string; counts: Record<string, number> }[]
+    }>(`/workspaces/${workspaceId}/analytics/cumulative-flow`, { params })
+    return response.data!
+  },
+
+  // Get lead and cycle time distributions in days
+  async getFlowTimes(workspaceId: string, params?: AnalyticsRange): Promise<{
+    leadTime: DurationSummary
+    cycleTime: DurationSummary
+  }> {
+    const response = await apiService.get<{
+      leadTime: DurationSummary
+      cycleTime: DurationSummary
+    }>(`/workspaces/${workspaceId}/analytics/flow-times`, { params })
+    return response.data!
+  },
+
+  // Set a member's weekly capacity in hours; null uses the workspace working hours
+  async updateMemberCapacity(workspaceId: string, userId: string, weeklyCapacity: number | null): Promise<{
+    user: string
+    weeklyCapacity: number | null
+    effectiveCapacity: number
+  }> {
+    const response = await apiService.put<{
+      membership: { user: string; weeklyCapacity: number | null; effectiveCapacity: number }
+    }>(`/workspaces/${workspaceId}/members/${userId}/capacity`, { weeklyCapacity })
+    return response.data!.membership
+  },
+
+  // Get open work per member against capacity, with a per-day heatmap
+  async getWorkload(workspaceId: string, params?: { from?: string; to?: string }): Promise<{
+    members: MemberWorkload[]
+    overallocated: number
+    range: { from: string; to: string }
+  }> {
+    const response = await apiService.get<{
+      members: MemberWorkload[]
+      overallocated: number
+      range: { from: string; to: string }
+    }>(`/workspaces/${workspaceId}/workload`, { params })
+    return response.data!
+  },
+
+  // Get the workspace's automation rules
+  async getAutomationRules(workspaceId: string): Promise<AutomationRule[]> {
+    const response = await apiService.get<{ rules: AutomationRule[] }>(`/workspaces/${workspaceId}/automations`)
+    return response.data!.rules
+  },
+
+  // Create an automation rule (managers only)
+  async createAutomationRule(workspaceId: string, data: AutomationRuleData): Promise<AutomationRule> {
+    const response = await apiService.post<{ rule: AutomationRule }>(`/workspaces/${workspaceId}/automations`, data)
+    return response.data!.rule
+  },
+
+  // Update an automation rule; pass { enabled } to switch it on or off
+  async updateAutomationRule(workspaceId: string, ruleId: string, data: Partial<AutomationRuleData>): Promise<AutomationRule> {
+    const response = await apiService.put<{ rule: AutomationRule }>(`/workspaces/${workspaceId}/automations/${ruleId}`, data)
+    return response.data!.rule
+  },
+
+  // Delete an automation rule
+  async deleteAutomationRule(workspaceId: string, ruleId: string): Promise<void> {
+    await apiService.delete(`/workspaces/${workspaceId}/automations/${ruleId}`)
+  },
+
+  // Get the automation execution log, newest first
+  async getAutomationLogs(workspaceId: string, params?: {
+    rule?: string
+    task?: string
+    status?: AutomationLogEntry['status']
+    page?: number
+    limit?: number
+  }): Promise<{
+    logs: AutomationLogEntry[]
+    pagination: { page: number; limit: number; total: number; pages: number }
+  }> {
+    const response = await apiService.get<{
+      logs: AutomationLogEntry[]
+      pagination: { page: number; limit: number; total: number; pages: number }
+    }>(`/workspaces/${workspaceId}/automations/logs`, { params })
+    return response.data!
+  },
+
+  // Get the workspace's webhooks (admins only)
+  async getWebhooks(workspaceId: string): Promise<Webhook[]> {
+    const response = await apiService.get<{ webhooks: Webhook[] }>(`/workspaces/${workspaceId}/webhooks`)
+    return response.data!.webhooks
+  },
+
+  // Create a webhook; the signing secret is only returned this once
+  async createWebhook(workspaceId: string, data: WebhookData): Promise<{ webhook: Webhook; secret: string }> {
+    const response = await apiService.post<{ webhook: Webhook; secret: string }>(`/workspaces/${workspaceId}/webhooks`, data)
+    return response.data!
+  },
+
+  // Update a webhook; enabling a disabled webhook clears its failure count
+  async updateWebhook(workspaceId: string, webhookId: string, data: Partial<WebhookData>): Promise<Webhook> {
+    const response = await apiService.put<{ webhook: Webhook }>(`/workspaces/${workspaceId}/webhooks/${webhookId}`, data)
+    return response.data!.webhook
+  },
+
+  // Delete a webhook
+  async deleteWebhook(workspaceId: string, webhookId: string): Promise<void> {
+    await apiService.delete(`/workspaces/${workspaceId}/webhooks/${webhookId}`)
+  },
+
+  // Replace a webhook's signing secret
+  async rotateWebhookSecret(workspaceId: string, webhookId: string): Promise<{ webhook: Webhook; secret: string }> {
+    const response = await apiService.post<{ webhook: Webhook; secret: string }>(`/workspaces/${workspaceId}/webhooks/${webhookId}/rotate-secret`)
+    return response.data!
+  },
+
+  // Send a test event and get the delivery result
+  async testWebhook(workspaceId: string, webhookId: string): Promise<WebhookDelivery> {
+    const response = await apiService.post<{ delivery: WebhookDelivery }>(`/workspaces/${workspaceId}/webhooks/${webhookId}/test`)
+    return response.data!.delivery
+  },
+
+  // Get a webhook's delivery log, newest first
+  async getWebhookDeliveries(workspaceId: string, webhookId: string, params?: {
+    status?: WebhookDelivery['status']
+    event?: string
+    page?: number
+    limit?: number
+  }): Promise<{
+    deliveries: WebhookDelivery[]
+    pagination: { page: number; limit: number; total: number; pages: number }
+  }> {
+    const response = await apiService.get<{
+      deliveries: WebhookDelivery[]
+      pagination: { page: number; limit: number; total: number; pages: number }
+    }>(`/workspaces/${workspaceId}/webhooks/${webhookId}/deliveries`, { params })
+    return response.data!
+  },
+}
@@ -18,6 +18,8 @@ export interface User {
   lastActive: string
   isOnline: boolean
   timezone: string
+  mfaEnabled?: boolean
+  identityProviders?: string[]
   createdAt: string
   updatedAt: string
 }
@@ -33,7 +35,13 @@ export interface Workspace {
   settings: {
     isPublic: boolean
     allowGuestAccess: boolean
+    requireMfa?: boolean
+    // Verified single sign-on users with these email domains join automatically
+    autoJoinDomains?: string[]
     defaultTaskView: 'kanban' | 'list' | 'calendar'
+    workingHours?: { start: string; end: string }
+    workingDays?: number[]
+    timezone?: string
   }
   branding?: {
     primaryColor: string
@@ -47,6 +55,7 @@ export interface WorkspaceMember {
   user: User
   role: 'admin' | 'manager' | 'member'
   joinedAt: string
+  weeklyCapacity?: number | null
 }
 
 // Task Types
@@ -62,6 +71,8 @@ export interface Task {
   dueDate?: string
   estimatedHours?: number
   actualHours?: number
+  storyPoints?: number | null
+  sprint?: string | null
   tags: string[]
   attachments: TaskAttachment[]
   dependencies: string[]
@@ -230,7 +241,7 @@ export interface PaginationParams {
 // Notification Types
 export interface Notification {
   _id: string
-  type: 'task_assigned' | 'task_due' | 'comment_mention' | 'workspace_invite'
+  type: 'task_assigned' | 'task_due' | 'task_status_changed' | 'comment_mention' | 'workspace_invite' | 'automation'
   title: string
   message: string
   read: boolean